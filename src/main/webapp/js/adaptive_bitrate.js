@@ -0,0 +1,350 @@
+import {limitLayerBitrates} from "./simulcast.js"
+
+/**
+ * Reasons of the bitrate_step_down and bitrate_step_up events
+ */
+export const StepReason = {
+	PACKET_LOSS: "packet_loss",
+	ROUND_TRIP_TIME: "round_trip_time",
+	BANDWIDTH: "bandwidth",
+	AVAILABLE_BITRATE: "available_bitrate",
+	CPU: "cpu",
+	RECOVERED: "recovered",
+};
+
+/**
+ * AdaptiveBitrateController adjusts the encoding of the published video with its outbound stats.
+ * It's enabled for each published stream with @enableAdaptiveBitrate or for all of them with @adaptiveBitrateEnabled.
+ *
+ * 	webRTCAdaptor.enableAdaptiveBitrate(publishStreamId);
+ * 	webRTCAdaptor.on("bitrate_step_down", ({streamId, bitrate, scaleResolutionDownBy, maxFramerate, reason}) => {...});
+ *
+ * When the network is congested (loss, round trip time, qualityLimitationReason "bandwidth" or available outgoing bitrate
+ * below the current bitrate), the bitrate is decreased first. The resolution is scaled down when the bitrate is at its
+ * minimum and then the frame rate is decreased. When the encoder is limited by the CPU, the resolution and then
+ * the frame rate are decreased without changing the bitrate. After @adaptiveBitrateStepUpDelay of good conditions,
+ * the frame rate, the resolution and the bitrate are increased step by step in the reverse order.
+ *
+ * Streams which are published with simulcast only get their bitrate adjusted and it's shared by the layers.
+ */
+export class AdaptiveBitrateController
+{
+	constructor(initialValues) {
+		/**
+		 * If it's true, adaptive bitrate is enabled for the published streams when they're connected
+		 */
+		this.adaptiveBitrateEnabled = false;
+
+		/**
+		 * Lower limit of the bitrate in kbps
+		 */
+		this.adaptiveBitrateMinBitrate = 150;
+
+		/**
+		 * Upper limit of the bitrate in kbps
+		 */
+		this.adaptiveBitrateMaxBitrate = 2500;
+
+		/**
+		 * Upper limit of scaleResolutionDownBy. The resolution is halved in each step
+		 */
+		this.adaptiveBitrateMaxScale = 4;
+
+		/**
+		 * Lower limit of the frame rate
+		 */
+		this.adaptiveBitrateMinFrameRate = 10;
+
+		/**
+		 * Upper limit of the frame rate
+		 */
+		this.adaptiveBitrateMaxFrameRate = 30;
+
+		/**
+		 * Network is congested if the fraction of the lost packets is more than this value
+		 */
+		this.adaptiveBitrateLossThreshold = 0.05;
+
+		/**
+		 * Network is congested if the round trip time is more than this value in seconds
+		 */
+		this.adaptiveBitrateRttThreshold = 0.4;
+
+		/**
+		 * The bitrate is multiplied with this ratio in each step down
+		 */
+		this.adaptiveBitrateStepDownRatio = 0.7;
+
+		/**
+		 * The bitrate is multiplied with this ratio in each step up
+		 */
+		this.adaptiveBitrateStepUpRatio = 1.15;
+
+		/**
+		 * Conditions should be good for this time in milliseconds before each step up
+		 */
+		this.adaptiveBitrateStepUpDelay = 10000;
+
+		/**
+		 * Loss, round trip time and bandwidth signals are ignored for this time in milliseconds after each step down.
+		 * They come from the RTCP receiver reports and the bandwidth estimation, which lag several seconds,
+		 * so they still reflect the previous encoding right after a step down
+		 */
+		this.adaptiveBitrateStepDownHoldOff = 5000;
+
+		/**
+		 * Period of the stats in milliseconds if the stats of the stream are not enabled already
+		 */
+		this.adaptiveBitrateInterval = 2000;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * States of the streams. Each state is {bitrate, scaleResolutionDownBy, maxFramerate, goodSince, steppedDownAt, statsEnabled}
+		 */
+		this.states = new Map();
+
+		/**
+		 * Ids of the streams which are enabled with @enableAdaptiveBitrate. They're adapted again
+		 * when their PeerConnections are created again, e.g. after reconnection, until @disableAdaptiveBitrate is called
+		 */
+		this.enabledStreamIds = new Set();
+	}
+
+	/**
+	 * Called by user to start adapting the encoding of a published stream. Its stats are enabled if they're not
+	 * 	 streamId: id of the published stream
+	 */
+	enableAdaptiveBitrate(streamId) {
+		this.enabledStreamIds.add(streamId);
+		this.startAdapting(streamId);
+	}
+
+	/**
+	 * Called when the PeerConnection of a published stream is connected. It starts adapting the stream
+	 * if @adaptiveBitrateEnabled is true or the stream is enabled with @enableAdaptiveBitrate
+	 */
+	streamConnected(streamId) {
+		if (this.adaptiveBitrateEnabled || this.enabledStreamIds.has(streamId)) {
+			this.startAdapting(streamId);
+		}
+	}
+
+	/**
+	 * Returns true if the encoding of the stream is being adapted
+	 */
+	isAdapting(streamId) {
+		return this.states.has(streamId);
+	}
+
+	startAdapting(streamId) {
+		if (this.states.has(streamId)) {
+			return;
+		}
+		var bandwidth = this.webRTCAdaptor.mediaManager.bandwidth;
+		var bitrate = typeof bandwidth == "number" ? bandwidth : this.adaptiveBitrateMaxBitrate;
+		var peerStats = this.webRTCAdaptor.remotePeerConnectionStats[streamId];
+		var statsEnabled = peerStats == null || !(peerStats.statsInterval > 0);
+		this.states.set(streamId, {
+			bitrate: Math.max(this.adaptiveBitrateMinBitrate, Math.min(this.adaptiveBitrateMaxBitrate, bitrate)),
+			scaleResolutionDownBy: 1,
+			maxFramerate: this.adaptiveBitrateMaxFrameRate,
+			goodSince: null,
+			steppedDownAt: null,
+			statsEnabled: statsEnabled,
+		});
+		if (statsEnabled) {
+			this.webRTCAdaptor.enableStats(streamId, this.adaptiveBitrateInterval);
+		}
+	}
+
+	/**
+	 * Called by user to stop adapting the encoding. The current encoding is kept.
+	 * Stats are disabled if they're enabled by @enableAdaptiveBitrate
+	 */
+	disableAdaptiveBitrate(streamId) {
+		this.enabledStreamIds.delete(streamId);
+		var state = this.states.get(streamId);
+		if (state == null) {
+			return;
+		}
+		this.states.delete(streamId);
+		if (state.statsEnabled) {
+			this.webRTCAdaptor.disableStats(streamId);
+		}
+	}
+
+	/**
+	 * Returns the current {bitrate, scaleResolutionDownBy, maxFramerate} of the stream or null if it's not adapted
+	 */
+	getAdaptiveBitrateState(streamId) {
+		var state = this.states.get(streamId);
+		return state != null ? {bitrate: state.bitrate, scaleResolutionDownBy: state.scaleResolutionDownBy, maxFramerate: state.maxFramerate} : null;
+	}
+
+	/**
+	 * Called when the stats of a stream are updated
+	 */
+	update(peerStats) {
+		var state = this.states.get(peerStats.streamId);
+		var sample = peerStats.getLastSample();
+		if (state == null || sample == null || peerStats.getOutboundRtp("video").length == 0) {
+			return;
+		}
+		var now = sample.timestamp;
+		var pair = peerStats.selectedCandidatePair;
+		//kbps
+		var availableBitrate = pair != null && pair.availableOutgoingBitrate != null ? pair.availableOutgoingBitrate / 1000 : null;
+		var simulcast = this.webRTCAdaptor.simulcastManager.getConfiguredLayers(peerStats.streamId) != null;
+
+		var reason = null;
+		if (sample.qualityLimitationReason == "cpu") {
+			reason = StepReason.CPU;
+		}
+		else if (sample.packetLoss > this.adaptiveBitrateLossThreshold) {
+			reason = StepReason.PACKET_LOSS;
+		}
+		else if (sample.roundTripTime > this.adaptiveBitrateRttThreshold) {
+			reason = StepReason.ROUND_TRIP_TIME;
+		}
+		//encoder is limited by the bandwidth also when this controller caps the bitrate,
+		//so it's a congestion only if the available bitrate is lower than the cap
+		else if (sample.qualityLimitationReason == "bandwidth" && (availableBitrate == null || availableBitrate < state.bitrate)) {
+			reason = StepReason.BANDWIDTH;
+		}
+		else if (availableBitrate != null && availableBitrate < state.bitrate * 0.8) {
+			reason = StepReason.AVAILABLE_BITRATE;
+		}
+
+		if (reason != null) {
+			state.goodSince = null;
+			//cpu limitation is measured locally, so it doesn't lag like the network signals
+			if (reason != StepReason.CPU && state.steppedDownAt != null && now - state.steppedDownAt < this.adaptiveBitrateStepDownHoldOff) {
+				return;
+			}
+			var decreased = this.stepDown(state, reason, availableBitrate, simulcast);
+			if (decreased != null) {
+				state.steppedDownAt = now;
+				this.apply(peerStats.streamId, state, decreased, "bitrate_step_down", reason, simulcast);
+			}
+		}
+		else if (state.goodSince == null) {
+			state.goodSince = now;
+		}
+		else if (now - state.goodSince >= this.adaptiveBitrateStepUpDelay) {
+			state.goodSince = now;
+			var increased = this.stepUp(state, availableBitrate, simulcast);
+			if (increased != null) {
+				this.apply(peerStats.streamId, state, increased, "bitrate_step_up", StepReason.RECOVERED, simulcast);
+			}
+		}
+	}
+
+	/**
+	 * Returns the decreased {bitrate, scaleResolutionDownBy, maxFramerate} or null if they're at their limits
+	 */
+	stepDown(state, reason, availableBitrate, simulcast) {
+		var changes = {bitrate: state.bitrate, scaleResolutionDownBy: state.scaleResolutionDownBy, maxFramerate: state.maxFramerate};
+		if (reason != StepReason.CPU && state.bitrate > this.adaptiveBitrateMinBitrate) {
+			var bitrate = state.bitrate * this.adaptiveBitrateStepDownRatio;
+			if (availableBitrate != null) {
+				bitrate = Math.min(bitrate, availableBitrate * 0.9);
+			}
+			changes.bitrate = Math.max(this.adaptiveBitrateMinBitrate, Math.floor(bitrate));
+		}
+		else if (simulcast) {
+			//resolution and frame rate of the layers are not changed
+			return null;
+		}
+		else if (state.scaleResolutionDownBy < this.adaptiveBitrateMaxScale) {
+			changes.scaleResolutionDownBy = Math.min(this.adaptiveBitrateMaxScale, state.scaleResolutionDownBy * 2);
+		}
+		else if (state.maxFramerate > this.adaptiveBitrateMinFrameRate) {
+			changes.maxFramerate = Math.max(this.adaptiveBitrateMinFrameRate, Math.floor(state.maxFramerate * 2 / 3));
+		}
+		else {
+			return null;
+		}
+		return changes;
+	}
+
+	/**
+	 * Returns the increased {bitrate, scaleResolutionDownBy, maxFramerate} or null if they're at their limits
+	 */
+	stepUp(state, availableBitrate, simulcast) {
+		var changes = {bitrate: state.bitrate, scaleResolutionDownBy: state.scaleResolutionDownBy, maxFramerate: state.maxFramerate};
+		if (!simulcast && state.maxFramerate < this.adaptiveBitrateMaxFrameRate) {
+			changes.maxFramerate = Math.min(this.adaptiveBitrateMaxFrameRate, Math.ceil(state.maxFramerate * 3 / 2));
+		}
+		else if (!simulcast && state.scaleResolutionDownBy > 1) {
+			changes.scaleResolutionDownBy = Math.max(1, state.scaleResolutionDownBy / 2);
+		}
+		else {
+			var bitrate = Math.min(this.adaptiveBitrateMaxBitrate, Math.ceil(state.bitrate * this.adaptiveBitrateStepUpRatio));
+			if (availableBitrate != null) {
+				bitrate = Math.min(bitrate, Math.floor(availableBitrate * 0.9));
+			}
+			if (bitrate <= state.bitrate) {
+				return null;
+			}
+			changes.bitrate = bitrate;
+		}
+		return changes;
+	}
+
+	/**
+	 * Called internally to set the encoding parameters of the video sender and to notify the step.
+	 * The state is changed when the parameters are applied
+	 */
+	apply(streamId, state, changes, eventName, reason, simulcast) {
+		var sender = this.webRTCAdaptor.getSender(streamId, "video");
+		if (sender == null) {
+			return Promise.resolve();
+		}
+		var applied = Object.assign({}, state, changes);
+		var parameters = sender.getParameters();
+		if (!parameters.encodings || parameters.encodings.length == 0) {
+			parameters.encodings = [{}];
+		}
+		if (simulcast) {
+			var layers = this.webRTCAdaptor.simulcastManager.getConfiguredLayers(streamId);
+			var bitrates = limitLayerBitrates(layers, applied.bitrate);
+			parameters.encodings.forEach(encoding => {
+				var index = layers.findIndex(layer => layer.rid == encoding.rid);
+				if (index != -1 && bitrates[index] != null) {
+					encoding.maxBitrate = bitrates[index];
+				}
+			});
+		}
+		else {
+			parameters.encodings[0].maxBitrate = applied.bitrate * 1000;
+			parameters.encodings[0].scaleResolutionDownBy = applied.scaleResolutionDownBy;
+			parameters.encodings[0].maxFramerate = applied.maxFramerate;
+		}
+		return sender.setParameters(parameters).then(() => {
+			Object.assign(state, changes);
+			this.callback(eventName, Object.assign({streamId: streamId, reason: reason}, this.getAdaptiveBitrateState(streamId) || changes));
+		}).catch(error => {
+			console.warn("Cannot change the encoding of " + streamId + ": " + error);
+		});
+	}
+
+	/**
+	 * Called when the PeerConnection of a stream is closed. Streams which are enabled with @enableAdaptiveBitrate
+	 * are adapted again when they're connected
+	 */
+	removeStream(streamId) {
+		this.states.delete(streamId);
+	}
+}
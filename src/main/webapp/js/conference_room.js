@@ -0,0 +1,468 @@
+import {EventEmitter} from "./event_emitter.js"
+
+/**
+ * The notification events which are sent over the data channel by the participants to inform the others
+ * about their state. They're compatible with the events of the conference samples
+ */
+export const ParticipantEvent = {
+	CAM_TURNED_OFF: "CAM_TURNED_OFF",
+	CAM_TURNED_ON: "CAM_TURNED_ON",
+	MIC_MUTED: "MIC_MUTED",
+	MIC_UNMUTED: "MIC_UNMUTED",
+	UPDATE_AUDIO_LEVEL: "UPDATE_AUDIO_LEVEL",
+};
+
+/**
+ * ConferenceRoom keeps the state of a conference room on top of @WebRTCAdaptor.
+ * It joins the room, publishes the local stream, polls the room information and plays/stops
+ * the streams of the other participants as they join and leave.
+ *
+ * 	const room = new ConferenceRoom({webRTCAdaptor: webRTCAdaptor, roomName: "room1", streamName: "Alice"});
+ * 	room.on("participant_joined", participant => {...});
+ * 	room.on("participant_updated", ({participant, changes}) => {...});
+ * 	room.on("participant_left", participant => {...});
+ * 	room.join();
+ *
+ * Each participant is {streamId, streamName, isPublishing, isPlaying, isMicMuted, isCameraOff, audioLevel, stream}.
+ * isPublishing is true when the stream of the participant is started to play. stream is the MediaStream of
+ * the participant which is also provided with "newStreamAvailable" by @WebRTCAdaptor.
+ * Mic and camera states are received from the CAM_TURNED_OFF, MIC_MUTED, etc. notifications
+ * over the data channel. Check @ParticipantEvent
+ */
+export class ConferenceRoom extends EventEmitter
+{
+	constructor(initialValues) {
+		super();
+
+		/**
+		 * The adaptor which is used for signalling. It should be created with dataChannelEnabled
+		 * to get the states of the participants
+		 */
+		this.webRTCAdaptor = null;
+
+		/**
+		 * Name of the room to join
+		 */
+		this.roomName = null;
+
+		/**
+		 * Stream id of this participant. AMS generates it if it's not set
+		 */
+		this.streamId = null;
+
+		/**
+		 * Stream name of this participant. Others get it in the streamName field of the participant
+		 */
+		this.streamName = null;
+
+		/**
+		 * Token for publishing and playing the streams if stream security is enabled
+		 */
+		this.token = null;
+
+		/**
+		 * Room mode which is passed to joinRoom. Check @WebRTCAdaptor.joinRoom
+		 */
+		this.mode = "legacy";
+
+		/**
+		 * If it's true, the local stream is not published after joining the room
+		 */
+		this.playOnly = false;
+
+		/**
+		 * If it's true, the streams of the participants are played when they join the room
+		 * and stopped when they leave. Otherwise @playParticipant and @stopParticipant should be called
+		 */
+		this.autoPlay = true;
+
+		/**
+		 * The period in milliseconds to get the room information from AMS to detect the participants
+		 * which are joined or left
+		 */
+		this.roomInfoInterval = 5000;
+
+		/**
+		 * The period in milliseconds to measure the audio levels of the played streams with the sound meters
+		 * of @WebRTCAdaptor. It's disabled if it's 0. Audio levels are also updated with the UPDATE_AUDIO_LEVEL
+		 * messages of the participants in any case
+		 */
+		this.audioLevelInterval = 0;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		/**
+		 * The participants in the room except this one. Its keys are the stream ids
+		 */
+		this.participants = new Map();
+
+		/**
+		 * Stream ids of the participants which are requested to be played
+		 */
+		this.playRequests = new Set();
+
+		/**
+		 * It's true after joinedTheRoom is received until leaving the room
+		 */
+		this.joined = false;
+
+		/**
+		 * Stream id of this participant in the room. It's set when the room is joined
+		 */
+		this.localStreamId = null;
+
+		/**
+		 * Local mic and camera states which are sent to other participants
+		 */
+		this.isMicMuted = false;
+		this.isCameraOff = false;
+
+		this.roomTimerId = -1;
+		this.audioLevelTimerId = -1;
+
+		this.adaptorListener = (info, obj) => this.handleEvent(info, obj);
+		this.webRTCAdaptor.on("*", this.adaptorListener);
+	}
+
+	/**
+	 * Called by user to join the room. The local stream is published after joining unless @playOnly is true
+	 * Returns the Promise of @WebRTCAdaptor.joinRoom
+	 */
+	join() {
+		return this.webRTCAdaptor.joinRoom(this.roomName, this.streamId, this.mode);
+	}
+
+	/**
+	 * Called by user to leave the room. The streams of the participants are stopped and
+	 * "participant_left" is called for each of them
+	 */
+	leave() {
+		this.webRTCAdaptor.leaveFromRoom(this.roomName);
+		this.clear();
+	}
+
+	/**
+	 * Called by user to stop listening the adaptor. The room should be left before
+	 */
+	destroy() {
+		this.clear();
+		this.webRTCAdaptor.off("*", this.adaptorListener);
+	}
+
+	/**
+	 * Called by user to get the room information immediately instead of waiting for the next period
+	 * Returns the Promise of @WebRTCAdaptor.getRoomInfo
+	 */
+	refresh() {
+		return this.webRTCAdaptor.getRoomInfo(this.roomName, this.localStreamId);
+	}
+
+	/**
+	 * Returns the participants in the room except this one
+	 */
+	getParticipants() {
+		return Array.from(this.participants.values());
+	}
+
+	/**
+	 * Returns the participant with the stream id or null
+	 */
+	getParticipant(streamId) {
+		var participant = this.participants.get(streamId);
+		return participant != null ? participant : null;
+	}
+
+	/**
+	 * Called by user to play the stream of a participant. It's called automatically if @autoPlay is true
+	 * 	 streamId: stream id of the participant
+	 */
+	playParticipant(streamId) {
+		if (!this.participants.has(streamId) || this.playRequests.has(streamId)) {
+			return;
+		}
+		this.playRequests.add(streamId);
+		this.webRTCAdaptor.play(streamId, this.token, this.roomName).catch(error => {
+			//it's played again with the next room information if the participant is still in the room
+			console.warn("Stream of the participant cannot be played: " + streamId + " error: " + JSON.stringify(error));
+			this.playRequests.delete(streamId);
+		});
+	}
+
+	/**
+	 * Called by user to stop the stream of a participant. It's called automatically when the participant leaves
+	 * 	 streamId: stream id of the participant
+	 */
+	stopParticipant(streamId) {
+		if (this.playRequests.delete(streamId)) {
+			this.webRTCAdaptor.stop(streamId);
+		}
+		var participant = this.participants.get(streamId);
+		if (participant != null) {
+			this.updateParticipant(participant, {isPlaying: false, stream: null, audioLevel: 0});
+		}
+	}
+
+	/**
+	 * The following messages change the local mic and camera and notify the other participants
+	 */
+	muteLocalMic() {
+		this.webRTCAdaptor.muteLocalMic();
+		this.isMicMuted = true;
+		this.sendNotification(ParticipantEvent.MIC_MUTED);
+	}
+
+	unmuteLocalMic() {
+		this.webRTCAdaptor.unmuteLocalMic();
+		this.isMicMuted = false;
+		this.sendNotification(ParticipantEvent.MIC_UNMUTED);
+	}
+
+	turnOffLocalCamera() {
+		this.webRTCAdaptor.turnOffLocalCamera(this.localStreamId);
+		this.isCameraOff = true;
+		this.sendNotification(ParticipantEvent.CAM_TURNED_OFF);
+	}
+
+	turnOnLocalCamera() {
+		this.webRTCAdaptor.turnOnLocalCamera(this.localStreamId);
+		this.isCameraOff = false;
+		this.sendNotification(ParticipantEvent.CAM_TURNED_ON);
+	}
+
+	/**
+	 * Called internally to send a notification to the other participants over the data channel of the local stream.
+	 * Returns false if the data channel is not open
+	 */
+	sendNotification(eventType, fields) {
+		var dataChannel = this.localStreamId != null ? this.webRTCAdaptor.getDataChannel(this.localStreamId) : null;
+		if (dataChannel == null || dataChannel.readyState != "open") {
+			console.log("Could not send the notification because data channel is not open.");
+			return false;
+		}
+		var notification = Object.assign({streamId: this.localStreamId, eventType: eventType}, fields);
+		this.webRTCAdaptor.sendData(this.localStreamId, JSON.stringify(notification));
+		return true;
+	}
+
+	/**
+	 * Called internally for each event of the adaptor
+	 */
+	handleEvent(info, obj) {
+		if (info == "joinedTheRoom" && obj.ATTR_ROOM_NAME == this.roomName) {
+			this.joined = true;
+			this.localStreamId = obj.streamId;
+			if (!this.playOnly) {
+				this.webRTCAdaptor.publish(obj.streamId, this.token, undefined, undefined, this.streamName);
+			}
+			this.updateParticipants(obj.streams, obj.streamList);
+			this.startTimers();
+		}
+		else if (info == "leavedFromRoom" && obj.ATTR_ROOM_NAME == this.roomName) {
+			this.clear();
+		}
+		else if (info == "roomInformation" && obj.room == this.roomName && this.joined) {
+			this.updateParticipants(obj.streams, obj.streamList);
+			this.replayInactiveStreams();
+		}
+		else if (info == "play_started" && this.participants.has(obj.streamId)) {
+			this.updateParticipant(this.participants.get(obj.streamId), {isPublishing: true, isPlaying: true});
+		}
+		else if (info == "play_finished" && this.participants.has(obj.streamId)) {
+			this.playRequests.delete(obj.streamId);
+			this.updateParticipant(this.participants.get(obj.streamId), {isPublishing: false, isPlaying: false, stream: null, audioLevel: 0});
+		}
+		else if (info == "newStreamAvailable" && this.participants.has(obj.streamId)) {
+			this.updateParticipant(this.participants.get(obj.streamId), {stream: obj.stream});
+			if (this.audioLevelInterval > 0 && obj.stream.getAudioTracks().length > 0 && this.webRTCAdaptor.soundMeters[obj.streamId] == null) {
+				this.webRTCAdaptor.enableAudioLevel(obj.stream, obj.streamId);
+			}
+		}
+		else if (info == "data_received" && typeof obj.data == "string") {
+			this.receiveNotification(obj);
+		}
+		else if (info == "message_received" && obj.type == ParticipantEvent.UPDATE_AUDIO_LEVEL && obj.payload != null) {
+			this.receiveNotification({streamId: obj.streamId, notification: Object.assign({}, obj.payload, {eventType: obj.type})});
+		}
+	}
+
+	/**
+	 * Called internally with the room information to play again the streams which are not active anymore,
+	 * i.e. all of their tracks are ended although the participant is still publishing
+	 */
+	replayInactiveStreams() {
+		this.participants.forEach((participant, streamId) => {
+			if (participant.stream != null && participant.stream.active === false && this.playRequests.has(streamId)) {
+				console.log("Stream of the participant is not active. It's played again: " + streamId);
+				this.stopParticipant(streamId);
+				this.playParticipant(streamId);
+			}
+		});
+	}
+
+	/**
+	 * Called internally with the stream list of the room. It adds the new participants, removes the ones which left
+	 * and updates the names of the others
+	 * 	 streams: stream ids in the room
+	 * 	 streamList: [{streamId, streamName}] of the streams if AMS provides it
+	 */
+	updateParticipants(streams, streamList) {
+		var names = new Map();
+		if (streamList != null) {
+			streamList.forEach(item => names.set(item.streamId, item.streamName));
+		}
+		var streamIds = streams != null ? streams : Array.from(names.keys());
+		streamIds = streamIds.filter(streamId => streamId != this.localStreamId);
+
+		Array.from(this.participants.keys()).forEach(streamId => {
+			if (!streamIds.includes(streamId)) {
+				this.removeParticipant(streamId);
+			}
+		});
+
+		streamIds.forEach(streamId => {
+			var streamName = names.has(streamId) ? names.get(streamId) : null;
+			var participant = this.participants.get(streamId);
+			if (participant == null) {
+				participant = {
+					streamId: streamId,
+					streamName: streamName,
+					isPublishing: false,
+					isPlaying: false,
+					isMicMuted: false,
+					isCameraOff: false,
+					audioLevel: 0,
+					stream: null,
+				};
+				this.participants.set(streamId, participant);
+				this.emit("participant_joined", participant);
+			}
+			else if (streamName != null) {
+				this.updateParticipant(participant, {streamName: streamName});
+			}
+			if (this.autoPlay) {
+				this.playParticipant(streamId);
+			}
+		});
+	}
+
+	/**
+	 * Called internally when a participant leaves the room
+	 */
+	removeParticipant(streamId) {
+		var participant = this.participants.get(streamId);
+		if (this.playRequests.delete(streamId)) {
+			this.webRTCAdaptor.stop(streamId);
+		}
+		this.participants.delete(streamId);
+		this.emit("participant_left", participant);
+	}
+
+	/**
+	 * Called internally to change the fields of a participant. "participant_updated" is called with
+	 * the names of the changed fields if any of them is changed
+	 */
+	updateParticipant(participant, values) {
+		var changes = Object.keys(values).filter(key => participant[key] !== values[key]);
+		if (changes.length > 0) {
+			changes.forEach(key => participant[key] = values[key]);
+			this.emit("participant_updated", {participant: participant, changes: changes});
+		}
+	}
+
+	/**
+	 * Called internally when a text is received from the data channel or a notification is received
+	 * as a message of @WebRTCAdaptor.sendMessage. The texts which are not notifications are ignored
+	 */
+	receiveNotification(obj) {
+		var notification = obj.notification;
+		if (notification == null) {
+			try {
+				notification = JSON.parse(obj.data);
+			}
+			catch (e) {
+				return;
+			}
+		}
+		if (notification == null || typeof notification != "object") {
+			return;
+		}
+		var participant = this.participants.get(notification.streamId != null ? notification.streamId : obj.streamId);
+		if (participant == null) {
+			return;
+		}
+		switch (notification.eventType) {
+			case ParticipantEvent.CAM_TURNED_OFF:
+				this.updateParticipant(participant, {isCameraOff: true});
+				break;
+			case ParticipantEvent.CAM_TURNED_ON:
+				this.updateParticipant(participant, {isCameraOff: false});
+				break;
+			case ParticipantEvent.MIC_MUTED:
+				this.updateParticipant(participant, {isMicMuted: true});
+				break;
+			case ParticipantEvent.MIC_UNMUTED:
+				this.updateParticipant(participant, {isMicMuted: false});
+				break;
+			case ParticipantEvent.UPDATE_AUDIO_LEVEL:
+				this.updateParticipant(participant, {audioLevel: Number(notification.audioLevel)});
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Called internally to measure the audio levels of the played streams. Small changes are ignored
+	 * not to call "participant_updated" for the noise
+	 */
+	updateAudioLevels() {
+		this.participants.forEach((participant, streamId) => {
+			var soundMeter = this.webRTCAdaptor.soundMeters[streamId];
+			if (soundMeter != null && Math.abs(soundMeter.instant - participant.audioLevel) >= 0.01) {
+				this.updateParticipant(participant, {audioLevel: soundMeter.instant});
+			}
+		});
+	}
+
+	startTimers() {
+		this.stopTimers();
+		this.roomTimerId = setInterval(() => {
+			this.refresh().catch(error => console.warn("Room information cannot be get: " + JSON.stringify(error)));
+		}, this.roomInfoInterval);
+		if (this.audioLevelInterval > 0) {
+			this.audioLevelTimerId = setInterval(() => this.updateAudioLevels(), this.audioLevelInterval);
+		}
+	}
+
+	stopTimers() {
+		this.stopRoomInfoUpdates();
+		clearInterval(this.audioLevelTimerId);
+		this.audioLevelTimerId = -1;
+	}
+
+	/**
+	 * Called by user to stop getting the room information periodically. The participants are kept
+	 */
+	stopRoomInfoUpdates() {
+		clearInterval(this.roomTimerId);
+		this.roomTimerId = -1;
+	}
+
+	/**
+	 * Called internally when the room is left. It removes all participants
+	 */
+	clear() {
+		this.stopTimers();
+		this.joined = false;
+		Array.from(this.participants.keys()).forEach(streamId => this.removeParticipant(streamId));
+		this.playRequests.clear();
+		this.localStreamId = null;
+	}
+}
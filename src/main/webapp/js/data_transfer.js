@@ -0,0 +1,260 @@
+/**
+ * This file has the framing protocol which is used to send binary messages over the data channel.
+ * Binary messages are larger than the data channel message size limit generally, so they're splitted into chunks.
+ *
+ * Each frame starts with a 12 bytes header. The numbers are little endian unsigned 32 bit integers
+ * 	 0: FRAME_MAGIC. It's used to distinguish the frames from the legacy format
+ * 	 4: frame type (1 byte), protocol version (1 byte), content type (1 byte), flags (1 byte)
+ * 	 8: message id. It's unique for the sender
+ *
+ * Frame types
+ * 	 START: 12: message size, 16: chunk size, 20: CRC32 checksum of the message. 
+ * 			Content type in the header tells what the message is. Check @ContentType
+ * 	 CHUNK: 12: chunk index, 16: chunk data
+ * 	 CANCEL: sender cancelled the message. If the first bit of the flags is set, it's sent by the receiver
+ * 			which rejected the message because it's too large or it has an invalid chunk. It has no body
+ *
+ * The legacy format, which is used by the older SDKs, is a header with a random token and the message size
+ * and the chunks which start with the token. It's always received. It's sent if legacyDataChannelFraming is enabled
+ * and the remote side doesn't announce the frames with the @DATA_FRAMING_PROTOCOL of its data channel.
+ */
+
+export const FRAME_MAGIC = 0x414D5344;
+
+/**
+ * The protocol of the data channels which are created by this SDK. 
+ * The side which receives the channel knows that the creator receives the frames
+ */
+export const DATA_FRAMING_PROTOCOL = "ams-data-frames-1";
+
+export const FRAME_VERSION = 1;
+
+export const FRAME_HEADER_SIZE = 12;
+
+export const FrameType = {
+	START: 1,
+	CHUNK: 2,
+	CANCEL: 3,
+};
+
+/**
+ * DATA messages are passed to the application with "data_received".
+ * Others are used by the SDK. Check file_transfer.js and messaging.js
+ */
+export const ContentType = {
+	DATA: 0,
+	FILE: 1,
+	FILE_CONTROL: 2,
+	MESSAGE: 3,
+};
+
+var crcTable = null;
+
+/**
+ * Calculates the CRC32 checksum of the data
+ * 	 data: Uint8Array
+ */
+export function crc32(data) {
+	if (crcTable == null) {
+		crcTable = new Uint32Array(256);
+		for (var i = 0; i < 256; i++) {
+			var c = i;
+			for (var k = 0; k < 8; k++) {
+				c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[i] = c;
+		}
+	}
+	var crc = 0xFFFFFFFF;
+	for (var j = 0; j < data.length; j++) {
+		crc = crcTable[(crc ^ data[j]) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Returns the Uint8Array view of ArrayBuffer or typed array
+ */
+export function toUint8Array(data) {
+	if (data instanceof Uint8Array) {
+		return data;
+	}
+	if (ArrayBuffer.isView(data)) {
+		return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+	}
+	return new Uint8Array(data);
+}
+
+function createFrame(type, messageId, bodySize, contentType) {
+	var frame = new Uint8Array(FRAME_HEADER_SIZE + bodySize);
+	var view = new DataView(frame.buffer);
+	view.setUint32(0, FRAME_MAGIC, true);
+	view.setUint8(4, type);
+	view.setUint8(5, FRAME_VERSION);
+	view.setUint8(6, contentType || ContentType.DATA);
+	view.setUint32(8, messageId, true);
+	return frame;
+}
+
+/**
+ * Returns the CANCEL frame of a message
+ * 	 rejected: true if the receiver rejects the message
+ */
+export function createCancelFrame(messageId, rejected) {
+	var frame = createFrame(FrameType.CANCEL, messageId, 0);
+	frame[7] = rejected ? 1 : 0;
+	return frame;
+}
+
+/**
+ * Returns true if the received data is a frame of this protocol
+ * 	 data: ArrayBuffer
+ */
+export function isFrame(data) {
+	return data.byteLength >= FRAME_HEADER_SIZE && new DataView(data).getUint32(0, true) == FRAME_MAGIC;
+}
+
+/**
+ * Parses the received frame. Returns {type, messageId, ...} and the fields of the frame type
+ * 	 data: ArrayBuffer
+ */
+export function parseFrame(data) {
+	var view = new DataView(data);
+	var frame = {
+		type: view.getUint8(4),
+		messageId: view.getUint32(8, true),
+	};
+	if (frame.type == FrameType.START) {
+		frame.contentType = view.getUint8(6);
+		frame.size = view.getUint32(12, true);
+		frame.chunkSize = view.getUint32(16, true);
+		frame.checksum = view.getUint32(20, true);
+	}
+	else if (frame.type == FrameType.CHUNK) {
+		frame.index = view.getUint32(12, true);
+		frame.data = new Uint8Array(data, 16);
+	}
+	else if (frame.type == FrameType.CANCEL) {
+		frame.rejected = (view.getUint8(7) & 1) == 1;
+	}
+	return frame;
+}
+
+/**
+ * This structure keeps the state of a binary message while it's sent in chunks.
+ * @nextFrame is called to get the frames in order until @isCompleted returns true
+ */
+export class SendingMessage {
+	constructor(messageId, data, chunkSize, legacy, contentType) {
+		this.messageId = messageId;
+		this.contentType = contentType || ContentType.DATA;
+		this.data = toUint8Array(data);
+		this.size = this.data.byteLength;
+		this.chunkSize = chunkSize;
+		this.legacy = legacy;
+		/**
+		 * Number of bytes of the message which are sent
+		 */
+		this.sent = 0;
+		this.started = false;
+		//legacy receivers use the token in the range of Int32
+		this.token = legacy ? Math.floor(Math.random() * 999999) : messageId;
+	}
+
+	isCompleted() {
+		return this.started && this.sent >= this.size;
+	}
+
+	nextFrame() {
+		if (!this.started) {
+			this.started = true;
+			return this.legacy ? this.legacyHeader() : this.startFrame();
+		}
+		var size = Math.min(this.size - this.sent, this.chunkSize);
+		var chunk = this.data.subarray(this.sent, this.sent + size);
+		var frame;
+		if (this.legacy) {
+			frame = new Uint8Array(size + 4);
+			new DataView(frame.buffer).setInt32(0, this.token, true);
+			frame.set(chunk, 4);
+		}
+		else {
+			frame = createFrame(FrameType.CHUNK, this.messageId, 4 + size);
+			new DataView(frame.buffer).setUint32(12, this.sent / this.chunkSize, true);
+			frame.set(chunk, 16);
+		}
+		this.sent += size;
+		return frame;
+	}
+
+	startFrame() {
+		var frame = createFrame(FrameType.START, this.messageId, 12, this.contentType);
+		var view = new DataView(frame.buffer);
+		view.setUint32(12, this.size, true);
+		view.setUint32(16, this.chunkSize, true);
+		view.setUint32(20, crc32(this.data), true);
+		return frame;
+	}
+
+	legacyHeader() {
+		var header = new Int32Array(2);
+		header[0] = this.token;
+		header[1] = this.size;
+		return header;
+	}
+}
+
+/**
+ * This structure is used to handle large size data channel messages (like image)
+ * which are received in chunks. It's created when the START frame (or the legacy header) is received.
+ */
+export class ReceivingMessage {
+	constructor(messageId, size, chunkSize, checksum, contentType) {
+		this.messageId = messageId;
+		this.contentType = contentType || ContentType.DATA;
+		this.size = size;
+		this.chunkSize = chunkSize;
+		/**
+		 * Expected CRC32 of the message. It's undefined for the legacy format
+		 */
+		this.checksum = checksum;
+		this.received = 0;
+		/**
+		 * Indexes of the received chunks. Unordered or unreliable channels may deliver the same chunk again
+		 */
+		this.chunkIndexes = new Set();
+		this.data = new ArrayBuffer(size);
+		/**
+		 * Timer to discard the message if its chunks don't arrive
+		 */
+		this.timerId = -1;
+	}
+
+	/**
+	 * Copies the chunk to its position in the message. The chunks whose indexes are already received are ignored
+	 * 	 index: chunk index. The chunks of the legacy format are appended
+	 */
+	addChunk(chunk, index) {
+		var offset = typeof index == "undefined" ? this.received : index * this.chunkSize;
+		if (offset + chunk.byteLength > this.size) {
+			return false;
+		}
+		if (typeof index != "undefined") {
+			if (this.chunkIndexes.has(index)) {
+				return true;
+			}
+			this.chunkIndexes.add(index);
+		}
+		new Uint8Array(this.data).set(chunk, offset);
+		this.received += chunk.byteLength;
+		return true;
+	}
+
+	isCompleted() {
+		return this.received >= this.size;
+	}
+
+	isValid() {
+		return typeof this.checksum == "undefined" || crc32(new Uint8Array(this.data)) == this.checksum;
+	}
+}
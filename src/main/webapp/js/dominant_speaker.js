@@ -0,0 +1,276 @@
+import {EventEmitter} from "./event_emitter.js"
+
+/**
+ * DominantSpeakerDetector samples the audio levels of the remote streams and the local stream continuously
+ * and decides who is talking. The dominant speaker doesn't change for short noises or when two participants
+ * talk at the same time thanks to the smoothing, the hysteresis and the hold times.
+ *
+ * 	const detector = new DominantSpeakerDetector({webRTCAdaptor: webRTCAdaptor, localStreamId: publishStreamId});
+ * 	detector.on("dominant_speaker_changed", ({streamId, previousStreamId, level, isLocal}) => {...});
+ * 	detector.start();
+ *
+ * Remote levels are read from the sound meters of @WebRTCAdaptor.enableAudioLevel. They're enabled
+ * automatically for the new streams. Local level is read from the sound meter of
+ * @WebRTCAdaptor.enableAudioLevelForLocalStream. Other levels can be provided with @setLevel.
+ *
+ * If trackAssignmentManager (check track_assignment.js) is provided, the dominant speaker is given
+ * a video track with its active speaker policy. Otherwise, if videoTrackId is provided, the dominant speaker is
+ * assigned to that video track with @WebRTCAdaptor.assignVideoTrack
+ */
+export class DominantSpeakerDetector extends EventEmitter
+{
+	constructor(initialValues) {
+		super();
+
+		/**
+		 * The adaptor which plays the remote streams
+		 */
+		this.webRTCAdaptor = null;
+
+		/**
+		 * Stream id of the local stream. Local level is not sampled if it's null
+		 */
+		this.localStreamId = null;
+
+		/**
+		 * Sampling period of the levels in milliseconds
+		 */
+		this.samplingInterval = 100;
+
+		/**
+		 * Smoothing factor of the levels between 0 and 1. Higher values follow the changes faster
+		 */
+		this.smoothingFactor = 0.3;
+
+		/**
+		 * Smoothed level should be above this value to be a speaker
+		 */
+		this.speechThreshold = 0.02;
+
+		/**
+		 * Hysteresis of the switch. A participant becomes the dominant speaker if its level is this times
+		 * higher than the level of the current dominant speaker or the current one is silent
+		 */
+		this.switchRatio = 1.5;
+
+		/**
+		 * A participant should be the loudest one for this time in milliseconds to become the dominant speaker
+		 */
+		this.activationTime = 300;
+
+		/**
+		 * The dominant speaker doesn't change for this time in milliseconds after it's changed
+		 */
+		this.minimumHoldTime = 1500;
+
+		/**
+		 * If it's true, sound meters are enabled for the remote streams which are received with "newStreamAvailable"
+		 */
+		this.autoEnableAudioLevel = true;
+
+		/**
+		 * Optional @TrackAssignmentManager to give a video track to the dominant speaker
+		 */
+		this.trackAssignmentManager = null;
+
+		/**
+		 * Optional video track label to assign the dominant speaker with @WebRTCAdaptor.assignVideoTrack
+		 * if trackAssignmentManager is not provided
+		 */
+		this.videoTrackId = null;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		/**
+		 * Smoothed levels of the streams. Its keys are the stream ids
+		 */
+		this.levels = new Map();
+
+		/**
+		 * Levels which are provided with @setLevel. They're used instead of the sound meters
+		 */
+		this.providedLevels = new Map();
+
+		this.dominantSpeakerId = null;
+		this.dominantSince = 0;
+
+		/**
+		 * The loudest stream in the last sample and since when it's the loudest one
+		 */
+		this.leaderId = null;
+		this.leaderSince = 0;
+
+		this.timerId = -1;
+
+		this.adaptorListener = (info, obj) => this.handleEvent(info, obj);
+		this.webRTCAdaptor.on("*", this.adaptorListener);
+	}
+
+	/**
+	 * Called by user to start sampling the levels
+	 */
+	start() {
+		this.stop();
+		this.timerId = setInterval(() => this.sample(Date.now()), this.samplingInterval);
+	}
+
+	/**
+	 * Called by user to stop sampling the levels. The dominant speaker is kept
+	 */
+	stop() {
+		clearInterval(this.timerId);
+		this.timerId = -1;
+	}
+
+	/**
+	 * Called by user to stop the detector and stop listening the adaptor
+	 */
+	destroy() {
+		this.stop();
+		this.webRTCAdaptor.off("*", this.adaptorListener);
+	}
+
+	/**
+	 * Called by user to provide the level of a stream which doesn't have a sound meter
+	 * like the audio levels which are received over the data channel
+	 * 	 streamId: id of the stream
+	 * 	 level: audio level between 0 and 1. Pass null to remove the stream
+	 */
+	setLevel(streamId, level) {
+		if (level == null) {
+			this.removeStream(streamId);
+		}
+		else {
+			this.providedLevels.set(streamId, level);
+		}
+	}
+
+	/**
+	 * Returns the stream id of the dominant speaker or null
+	 */
+	getDominantSpeaker() {
+		return this.dominantSpeakerId;
+	}
+
+	/**
+	 * Called internally to get the current levels of the streams
+	 */
+	readLevels() {
+		var levels = new Map();
+		var soundMeters = this.webRTCAdaptor.soundMeters;
+		Object.keys(soundMeters).forEach(streamId => levels.set(streamId, Number(soundMeters[streamId].instant)));
+		if (this.localStreamId != null && this.webRTCAdaptor.mediaManager != null) {
+			var localSoundMeter = this.webRTCAdaptor.mediaManager.localStreamSoundMeter;
+			if (localSoundMeter != null && !this.webRTCAdaptor.mediaManager.isMuted) {
+				levels.set(this.localStreamId, Number(localSoundMeter.instant));
+			}
+		}
+		this.providedLevels.forEach((level, streamId) => levels.set(streamId, level));
+		return levels;
+	}
+
+	/**
+	 * Called periodically to update the levels and the dominant speaker
+	 * 	 now: time of the sample in milliseconds
+	 */
+	sample(now) {
+		var currentLevels = this.readLevels();
+		this.levels.forEach((level, streamId) => {
+			if (!currentLevels.has(streamId)) {
+				//stream is stopped or muted, so it fades out
+				currentLevels.set(streamId, 0);
+			}
+		});
+
+		var leaderId = null;
+		var leaderLevel = 0;
+		currentLevels.forEach((level, streamId) => {
+			var previous = this.levels.has(streamId) ? this.levels.get(streamId) : 0;
+			var smoothed = previous + (level - previous) * this.smoothingFactor;
+			this.levels.set(streamId, smoothed);
+			if (smoothed > this.speechThreshold && smoothed > leaderLevel) {
+				leaderId = streamId;
+				leaderLevel = smoothed;
+			}
+		});
+
+		if (leaderId != this.leaderId) {
+			this.leaderId = leaderId;
+			this.leaderSince = now;
+		}
+
+		if (leaderId == null || leaderId == this.dominantSpeakerId || now - this.leaderSince < this.activationTime) {
+			return;
+		}
+		if (this.dominantSpeakerId != null) {
+			var dominantLevel = this.levels.has(this.dominantSpeakerId) ? this.levels.get(this.dominantSpeakerId) : 0;
+			if (now - this.dominantSince < this.minimumHoldTime) {
+				return;
+			}
+			if (dominantLevel > this.speechThreshold && leaderLevel < dominantLevel * this.switchRatio) {
+				return;
+			}
+		}
+		this.changeDominantSpeaker(leaderId, leaderLevel, now);
+	}
+
+	/**
+	 * Called internally when the dominant speaker changes
+	 */
+	changeDominantSpeaker(streamId, level, now) {
+		var previousStreamId = this.dominantSpeakerId;
+		this.dominantSpeakerId = streamId;
+		this.dominantSince = now;
+
+		if (this.trackAssignmentManager != null) {
+			this.trackAssignmentManager.setActiveSpeaker(streamId);
+		}
+		else if (this.videoTrackId != null) {
+			if (previousStreamId != null && previousStreamId != this.localStreamId) {
+				this.webRTCAdaptor.assignVideoTrack(this.videoTrackId, previousStreamId, false);
+			}
+			//local stream is not played, so it's not assigned
+			if (streamId != this.localStreamId) {
+				this.webRTCAdaptor.assignVideoTrack(this.videoTrackId, streamId, true);
+			}
+		}
+
+		this.emit("dominant_speaker_changed", {
+			streamId: streamId,
+			previousStreamId: previousStreamId,
+			level: level,
+			isLocal: streamId == this.localStreamId,
+		});
+	}
+
+	/**
+	 * Called internally when a stream is not sampled anymore
+	 */
+	removeStream(streamId) {
+		this.providedLevels.delete(streamId);
+		this.levels.delete(streamId);
+		if (this.leaderId == streamId) {
+			this.leaderId = null;
+		}
+	}
+
+	/**
+	 * Called internally for each event of the adaptor
+	 */
+	handleEvent(info, obj) {
+		if (info == "newStreamAvailable" && this.autoEnableAudioLevel && obj.stream != null
+				&& obj.stream.getAudioTracks().length > 0 && this.webRTCAdaptor.soundMeters[obj.streamId] == null) {
+			this.webRTCAdaptor.enableAudioLevel(obj.stream, obj.streamId);
+		}
+		else if (info == "play_finished") {
+			this.removeStream(obj.streamId);
+		}
+	}
+}
@@ -0,0 +1,106 @@
+/**
+ * EventEmitter keeps the event listeners and notifies them. It's the base class of
+ * @WebRTCAdaptor, @WebSocketAdaptor and @MediaManager so that the events can be listened
+ * with multiple listeners per event instead of a single callback function.
+ *
+ * 	webRTCAdaptor.on("publish_started", obj => {...});
+ * 	webRTCAdaptor.once("initialized", () => {...});
+ * 	webRTCAdaptor.on("*", (info, obj) => {...}); //wildcard listener is called for all events
+ * 	webRTCAdaptor.on("error", ({error, message}) => {...});
+ *
+ * Check the end of webrtc_adaptor.js for the events and their payloads.
+ */
+export class EventEmitter
+{
+	constructor() {
+		/**
+		 * This keeps the listeners for each event. Its keys are the event names.
+		 * The listeners of "*" are called for all events
+		 */
+		this.eventListeners = new Map();
+	}
+
+	/**
+	 * Called by user to add a listener for an event.
+	 * 	 eventName: name of the event like "publish_started" or "*" for all events
+	 * 	 listener: it's called with the payload of the event.
+	 * 			Wildcard listeners are called with the event name and the payload like the callback
+	 * Returns this object to chain the calls
+	 */
+	on(eventName, listener) {
+		if (!this.eventListeners.has(eventName)) {
+			this.eventListeners.set(eventName, []);
+		}
+		this.eventListeners.get(eventName).push(listener);
+		return this;
+	}
+
+	/**
+	 * Called by user to remove a listener which is added with @on or @once
+	 * 	 eventName: name of the event
+	 * 	 listener: the listener to be removed. All listeners of the event are removed if it's not provided
+	 */
+	off(eventName, listener) {
+		var listeners = this.eventListeners.get(eventName);
+		if (listeners != null) {
+			if (typeof listener == "undefined") {
+				this.eventListeners.delete(eventName);
+			}
+			else {
+				var index = listeners.findIndex(item => item === listener || item.listener === listener);
+				if (index != -1) {
+					listeners.splice(index, 1);
+				}
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Called by user to add a listener which is removed after it's called once
+	 * 	 eventName: name of the event
+	 * 	 listener: it's called with the payload of the event
+	 */
+	once(eventName, listener) {
+		var onceListener = (...args) => {
+			this.off(eventName, onceListener);
+			listener(...args);
+		};
+		//keep the original listener to remove it with @off
+		onceListener.listener = listener;
+		return this.on(eventName, onceListener);
+	}
+
+	/**
+	 * Called internally to notify the listeners of an event.
+	 * An exception in a listener doesn't prevent other listeners to be called
+	 * 	 eventName: name of the event
+	 * 	 payload: the data of the event
+	 */
+	emit(eventName, payload) {
+		var listeners = this.eventListeners.get(eventName);
+		if (listeners != null) {
+			//copy the list because listeners may be removed while iterating
+			listeners.slice().forEach(listener => {
+				try {
+					listener(payload);
+				}
+				catch (e) {
+					console.error("Listener of " + eventName + " throws exception: " + e);
+				}
+			});
+		}
+
+		var wildcardListeners = this.eventListeners.get("*");
+		if (wildcardListeners != null) {
+			wildcardListeners.slice().forEach(listener => {
+				try {
+					listener(eventName, payload);
+				}
+				catch (e) {
+					console.error("Wildcard listener throws exception for " + eventName + ": " + e);
+				}
+			});
+		}
+	}
+}
@@ -0,0 +1,399 @@
+import {ContentType} from "./data_transfer.js"
+
+/**
+ * Returns the bytes of the file between start and end as Uint8Array
+ * 	 file: File, Blob, ArrayBuffer or typed array
+ */
+function readFile(file, start, end) {
+	if (file instanceof ArrayBuffer || ArrayBuffer.isView(file)) {
+		var bytes = file instanceof ArrayBuffer ? new Uint8Array(file) : new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+		return Promise.resolve(bytes.subarray(start, end));
+	}
+	return file.slice(start, end).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * A segment is the header length (4 bytes, little endian), the JSON header and the bytes of the file
+ */
+function encodeSegment(header, bytes) {
+	var headerBytes = new TextEncoder().encode(JSON.stringify(header));
+	var segment = new Uint8Array(4 + headerBytes.byteLength + bytes.byteLength);
+	new DataView(segment.buffer).setUint32(0, headerBytes.byteLength, true);
+	segment.set(headerBytes, 4);
+	segment.set(bytes, 4 + headerBytes.byteLength);
+	return segment;
+}
+
+/**
+ * Returns {header, bytes} of a segment. It throws an error if the segment is not valid
+ */
+function decodeSegment(data) {
+	var headerLength = new DataView(data).getUint32(0, true);
+	var header = JSON.parse(new TextDecoder().decode(new Uint8Array(data, 4, headerLength)));
+	if (header == null || typeof header.fileId != "string" || !Number.isInteger(header.size) || header.size < 0
+			|| !Number.isInteger(header.offset) || header.offset < 0) {
+		throw new Error("Invalid file segment header");
+	}
+	return {header: header, bytes: new Uint8Array(data, 4 + headerLength)};
+}
+
+function generateFileId() {
+	return Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+}
+
+/**
+ * File transfer class sends the files over the data channel of a stream and receives them.
+ * Files are sent in segments of @fileSegmentSize. Each segment is a binary message of the data channel
+ * (check data_transfer.js) which has the metadata of the file so that it can be verified and placed
+ * independently.
+ *
+ * The receiver acknowledges each segment. If the data channel is closed during the transfer, the transfer
+ * is paused and it's resumed from the last acknowledged segment when the data channel of the stream is opened again.
+ * If the acknowledgements are not received, it's resumed from the beginning. Because there is one
+ * acknowledged position for each transfer, resuming is accurate when there is one receiver.
+ *
+ * 	webRTCAdaptor.sendFile(streamId, file).then(({fileId}) => {...});
+ * 	webRTCAdaptor.on("file_received", ({name, type, data}) => {...});
+ */
+export class FileTransferManager
+{
+	constructor(initialValues) {
+		/**
+		 * Files are sent in segments of this size in bytes.
+		 * Transfers are resumed from the beginning of a segment
+		 */
+		this.fileSegmentSize = 256 * 1024;
+
+		/**
+		 * The time in milliseconds to wait for a paused transfer to be resumed on the sender side
+		 * or for the next segment on the receiver side. The transfer fails with "file_transfer_timeout" after that
+		 */
+		this.fileTransferTimeout = 120000;
+
+		/**
+		 * Maximum size in bytes of the files which are received. Received files are kept in memory,
+		 * so larger files are rejected before their buffers are allocated and "file_too_large" error is called
+		 */
+		this.fileMaxSize = 256 * 1024 * 1024;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * The files which are being sent or paused. Its keys are the file ids
+		 */
+		this.sendingFiles = new Map();
+
+		/**
+		 * The files which are being received. Its keys are the stream id and the file id
+		 */
+		this.receivingFiles = new Map();
+
+		/**
+		 * Keys of the files which are rejected because of their size. Their remaining segments
+		 * which are sent before the sender gets the rejection are ignored
+		 */
+		this.rejectedFiles = new Set();
+	}
+
+	/**
+	 * Called by user to send a file over the data channel of the stream.
+	 * "file_send_progress" is called after each segment and "file_sent" is called when the whole file is given to the data channel.
+	 * The receiver gets "file_receive_progress" and "file_received" events
+	 * 	 streamId: unique id for the stream
+	 * 	 file: File, Blob, ArrayBuffer or typed array
+	 * 	 options:
+	 * 		name: name of the file. Default is the name of the File
+	 * 		type: MIME type of the file. Default is the type of the Blob
+	 * 		onProgress: function(sent, size) which is called after each segment is sent
+	 * Returns a Promise which is resolved with {streamId, fileId, name, type, size} when the file is sent.
+	 * It has fileId field to cancel the transfer with @cancelFile
+	 */
+	sendFile(streamId, file, options) {
+		options = options || {};
+		var transfer = {
+			streamId: streamId,
+			fileId: generateFileId(),
+			file: file,
+			name: options.name || file.name || "",
+			type: options.type || file.type || "application/octet-stream",
+			size: typeof file.size != "undefined" ? file.size : file.byteLength,
+			lastModified: file.lastModified,
+			onProgress: options.onProgress,
+			//the position of the next segment
+			offset: 0,
+			//the position until which the receiver acknowledged
+			acknowledged: 0,
+			state: "sending",
+			messageId: null,
+			timerId: -1,
+		};
+		var promise = new Promise((resolve, reject) => {
+			transfer.resolve = resolve;
+			transfer.reject = reject;
+		});
+		promise.catch(() => {});
+		promise.fileId = transfer.fileId;
+
+		this.sendingFiles.set(transfer.fileId, transfer);
+		this.sendSegment(transfer);
+		return promise;
+	}
+
+	/**
+	 * Called by user to cancel a file transfer. The receiver discards the received segments
+	 * and calls "file_receive_cancelled". The promise of @sendFile is rejected with "file_send_cancelled" error
+	 * 	 streamId: unique id for the stream
+	 * 	 fileId: fileId field of the promise which is returned from @sendFile
+	 * Returns true if the transfer is found
+	 */
+	cancelFile(streamId, fileId) {
+		var transfer = this.sendingFiles.get(fileId);
+		if (transfer == null || transfer.streamId != streamId) {
+			return false;
+		}
+		if (transfer.messageId != null) {
+			this.webRTCAdaptor.cancelSendData(streamId, transfer.messageId);
+		}
+		this.sendControl(streamId, {command: "cancel", fileId: fileId});
+		this.finishTransfer(transfer, "cancelled");
+
+		var obj = {streamId: streamId, fileId: fileId};
+		this.callback("file_send_cancelled", obj);
+		transfer.reject({error: "file_send_cancelled", message: obj});
+		return true;
+	}
+
+	/**
+	 * Called by WebRTCAdaptor when the data channel of a stream is opened to resume the paused transfers
+	 * 	 streamId: unique id for the stream
+	 */
+	resumeTransfers(streamId) {
+		this.sendingFiles.forEach(transfer => {
+			if (transfer.streamId == streamId && transfer.state == "paused") {
+				clearTimeout(transfer.timerId);
+				transfer.state = "sending";
+				transfer.offset = transfer.acknowledged;
+				this.callback("file_transfer_resumed", {streamId: streamId, fileId: transfer.fileId, offset: transfer.offset});
+				this.sendSegment(transfer);
+			}
+		});
+	}
+
+	/**
+	 * Called by WebRTCAdaptor when a file segment or a control message is received
+	 * 	 streamId: unique id for the stream
+	 * 	 contentType: FILE or FILE_CONTROL
+	 * 	 data: ArrayBuffer of the message
+	 */
+	receiveMessage(streamId, contentType, data) {
+		var segment = null;
+		var message = null;
+		try {
+			if (contentType == ContentType.FILE) {
+				segment = decodeSegment(data);
+			}
+			else {
+				message = JSON.parse(new TextDecoder().decode(data));
+			}
+		}
+		catch (e) {
+			//it may be sent by another application or corrupted
+			this.callbackError("invalid_file_message", {streamId: streamId, description: String(e)});
+			return;
+		}
+
+		if (segment != null) {
+			this.receiveSegment(streamId, segment);
+		}
+		else if (message == null) {
+			return;
+		}
+		else if (message.command == "ack") {
+			var transfer = this.sendingFiles.get(message.fileId);
+			//ack of the next segment after the acknowledged position
+			if (transfer != null && transfer.streamId == streamId && message.offset <= transfer.acknowledged) {
+				transfer.acknowledged = Math.max(transfer.acknowledged, message.offset + message.length);
+			}
+		}
+		else if (message.command == "reject") {
+			var rejectedTransfer = this.sendingFiles.get(message.fileId);
+			if (rejectedTransfer != null && rejectedTransfer.streamId == streamId) {
+				if (rejectedTransfer.messageId != null) {
+					this.webRTCAdaptor.cancelSendData(streamId, rejectedTransfer.messageId);
+				}
+				this.failTransfer(rejectedTransfer, "file_send_rejected", "Receiver rejected the file of size " + rejectedTransfer.size);
+			}
+		}
+		else if (message.command == "cancel") {
+			var key = streamId + "/" + message.fileId;
+			var receivingFile = this.receivingFiles.get(key);
+			if (receivingFile != null) {
+				clearTimeout(receivingFile.timerId);
+				this.receivingFiles.delete(key);
+				this.callback("file_receive_cancelled", {streamId: streamId, fileId: message.fileId});
+			}
+		}
+	}
+
+	/**
+	 * Called internally to read and send the segment at the offset of the transfer.
+	 * It continues with the next segment until the file is sent
+	 */
+	sendSegment(transfer) {
+		var start = transfer.offset;
+		var end = Math.min(start + this.fileSegmentSize, transfer.size);
+
+		readFile(transfer.file, start, end)
+		.then(bytes => {
+			if (transfer.state != "sending") {
+				return;
+			}
+			var header = {fileId: transfer.fileId, name: transfer.name, type: transfer.type, size: transfer.size,
+					lastModified: transfer.lastModified, offset: start};
+			var promise = this.webRTCAdaptor.sendBinaryData(transfer.streamId, encodeSegment(header, bytes), ContentType.FILE);
+			transfer.messageId = promise.messageId;
+			return promise.then(() => {
+				transfer.messageId = null;
+				if (transfer.state != "sending") {
+					return;
+				}
+				transfer.offset = end;
+				this.callback("file_send_progress", {streamId: transfer.streamId, fileId: transfer.fileId, name: transfer.name, sent: end, size: transfer.size});
+				if (typeof transfer.onProgress == "function") {
+					transfer.onProgress(end, transfer.size);
+				}
+
+				if (end >= transfer.size) {
+					this.finishTransfer(transfer, "sent");
+					var obj = {streamId: transfer.streamId, fileId: transfer.fileId, name: transfer.name, type: transfer.type, size: transfer.size};
+					this.callback("file_sent", obj);
+					transfer.resolve(obj);
+				}
+				else {
+					this.sendSegment(transfer);
+				}
+			});
+		})
+		.catch(error => {
+			transfer.messageId = null;
+			if (transfer.state != "sending") {
+				return;
+			}
+			if (error.error == "data_channel_closed" || error.error == "data_channel_not_open") {
+				this.pauseTransfer(transfer);
+			}
+			else {
+				this.failTransfer(transfer, error.error || "file_read_error", error.message || error.toString());
+			}
+		});
+	}
+
+	/**
+	 * Called internally when the data channel is closed during the transfer.
+	 * It's resumed when the data channel is opened again. See @resumeTransfers
+	 */
+	pauseTransfer(transfer) {
+		transfer.state = "paused";
+		this.callback("file_transfer_paused", {streamId: transfer.streamId, fileId: transfer.fileId, acknowledged: transfer.acknowledged});
+		transfer.timerId = setTimeout(() => {
+			this.failTransfer(transfer, "file_transfer_timeout", "Data channel is not opened in " + this.fileTransferTimeout + "ms");
+		}, this.fileTransferTimeout);
+	}
+
+	failTransfer(transfer, error, description) {
+		this.finishTransfer(transfer, "failed");
+		var obj = {streamId: transfer.streamId, fileId: transfer.fileId, description: description};
+		this.callbackError(error, obj);
+		transfer.reject({error: error, message: obj});
+	}
+
+	finishTransfer(transfer, state) {
+		transfer.state = state;
+		clearTimeout(transfer.timerId);
+		this.sendingFiles.delete(transfer.fileId);
+	}
+
+	/**
+	 * Called internally to send an ack or cancel message to the other peer
+	 */
+	sendControl(streamId, message) {
+		var data = new TextEncoder().encode(JSON.stringify(message));
+		this.webRTCAdaptor.sendBinaryData(streamId, data, ContentType.FILE_CONTROL);
+	}
+
+	receiveSegment(streamId, segment) {
+		var header = segment.header;
+		var key = streamId + "/" + header.fileId;
+		var receivingFile = this.receivingFiles.get(key);
+		if (receivingFile == null) {
+			if (this.rejectedFiles.has(key)) {
+				return;
+			}
+			if (header.size > this.fileMaxSize) {
+				this.rejectedFiles.add(key);
+				this.sendControl(streamId, {command: "reject", fileId: header.fileId});
+				this.callbackError("file_too_large", {streamId: streamId, fileId: header.fileId, size: header.size});
+				return;
+			}
+			var fileData;
+			try {
+				fileData = new ArrayBuffer(header.size);
+			}
+			catch (e) {
+				this.callbackError("invalid_file_message", {streamId: streamId, description: "File buffer cannot be allocated: " + e});
+				return;
+			}
+			receivingFile = {
+				streamId: streamId,
+				fileId: header.fileId,
+				name: header.name,
+				type: header.type,
+				size: header.size,
+				lastModified: header.lastModified,
+				data: fileData,
+				//offsets of the received segments. Resumed transfers may send the same segment again
+				segments: new Set(),
+				received: 0,
+				timerId: -1,
+			};
+			this.receivingFiles.set(key, receivingFile);
+		}
+
+		if (!Number.isInteger(header.offset) || header.offset < 0 || header.offset + segment.bytes.byteLength > receivingFile.size) {
+			console.warn("File segment exceeds the file size for file: " + header.fileId + " stream: " + streamId);
+			return;
+		}
+		if (!receivingFile.segments.has(header.offset)) {
+			receivingFile.segments.add(header.offset);
+			new Uint8Array(receivingFile.data).set(segment.bytes, header.offset);
+			receivingFile.received += segment.bytes.byteLength;
+		}
+		this.sendControl(streamId, {command: "ack", fileId: header.fileId, offset: header.offset, length: segment.bytes.byteLength});
+
+		this.callback("file_receive_progress", {streamId: streamId, fileId: receivingFile.fileId, name: receivingFile.name,
+				received: receivingFile.received, size: receivingFile.size});
+
+		clearTimeout(receivingFile.timerId);
+		if (receivingFile.received >= receivingFile.size) {
+			this.receivingFiles.delete(key);
+			this.callback("file_received", {streamId: streamId, fileId: receivingFile.fileId, name: receivingFile.name, type: receivingFile.type,
+					size: receivingFile.size, lastModified: receivingFile.lastModified, data: receivingFile.data});
+			return;
+		}
+		receivingFile.timerId = setTimeout(() => {
+			this.receivingFiles.delete(key);
+			this.callbackError("file_transfer_timeout", {streamId: streamId, fileId: receivingFile.fileId, description: "Next segment is not received in " + this.fileTransferTimeout + "ms"});
+		}, this.fileTransferTimeout);
+	}
+}
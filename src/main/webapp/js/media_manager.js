@@ -1,13 +1,18 @@
-import {SoundMeter} from "./soundmeter.js" 
+import {SoundMeter, getSharedAudioContext} from "./soundmeter.js"
+import {EventEmitter} from "./event_emitter.js"
+import {VoiceActivityDetector} from "./voice_activity.js"
+import {limitLayerBitrates} from "./simulcast.js"
 
 /** 
  * Media management class is responsible to manage audio and video 
  * sources and tracks management for the local stream. 
  * Also audio and video properties (like bitrate) are managed by this class . 
 */
-export class MediaManager 
+export class MediaManager extends EventEmitter
 {
 	constructor(initialValues){			
+		super();
+
 		/**
 		 * the maximum bandwith value that browser can send a stream
 		 * keep in mind that browser may send video less than this value
@@ -46,6 +51,12 @@ export class MediaManager
 		 */
 		this.getSender = initialValues.getSender;
 
+		/**
+		 * this is the callback function to get the configured simulcast layers of a stream from WebRTCAdaptor.
+		 * It returns null if the stream is not published with simulcast
+		 */
+		this.getSimulcastLayers = initialValues.getSimulcastLayers;
+
 		/**
 		 * This is the Stream Id for the publisher.
 		 */
@@ -66,6 +77,16 @@ export class MediaManager
 				this[key] = initialValues.userParameters[key];
 			}
 		}
+
+		/**
+		 * WebRTCAdaptor provides its own callbacks to pass the events of this class to its listeners
+		 */
+		if (typeof initialValues.callback == "function") {
+			this.callback = initialValues.callback;
+		}
+		if (typeof initialValues.callbackError == "function") {
+			this.callbackError = initialValues.callbackError;
+		}
 		 
 		 /**
 		  * current volume value which is set by the user
@@ -91,7 +112,7 @@ export class MediaManager
 		 /**
 		  * Audio context to use for meter, mix, gain 
 		  */
-		 this.audioContext = new AudioContext();
+		 this.audioContext = getSharedAudioContext();
 
 		/**
 		 * the main audio in single audio case
@@ -125,16 +146,16 @@ export class MediaManager
 		  */
 		 this.mutedAudioStream = null;
 
+		 /**
+		  * Voice activity detector of the mutedAudioStream
+		  */
+		 this.mutedVoiceActivityDetector = null;
+
 		 /**
 		  * This flag is the status of audio stream
 		  * Checking when the audio stream is updated
 		  */
 		 this.isMuted = false;
-		 
-		 /**
-		  * meter refresh period for "are you talking?" check
-		  */
-		 this.meterRefresh = null;
 
 		 /**
 		 * For keeping track of whether user turned off the camera
@@ -175,6 +196,26 @@ export class MediaManager
 		this.checkBrowserScreenShareSupported();
 	}
 
+	/**
+	 * Called internally to notify the event listeners and the callback about an information event
+	 */
+	notifyEventListeners(info, obj) {
+		this.emit(info, obj);
+		if (typeof this.callback == "function") {
+			this.callback(info, obj);
+		}
+	}
+
+	/**
+	 * Called internally to notify the "error" event listeners and the error callback
+	 */
+	notifyErrorEventListeners(error, message) {
+		this.emit("error", {error: error, message: message});
+		if (typeof this.callbackError == "function") {
+			this.callbackError(error, message);
+		}
+	}
+
 	/**
 	 * Called by the WebRTCAdaptor at the start if it isn't play mode
 	 */
@@ -204,17 +245,17 @@ export class MediaManager
 	checkWebRTCPermissions(){
 		if (!("WebSocket" in window)) {
 			console.log("WebSocket not supported.");
-			this.callbackError("WebSocketNotSupported");
+			this.notifyErrorEventListeners("WebSocketNotSupported");
 			return;
 		}
 
 		if (typeof navigator.mediaDevices == "undefined") {
 			console.log("Cannot open camera and mic because of unsecure context. Please Install SSL(https)");
-			this.callbackError("UnsecureContext");
+			this.notifyErrorEventListeners("UnsecureContext");
 			return;
 		}
 		if (typeof navigator.mediaDevices == "undefined" || navigator.mediaDevices == undefined || navigator.mediaDevices == null ) {
-			this.callbackError("getUserMediaIsNotAllowed");
+			this.notifyErrorEventListeners("getUserMediaIsNotAllowed");
 		}
 	}
 
@@ -237,7 +278,7 @@ export class MediaManager
 					}
 				}
 			});
-			this.callback("available_devices", deviceArray);
+			this.notifyEventListeners("available_devices", deviceArray);
 
 			//TODO is the following part necessary. why?
 			if(checkAudio == false && this.localStream == null){
@@ -372,7 +413,7 @@ export class MediaManager
 
 				//add callback if desktop is sharing
 				var onended = event => {
-					this.callback("screen_share_stopped");
+					this.notifyEventListeners("screen_share_stopped");
 					this.setVideoCameraSource(streamId, mediaConstraints, null, true);		
 				}
 
@@ -418,7 +459,7 @@ export class MediaManager
 					if (error.name == "NotFoundError"){
 						this.getDevices()
 					}else{
-						this.callbackError(error.name, error.message);
+						this.notifyErrorEventListeners(error.name, error.message);
 					}
 				}
 				else {
@@ -440,7 +481,7 @@ export class MediaManager
 			.catch(error => {
 				if (error.name === "NotAllowedError") {
 					console.debug("Permission denied error");
-					this.callbackError("ScreenSharePermissionDenied");
+					this.notifyErrorEventListeners("ScreenSharePermissionDenied");
 
 					// If error catched then redirect Default Stream Camera
 					if(this.localStream == null){
@@ -500,7 +541,7 @@ export class MediaManager
 		}
 		else {
 			console.error("MediaConstraint video is not defined");
-			this.callbackError("media_constraint_video_not_defined");
+			this.notifyErrorEventListeners("media_constraint_video_not_defined");
 		}
 	}
 
@@ -536,6 +577,10 @@ export class MediaManager
 			clearInterval(this.soundLevelProviderId);
 			this.soundLevelProviderId = -1;
 		}
+		if(this.localStreamSoundMeter != null) {
+			this.localStreamSoundMeter.stop();
+			this.localStreamSoundMeter = null;
+		}
 	}
 	
 
@@ -546,7 +591,7 @@ export class MediaManager
 	checkBrowserScreenShareSupported() 
 	{
 		if ((typeof navigator.mediaDevices != "undefined"  && navigator.mediaDevices.getDisplayMedia) || navigator.getDisplayMedia ) {
-			this.callback("browser_screen_share_supported");
+			this.notifyEventListeners("browser_screen_share_supported");
 		}
 	};
 
@@ -584,25 +629,20 @@ export class MediaManager
 	/**
 	 * These methods are initialized when the user is muted himself in a publish scenario
 	 * It will keep track if the user is trying to speak without sending any data to server
-	 * Please don't forget to disable this function with disableAudioLevelWhenMuted if you use it.
+	 * "speaking_but_muted" is notified when the voice activity detector detects speech, so noises
+	 * don't trigger it. Please don't forget to disable this function with disableAudioLevelWhenMuted if you use it.
 	 */
 	enableAudioLevelWhenMuted() {
 		navigator.mediaDevices.getUserMedia({video:false, audio:true})
 		.then((stream) => {
-		this.mutedAudioStream = stream;
-		const soundMeter = new SoundMeter(this.audioContext);
-		soundMeter.connectToSource(this.mutedAudioStream, (e) => {
-			if (e) {
-				alert(e);
-				return;
-			}
-			this.meterRefresh = setInterval(() => {
-				if(soundMeter.instant.toFixed(2) > 0.1){
-					this.callback("speaking_but_muted");
+			this.mutedAudioStream = stream;
+			this.mutedVoiceActivityDetector = new VoiceActivityDetector({stream: stream});
+			this.mutedVoiceActivityDetector.on("speaking_started", () => {
+				if (this.isMuted) {
+					this.notifyEventListeners("speaking_but_muted");
 				}
-			}, 200);
-		});
-			
+			});
+			this.mutedVoiceActivityDetector.start();
 		})
 		.catch(function(err) {
 			console.log("Can't get the soundlevel on mute")
@@ -610,8 +650,9 @@ export class MediaManager
 	}
 
 	disableAudioLevelWhenMuted(){
-		if(this.meterRefresh != null){
-			clearInterval(this.meterRefresh)
+		if(this.mutedVoiceActivityDetector != null){
+			this.mutedVoiceActivityDetector.stop();
+			this.mutedVoiceActivityDetector = null;
 		}
 
 		if(this.mutedAudioStream != null){
@@ -637,7 +678,7 @@ export class MediaManager
 			composedStream.addTrack(videoTrack);
 		});
 
-		this.audioContext = new AudioContext();
+		this.audioContext = getSharedAudioContext();
 		var audioDestionation = this.audioContext.createMediaStreamDestination();
 
 		if (stream.getAudioTracks().length > 0) {
@@ -689,11 +730,11 @@ export class MediaManager
 			const audioTracks = stream.getAudioTracks();
 
 			/**
-			* Create a new audio context and build a stream source,
+			* Get the shared audio context and build a stream source,
 			* stream destination and a gain node. Pass the stream into 
 			* the mediaStreamSource so we can use it in the Web Audio API.
 			*/
-			this.audioContext = new AudioContext();
+			this.audioContext = getSharedAudioContext();
 			let mediaStreamSource = this.audioContext.createMediaStreamSource(stream);
 			let mediaStreamDestination = this.audioContext.createMediaStreamDestination();
 			this.primaryAudioTrackGainNode = this.audioContext.createGain();
@@ -1099,7 +1140,7 @@ export class MediaManager
 			 this.updateVideoTrack(this.replacementStream, choosenId, null, true);
 		 }
 		 else {
-			 this.callbackError("NoActiveConnection");
+			 this.notifyErrorEventListeners("NoActiveConnection");
 		 }
 
 		 //We need to send black frames within a time interval, because when the user turn off the camera,
@@ -1153,7 +1194,7 @@ export class MediaManager
 			this.localStream.getAudioTracks().forEach(track => track.enabled = false);
 		}
 		else {
-			this.callbackError("NoActiveConnection");
+			this.notifyErrorEventListeners("NoActiveConnection");
 		}
 	}
 
@@ -1170,7 +1211,7 @@ export class MediaManager
 			this.localStream.getAudioTracks().forEach(track => track.enabled = true);
 		}
 		else {
-			this.callbackError("NoActiveConnection");
+			this.notifyErrorEventListeners("NoActiveConnection");
 		}
 	}
 
@@ -1210,7 +1251,18 @@ export class MediaManager
 				parameters.encodings = [{}];
 			}
 
-			if (bandwidth === 'unlimited') {
+			var layers = typeof this.getSimulcastLayers == "function" ? this.getSimulcastLayers(streamId) : null;
+			if (layers != null && parameters.encodings.length > 1) {
+				//simulcast layers share the bandwidth
+				var bitrates = limitLayerBitrates(layers, bandwidth);
+				parameters.encodings.forEach(encoding => {
+					var index = layers.findIndex(layer => layer.rid == encoding.rid);
+					if (index != -1 && bitrates[index] != null) {
+						encoding.maxBitrate = bitrates[index];
+					}
+				});
+			}
+			else if (bandwidth === 'unlimited') {
 				delete parameters.encodings[0].maxBitrate;
 			}
 			else {
@@ -1251,7 +1303,7 @@ export class MediaManager
 	 * @param {*} period : measurement period
 	 */
 	enableAudioLevelForLocalStream(levelCallback, period) {
-		this.localStreamSoundMeter = new SoundMeter(this.audioContext);
+		this.localStreamSoundMeter = new SoundMeter(getSharedAudioContext());
     	this.connectSoundMeterToLocalStream();
 
 		this.soundLevelProviderId = setInterval(() => {			
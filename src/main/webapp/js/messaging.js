@@ -0,0 +1,309 @@
+import {ContentType} from "./data_transfer.js"
+import {encode, decode} from "./msgpack.js"
+
+/**
+ * It's the value of the protocol field of the messages. It's used to distinguish the structured messages
+ * from the text messages of the application
+ */
+export const MESSAGE_PROTOCOL = "ams.message.v1";
+
+function containsBinary(value) {
+	if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+		return true;
+	}
+	if (value != null && typeof value == "object") {
+		return Object.keys(value).some(key => containsBinary(value[key]));
+	}
+	return false;
+}
+
+/**
+ * Messaging class provides typed messages over the data channel of a stream.
+ * A message has a type and a payload. The listeners are subscribed for the types of messages and
+ * requests can be answered by the request handlers of the other peer.
+ *
+ * Messages are envelopes like {protocol, kind, id, type, payload, replyTo, error} where kind is
+ * "message", "request" or "response". They're sent as JSON text if the payload doesn't have binary values
+ * and the text fits in a data channel chunk. Otherwise they're encoded with MessagePack and sent as binary messages
+ * (check data_transfer.js) so that binary payloads don't need base64 encoding.
+ *
+ * 	webRTCAdaptor.subscribeMessage("chat", (payload, message) => {...});
+ * 	webRTCAdaptor.sendMessage(streamId, "chat", {text: "hello"});
+ *
+ * 	webRTCAdaptor.setRequestHandler("getPosition", (payload, message) => ({x: 1, y: 2}));
+ * 	webRTCAdaptor.request(streamId, "getPosition", {}).then(position => {...});
+ */
+export class MessagingManager
+{
+	constructor(initialValues) {
+		/**
+		 * The time in milliseconds to wait for the response of a request.
+		 * The promise of the request is rejected with "requestTimeout" error after that
+		 */
+		this.messageRequestTimeout = 10000;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * The listeners for each message type. Check @subscribeMessage
+		 */
+		this.subscriptions = new Map();
+
+		/**
+		 * The request handler for each message type. Check @setRequestHandler
+		 */
+		this.requestHandlers = new Map();
+
+		/**
+		 * The requests which are waiting for their responses. Its keys are the message ids
+		 */
+		this.pendingRequests = new Map();
+
+		this.messageIdPrefix = Math.random().toString(36).substring(2, 10) + "-";
+		this.lastMessageId = 0;
+	}
+
+	/**
+	 * Called by user to send a message to the other peer(s) of the stream.
+	 * The receivers get it with "message_received" event and the subscribers of its type
+	 * 	 streamId: unique id for the stream
+	 * 	 type: type of the message like "chat"
+	 * 	 payload: any value which can be serialized to JSON. It may have binary values (ArrayBuffer or typed array)
+	 * 	 options:
+	 * 		label: label of the named data channel to send the message. Check @dataChannelOptions in WebRTCAdaptor
+	 * Returns a Promise which is resolved with the message id when the message is given to the data channel
+	 */
+	sendMessage(streamId, type, payload, options) {
+		var envelope = this.createEnvelope("message", type, payload);
+		return this.sendEnvelope(streamId, envelope, options).then(() => envelope.id);
+	}
+
+	/**
+	 * Called by user to send a request to the other peer of the stream and get its response.
+	 * The request is answered by the handler which is set with @setRequestHandler on the other side
+	 * 	 streamId: unique id for the stream
+	 * 	 type: type of the request
+	 * 	 payload: payload of the request. Check @sendMessage
+	 * 	 options:
+	 * 		timeout: time in milliseconds to wait for the response. Default is @messageRequestTimeout
+	 * Returns a Promise which is resolved with the payload of the response. It's rejected with "requestTimeout"
+	 * if there is no response in time or with "message_request_failed" if the handler fails
+	 */
+	request(streamId, type, payload, options) {
+		var envelope = this.createEnvelope("request", type, payload);
+		var timeout = options != null && typeof options.timeout != "undefined" ? options.timeout : this.messageRequestTimeout;
+
+		var promise = new Promise((resolve, reject) => {
+			var pendingRequest = {streamId: streamId, type: type, resolve: resolve, reject: reject};
+			pendingRequest.timerId = setTimeout(() => {
+				this.pendingRequests.delete(envelope.id);
+				reject({error: "requestTimeout", message: {streamId: streamId, type: type, messageId: envelope.id}});
+			}, timeout);
+			this.pendingRequests.set(envelope.id, pendingRequest);
+		});
+		promise.catch(() => {});
+
+		this.sendEnvelope(streamId, envelope).catch(error => {
+			var pendingRequest = this.pendingRequests.get(envelope.id);
+			if (pendingRequest != null) {
+				clearTimeout(pendingRequest.timerId);
+				this.pendingRequests.delete(envelope.id);
+				pendingRequest.reject(error);
+			}
+		});
+		return promise;
+	}
+
+	/**
+	 * Called by user to listen the messages of a type
+	 * 	 type: type of the messages or "*" for all types
+	 * 	 listener: called with (payload, message). message is {streamId, type, messageId, payload}
+	 * Returns a function which removes the listener
+	 */
+	subscribeMessage(type, listener) {
+		if (!this.subscriptions.has(type)) {
+			this.subscriptions.set(type, []);
+		}
+		this.subscriptions.get(type).push(listener);
+		return () => this.unsubscribeMessage(type, listener);
+	}
+
+	/**
+	 * Called by user to remove a listener which is added with @subscribeMessage
+	 */
+	unsubscribeMessage(type, listener) {
+		var listeners = this.subscriptions.get(type);
+		if (listeners != null) {
+			var index = listeners.indexOf(listener);
+			if (index != -1) {
+				listeners.splice(index, 1);
+			}
+		}
+	}
+
+	/**
+	 * Called by user to answer the requests of a type. There is one handler for each type.
+	 * Requests without a handler are ignored so that other peers of the stream can answer them
+	 * 	 type: type of the requests
+	 * 	 handler: called with (payload, message). It returns the payload of the response or a Promise of it.
+	 * 			If it throws or the Promise is rejected, the request fails on the other side.
+	 * 			Pass null to remove the handler
+	 */
+	setRequestHandler(type, handler) {
+		if (handler == null) {
+			this.requestHandlers.delete(type);
+		}
+		else {
+			this.requestHandlers.set(type, handler);
+		}
+	}
+
+	/**
+	 * Called by WebRTCAdaptor to check if a text message of the data channel is a structured message
+	 */
+	isMessage(text) {
+		return text.indexOf(MESSAGE_PROTOCOL) != -1 && this.parseText(text) != null;
+	}
+
+	parseText(text) {
+		try {
+			var envelope = JSON.parse(text);
+			return envelope != null && envelope.protocol == MESSAGE_PROTOCOL ? envelope : null;
+		}
+		catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Called by WebRTCAdaptor when a structured message is received
+	 * 	 streamId: unique id for the stream
+	 * 	 data: JSON text or MessagePack encoded ArrayBuffer
+	 */
+	receiveMessage(streamId, data) {
+		var envelope;
+		if (typeof data == "string") {
+			envelope = this.parseText(data);
+		}
+		else {
+			try {
+				envelope = decode(data);
+			}
+			catch (e) {
+				console.error("Message cannot be decoded for stream: " + streamId + " error: " + e);
+				return;
+			}
+		}
+		if (envelope == null || typeof envelope.type != "string") {
+			return;
+		}
+
+		var message = {streamId: streamId, type: envelope.type, messageId: envelope.id, payload: envelope.payload};
+		if (envelope.kind == "response") {
+			this.receiveResponse(envelope);
+		}
+		else if (envelope.kind == "request") {
+			this.receiveRequest(streamId, envelope, message);
+		}
+		else {
+			this.callback("message_received", message);
+			this.notifySubscribers(envelope.type, message);
+			this.notifySubscribers("*", message);
+		}
+	}
+
+	notifySubscribers(type, message) {
+		var listeners = this.subscriptions.get(type);
+		if (listeners != null) {
+			listeners.slice().forEach(listener => {
+				try {
+					listener(message.payload, message);
+				}
+				catch (e) {
+					console.error("Message listener of " + type + " throws exception: " + e);
+				}
+			});
+		}
+	}
+
+	receiveRequest(streamId, envelope, message) {
+		var handler = this.requestHandlers.get(envelope.type);
+		if (handler == null) {
+			return;
+		}
+		new Promise(resolve => resolve(handler(envelope.payload, message)))
+		.then(payload => {
+			var response = this.createEnvelope("response", envelope.type, payload);
+			response.replyTo = envelope.id;
+			return this.sendEnvelope(streamId, response);
+		}, error => {
+			var response = this.createEnvelope("response", envelope.type, null);
+			response.replyTo = envelope.id;
+			response.error = error instanceof Error ? error.message : String(error);
+			return this.sendEnvelope(streamId, response);
+		})
+		.catch(error => {
+			console.error("Response cannot be sent for request: " + envelope.type + " error: " + JSON.stringify(error));
+		});
+	}
+
+	receiveResponse(envelope) {
+		var pendingRequest = this.pendingRequests.get(envelope.replyTo);
+		//other peers may respond the same request
+		if (pendingRequest == null) {
+			return;
+		}
+		clearTimeout(pendingRequest.timerId);
+		this.pendingRequests.delete(envelope.replyTo);
+		if (typeof envelope.error != "undefined" && envelope.error != null) {
+			pendingRequest.reject({error: "message_request_failed", message: {streamId: pendingRequest.streamId, type: envelope.type,
+					messageId: envelope.replyTo, description: envelope.error}});
+		}
+		else {
+			pendingRequest.resolve(envelope.payload);
+		}
+	}
+
+	createEnvelope(kind, type, payload) {
+		this.lastMessageId++;
+		return {
+			protocol: MESSAGE_PROTOCOL,
+			kind: kind,
+			id: this.messageIdPrefix + this.lastMessageId,
+			type: type,
+			payload: typeof payload == "undefined" ? null : payload,
+		};
+	}
+
+	/**
+	 * Called internally to encode and send the envelope. Returns a Promise which is resolved
+	 * when the message is given to the data channel
+	 * 	 options: {label} of the data channel. Main data channel is used if it's not set
+	 */
+	sendEnvelope(streamId, envelope, options) {
+		if (!containsBinary(envelope.payload)) {
+			var text = JSON.stringify(envelope);
+			if (text.length <= this.webRTCAdaptor.dataChannelChunkSize) {
+				try {
+					return this.webRTCAdaptor.sendData(streamId, text, options);
+				}
+				catch (e) {
+					//sending text throws if the data channel is not open
+					return Promise.reject({error: "data_channel_not_open", message: streamId});
+				}
+			}
+		}
+		return this.webRTCAdaptor.sendBinaryData(streamId, encode(envelope), ContentType.MESSAGE, options);
+	}
+}
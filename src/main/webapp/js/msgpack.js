@@ -0,0 +1,264 @@
+/**
+ * Minimal MessagePack (https://msgpack.org) encoder and decoder.
+ * It supports null, boolean, number, string, binary (ArrayBuffer and typed arrays), array and plain object.
+ * Binary values are decoded as Uint8Array. Integers out of 32 bit range are encoded as float 64.
+ */
+
+class Writer {
+	constructor() {
+		this.buffer = new Uint8Array(256);
+		this.view = new DataView(this.buffer.buffer);
+		this.length = 0;
+	}
+
+	ensure(size) {
+		if (this.length + size > this.buffer.byteLength) {
+			var buffer = new Uint8Array(Math.max(this.buffer.byteLength * 2, this.length + size));
+			buffer.set(this.buffer.subarray(0, this.length));
+			this.buffer = buffer;
+			this.view = new DataView(buffer.buffer);
+		}
+	}
+
+	uint8(value) {
+		this.ensure(1);
+		this.view.setUint8(this.length, value);
+		this.length += 1;
+	}
+
+	uint16(value) {
+		this.ensure(2);
+		this.view.setUint16(this.length, value);
+		this.length += 2;
+	}
+
+	uint32(value) {
+		this.ensure(4);
+		this.view.setUint32(this.length, value);
+		this.length += 4;
+	}
+
+	bytes(value) {
+		this.ensure(value.byteLength);
+		this.buffer.set(value, this.length);
+		this.length += value.byteLength;
+	}
+
+	//writes the type byte and the length for str, bin, array and map
+	header(length, fixType, fixLimit, type8, type16, type32) {
+		if (length < fixLimit) {
+			this.uint8(fixType | length);
+		}
+		else if (type8 != null && length < 0x100) {
+			this.uint8(type8);
+			this.uint8(length);
+		}
+		else if (length < 0x10000) {
+			this.uint8(type16);
+			this.uint16(length);
+		}
+		else {
+			this.uint8(type32);
+			this.uint32(length);
+		}
+	}
+
+	number(value) {
+		if (Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF) {
+			if (value < 0x80) {
+				this.uint8(value);
+			}
+			else if (value < 0x100) {
+				this.uint8(0xcc);
+				this.uint8(value);
+			}
+			else if (value < 0x10000) {
+				this.uint8(0xcd);
+				this.uint16(value);
+			}
+			else {
+				this.uint8(0xce);
+				this.uint32(value);
+			}
+		}
+		else if (Number.isInteger(value) && value < 0 && value >= -0x80000000) {
+			if (value >= -32) {
+				this.uint8(value & 0xff);
+			}
+			else {
+				this.uint8(0xd2);
+				this.ensure(4);
+				this.view.setInt32(this.length, value);
+				this.length += 4;
+			}
+		}
+		else {
+			this.uint8(0xcb);
+			this.ensure(8);
+			this.view.setFloat64(this.length, value);
+			this.length += 8;
+		}
+	}
+
+	value(value) {
+		if (value === null || typeof value == "undefined") {
+			this.uint8(0xc0);
+		}
+		else if (typeof value == "boolean") {
+			this.uint8(value ? 0xc3 : 0xc2);
+		}
+		else if (typeof value == "number") {
+			this.number(value);
+		}
+		else if (typeof value == "string") {
+			var encoded = new TextEncoder().encode(value);
+			this.header(encoded.byteLength, 0xa0, 32, 0xd9, 0xda, 0xdb);
+			this.bytes(encoded);
+		}
+		else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+			var bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+			this.header(bytes.byteLength, 0, 0, 0xc4, 0xc5, 0xc6);
+			this.bytes(bytes);
+		}
+		else if (Array.isArray(value)) {
+			this.header(value.length, 0x90, 16, null, 0xdc, 0xdd);
+			value.forEach(item => this.value(item));
+		}
+		else if (typeof value == "object") {
+			var keys = Object.keys(value).filter(key => typeof value[key] != "undefined" && typeof value[key] != "function");
+			this.header(keys.length, 0x80, 16, null, 0xde, 0xdf);
+			keys.forEach(key => {
+				this.value(key);
+				this.value(value[key]);
+			});
+		}
+		else {
+			throw new Error("Type cannot be encoded with MessagePack: " + typeof value);
+		}
+	}
+}
+
+class Reader {
+	constructor(data) {
+		this.bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+		this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+		this.offset = 0;
+	}
+
+	read(size, getter) {
+		if (this.offset + size > this.bytes.byteLength) {
+			throw new Error("MessagePack data is truncated");
+		}
+		var value = getter.call(this.view, this.offset);
+		this.offset += size;
+		return value;
+	}
+
+	uint8() {return this.read(1, DataView.prototype.getUint8);}
+	uint16() {return this.read(2, DataView.prototype.getUint16);}
+	uint32() {return this.read(4, DataView.prototype.getUint32);}
+
+	slice(length) {
+		if (this.offset + length > this.bytes.byteLength) {
+			throw new Error("MessagePack data is truncated");
+		}
+		var value = this.bytes.slice(this.offset, this.offset + length);
+		this.offset += length;
+		return value;
+	}
+
+	string(length) {
+		return new TextDecoder().decode(this.slice(length));
+	}
+
+	array(length) {
+		var array = [];
+		for (var i = 0; i < length; i++) {
+			array.push(this.value());
+		}
+		return array;
+	}
+
+	map(length) {
+		var map = {};
+		for (var i = 0; i < length; i++) {
+			var key = this.value();
+			//assigning __proto__ would change the prototype of the map
+			if (key === "__proto__") {
+				Object.defineProperty(map, key, {value: this.value(), enumerable: true, writable: true, configurable: true});
+			}
+			else {
+				map[key] = this.value();
+			}
+		}
+		return map;
+	}
+
+	value() {
+		var type = this.uint8();
+		if (type < 0x80) {
+			return type;
+		}
+		if (type >= 0xe0) {
+			return type - 0x100;
+		}
+		if (type >= 0xa0 && type <= 0xbf) {
+			return this.string(type & 0x1f);
+		}
+		if (type >= 0x90 && type <= 0x9f) {
+			return this.array(type & 0x0f);
+		}
+		if (type >= 0x80 && type <= 0x8f) {
+			return this.map(type & 0x0f);
+		}
+		switch (type) {
+			case 0xc0: return null;
+			case 0xc2: return false;
+			case 0xc3: return true;
+			case 0xc4: return this.slice(this.uint8());
+			case 0xc5: return this.slice(this.uint16());
+			case 0xc6: return this.slice(this.uint32());
+			case 0xca: return this.read(4, DataView.prototype.getFloat32);
+			case 0xcb: return this.read(8, DataView.prototype.getFloat64);
+			case 0xcc: return this.uint8();
+			case 0xcd: return this.uint16();
+			case 0xce: return this.uint32();
+			case 0xcf: return Number(this.read(8, DataView.prototype.getBigUint64));
+			case 0xd0: return this.read(1, DataView.prototype.getInt8);
+			case 0xd1: return this.read(2, DataView.prototype.getInt16);
+			case 0xd2: return this.read(4, DataView.prototype.getInt32);
+			case 0xd3: return Number(this.read(8, DataView.prototype.getBigInt64));
+			case 0xd9: return this.string(this.uint8());
+			case 0xda: return this.string(this.uint16());
+			case 0xdb: return this.string(this.uint32());
+			case 0xdc: return this.array(this.uint16());
+			case 0xdd: return this.array(this.uint32());
+			case 0xde: return this.map(this.uint16());
+			case 0xdf: return this.map(this.uint32());
+			default:
+				throw new Error("Unsupported MessagePack type: 0x" + type.toString(16));
+		}
+	}
+}
+
+/**
+ * Encodes the value with MessagePack. Returns Uint8Array
+ */
+export function encode(value) {
+	var writer = new Writer();
+	writer.value(value);
+	return writer.buffer.slice(0, writer.length);
+}
+
+/**
+ * Decodes the MessagePack data
+ * 	 data: ArrayBuffer or typed array
+ */
+export function decode(data) {
+	var reader = new Reader(data);
+	var value = reader.value();
+	if (reader.offset != reader.bytes.byteLength) {
+		throw new Error("MessagePack data has extra bytes");
+	}
+	return value;
+}
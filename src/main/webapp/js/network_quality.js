@@ -0,0 +1,184 @@
+/**
+ * Quality levels of the network_quality_changed events. Each level's score is its minimum score
+ */
+export const QualityLevel = {
+	EXCELLENT: "excellent",
+	GOOD: "good",
+	POOR: "poor",
+	BAD: "bad",
+};
+
+const LEVEL_SCORES = [[QualityLevel.EXCELLENT, 4.0], [QualityLevel.GOOD, 3.5], [QualityLevel.POOR, 2.5], [QualityLevel.BAD, 0]];
+
+/**
+ * Suggested actions of the network_quality_changed events
+ */
+export const QualityAction = {
+	REDUCE_BITRATE: "reduce_bitrate",
+	REDUCE_RESOLUTION: "reduce_resolution",
+	DISABLE_VIDEO: "disable_video",
+	CHECK_NETWORK: "check_network",
+	CLOSE_OTHER_APPLICATIONS: "close_other_applications",
+};
+
+/**
+ * Calculates a MOS-like score between 1 and 4.5 with a simplified E-model.
+ * 	 metrics:
+ * 		packetLoss: lost packet ratio between 0 and 1
+ * 		jitter: in seconds
+ * 		roundTripTime: in seconds
+ * 		frameRate: frames per second of the video. Video is not scored if it's null
+ * 		targetFrameRate: expected frames per second of the video
+ */
+export function calculateQualityScore(metrics) {
+	var latency = (metrics.roundTripTime || 0) * 1000 / 2 + (metrics.jitter || 0) * 1000 * 2 + 10;
+	//loss is weighted more than the E-model of voice because video suffers more from it
+	var r = 93.2 - (latency < 160 ? latency / 40 : (latency - 120) / 10) - (metrics.packetLoss || 0) * 100 * 4;
+	r = Math.max(0, Math.min(100, r));
+	var score = 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r);
+	if (metrics.frameRate != null && metrics.targetFrameRate > 0) {
+		score -= (1 - Math.min(1, metrics.frameRate / metrics.targetFrameRate)) * 2;
+	}
+	return Math.max(1, Math.min(4.5, score));
+}
+
+/**
+ * Returns the level of the score. Level doesn't change if the score is not far from the limit of the previous level more than margin
+ */
+export function getQualityLevel(score, previousLevel, margin) {
+	var level = LEVEL_SCORES.find(item => score >= item[1])[0];
+	if (previousLevel != null && previousLevel != level && margin > 0) {
+		var previous = LEVEL_SCORES.findIndex(item => item[0] == previousLevel);
+		var current = LEVEL_SCORES.findIndex(item => item[0] == level);
+		//score should be above the minimum of the better level or below the minimum of the previous level with margin
+		if ((current < previous && score < LEVEL_SCORES[current][1] + margin)
+				|| (current > previous && score > LEVEL_SCORES[previous][1] - margin)) {
+			return previousLevel;
+		}
+	}
+	return level;
+}
+
+/**
+ * Returns the suggested actions for the metrics and the level
+ */
+export function getQualityActions(metrics, level) {
+	var actions = [];
+	if (level == QualityLevel.EXCELLENT || level == QualityLevel.GOOD) {
+		return actions;
+	}
+	if (metrics.qualityLimitationReason == "cpu") {
+		actions.push(QualityAction.REDUCE_RESOLUTION, QualityAction.CLOSE_OTHER_APPLICATIONS);
+	}
+	if (metrics.packetLoss > 0.02 || metrics.qualityLimitationReason == "bandwidth") {
+		actions.push(QualityAction.REDUCE_BITRATE);
+	}
+	if (metrics.roundTripTime > 0.3 || metrics.jitter > 0.03) {
+		actions.push(QualityAction.CHECK_NETWORK);
+	}
+	if (level == QualityLevel.BAD && metrics.frameRate != null) {
+		actions.push(QualityAction.DISABLE_VIDEO);
+	}
+	return actions;
+}
+
+/**
+ * Returns the metrics of a stream from the last sample of its @PeerStats. Check @PeerStats.createSample
+ * 	 targetFrameRate: expected frames per second of the video
+ */
+export function getQualityMetrics(peerStats, targetFrameRate) {
+	var sample = peerStats.getLastSample() || peerStats.createSample();
+	return {
+		packetLoss: sample.packetLoss,
+		jitter: sample.jitter,
+		roundTripTime: sample.roundTripTime,
+		frameRate: sample.frameRate,
+		targetFrameRate: targetFrameRate,
+		qualityLimitationReason: sample.qualityLimitationReason,
+	};
+}
+
+/**
+ * NetworkQualityManager scores the quality of the streams whose stats are enabled with @WebRTCAdaptor.enableStats.
+ * It notifies "network_quality_changed" with {streamId, score, level, previousLevel, metrics, actions} when the
+ * level of a stream changes. Score is MOS-like between 1 and 4.5 and it's calculated from loss, jitter, round trip time
+ * and frame rate. Check @calculateQualityScore
+ */
+export class NetworkQualityManager
+{
+	constructor(initialValues) {
+		/**
+		 * Expected frames per second of the video streams. Lower frame rates decrease the score
+		 */
+		this.networkQualityTargetFrameRate = 30;
+
+		/**
+		 * Score should pass the limit of a level this much to change the level. It prevents flapping between the levels
+		 */
+		this.networkQualityMargin = 0.1;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * The last quality of the streams. Its keys are the stream ids
+		 */
+		this.qualities = new Map();
+	}
+
+	/**
+	 * Called when the stats of a stream are updated
+	 */
+	updateQuality(peerStats) {
+		if (peerStats.outboundRtp.size == 0 && peerStats.inboundRtp.size == 0) {
+			//there is no media to score like data channel only streams
+			return;
+		}
+		var metrics = getQualityMetrics(peerStats, this.networkQualityTargetFrameRate);
+		var score = calculateQualityScore(metrics);
+		var sample = peerStats.getLastSample();
+		if (sample != null) {
+			//score is kept in the history to follow its trend
+			sample.qualityScore = score;
+		}
+		var previous = this.qualities.get(peerStats.streamId);
+		var previousLevel = previous != null ? previous.level : null;
+		var level = getQualityLevel(score, previousLevel, this.networkQualityMargin);
+		var quality = {
+			streamId: peerStats.streamId,
+			score: score,
+			level: level,
+			previousLevel: previousLevel,
+			metrics: metrics,
+			actions: getQualityActions(metrics, level),
+		};
+		this.qualities.set(peerStats.streamId, quality);
+		if (level != previousLevel) {
+			this.callback("network_quality_changed", quality);
+		}
+	}
+
+	/**
+	 * Returns the last quality of the stream or null
+	 */
+	getNetworkQuality(streamId) {
+		return this.qualities.get(streamId) || null;
+	}
+
+	/**
+	 * Called when the stats of a stream are not collected anymore
+	 */
+	removeQuality(streamId) {
+		this.qualities.delete(streamId);
+	}
+}
@@ -1,6 +1,140 @@
+/**
+ * Cumulative counters of the RTCStats objects. Their changes per second are calculated
+ * for each entry of the structured model. Check @PeerStats.updateReport
+ */
+export const STATS_COUNTERS = [
+    "bytesSent", "bytesReceived", "headerBytesSent", "headerBytesReceived",
+    "packetsSent", "packetsReceived", "packetsLost", "packetsDiscarded",
+    "retransmittedBytesSent", "retransmittedPacketsSent", "fecPacketsReceived", "fecPacketsDiscarded",
+    "framesEncoded", "framesDecoded", "framesSent", "framesReceived", "framesDropped",
+    "keyFramesEncoded", "keyFramesDecoded", "hugeFramesSent", "qpSum",
+    "totalEncodeTime", "totalDecodeTime", "totalPacketSendDelay", "totalInterFrameDelay",
+    "nackCount", "pliCount", "firCount",
+    "jitterBufferDelay", "jitterBufferEmittedCount",
+    "totalSamplesReceived", "concealedSamples", "silentConcealedSamples", "insertedSamplesForDeceleration",
+    "removedSamplesForAcceleration", "totalAudioEnergy", "totalSamplesDuration",
+    "totalRoundTripTime", "roundTripTimeMeasurements",
+    "requestsSent", "requestsReceived", "responsesSent", "responsesReceived",
+    "packetsDiscardedOnSend", "bytesDiscardedOnSend",
+];
+
+/**
+ * Returns the changes of the counters per second between two stats of the same object
+ */
+function calculateRates(current, previous) {
+    var rates = {};
+    if (previous == null) {
+        return rates;
+    }
+    var interval = (current.timestamp - previous.timestamp) / 1000;
+    if (!(interval > 0)) {
+        return rates;
+    }
+    STATS_COUNTERS.forEach(counter => {
+        if (typeof current[counter] == "number" && typeof previous[counter] == "number") {
+            rates[counter] = (current[counter] - previous[counter]) / interval;
+        }
+    });
+    return rates;
+}
+
+/**
+ * Bounded history of the stats samples. The oldest sample is overwritten when it's full
+ */
+export class StatsHistory {
+
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.samples = new Array(capacity);
+        //index of the oldest sample
+        this.start = 0;
+        this.size = 0;
+    }
+
+    push(sample) {
+        if (this.capacity <= 0) {
+            return;
+        }
+        this.samples[(this.start + this.size) % this.capacity] = sample;
+        if (this.size < this.capacity) {
+            this.size++;
+        }
+        else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Returns the samples from the oldest to the newest
+     *   window: only the samples in the last window milliseconds (up to the newest sample) are returned if it's set
+     */
+    getSamples(window) {
+        var samples = [];
+        for (var i = 0; i < this.size; i++) {
+            samples.push(this.samples[(this.start + i) % this.capacity]);
+        }
+        if (window != null && samples.length > 0) {
+            var since = samples[samples.length - 1].timestamp - window;
+            samples = samples.filter(sample => sample.timestamp >= since);
+        }
+        return samples;
+    }
+
+    getLast() {
+        return this.size > 0 ? this.samples[(this.start + this.size - 1) % this.capacity] : null;
+    }
+
+    /**
+     * Returns {count, min, max, avg, p50, p90, p95, p99} of a numeric field of the samples or null if there is no value
+     *   metric: field of the samples like "outgoingBitrate"
+     *   window: only the samples in the last window milliseconds are used if it's set
+     */
+    aggregate(metric, window) {
+        var values = this.getValues(metric, window);
+        if (values.length == 0) {
+            return null;
+        }
+        var sum = values.reduce((total, value) => total + value, 0);
+        return {
+            count: values.length,
+            min: values[0],
+            max: values[values.length - 1],
+            avg: sum / values.length,
+            p50: this.percentileOf(values, 50),
+            p90: this.percentileOf(values, 90),
+            p95: this.percentileOf(values, 95),
+            p99: this.percentileOf(values, 99),
+        };
+    }
+
+    /**
+     * Returns the percentile (0-100) of a numeric field of the samples with the nearest rank method or null if there is no value
+     */
+    percentile(metric, percentile, window) {
+        var values = this.getValues(metric, window);
+        return values.length > 0 ? this.percentileOf(values, percentile) : null;
+    }
+
+    getValues(metric, window) {
+        return this.getSamples(window).map(sample => sample[metric])
+                .filter(value => typeof value == "number" && !isNaN(value))
+                .sort((a, b) => a - b);
+    }
+
+    percentileOf(sortedValues, percentile) {
+        var rank = Math.ceil(percentile / 100 * sortedValues.length);
+        return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+    }
+
+    clear() {
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
 export class PeerStats {
 
-    constructor(streamId) {
+    constructor(streamId, historySize) {
         this.streamId = streamId;
         this.totalBytesReceivedCount = 0;
         this.totalBytesSent = 0;
@@ -14,6 +148,8 @@ export class PeerStats {
         this.currentTimestamp = 0;
         this.lastTime = 0;
         this.timerId = 0;
+        //polling interval of the stats in milliseconds. It's 0 if the stats are not enabled
+        this.statsInterval = 0;
         this.firstByteSentCount = 0;
         this.firstBytesReceivedCount = 0;
         this.audioLevel = -1;
@@ -40,6 +176,239 @@ export class PeerStats {
 
         this.audioJitterAverageDelay = 0;
         this.videoJitterAverageDelay = 0;
+
+        /*
+         * The structured model of the last stats report. Check @updateReport
+         * Each entry is a copy of the RTCStats object with its rates field which has the changes of its counters per second
+         */
+        //inbound-rtp stats by ssrc. Entries have codec and bitrate (kbits/sec) fields
+        this.inboundRtp = new Map();
+        //outbound-rtp stats by ssrc. There is an entry for each simulcast layer (rid). Entries have codec and bitrate fields
+        this.outboundRtp = new Map();
+        //remote-inbound-rtp stats by ssrc. They are the receiver reports of the sent streams
+        this.remoteInboundRtp = new Map();
+        //remote-outbound-rtp stats by ssrc. They are the sender reports of the received streams
+        this.remoteOutboundRtp = new Map();
+        //candidate-pair stats by id. Entries have localCandidate and remoteCandidate fields
+        this.candidatePairs = new Map();
+        //the candidate pair which is used by the transport
+        this.selectedCandidatePair = null;
+        //codec stats by id
+        this.codecs = new Map();
+        //media-source stats by id
+        this.mediaSources = new Map();
+        //transport stats
+        this.transport = null;
+        //timestamp of the last report
+        this.reportTimestamp = 0;
+
+        /*
+         * Samples of the reports. Each sample is {timestamp, outgoingBitrate, incomingBitrate, packetLoss, jitter,
+         * roundTripTime, frameRate, qualityLimitationReason, qualityScore}. Bitrates are kbits/sec, packetLoss is
+         * between 0 and 1, jitter and roundTripTime are seconds. Check @createSample
+         */
+        this.history = new StatsHistory(historySize != null ? historySize : 120);
+    }
+
+    /**
+     * Called with the RTCStatsReport of the peer connection to update the structured model
+     */
+    updateReport(report) {
+        var statsById = new Map();
+        report.forEach(value => statsById.set(value.id, value));
+
+        var codecs = new Map();
+        var inboundRtp = new Map();
+        var outboundRtp = new Map();
+        var remoteInboundRtp = new Map();
+        var remoteOutboundRtp = new Map();
+        var candidatePairs = new Map();
+        var mediaSources = new Map();
+        var transport = null;
+
+        var createEntry = (value, previous) => {
+            var entry = Object.assign({}, value);
+            entry.rates = calculateRates(value, previous);
+            this.reportTimestamp = Math.max(this.reportTimestamp, value.timestamp);
+            return entry;
+        };
+        var getCodecName = (codecId) => {
+            var codec = statsById.get(codecId);
+            return codec != null && codec.mimeType != null ? codec.mimeType.split("/")[1] : null;
+        };
+
+        statsById.forEach(value => {
+            if (value.type == "codec") {
+                codecs.set(value.id, createEntry(value, this.codecs.get(value.id)));
+            }
+            else if (value.type == "inbound-rtp") {
+                var inbound = createEntry(value, this.inboundRtp.get(value.ssrc));
+                inbound.codec = getCodecName(value.codecId);
+                inbound.bitrate = inbound.rates.bytesReceived != null ? inbound.rates.bytesReceived * 8 / 1000 : 0;
+                inboundRtp.set(value.ssrc, inbound);
+            }
+            else if (value.type == "outbound-rtp") {
+                var outbound = createEntry(value, this.outboundRtp.get(value.ssrc));
+                outbound.codec = getCodecName(value.codecId);
+                outbound.bitrate = outbound.rates.bytesSent != null ? outbound.rates.bytesSent * 8 / 1000 : 0;
+                outboundRtp.set(value.ssrc, outbound);
+            }
+            else if (value.type == "remote-inbound-rtp") {
+                remoteInboundRtp.set(value.ssrc, createEntry(value, this.remoteInboundRtp.get(value.ssrc)));
+            }
+            else if (value.type == "remote-outbound-rtp") {
+                remoteOutboundRtp.set(value.ssrc, createEntry(value, this.remoteOutboundRtp.get(value.ssrc)));
+            }
+            else if (value.type == "candidate-pair") {
+                var pair = createEntry(value, this.candidatePairs.get(value.id));
+                pair.localCandidate = statsById.has(value.localCandidateId) ? Object.assign({}, statsById.get(value.localCandidateId)) : null;
+                pair.remoteCandidate = statsById.has(value.remoteCandidateId) ? Object.assign({}, statsById.get(value.remoteCandidateId)) : null;
+                candidatePairs.set(value.id, pair);
+            }
+            else if (value.type == "media-source") {
+                mediaSources.set(value.id, createEntry(value, this.mediaSources.get(value.id)));
+            }
+            else if (value.type == "transport" && transport == null) {
+                transport = createEntry(value, this.transport);
+            }
+        });
+
+        var selectedCandidatePair = null;
+        if (transport != null && transport.selectedCandidatePairId != null) {
+            selectedCandidatePair = candidatePairs.get(transport.selectedCandidatePairId) || null;
+        }
+        if (selectedCandidatePair == null) {
+            //firefox doesn't have transport stats but it has selected field
+            candidatePairs.forEach(pair => {
+                if (selectedCandidatePair == null && (pair.selected || (pair.nominated && pair.state == "succeeded"))) {
+                    selectedCandidatePair = pair;
+                }
+            });
+        }
+
+        this.codecs = codecs;
+        this.inboundRtp = inboundRtp;
+        this.outboundRtp = outboundRtp;
+        this.remoteInboundRtp = remoteInboundRtp;
+        this.remoteOutboundRtp = remoteOutboundRtp;
+        this.candidatePairs = candidatePairs;
+        this.mediaSources = mediaSources;
+        this.transport = transport;
+        this.selectedCandidatePair = selectedCandidatePair;
+
+        this.history.push(this.createSample());
+    }
+
+    /**
+     * Called internally to summarize the structured model. Sent streams are measured with the receiver reports
+     * and received streams are measured with the inbound stats. Round trip time of the selected candidate pair is used
+     * if there is no receiver report. frameRate is null if there is no video
+     */
+    createSample() {
+        var sample = {timestamp: this.reportTimestamp, outgoingBitrate: 0, incomingBitrate: 0, packetLoss: 0, jitter: 0,
+            roundTripTime: 0, frameRate: null, qualityLimitationReason: null, qualityScore: null};
+        var updateFrameRate = (frameRate) => {
+            //simulcast layers are measured with the best one
+            if (frameRate != null) {
+                sample.frameRate = Math.max(sample.frameRate || 0, frameRate);
+            }
+        };
+        this.outboundRtp.forEach(entry => {
+            sample.outgoingBitrate += entry.bitrate;
+            var remoteInbound = this.getRemoteInboundRtp(entry.ssrc);
+            if (remoteInbound != null) {
+                sample.packetLoss = Math.max(sample.packetLoss, remoteInbound.fractionLost || 0);
+                sample.jitter = Math.max(sample.jitter, remoteInbound.jitter || 0);
+                sample.roundTripTime = Math.max(sample.roundTripTime, remoteInbound.roundTripTime || 0);
+            }
+            if (entry.kind == "video") {
+                updateFrameRate(entry.framesPerSecond != null ? entry.framesPerSecond : entry.rates.framesEncoded);
+                if (entry.qualityLimitationReason != null && entry.qualityLimitationReason != "none") {
+                    sample.qualityLimitationReason = entry.qualityLimitationReason;
+                }
+            }
+        });
+        this.inboundRtp.forEach(entry => {
+            sample.incomingBitrate += entry.bitrate;
+            if (this.outboundRtp.size > 0) {
+                return;
+            }
+            var lost = entry.rates.packetsLost;
+            var received = entry.rates.packetsReceived;
+            if (lost != null && received != null && lost + received > 0) {
+                sample.packetLoss = Math.max(sample.packetLoss, Math.max(0, lost) / (lost + received));
+            }
+            sample.jitter = Math.max(sample.jitter, entry.jitter || 0);
+            if (entry.kind == "video") {
+                updateFrameRate(entry.framesPerSecond != null ? entry.framesPerSecond : entry.rates.framesDecoded);
+            }
+        });
+        if (sample.roundTripTime == 0 && this.selectedCandidatePair != null && this.selectedCandidatePair.currentRoundTripTime != null) {
+            sample.roundTripTime = this.selectedCandidatePair.currentRoundTripTime;
+        }
+        return sample;
+    }
+
+    /**
+     * Returns the sample of the last report or null
+     */
+    getLastSample() {
+        return this.history.getLast();
+    }
+
+    /**
+     * Returns {count, min, max, avg, p50, p90, p95, p99} of a field of the samples in the last window milliseconds.
+     * All samples in the history are used if window is not set. Check @StatsHistory.aggregate
+     */
+    getAggregate(metric, window) {
+        return this.history.aggregate(metric, window);
+    }
+
+    /**
+     * Returns the inbound-rtp entries of the kind ("audio" or "video") or all of them if kind is not set
+     */
+    getInboundRtp(kind) {
+        return Array.from(this.inboundRtp.values()).filter(entry => kind == null || entry.kind == kind);
+    }
+
+    /**
+     * Returns the outbound-rtp entries of the kind ("audio" or "video") or all of them if kind is not set
+     */
+    getOutboundRtp(kind) {
+        return Array.from(this.outboundRtp.values()).filter(entry => kind == null || entry.kind == kind);
+    }
+
+    /**
+     * Returns the stats of the simulcast layers of the sent video. Each layer is {rid, ssrc, active, bitrate, framesPerSecond,
+     * frameWidth, frameHeight, qualityLimitationReason, packetsSent, nackCount, pliCount, fractionLost, roundTripTime}.
+     * It's empty if the video is not sent with simulcast
+     */
+    getLayers() {
+        return this.getOutboundRtp("video").filter(entry => entry.rid != null).map(entry => {
+            var remoteInbound = this.getRemoteInboundRtp(entry.ssrc);
+            return {
+                rid: entry.rid,
+                ssrc: entry.ssrc,
+                active: entry.active !== false,
+                bitrate: entry.bitrate,
+                framesPerSecond: entry.framesPerSecond != null ? entry.framesPerSecond : entry.rates.framesEncoded,
+                frameWidth: entry.frameWidth,
+                frameHeight: entry.frameHeight,
+                qualityLimitationReason: entry.qualityLimitationReason,
+                packetsSent: entry.packetsSent,
+                nackCount: entry.nackCount,
+                pliCount: entry.pliCount,
+                fractionLost: remoteInbound != null ? remoteInbound.fractionLost : null,
+                roundTripTime: remoteInbound != null ? remoteInbound.roundTripTime : null,
+            };
+        });
+    }
+
+    /**
+     * Returns the remote-inbound-rtp entry of a sent stream. It has packetsLost, fractionLost, jitter and roundTripTime
+     */
+    getRemoteInboundRtp(ssrc) {
+        return this.remoteInboundRtp.get(ssrc) || null;
     }
 
     //kbits/sec
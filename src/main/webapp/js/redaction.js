@@ -0,0 +1,26 @@
+/**
+ * Value of the redacted fields
+ */
+export const REDACTED = "***";
+
+/**
+ * Returns a copy of the message whose fields in redactedFields are replaced with @REDACTED at any depth
+ */
+export function redactMessage(message, redactedFields) {
+	if (Array.isArray(message)) {
+		return message.map(item => redactMessage(item, redactedFields));
+	}
+	if (message == null || typeof message != "object") {
+		return message;
+	}
+	var copy = {};
+	for (var key in message) {
+		if (redactedFields.includes(key) && message[key] != null && message[key] !== "") {
+			copy[key] = REDACTED;
+		}
+		else {
+			copy[key] = redactMessage(message[key], redactedFields);
+		}
+	}
+	return copy;
+}
@@ -0,0 +1,226 @@
+import {SignallingTransport} from "./signalling_transport.js"
+import {redactMessage} from "./redaction.js"
+
+/**
+ * Returns the entries of an exported journal. Check @SignallingJournal.export
+ */
+export function parseJournal(text) {
+	var journal = JSON.parse(text);
+	if (journal == null || !Array.isArray(journal.entries)) {
+		throw new Error("Invalid signalling journal");
+	}
+	return journal.entries;
+}
+
+/**
+ * SignallingJournal records the signalling messages which are sent and received by @WebSocketAdaptor.
+ * Each entry is {time, direction, command, message}. direction is "in" or "out" and message is the parsed
+ * message whose secrets like tokens are redacted. Messages which are not JSON are kept in the text field instead.
+ *
+ * 	webRTCAdaptor.enableSignallingJournal();
+ * 	...
+ * 	var text = webRTCAdaptor.exportSignallingJournal();
+ *
+ * Exported journals can be replayed with @SignallingReplayer
+ */
+export class SignallingJournal
+{
+	constructor(initialValues) {
+		/**
+		 * Maximum number of the entries. The oldest ones are dropped
+		 */
+		this.maxEntries = 1000;
+
+		/**
+		 * Fields whose values are redacted in the entries
+		 */
+		this.redactedFields = ["token", "subscriberCode"];
+
+		/**
+		 * ping and pong messages are recorded if it's true
+		 */
+		this.includePings = false;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		this.entries = [];
+	}
+
+	/**
+	 * Called by WebSocketAdaptor for each message
+	 * 	 direction: "in" for the received messages and "out" for the sent messages
+	 * 	 text: JSON text of the message
+	 */
+	record(direction, text) {
+		var entry = {time: Date.now(), direction: direction, command: null};
+		try {
+			var message = JSON.parse(text);
+			entry.command = message != null ? message.command || null : null;
+			entry.message = redactMessage(message, this.redactedFields);
+		}
+		catch (e) {
+			entry.text = text;
+		}
+		if (!this.includePings && (entry.command == "ping" || entry.command == "pong")) {
+			return;
+		}
+		this.entries.push(entry);
+		if (this.entries.length > this.maxEntries) {
+			this.entries.splice(0, this.entries.length - this.maxEntries);
+		}
+	}
+
+	getEntries() {
+		return this.entries.slice();
+	}
+
+	clear() {
+		this.entries = [];
+	}
+
+	/**
+	 * Returns the JSON text of the journal. It can be loaded with @parseJournal
+	 */
+	export() {
+		return JSON.stringify({
+			version: 1,
+			userAgent: typeof navigator != "undefined" ? navigator.userAgent : "",
+			entries: this.entries,
+		});
+	}
+}
+
+/**
+ * Transport of @SignallingReplayer. It's connected without a server and it keeps the sent messages
+ */
+export class ReplayTransport extends SignallingTransport
+{
+	constructor(url, replayer) {
+		super(url);
+		this.replayer = replayer;
+	}
+
+	connect() {
+		setTimeout(() => this.onOpen(), 0);
+	}
+
+	send(text) {
+		this.replayer.sent.push(JSON.parse(text));
+	}
+
+	close() {
+		setTimeout(() => this.onClose({code: 1000, reason: "replay closed"}), 0);
+	}
+}
+
+/**
+ * SignallingReplayer feeds the received messages of a recorded journal to @WebSocketAdaptor.onMessage in order
+ * to reproduce the behaviour of the adaptor without a server.
+ *
+ * 	const replayer = new SignallingReplayer({journal: text});
+ * 	const webRTCAdaptor = new WebRTCAdaptor({..., transportFactory: replayer.transportFactory});
+ * 	webRTCAdaptor.once("initialized", () => {
+ * 		replayer.replay(webRTCAdaptor.webSocketAdaptor).then(sent => {...});
+ * 	});
+ *
+ * Messages are fed one by one and the pending tasks of the adaptor are run before the next message, so the replay
+ * is deterministic. If speed is set, messages are fed with the recorded delays divided by speed instead.
+ * Messages which are sent by the adaptor during the replay are kept in @sent to compare them with the journal.
+ */
+export class SignallingReplayer
+{
+	constructor(initialValues) {
+		/**
+		 * Journal to replay. It can be a @SignallingJournal, its exported text or its entries
+		 */
+		this.journal = null;
+
+		/**
+		 * Speed of the replay with the recorded delays. Messages are fed without delays if it's 0
+		 */
+		this.speed = 0;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		if (typeof this.journal == "string") {
+			this.entries = parseJournal(this.journal);
+		}
+		else if (this.journal instanceof SignallingJournal) {
+			this.entries = this.journal.getEntries();
+		}
+		else {
+			this.entries = this.journal || [];
+		}
+
+		/**
+		 * Index of the next entry to replay
+		 */
+		this.position = 0;
+
+		/**
+		 * Parsed messages which are sent by the adaptor during the replay
+		 */
+		this.sent = [];
+
+		this.transportFactory = (url) => new ReplayTransport(url, this);
+	}
+
+	/**
+	 * Called to feed the next received message to the adaptor. Sent messages in the journal are skipped.
+	 * Returns the entry of the message or null if the journal is finished
+	 */
+	step(webSocketAdaptor) {
+		while (this.position < this.entries.length) {
+			var entry = this.entries[this.position++];
+			if (entry.direction == "in") {
+				webSocketAdaptor.onMessage(entry.message != null ? JSON.stringify(entry.message) : entry.text);
+				return entry;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Called by user to feed all remaining received messages. Returns a promise which is resolved with @sent
+	 * when the replay is finished
+	 */
+	replay(webSocketAdaptor) {
+		return new Promise((resolve, reject) => {
+			var previousTime = null;
+			var next = () => {
+				var entry = this.entries.slice(this.position).find(item => item.direction == "in");
+				if (entry == null) {
+					//let the adaptor handle the last message
+					setTimeout(() => resolve(this.sent), 0);
+					return;
+				}
+				var delay = this.speed > 0 && previousTime != null ? Math.max(0, entry.time - previousTime) / this.speed : 0;
+				previousTime = entry.time;
+				setTimeout(() => {
+					try {
+						this.step(webSocketAdaptor);
+						next();
+					}
+					catch (e) {
+						reject(e);
+					}
+				}, delay);
+			};
+			next();
+		});
+	}
+}
@@ -0,0 +1,79 @@
+/**
+ * SignallingTransport is the interface between @WebSocketAdaptor and the connection
+ * that carries the signalling messages to Ant Media Server.
+ *
+ * WebSocketAdaptor creates a transport for each connection attempt with the transportFactory
+ * parameter, sets the event handlers below and calls @connect. Another transport
+ * (HTTP long-polling, MessagePort, in-memory loopback for tests, etc.) can be used by extending this class
+ * and providing a factory to WebRTCAdaptor:
+ *
+ * 	new WebRTCAdaptor({
+ * 		...
+ * 		transportFactory: (url) => new MyTransport(url),
+ * 	});
+ *
+ * Event handlers that the implementations should call:
+ * 	 onOpen(): when the connection is established
+ * 	 onMessage(data): when a message is received. data is the JSON text of the message
+ * 	 onError(error): when an error occurs
+ * 	 onClose(event): when the connection is closed. It should be called after a failed connection attempt as well
+ */
+export class SignallingTransport
+{
+	constructor(url) {
+		this.url = url;
+		this.onOpen = () => {};
+		this.onMessage = (data) => {};
+		this.onError = (error) => {};
+		this.onClose = (event) => {};
+	}
+
+	/**
+	 * Called by WebSocketAdaptor to start the connection
+	 */
+	connect() {
+		throw new Error("connect is not implemented");
+	}
+
+	/**
+	 * Called by WebSocketAdaptor to send a message when the connection is established
+	 * 	 text: JSON text of the message
+	 */
+	send(text) {
+		throw new Error("send is not implemented");
+	}
+
+	/**
+	 * Called by WebSocketAdaptor to close the connection
+	 */
+	close() {
+		throw new Error("close is not implemented");
+	}
+}
+
+/**
+ * The default transport which uses the browser WebSocket
+ */
+export class WebSocketTransport extends SignallingTransport
+{
+	constructor(url) {
+		super(url);
+		this.wsConn = null;
+	}
+
+	connect() {
+		this.wsConn = new WebSocket(this.url);
+		this.wsConn.onopen = () => this.onOpen();
+		this.wsConn.onmessage = (event) => this.onMessage(event.data);
+		this.wsConn.onerror = (error) => this.onError(error);
+		this.wsConn.onclose = (event) => this.onClose(event);
+	}
+
+	send(text) {
+		this.wsConn.send(text);
+	}
+
+	close() {
+		this.wsConn.close();
+	}
+}
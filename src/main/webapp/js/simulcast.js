@@ -0,0 +1,161 @@
+/**
+ * Default simulcast layers from the lowest to the highest. maxBitrate is in bits/sec like RTCRtpEncodingParameters
+ */
+export const DEFAULT_SIMULCAST_LAYERS = [
+	{rid: "q", scaleResolutionDownBy: 4, maxBitrate: 150000},
+	{rid: "h", scaleResolutionDownBy: 2, maxBitrate: 500000},
+	{rid: "f", scaleResolutionDownBy: 1, maxBitrate: 1500000},
+];
+
+const ENCODING_FIELDS = ["rid", "active", "scaleResolutionDownBy", "maxBitrate", "maxFramerate"];
+
+/**
+ * Returns the RTCRtpEncodingParameters of a layer
+ */
+export function toEncoding(layer) {
+	var encoding = {active: true};
+	ENCODING_FIELDS.forEach(field => {
+		if (layer[field] != null) {
+			encoding[field] = layer[field];
+		}
+	});
+	return encoding;
+}
+
+/**
+ * Returns the maxBitrate of each layer for the bandwidth. Configured bitrates of the layers are scaled down
+ * with the same ratio if their sum is more than the bandwidth, so that the lower layers keep their share.
+ * Disabled layers are not counted.
+ * 	 layers: configured layers
+ * 	 bandwidth: maximum total bitrate in kbps or "unlimited"
+ */
+export function limitLayerBitrates(layers, bandwidth) {
+	var total = layers.reduce((sum, layer) => sum + (layer.active !== false && layer.maxBitrate != null ? layer.maxBitrate : 0), 0);
+	var ratio = bandwidth !== "unlimited" && total > bandwidth * 1000 ? bandwidth * 1000 / total : 1;
+	return layers.map(layer => layer.maxBitrate != null ? Math.floor(layer.maxBitrate * ratio) : null);
+}
+
+/**
+ * SimulcastManager publishes the video in several layers (encodings) with different resolutions and bitrates
+ * when @simulcastEnabled is true. The video track is added with addTransceiver and sendEncodings of @simulcastLayers,
+ * so the server can forward the layer which fits each viewer.
+ *
+ * 	new WebRTCAdaptor({..., simulcastEnabled: true, simulcastLayers: [
+ * 		{rid: "h", scaleResolutionDownBy: 2, maxBitrate: 500000, maxFramerate: 15},
+ * 		{rid: "f", scaleResolutionDownBy: 1, maxBitrate: 1500000},
+ * 	]});
+ * 	webRTCAdaptor.setSimulcastLayerEnabled(streamId, "f", false);
+ *
+ * @MediaManager.changeBandwidth limits the total bitrate of the layers with @limitLayerBitrates.
+ * Stats of the layers are provided by @PeerStats.getLayers
+ */
+export class SimulcastManager
+{
+	constructor(initialValues) {
+		/**
+		 * If it's true, published streams are sent with simulcast
+		 */
+		this.simulcastEnabled = false;
+
+		/**
+		 * Layers of the published streams from the lowest to the highest. Each layer is
+		 * {rid, scaleResolutionDownBy, maxBitrate, maxFramerate}. maxBitrate is in bits/sec
+		 */
+		this.simulcastLayers = DEFAULT_SIMULCAST_LAYERS.map(layer => Object.assign({}, layer));
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * Current configuration of the layers of the published streams. Keys are the stream ids
+		 */
+		this.layers = new Map();
+	}
+
+	/**
+	 * Called when the PeerConnection of a published stream is created to add the tracks of the local stream.
+	 * Video tracks are added with the simulcast layers
+	 */
+	addTracks(streamId, peerConnection, stream) {
+		var layers = this.simulcastLayers.map(layer => Object.assign({active: true}, layer));
+		this.layers.set(streamId, layers);
+		stream.getTracks().forEach(track => {
+			if (track.kind == "video") {
+				peerConnection.addTransceiver(track, {direction: "sendonly", streams: [stream], sendEncodings: layers.map(toEncoding)});
+			}
+			else {
+				peerConnection.addTrack(track, stream);
+			}
+		});
+	}
+
+	/**
+	 * Returns the current encodings of the layers of a published stream as {rid, active, scaleResolutionDownBy, maxBitrate, maxFramerate}.
+	 * It's empty if the stream is not published with simulcast
+	 */
+	getSimulcastLayers(streamId) {
+		var sender = this.webRTCAdaptor.getSender(streamId, "video");
+		if (sender == null || !this.layers.has(streamId)) {
+			return [];
+		}
+		return (sender.getParameters().encodings || []).map(toEncoding);
+	}
+
+	/**
+	 * Returns the configured layers of a stream or null if it's not published with simulcast
+	 */
+	getConfiguredLayers(streamId) {
+		return this.layers.get(streamId) || null;
+	}
+
+	/**
+	 * Called by user to start or stop sending a layer at runtime
+	 * 	 streamId: id of the published stream
+	 * 	 rid: rid of the layer
+	 * 	 enabled: true to send the layer
+	 */
+	setSimulcastLayerEnabled(streamId, rid, enabled) {
+		return this.setSimulcastLayerParameters(streamId, rid, {active: enabled});
+	}
+
+	/**
+	 * Called by user to change the parameters of a layer at runtime. "simulcast_layer_changed" is notified with
+	 * {streamId, rid, active, scaleResolutionDownBy, maxBitrate, maxFramerate} when they're applied
+	 * 	 parameters: some of {active, scaleResolutionDownBy, maxBitrate, maxFramerate}
+	 */
+	setSimulcastLayerParameters(streamId, rid, parameters) {
+		var layer = (this.layers.get(streamId) || []).find(item => item.rid == rid);
+		var sender = this.webRTCAdaptor.getSender(streamId, "video");
+		if (layer == null || sender == null) {
+			return Promise.reject("Simulcast layer " + rid + " is not found for stream " + streamId);
+		}
+		var senderParameters = sender.getParameters();
+		var encoding = (senderParameters.encodings || []).find(item => item.rid == rid);
+		if (encoding == null) {
+			return Promise.reject("Simulcast layer " + rid + " is not found for stream " + streamId);
+		}
+		Object.assign(encoding, parameters);
+		return sender.setParameters(senderParameters).then(() => {
+			//configured layer is changed only if the parameters are applied
+			Object.assign(layer, parameters);
+			this.callback("simulcast_layer_changed", Object.assign({streamId: streamId}, toEncoding(encoding)));
+		});
+	}
+
+	/**
+	 * Called when the PeerConnection of a stream is closed
+	 */
+	removeStream(streamId) {
+		this.layers.delete(streamId);
+	}
+}
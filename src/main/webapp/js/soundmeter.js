@@ -8,47 +8,258 @@
 
 'use strict';
 
+/**
+ * Name of the AudioWorklet processor which measures the levels
+ */
+export const SOUND_METER_PROCESSOR_NAME = "sound-meter-processor";
+
+/**
+ * Adds the samples of a render quantum to the measurement state.
+ * It runs in the AudioWorklet and in the ScriptProcessor fallback so it should not refer to anything outside
+ */
+export function accumulateLevels(state, channels, clipThreshold) {
+  for (var c = 0; c < channels.length; c++) {
+    var samples = channels[c];
+    for (var i = 0; i < samples.length; i++) {
+      var value = samples[i];
+      var abs = value < 0 ? -value : value;
+      state.sum += value * value;
+      if (abs > state.peak) {
+        state.peak = abs;
+      }
+      if (abs >= clipThreshold) {
+        state.clipped++;
+      }
+    }
+    state.samples += samples.length;
+  }
+}
+
+/**
+ * Calculates the levels of the accumulated samples and resets the state for the next measurement.
+ * Decayed level follows the rises immediately and falls with decayFactor for each measurement
+ */
+export function reportLevels(state, decayFactor) {
+  var rms = state.samples > 0 ? Math.sqrt(state.sum / state.samples) : 0;
+  var levels = {
+    rms: rms,
+    peak: state.peak,
+    clipping: state.samples > 0 ? state.clipped / state.samples : 0,
+    decayed: Math.max(rms, state.decayed * decayFactor),
+  };
+  state.sum = 0;
+  state.peak = 0;
+  state.clipped = 0;
+  state.samples = 0;
+  state.frames = 0;
+  state.decayed = levels.decayed;
+  return levels;
+}
+
+function createLevelState() {
+  return {sum: 0, peak: 0, clipped: 0, samples: 0, frames: 0, decayed: 0};
+}
+
+/**
+ * Source of the AudioWorklet module. It's loaded from a Blob so that it works wherever the SDK is served from
+ */
+export function createProcessorSource() {
+  return "var accumulateLevels = " + accumulateLevels.toString() + ";\n"
+    + "var reportLevels = " + reportLevels.toString() + ";\n"
+    + "var createLevelState = " + createLevelState.toString() + ";\n"
+    + `class SoundMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    var parameters = options.processorOptions || {};
+    this.reportFrames = Math.max(128, Math.round(sampleRate * parameters.reportInterval / 1000));
+    this.decayFactor = parameters.decayFactor;
+    this.clipThreshold = parameters.clipThreshold;
+    this.state = createLevelState();
+    this.active = true;
+    this.port.onmessage = (event) => {
+      if (event.data == "stop") {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs) {
+    var channels = inputs[0] || [];
+    accumulateLevels(this.state, channels, this.clipThreshold);
+    this.state.frames += channels.length > 0 ? channels[0].length : 128;
+    if (this.state.frames >= this.reportFrames) {
+      this.port.postMessage(reportLevels(this.state, this.decayFactor));
+    }
+    return this.active;
+  }
+}
+registerProcessor("${SOUND_METER_PROCESSOR_NAME}", SoundMeterProcessor);
+`;
+}
+
+var sharedAudioContext = null;
+
+/**
+ * Returns the AudioContext which is shared by the sound meters of the local and remote streams
+ * and the gain nodes of the local audio
+ */
+export function getSharedAudioContext() {
+  if (sharedAudioContext == null || sharedAudioContext.state == "closed") {
+    sharedAudioContext = new AudioContext();
+  }
+  return sharedAudioContext;
+}
+
+/**
+ * Promises of the processor modules which are added to the contexts
+ */
+const processorModules = new WeakMap();
+
+function loadProcessor(context) {
+  if (typeof AudioWorkletNode == "undefined" || context.audioWorklet == null) {
+    //AudioWorklet is only available in secure contexts
+    return Promise.reject(new Error("AudioWorklet is not supported"));
+  }
+  var promise = processorModules.get(context);
+  if (promise == null) {
+    var url = URL.createObjectURL(new Blob([createProcessorSource()], {type: "application/javascript"}));
+    promise = context.audioWorklet.addModule(url);
+    processorModules.set(context, promise);
+    promise.catch(() => processorModules.delete(context));
+  }
+  return promise;
+}
+
 // Meter class that generates a number correlated to audio volume.
 // The meter class itself displays nothing, but it makes the
 // instantaneous and time-decaying volumes available for inspection.
 // It also reports on the fraction of samples that were at or near
 // the top of the measurement range.
-export function SoundMeter(context) {
-  this.context = context;
+//
+// Levels are measured in an AudioWorklet if it's supported. Otherwise
+// a ScriptProcessor on the main thread is used.
+//
+// 	 context: AudioContext to use. The shared context is used if it's not set
+// 	 options: {reportInterval: ms, decayTime: ms, clipThreshold: 0..1}
+export function SoundMeter(context, options) {
+  options = options || {};
+  this.context = context || getSharedAudioContext();
+  this.reportInterval = options.reportInterval || 50;
+  this.decayTime = options.decayTime || 1000;
+  this.clipThreshold = options.clipThreshold || 0.99;
+
+  // rms of the last measurement. It's kept for backward compatibility
   this.instant = 0.0;
-  this.script = context.createScriptProcessor(2048, 1, 1);
-  const that = this;
-  this.script.onaudioprocess = function(event) {
-    const input = event.inputBuffer.getChannelData(0);
-    let i;
-    let sum = 0.0;
-  
-    for (i = 0; i < input.length; ++i) {
-      sum += input[i] * input[i];
-    }
-    
-    that.instant = Math.sqrt(sum / input.length);
-  };
+  this.rms = 0.0;
+  this.peak = 0.0;
+  // fraction of the samples at or near the top of the range in the last measurement
+  this.clipping = 0.0;
+  // time-decaying level
+  this.decayed = 0.0;
+
+  // called with the levels after each measurement
+  this.onlevels = null;
+
+  this.node = null;
+  this.nodePromise = null;
+  this.mic = null;
+  this.stopped = false;
 }
 
+SoundMeter.prototype.getDecayFactor = function(interval) {
+  return Math.exp(-interval / this.decayTime);
+};
+
+SoundMeter.prototype.updateLevels = function(levels) {
+  this.instant = levels.rms;
+  this.rms = levels.rms;
+  this.peak = levels.peak;
+  this.clipping = levels.clipping;
+  this.decayed = levels.decayed;
+  if (this.onlevels != null) {
+    this.onlevels(levels);
+  }
+};
+
+SoundMeter.prototype.getLevels = function() {
+  return {rms: this.rms, peak: this.peak, clipping: this.clipping, decayed: this.decayed};
+};
+
+SoundMeter.prototype.createWorkletNode = function() {
+  this.node = new AudioWorkletNode(this.context, SOUND_METER_PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: {
+      reportInterval: this.reportInterval,
+      decayFactor: this.getDecayFactor(this.reportInterval),
+      clipThreshold: this.clipThreshold,
+    },
+  });
+  this.node.port.onmessage = (event) => this.updateLevels(event.data);
+};
+
+SoundMeter.prototype.createScriptNode = function() {
+  const bufferSize = 2048;
+  const state = createLevelState();
+  const decayFactor = this.getDecayFactor(bufferSize * 1000 / this.context.sampleRate);
+  this.node = this.context.createScriptProcessor(bufferSize, 1, 1);
+  this.node.onaudioprocess = (event) => {
+    accumulateLevels(state, [event.inputBuffer.getChannelData(0)], this.clipThreshold);
+    this.updateLevels(reportLevels(state, decayFactor));
+  };
+  // necessary to make sample run, but should not be.
+  this.node.connect(this.context.destination);
+};
+
 SoundMeter.prototype.connectToSource = function(stream, callback) {
-  try {
-    this.mic = this.context.createMediaStreamSource(stream);
-    this.mic.connect(this.script);
-    // necessary to make sample run, but should not be.
-    this.script.connect(this.context.destination);
-    if (typeof callback !== 'undefined') {
-      callback(null);
+  const done = (e) => {
+    if (e) {
+      console.error(e);
     }
-  } catch (e) {
-    console.error(e);
     if (typeof callback !== 'undefined') {
-      callback(e);
+      callback(e || null);
+    }
+  };
+  if (this.context.state == "suspended") {
+    this.context.resume().catch(() => {});
+  }
+  const connect = () => {
+    if (this.stopped) {
+      return;
+    }
+    try {
+      if (this.mic != null) {
+        // the source of the local stream changes
+        this.mic.disconnect();
+      }
+      this.mic = this.context.createMediaStreamSource(stream);
+      this.mic.connect(this.node);
+      done(null);
+    } catch (e) {
+      done(e);
     }
+  };
+  if (this.nodePromise == null) {
+    this.nodePromise = loadProcessor(this.context).then(() => {
+      this.createWorkletNode();
+    }).catch((e) => {
+      console.warn("Sound meter uses ScriptProcessor because AudioWorklet cannot be used: " + e.message);
+      this.createScriptNode();
+    });
   }
+  this.nodePromise.then(connect).catch(done);
 };
 
 SoundMeter.prototype.stop = function() {
-  this.mic.disconnect();
-  this.script.disconnect();
-};
\ No newline at end of file
+  this.stopped = true;
+  if (this.mic != null) {
+    this.mic.disconnect();
+  }
+  if (this.node != null) {
+    this.node.disconnect();
+    if (this.node.port != null) {
+      this.node.port.postMessage("stop");
+      this.node.port.onmessage = null;
+    }
+  }
+};
@@ -0,0 +1,330 @@
+import {EventEmitter} from "./event_emitter.js"
+
+/**
+ * Formats of the exported stats
+ */
+export const StatsFormat = {
+	OPEN_METRICS: "openmetrics",
+	NDJSON: "ndjson",
+};
+
+const CONTENT_TYPES = {
+	openmetrics: "application/openmetrics-text; version=1.0.0; charset=utf-8",
+	ndjson: "application/x-ndjson",
+};
+
+/**
+ * Metric families of the streams. Each one is [name, type, help, field of the record]
+ */
+const STREAM_METRICS = [
+	["webrtc_quality_score", "gauge", "MOS-like quality score of the stream between 1 and 4.5", "qualityScore"],
+	["webrtc_outgoing_bitrate_kbps", "gauge", "Total sent bitrate of the stream in kbits/sec", "outgoingBitrate"],
+	["webrtc_incoming_bitrate_kbps", "gauge", "Total received bitrate of the stream in kbits/sec", "incomingBitrate"],
+	["webrtc_available_outgoing_bitrate_bps", "gauge", "Available outgoing bitrate of the selected candidate pair in bits/sec", "availableOutgoingBitrate"],
+	["webrtc_candidate_pair_round_trip_time_seconds", "gauge", "Round trip time of the selected candidate pair", "currentRoundTripTime"],
+];
+
+/**
+ * Metric families of the RTP streams. Counters are written with the _total suffix
+ */
+const RTP_METRICS = [
+	["webrtc_rtp_bitrate_kbps", "gauge", "Bitrate of the RTP stream in kbits/sec", "bitrate"],
+	["webrtc_rtp_packets_sent", "counter", "Packets sent in the RTP stream", "packetsSent"],
+	["webrtc_rtp_bytes_sent", "counter", "Bytes sent in the RTP stream", "bytesSent"],
+	["webrtc_rtp_packets_received", "counter", "Packets received in the RTP stream", "packetsReceived"],
+	["webrtc_rtp_bytes_received", "counter", "Bytes received in the RTP stream", "bytesReceived"],
+	["webrtc_rtp_packets_lost", "counter", "Packets lost in the RTP stream. Sent streams are reported by the receiver", "packetsLost"],
+	["webrtc_rtp_fraction_lost", "gauge", "Fraction of the lost packets reported by the receiver", "fractionLost"],
+	["webrtc_rtp_jitter_seconds", "gauge", "Jitter of the RTP stream", "jitter"],
+	["webrtc_rtp_round_trip_time_seconds", "gauge", "Round trip time of the sent RTP stream", "roundTripTime"],
+	["webrtc_rtp_frames_per_second", "gauge", "Frames per second of the video", "framesPerSecond"],
+];
+
+function pick(source, fields) {
+	var result = {};
+	fields.forEach(field => {
+		if (source != null && source[field] != null) {
+			result[field] = source[field];
+		}
+	});
+	return result;
+}
+
+/**
+ * Returns a plain object of the current stats of a @PeerStats. It has the fields of its last sample,
+ * the stats of the selected candidate pair and an rtp array with the stats of each RTP stream.
+ */
+export function createStatsRecord(peerStats) {
+	var sample = peerStats.getLastSample() || peerStats.createSample();
+	var record = Object.assign({streamId: peerStats.streamId}, sample);
+	Object.assign(record, pick(peerStats.selectedCandidatePair, ["availableOutgoingBitrate", "currentRoundTripTime"]));
+	record.rtp = [];
+	peerStats.getOutboundRtp().forEach(entry => {
+		var rtp = Object.assign({direction: "outbound"}, pick(entry, ["kind", "ssrc", "rid", "codec", "bitrate", "packetsSent", "bytesSent",
+			"framesPerSecond", "frameWidth", "frameHeight", "qualityLimitationReason"]));
+		record.rtp.push(Object.assign(rtp, pick(peerStats.getRemoteInboundRtp(entry.ssrc), ["packetsLost", "fractionLost", "jitter", "roundTripTime"])));
+	});
+	peerStats.getInboundRtp().forEach(entry => {
+		record.rtp.push(Object.assign({direction: "inbound"}, pick(entry, ["kind", "ssrc", "codec", "bitrate", "packetsReceived", "bytesReceived",
+			"packetsLost", "jitter", "framesPerSecond", "frameWidth", "frameHeight"])));
+	});
+	return record;
+}
+
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+	var pairs = [];
+	for (var name in labels) {
+		if (labels[name] != null) {
+			pairs.push(name + "=\"" + escapeLabelValue(labels[name]) + "\"");
+		}
+	}
+	return "{" + pairs.join(",") + "}";
+}
+
+function writeFamily(lines, metric, points) {
+	points = points.filter(point => typeof point[1] == "number");
+	if (points.length == 0) {
+		return;
+	}
+	var name = metric[0];
+	var type = metric[1];
+	lines.push("# TYPE " + name + " " + type);
+	lines.push("# HELP " + name + " " + metric[2]);
+	var sampleName = type == "counter" ? name + "_total" : name;
+	points.forEach(point => lines.push(sampleName + formatLabels(point[0]) + " " + point[1]));
+}
+
+/**
+ * Returns the OpenMetrics text of the records which are created with @createStatsRecord.
+ * Each stream is labelled with stream_id and each RTP stream is labelled with direction, kind, ssrc and rid.
+ */
+export function recordsToOpenMetrics(records) {
+	var lines = [];
+	STREAM_METRICS.forEach(metric => {
+		writeFamily(lines, metric, records.map(record => [{stream_id: record.streamId}, record[metric[3]]]));
+	});
+	RTP_METRICS.forEach(metric => {
+		var points = [];
+		records.forEach(record => record.rtp.forEach(rtp => {
+			var labels = {stream_id: record.streamId, direction: rtp.direction, kind: rtp.kind, ssrc: rtp.ssrc, rid: rtp.rid};
+			points.push([labels, rtp[metric[3]]]);
+		}));
+		writeFamily(lines, metric, points);
+	});
+	lines.push("# EOF");
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Returns the newline-delimited JSON of the records which are created with @createStatsRecord. There is one line for each record
+ */
+export function recordsToNDJSON(records) {
+	return records.map(record => JSON.stringify(record) + "\n").join("");
+}
+
+/**
+ * Returns the OpenMetrics text of the current stats of the streams
+ * 	 peerStatsList: array of @PeerStats
+ */
+export function toOpenMetrics(peerStatsList) {
+	return recordsToOpenMetrics(peerStatsList.map(createStatsRecord));
+}
+
+/**
+ * Returns the newline-delimited JSON of the current stats of the streams
+ * 	 peerStatsList: array of @PeerStats
+ */
+export function toNDJSON(peerStatsList) {
+	return recordsToNDJSON(peerStatsList.map(createStatsRecord));
+}
+
+/**
+ * StatsReporter collects the stats of the streams whose stats are enabled with @WebRTCAdaptor.enableStats
+ * and POSTs them to an endpoint in batches.
+ *
+ * 	const reporter = new StatsReporter({webRTCAdaptor: webRTCAdaptor, url: "https://example.com/qos", format: "openmetrics"});
+ * 	reporter.on("stats_report_failed", ({error, count}) => {...});
+ * 	reporter.start();
+ *
+ * NDJSON batches have a line for each update of the stats. OpenMetrics batches have the last stats of each stream in the batch.
+ * Requests are sent with fetch unless send is provided. Records of the failed requests are sent again with the next batch.
+ */
+export class StatsReporter extends EventEmitter
+{
+	constructor(initialValues) {
+		super();
+
+		/**
+		 * The adaptor whose "updated_stats" events are reported. Stats can also be added with @addStats
+		 */
+		this.webRTCAdaptor = null;
+
+		/**
+		 * Endpoint to POST the stats
+		 */
+		this.url = null;
+
+		/**
+		 * Format of the requests. "ndjson" or "openmetrics"
+		 */
+		this.format = StatsFormat.NDJSON;
+
+		/**
+		 * A batch is sent when this many stats updates are collected
+		 */
+		this.batchSize = 10;
+
+		/**
+		 * The collected stats are sent in this period in milliseconds even if the batch is not full
+		 */
+		this.flushInterval = 10000;
+
+		/**
+		 * Additional headers of the requests like Authorization
+		 */
+		this.headers = {};
+
+		/**
+		 * Maximum number of the records to keep while the endpoint is not reachable. The oldest ones are dropped
+		 */
+		this.maxQueueSize = 1000;
+
+		/**
+		 * Optional function to send the requests instead of fetch. It's called with {url, method, headers, body}
+		 * and it should return a promise which is rejected if the request fails
+		 */
+		this.send = null;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		/**
+		 * Records which are waiting to be sent
+		 */
+		this.queue = [];
+
+		/**
+		 * Promise of the request which is being sent. It's null if there is no request
+		 */
+		this.sending = null;
+
+		this.timerId = -1;
+
+		this.adaptorListener = (info, obj) => this.handleEvent(info, obj);
+		if (this.webRTCAdaptor != null) {
+			this.webRTCAdaptor.on("*", this.adaptorListener);
+		}
+	}
+
+	/**
+	 * Called by user to start sending the collected stats periodically
+	 */
+	start() {
+		clearInterval(this.timerId);
+		this.timerId = setInterval(() => this.flush(), this.flushInterval);
+	}
+
+	/**
+	 * Called by user to stop the periodic requests. Collected stats are kept until @flush is called
+	 */
+	stop() {
+		clearInterval(this.timerId);
+		this.timerId = -1;
+	}
+
+	/**
+	 * Called by user to stop reporting and to stop listening the adaptor
+	 */
+	destroy() {
+		this.stop();
+		if (this.webRTCAdaptor != null) {
+			this.webRTCAdaptor.off("*", this.adaptorListener);
+		}
+	}
+
+	handleEvent(info, obj) {
+		if (info == "updated_stats") {
+			this.addStats(obj);
+		}
+	}
+
+	/**
+	 * Called to add the current stats of a stream to the batch
+	 * 	 peerStats: @PeerStats of the stream
+	 */
+	addStats(peerStats) {
+		this.queue.push(createStatsRecord(peerStats));
+		if (this.queue.length > this.maxQueueSize) {
+			this.queue.splice(0, this.queue.length - this.maxQueueSize);
+		}
+		if (this.queue.length >= this.batchSize) {
+			this.flush();
+		}
+	}
+
+	/**
+	 * Called to send the collected stats. Returns a promise which is resolved when the request is completed.
+	 * "stats_report_sent" with {count, size} or "stats_report_failed" with {count, error} is emitted after the request
+	 */
+	flush() {
+		if (this.sending != null) {
+			return this.sending;
+		}
+		if (this.queue.length == 0) {
+			return Promise.resolve();
+		}
+		var records = this.queue.splice(0);
+		var body = this.createBody(records);
+		var request = {
+			url: this.url,
+			method: "POST",
+			headers: Object.assign({"Content-Type": CONTENT_TYPES[this.format]}, this.headers),
+			body: body,
+		};
+		this.sending = this.sendRequest(request).then(() => {
+			this.sending = null;
+			this.emit("stats_report_sent", {count: records.length, size: body.length});
+		}, error => {
+			this.sending = null;
+			this.queue = records.concat(this.queue);
+			if (this.queue.length > this.maxQueueSize) {
+				this.queue.splice(0, this.queue.length - this.maxQueueSize);
+			}
+			this.emit("stats_report_failed", {count: records.length, error: error});
+		});
+		return this.sending;
+	}
+
+	/**
+	 * Called internally to create the body of a request
+	 */
+	createBody(records) {
+		if (this.format == StatsFormat.OPEN_METRICS) {
+			var lastRecords = new Map();
+			records.forEach(record => lastRecords.set(record.streamId, record));
+			return recordsToOpenMetrics(Array.from(lastRecords.values()));
+		}
+		return recordsToNDJSON(records);
+	}
+
+	sendRequest(request) {
+		if (this.send != null) {
+			return Promise.resolve().then(() => this.send(request));
+		}
+		return fetch(request.url, {method: request.method, headers: request.headers, body: request.body}).then(response => {
+			if (!response.ok) {
+				throw new Error("Stats report is failed with status " + response.status);
+			}
+		});
+	}
+}
@@ -0,0 +1,250 @@
+import {redactMessage} from "./redaction.js"
+
+/**
+ * Fields of the stats which are not recorded as series
+ */
+const SKIPPED_FIELDS = ["id", "type", "timestamp"];
+
+/**
+ * Returns the description in the format of the update log of chrome://webrtc-internals
+ */
+export function formatDescription(description) {
+	return "type: " + description.type + ", sdp: " + description.sdp;
+}
+
+/**
+ * Returns the ice candidate in the format of the update log of chrome://webrtc-internals
+ */
+export function formatCandidate(candidate) {
+	return "sdpMid: " + candidate.sdpMid + ", sdpMLineIndex: " + candidate.sdpMLineIndex + ", candidate: " + candidate.candidate;
+}
+
+/**
+ * StatsRecorder records the getStats reports and the signalling events of the PeerConnections of @WebRTCAdaptor
+ * while recording is started. The dump is in the format of chrome://webrtc-internals so that it can be opened
+ * with the tools of it and with stats_viewer.html.
+ *
+ * 	webRTCAdaptor.startStatsRecording();
+ * 	...
+ * 	webRTCAdaptor.downloadStatsDump();
+ *
+ * Each PeerConnection has an entry in the PeerConnections of the dump. Its key is the stream id and a sequence number
+ * because the PeerConnection of a stream is created again when it's played again. Each field of each stats object
+ * is a series and the oldest values are dropped after @statsRecordingMaxValues values.
+ */
+export class StatsRecorder
+{
+	constructor(initialValues) {
+		/**
+		 * Period of the getStats calls in milliseconds while recording
+		 */
+		this.statsRecordingInterval = 1000;
+
+		/**
+		 * Maximum number of the values to keep for each series
+		 */
+		this.statsRecordingMaxValues = 1000;
+
+		/**
+		 * Fields of the PeerConnection configuration whose values are redacted in the dump like the TURN credentials
+		 */
+		this.statsRecordingRedactedFields = ["username", "credential"];
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues.userParameters) {
+			if (initialValues.userParameters.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues.userParameters[key];
+			}
+		}
+
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * It's true while recording
+		 */
+		this.recording = false;
+
+		/**
+		 * Recorded PeerConnections. Keys are the keys of the dump and values are {streamId, peerConnection, rtcConfiguration, updateLog, stats}
+		 */
+		this.connections = new Map();
+
+		/**
+		 * Keys of the current PeerConnections of the streams
+		 */
+		this.activeKeys = new Map();
+
+		this.lastConnectionId = 0;
+		this.timerId = -1;
+	}
+
+	/**
+	 * Called by user to start recording. Existing PeerConnections are recorded from now on
+	 */
+	startStatsRecording() {
+		if (this.recording) {
+			return;
+		}
+		this.recording = true;
+		var peerConnections = this.webRTCAdaptor.remotePeerConnection;
+		Object.keys(peerConnections).forEach(streamId => {
+			if (peerConnections[streamId] != null) {
+				this.addPeerConnection(streamId, peerConnections[streamId]);
+			}
+		});
+		this.timerId = setInterval(() => this.collectStats(), this.statsRecordingInterval);
+	}
+
+	/**
+	 * Called by user to stop recording. Recorded data is kept until @clearStatsRecording is called
+	 */
+	stopStatsRecording() {
+		clearInterval(this.timerId);
+		this.timerId = -1;
+		this.recording = false;
+		this.activeKeys.clear();
+	}
+
+	/**
+	 * Called by user to remove the recorded data
+	 */
+	clearStatsRecording() {
+		var recording = this.recording;
+		this.stopStatsRecording();
+		this.connections.clear();
+		if (recording) {
+			this.startStatsRecording();
+		}
+	}
+
+	/**
+	 * Called when a PeerConnection is created
+	 */
+	addPeerConnection(streamId, peerConnection) {
+		if (!this.recording) {
+			return;
+		}
+		var key = streamId + "-" + (++this.lastConnectionId);
+		var rtcConfiguration = redactMessage(this.webRTCAdaptor.peerconnection_config || {}, this.statsRecordingRedactedFields);
+		this.connections.set(key, {
+			streamId: streamId,
+			peerConnection: peerConnection,
+			rtcConfiguration: rtcConfiguration,
+			updateLog: [],
+			stats: new Map(),
+		});
+		this.activeKeys.set(streamId, key);
+		this.recordEvent(streamId, "create", JSON.stringify(rtcConfiguration));
+	}
+
+	/**
+	 * Called when a PeerConnection is closed
+	 */
+	removePeerConnection(streamId) {
+		this.recordEvent(streamId, "close", "");
+		this.activeKeys.delete(streamId);
+	}
+
+	/**
+	 * Called when a signalling event of a PeerConnection happens
+	 * 	 type: type of the event like setLocalDescription or iceconnectionstatechange
+	 * 	 value: details of the event as string
+	 */
+	recordEvent(streamId, type, value) {
+		var connection = this.connections.get(this.activeKeys.get(streamId));
+		if (!this.recording || connection == null) {
+			return;
+		}
+		connection.updateLog.push({time: new Date().toISOString(), type: type, value: value != null ? String(value) : ""});
+	}
+
+	/**
+	 * Called periodically to add the stats reports of the current PeerConnections.
+	 * Returns a promise which is resolved when all reports are added
+	 */
+	collectStats() {
+		var promises = [];
+		this.activeKeys.forEach(key => {
+			var connection = this.connections.get(key);
+			promises.push(connection.peerConnection.getStats().then(report => {
+				this.addReport(connection, report, Date.now());
+			}).catch(error => console.warn("Cannot record the stats of " + connection.streamId + ": " + error)));
+		});
+		return Promise.all(promises);
+	}
+
+	/**
+	 * Called internally to add the fields of the stats in a report to their series
+	 */
+	addReport(connection, report, time) {
+		report.forEach(stats => {
+			for (var field in stats) {
+				if (SKIPPED_FIELDS.includes(field) || stats[field] == null) {
+					continue;
+				}
+				var name = stats.id + "-" + field;
+				var series = connection.stats.get(name);
+				if (series == null) {
+					series = {statsType: stats.type, times: [], values: []};
+					connection.stats.set(name, series);
+				}
+				var value = stats[field];
+				series.times.push(time);
+				series.values.push(typeof value == "object" ? JSON.stringify(value) : value);
+				if (series.values.length > this.statsRecordingMaxValues) {
+					series.times.shift();
+					series.values.shift();
+				}
+			}
+		});
+	}
+
+	/**
+	 * Returns the recorded data in the format of chrome://webrtc-internals
+	 */
+	getStatsDump() {
+		var peerConnections = {};
+		this.connections.forEach((connection, key) => {
+			var stats = {};
+			connection.stats.forEach((series, name) => {
+				stats[name] = {
+					startTime: new Date(series.times[0]).toISOString(),
+					endTime: new Date(series.times[series.times.length - 1]).toISOString(),
+					statsType: series.statsType,
+					values: JSON.stringify(series.values),
+				};
+			});
+			peerConnections[key] = {
+				pid: 0,
+				lid: key,
+				url: typeof window != "undefined" && window.location != null ? window.location.href : "",
+				rtcConfiguration: JSON.stringify(connection.rtcConfiguration || {}),
+				constraints: "",
+				updateLog: connection.updateLog.slice(),
+				stats: stats,
+			};
+		});
+		return {
+			getUserMedia: [],
+			PeerConnections: peerConnections,
+			UserAgent: typeof navigator != "undefined" ? navigator.userAgent : "",
+		};
+	}
+
+	/**
+	 * Called by user to download the dump as a file
+	 * 	 fileName: name of the file. Default is webrtc_internals_dump.txt like chrome://webrtc-internals
+	 */
+	downloadStatsDump(fileName) {
+		var url = URL.createObjectURL(new Blob([JSON.stringify(this.getStatsDump())], {type: "application/json"}));
+		var link = document.createElement("a");
+		link.href = url;
+		link.download = fileName || "webrtc_internals_dump.txt";
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+}
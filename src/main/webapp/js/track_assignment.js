@@ -0,0 +1,349 @@
+import {EventEmitter} from "./event_emitter.js"
+
+/**
+ * Prefix of the track ids of the participants in the idMapping when each participant has its own track
+ */
+export const PARTICIPANT_TRACK_PREFIX = "ARDAMSx";
+
+/**
+ * The notification which AMS sends over the data channel of the main stream to tell
+ * which participant is on which video track. Its payload is [{videoLabel, trackId}]
+ */
+export const VIDEO_TRACK_ASSIGNMENT_LIST = "VIDEO_TRACK_ASSIGNMENT_LIST";
+
+/**
+ * TrackAssignmentManager keeps the mapping of the video tracks of a multitrack conference to the participants.
+ * AMS sends a limited number of video tracks (like "videoTrack0", "videoTrack1") to the player and assigns
+ * the participants to them. This class tracks the assignments and provides pinning, pagination and
+ * the active speaker slot on top of the commands of @WebRTCAdaptor.
+ *
+ * 	const manager = new TrackAssignmentManager({webRTCAdaptor: webRTCAdaptor, mainStreamId: roomName, activeSpeakerSlot: true});
+ * 	manager.on("assignment_changed", ({assignments, offset, size}) => {...});
+ * 	manager.pin("participant1");
+ * 	manager.nextPage();
+ *
+ * Each assignment is {label, mid, streamId, pinned, activeSpeaker, track, stream}. streamId is null if
+ * no participant is assigned to the track yet.
+ */
+export class TrackAssignmentManager extends EventEmitter
+{
+	constructor(initialValues) {
+		super();
+
+		/**
+		 * The adaptor which plays the main stream
+		 */
+		this.webRTCAdaptor = null;
+
+		/**
+		 * Id of the main stream which has the tracks of the participants. It's the room name in the conference
+		 */
+		this.mainStreamId = null;
+
+		/**
+		 * Number of the participants in a page. Number of the video tracks is used if it's 0
+		 */
+		this.pageSize = 0;
+
+		/**
+		 * If it's true, the active speaker is assigned to a video track when it's not visible.
+		 * Check @setActiveSpeaker
+		 */
+		this.activeSpeakerSlot = false;
+
+		/**
+		 * Label of the video track for the active speaker. The last video track which is not pinned is used if it's null
+		 */
+		this.activeSpeakerLabel = null;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		/**
+		 * The video tracks of the main stream in the order of their mids. Its keys are the labels of the tracks
+		 */
+		this.slots = new Map();
+
+		/**
+		 * Offset of the current page in the participant list. Check @setPage
+		 */
+		this.offset = 0;
+
+		/**
+		 * Stream id of the active speaker. Check @setActiveSpeaker
+		 */
+		this.activeSpeakerId = null;
+
+		/**
+		 * Track ids which are disabled with @setTrackEnabled
+		 */
+		this.disabledTracks = new Set();
+
+		this.adaptorListener = (info, obj) => this.handleEvent(info, obj);
+		this.webRTCAdaptor.on("*", this.adaptorListener);
+	}
+
+	/**
+	 * Called by user to stop listening the adaptor
+	 */
+	destroy() {
+		this.webRTCAdaptor.off("*", this.adaptorListener);
+	}
+
+	/**
+	 * Returns the current assignments of the video tracks
+	 */
+	getAssignments() {
+		return Array.from(this.slots.values()).map(slot => Object.assign({}, slot));
+	}
+
+	/**
+	 * Returns the assignment of the participant or null if it's not on a video track
+	 * 	 streamId: stream id of the participant
+	 */
+	getAssignment(streamId) {
+		var slot = this.findSlot(streamId);
+		return slot != null ? Object.assign({}, slot) : null;
+	}
+
+	/**
+	 * Called by user to pin a participant to a video track. The participant stays on the track while paging
+	 * 	 streamId: stream id of the participant
+	 * 	 label: label of the video track. If it's not set, the track of the participant or the first track
+	 * 			which is not pinned is used
+	 * Returns false if there is no video track to pin
+	 */
+	pin(streamId, label) {
+		var slot = label != null ? this.slots.get(label) : this.findSlot(streamId);
+		if (slot == null) {
+			slot = this.findFreeSlot();
+		}
+		if (slot == null) {
+			console.warn("There is no video track to pin the participant: " + streamId);
+			return false;
+		}
+		var currentSlot = this.findSlot(streamId);
+		if (currentSlot != null && currentSlot !== slot) {
+			this.releaseSlot(currentSlot);
+		}
+		if (slot.streamId != null && slot.streamId != streamId && (slot.pinned || slot.activeSpeaker)) {
+			this.webRTCAdaptor.assignVideoTrack(slot.label, slot.streamId, false);
+		}
+		this.webRTCAdaptor.assignVideoTrack(slot.label, streamId, true);
+		slot.streamId = streamId;
+		slot.pinned = true;
+		slot.activeSpeaker = false;
+		this.notifyAssignmentChanged();
+		return true;
+	}
+
+	/**
+	 * Called by user to unpin a participant which is pinned with @pin
+	 * 	 streamId: stream id of the participant
+	 * Returns false if the participant is not pinned
+	 */
+	unpin(streamId) {
+		var slot = this.findSlot(streamId);
+		if (slot == null || !slot.pinned) {
+			return false;
+		}
+		this.releaseSlot(slot);
+		this.notifyAssignmentChanged();
+		return true;
+	}
+
+	/**
+	 * Called by user to show a page of the participants on the video tracks which are not pinned
+	 * 	 offset: index of the first participant
+	 * 	 size: number of the participants. @pageSize is used if it's not set
+	 */
+	setPage(offset, size) {
+		this.offset = Math.max(0, offset);
+		this.webRTCAdaptor.updateVideoTrackAssignments(this.mainStreamId, this.offset, size != null ? size : this.getPageSize());
+		this.notifyAssignmentChanged();
+	}
+
+	nextPage() {
+		this.setPage(this.offset + this.getPageSize());
+	}
+
+	previousPage() {
+		this.setPage(this.offset - this.getPageSize());
+	}
+
+	getPageSize() {
+		return this.pageSize > 0 ? this.pageSize : this.slots.size;
+	}
+
+	/**
+	 * Called by user to change the number of the video tracks which AMS sends
+	 * 	 count: maximum number of the video tracks
+	 */
+	setMaxVideoTrackCount(count) {
+		this.webRTCAdaptor.setMaxVideoTrackCount(this.mainStreamId, count);
+	}
+
+	/**
+	 * Called by user to enable/disable the data flow of a track of the main stream
+	 * 	 trackId: id of the track
+	 * 	 enabled: true or false
+	 */
+	setTrackEnabled(trackId, enabled) {
+		if (enabled) {
+			this.disabledTracks.delete(trackId);
+		}
+		else {
+			this.disabledTracks.add(trackId);
+		}
+		this.webRTCAdaptor.enableTrack(this.mainStreamId, trackId, enabled);
+	}
+
+	/**
+	 * Called by user or the dominant speaker detection when the active speaker changes.
+	 * If @activeSpeakerSlot is true and the speaker is not on a video track, it's assigned to the active speaker track
+	 * 	 streamId: stream id of the active speaker or null
+	 */
+	setActiveSpeaker(streamId) {
+		if (streamId == this.activeSpeakerId) {
+			return;
+		}
+		this.activeSpeakerId = streamId;
+		var changed = false;
+		if (this.activeSpeakerSlot && streamId != null && this.findSlot(streamId) == null) {
+			var slot = this.activeSpeakerLabel != null ? this.slots.get(this.activeSpeakerLabel) : this.findActiveSpeakerSlot();
+			if (slot != null && !slot.pinned) {
+				if (slot.activeSpeaker && slot.streamId != null) {
+					this.webRTCAdaptor.assignVideoTrack(slot.label, slot.streamId, false);
+				}
+				this.webRTCAdaptor.assignVideoTrack(slot.label, streamId, true);
+				slot.streamId = streamId;
+				slot.activeSpeaker = true;
+				changed = true;
+			}
+		}
+		this.slots.forEach(slot => {
+			if (slot.activeSpeaker && slot.streamId != streamId) {
+				this.releaseSlot(slot);
+				changed = true;
+			}
+		});
+		if (changed) {
+			this.notifyAssignmentChanged();
+		}
+	}
+
+	/**
+	 * Called internally to remove the pin or the active speaker assignment of a video track.
+	 * The participant of the track is cleared until AMS sends the new assignments unless the track
+	 * belongs to the participant
+	 */
+	releaseSlot(slot) {
+		if (slot.streamId != null && (slot.pinned || slot.activeSpeaker)) {
+			this.webRTCAdaptor.assignVideoTrack(slot.label, slot.streamId, false);
+		}
+		if (!slot.label.startsWith(PARTICIPANT_TRACK_PREFIX)) {
+			slot.streamId = null;
+		}
+		slot.pinned = false;
+		slot.activeSpeaker = false;
+	}
+
+	/**
+	 * Called internally to find the video track of a participant. The pinned and the active speaker tracks
+	 * are preferred because AMS may still send the participant on another track
+	 */
+	findSlot(streamId) {
+		var slots = Array.from(this.slots.values()).filter(slot => slot.streamId == streamId);
+		return slots.find(slot => slot.pinned || slot.activeSpeaker) || slots[0] || null;
+	}
+
+	findFreeSlot() {
+		var slots = Array.from(this.slots.values()).filter(slot => !slot.pinned && !slot.activeSpeaker);
+		return slots.find(slot => slot.streamId == null) || slots[0] || null;
+	}
+
+	findActiveSpeakerSlot() {
+		var slots = Array.from(this.slots.values()).filter(slot => !slot.pinned);
+		return slots.find(slot => slot.activeSpeaker) || slots[slots.length - 1] || null;
+	}
+
+	/**
+	 * Called internally for each event of the adaptor
+	 */
+	handleEvent(info, obj) {
+		if (info == "newStreamAvailable" && obj.streamId == this.mainStreamId && obj.track != null && obj.track.kind == "video") {
+			this.addSlot(obj);
+		}
+		else if (info == "data_received" && obj.streamId == this.mainStreamId && typeof obj.data == "string") {
+			this.receiveNotification(obj.data);
+		}
+		else if (info == "play_finished" && obj.streamId == this.mainStreamId) {
+			this.slots.clear();
+			this.offset = 0;
+			this.notifyAssignmentChanged();
+		}
+	}
+
+	/**
+	 * Called internally when a video track of the main stream is received
+	 */
+	addSlot(obj) {
+		var label = obj.trackId != null ? obj.trackId : obj.track.id;
+		var mid = null;
+		var idMapping = this.webRTCAdaptor.getIdMapping(this.mainStreamId);
+		if (idMapping != null) {
+			mid = Object.keys(idMapping).find(key => idMapping[key] == label) || null;
+		}
+		var slot = this.slots.get(label);
+		if (slot == null) {
+			//each participant has its own track if the track ids have the prefix
+			var streamId = label.startsWith(PARTICIPANT_TRACK_PREFIX) ? label.substring(PARTICIPANT_TRACK_PREFIX.length) : null;
+			slot = {label: label, mid: mid, streamId: streamId, pinned: false, activeSpeaker: false, track: null, stream: null};
+			this.slots.set(label, slot);
+		}
+		slot.track = obj.track;
+		slot.stream = obj.stream;
+		this.notifyAssignmentChanged();
+	}
+
+	/**
+	 * Called internally when a text is received from the data channel of the main stream
+	 */
+	receiveNotification(data) {
+		var notification;
+		try {
+			notification = JSON.parse(data);
+		}
+		catch (e) {
+			return;
+		}
+		if (notification == null || notification.eventType != VIDEO_TRACK_ASSIGNMENT_LIST || !Array.isArray(notification.payload)) {
+			return;
+		}
+		var changed = false;
+		notification.payload.forEach(assignment => {
+			var slot = this.slots.get(assignment.videoLabel);
+			var streamId = assignment.trackId != null && assignment.trackId != "" ? assignment.trackId : null;
+			if (slot != null && slot.streamId != streamId) {
+				//AMS may move the participants, so the pin of the track is not valid anymore
+				slot.streamId = streamId;
+				slot.pinned = false;
+				slot.activeSpeaker = false;
+				changed = true;
+			}
+		});
+		if (changed) {
+			this.notifyAssignmentChanged();
+		}
+	}
+
+	notifyAssignmentChanged() {
+		this.emit("assignment_changed", {assignments: this.getAssignments(), offset: this.offset, size: this.getPageSize()});
+	}
+}
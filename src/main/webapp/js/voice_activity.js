@@ -0,0 +1,331 @@
+import {EventEmitter} from "./event_emitter.js"
+import {getSharedAudioContext} from "./soundmeter.js"
+
+/**
+ * Lower and upper frequencies of the band which has most of the speech energy
+ */
+const SPEECH_BAND = [300, 3400];
+
+/**
+ * VoiceActivityDetector decides if there is speech in an audio stream. Each frame is voiced if
+ * 	- its energy is above the adaptive noise floor by @snrThreshold
+ * 	- most of its energy is in the speech band (@speechBandRatio)
+ * 	- its spectrum in the speech band is not flat like noise (@maximumFlatness)
+ * Speaking starts after voiced frames for @startTime and stops after unvoiced frames for @hangoverTime.
+ *
+ * 	const detector = new VoiceActivityDetector({stream: localStream});
+ * 	detector.on("speaking_started", ({level}) => {...});
+ * 	detector.on("speaking_stopped", () => {...});
+ * 	detector.start();
+ *
+ * The noise floor follows the energy down immediately and up slowly while there is no speech,
+ * so constant noises like fans don't start speaking.
+ */
+export class VoiceActivityDetector extends EventEmitter
+{
+	constructor(initialValues) {
+		super();
+
+		/**
+		 * The stream to analyze. Its first audio track is used. The track is connected again if it's replaced
+		 */
+		this.stream = null;
+
+		/**
+		 * AudioContext to use. The shared context of the sound meters is used if it's not set
+		 */
+		this.context = null;
+
+		/**
+		 * Analysis period in milliseconds
+		 */
+		this.interval = 50;
+
+		/**
+		 * Frame energy should be this much dB above the noise floor to be voiced
+		 */
+		this.snrThreshold = 9;
+
+		/**
+		 * Frames which are quieter than this dBFS value are never voiced
+		 */
+		this.minimumEnergy = -60;
+
+		/**
+		 * Minimum ratio of the energy in the speech band to the total energy of a voiced frame
+		 */
+		this.speechBandRatio = 0.5;
+
+		/**
+		 * Maximum spectral flatness of a voiced frame in the speech band. It's near 0 for tonal sounds like
+		 * speech and higher for noise
+		 */
+		this.maximumFlatness = 0.4;
+
+		/**
+		 * Rate of the noise floor to follow the energy up for each frame without speech, between 0 and 1
+		 */
+		this.noiseAdaptation = 0.05;
+
+		/**
+		 * Time in milliseconds of the voiced frames to start speaking
+		 */
+		this.startTime = 100;
+
+		/**
+		 * Time in milliseconds of the unvoiced frames to stop speaking
+		 */
+		this.hangoverTime = 600;
+
+		/**
+		 * The values of the above fields are provided as user parameters by the constructor.
+		 */
+		for (var key in initialValues) {
+			if (initialValues.hasOwnProperty(key) && this.hasOwnProperty(key)) {
+				this[key] = initialValues[key];
+			}
+		}
+
+		/**
+		 * rms level of the last frame between 0 and 1
+		 */
+		this.level = 0;
+
+		/**
+		 * Noise floor in dBFS. It's null until the first frame
+		 */
+		this.noiseFloor = null;
+
+		this.speaking = false;
+		this.voicedSince = -1;
+		this.lastVoicedTime = -1;
+
+		this.analyser = null;
+		this.source = null;
+		this.track = null;
+		this.timerId = -1;
+	}
+
+	/**
+	 * Called by user to start analyzing the stream
+	 */
+	start() {
+		if (this.context == null) {
+			this.context = getSharedAudioContext();
+		}
+		this.analyser = this.context.createAnalyser();
+		this.analyser.fftSize = 1024;
+		this.analyser.smoothingTimeConstant = 0.5;
+		this.timeData = new Float32Array(this.analyser.fftSize);
+		this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+		this.connectStream();
+		clearInterval(this.timerId);
+		this.timerId = setInterval(() => this.process(Date.now()), this.interval);
+	}
+
+	/**
+	 * Called by user to stop analyzing. "speaking_stopped" is emitted if it's speaking
+	 */
+	stop() {
+		clearInterval(this.timerId);
+		this.timerId = -1;
+		if (this.source != null) {
+			this.source.disconnect();
+			this.source = null;
+		}
+		this.track = null;
+		if (this.speaking) {
+			this.speaking = false;
+			this.emit("speaking_stopped", {});
+		}
+	}
+
+	/**
+	 * Called internally to connect the first audio track of the stream to the analyser
+	 */
+	connectStream() {
+		var track = this.stream != null ? this.stream.getAudioTracks()[0] : null;
+		if (track === this.track) {
+			return;
+		}
+		if (this.source != null) {
+			this.source.disconnect();
+			this.source = null;
+		}
+		this.track = track;
+		if (track != null) {
+			this.source = this.context.createMediaStreamSource(new MediaStream([track]));
+			this.source.connect(this.analyser);
+		}
+	}
+
+	/**
+	 * Called periodically to analyze the current frame of the stream
+	 */
+	process(now) {
+		this.connectStream();
+		this.analyser.getFloatTimeDomainData(this.timeData);
+		this.analyser.getFloatFrequencyData(this.frequencyData);
+		this.processFrame(this.timeData, this.frequencyData, this.context.sampleRate, now);
+	}
+
+	/**
+	 * Called internally to decide if a frame is voiced and to update the speaking state
+	 * 	 timeData: samples of the frame
+	 * 	 frequencyData: spectrum of the frame in dB like AnalyserNode.getFloatFrequencyData
+	 * 	 sampleRate: sample rate of the audio
+	 * 	 now: time of the frame in milliseconds
+	 * Returns the features of the frame {energy, speechRatio, flatness, voiced}
+	 */
+	processFrame(timeData, frequencyData, sampleRate, now) {
+		var sum = 0;
+		for (var i = 0; i < timeData.length; i++) {
+			sum += timeData[i] * timeData[i];
+		}
+		this.level = timeData.length > 0 ? Math.sqrt(sum / timeData.length) : 0;
+		var energy = 20 * Math.log10(Math.max(this.level, 1e-8));
+
+		//bin width is sampleRate / fftSize and there are fftSize / 2 bins
+		var binWidth = sampleRate / (2 * frequencyData.length);
+		var total = 0;
+		var speech = 0;
+		var logSum = 0;
+		var speechBins = 0;
+		for (var bin = 0; bin < frequencyData.length; bin++) {
+			var power = Math.pow(10, frequencyData[bin] / 10);
+			total += power;
+			var frequency = bin * binWidth;
+			if (frequency >= SPEECH_BAND[0] && frequency <= SPEECH_BAND[1]) {
+				speech += power;
+				logSum += Math.log(Math.max(power, 1e-20));
+				speechBins++;
+			}
+		}
+		var speechRatio = total > 0 ? speech / total : 0;
+		var flatness = speechBins > 0 && speech > 0 ? Math.exp(logSum / speechBins) / (speech / speechBins) : 1;
+
+		if (this.noiseFloor == null || energy < this.noiseFloor) {
+			this.noiseFloor = energy;
+		}
+
+		var voiced = energy > this.minimumEnergy && energy - this.noiseFloor > this.snrThreshold
+				&& speechRatio >= this.speechBandRatio && flatness <= this.maximumFlatness;
+
+		if (voiced) {
+			if (this.voicedSince == -1) {
+				this.voicedSince = now;
+			}
+			this.lastVoicedTime = now;
+			if (!this.speaking && now - this.voicedSince >= this.startTime) {
+				this.speaking = true;
+				this.emit("speaking_started", {level: this.level});
+			}
+		}
+		else {
+			this.voicedSince = -1;
+			this.noiseFloor += (energy - this.noiseFloor) * this.noiseAdaptation;
+			if (this.speaking && now - this.lastVoicedTime >= this.hangoverTime) {
+				this.speaking = false;
+				this.emit("speaking_stopped", {});
+			}
+		}
+		return {energy: energy, speechRatio: speechRatio, flatness: flatness, voiced: voiced};
+	}
+}
+
+/**
+ * VoiceActivityManager runs the voice activity detection for the local stream of @WebRTCAdaptor.
+ * It notifies "speaking_started" and "speaking_stopped" with {streamId, level} and sends the audio level
+ * of the local stream to the server with @WebRTCAdaptor.updateAudioLevel while the data channel is open.
+ *
+ * 	webRTCAdaptor.enableVoiceActivityDetection(publishStreamId);
+ *
+ * While the microphone is muted, the local track is silent. "speaking_but_muted" is notified by
+ * @MediaManager.enableAudioLevelWhenMuted with a detector for another stream of the microphone.
+ */
+export class VoiceActivityManager
+{
+	constructor(initialValues) {
+		this.webRTCAdaptor = initialValues.webRTCAdaptor;
+		this.callback = initialValues.callback;
+		this.callbackError = initialValues.callbackError;
+
+		/**
+		 * Detector for the local stream. It's null if the detection is not enabled
+		 */
+		this.detector = null;
+
+		/**
+		 * Stream id of the local stream to send its audio level
+		 */
+		this.streamId = null;
+
+		/**
+		 * The last audio level which is sent to the server
+		 */
+		this.lastSentLevel = -1;
+
+		this.audioLevelTimerId = -1;
+	}
+
+	/**
+	 * Called by user to start the voice activity detection for the local stream
+	 * 	 streamId: id of the published stream
+	 * 	 options: options of @VoiceActivityDetector and
+	 * 		audioLevelInterval: period in milliseconds to send the audio level. It's not sent if it's 0. Default is 200
+	 */
+	enableVoiceActivityDetection(streamId, options) {
+		this.disableVoiceActivityDetection();
+		options = options || {};
+		var localStream = this.webRTCAdaptor.mediaManager.localStream;
+		if (localStream == null) {
+			this.callbackError("NoActiveConnection", streamId);
+			return;
+		}
+		this.streamId = streamId;
+		this.detector = new VoiceActivityDetector(Object.assign({stream: localStream}, options));
+		this.detector.on("speaking_started", obj => this.callback("speaking_started", {streamId: streamId, level: obj.level}));
+		this.detector.on("speaking_stopped", () => this.callback("speaking_stopped", {streamId: streamId, level: 0}));
+		this.detector.start();
+
+		var audioLevelInterval = options.audioLevelInterval != null ? options.audioLevelInterval : 200;
+		if (audioLevelInterval > 0) {
+			this.audioLevelTimerId = setInterval(() => this.sendAudioLevel(), audioLevelInterval);
+		}
+	}
+
+	/**
+	 * Called by user to stop the voice activity detection
+	 */
+	disableVoiceActivityDetection() {
+		clearInterval(this.audioLevelTimerId);
+		this.audioLevelTimerId = -1;
+		if (this.detector != null) {
+			this.detector.stop();
+			this.detector = null;
+		}
+		this.lastSentLevel = -1;
+	}
+
+	/**
+	 * Returns true if the local stream has speech
+	 */
+	isSpeaking() {
+		return this.detector != null && this.detector.speaking;
+	}
+
+	/**
+	 * Called periodically to send the audio level of the local stream. Level is between 0 and 100
+	 * and it's 0 if there is no speech, so that the noise is not reported as speaking
+	 */
+	sendAudioLevel() {
+		var level = this.isSpeaking() ? Math.floor(this.detector.level * 100) : 0;
+		var dataChannel = this.webRTCAdaptor.getDataChannel(this.streamId);
+		if (level == this.lastSentLevel || dataChannel == null || dataChannel.readyState != "open") {
+			return;
+		}
+		this.lastSentLevel = level;
+		this.webRTCAdaptor.updateAudioLevel(this.streamId, level)
+		.catch(error => console.warn("Audio level cannot be sent for stream: " + this.streamId + " error: " + JSON.stringify(error)));
+	}
+}
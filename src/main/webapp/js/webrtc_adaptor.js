@@ -1,21 +1,33 @@
 import {PeerStats} from "./peer_stats.js"
 import {WebSocketAdaptor} from "./websocket_adaptor.js"
 import {MediaManager} from "./media_manager.js" 
-import {SoundMeter} from "./soundmeter.js" 
-
+import {SoundMeter, getSharedAudioContext} from "./soundmeter.js"
+import {EventEmitter} from "./event_emitter.js"
+import {SendingMessage, ReceivingMessage, FrameType, ContentType, DATA_FRAMING_PROTOCOL, isFrame, parseFrame, createCancelFrame} from "./data_transfer.js"
+import {FileTransferManager} from "./file_transfer.js"
+import {MessagingManager} from "./messaging.js"
+import {VoiceActivityManager} from "./voice_activity.js"
+import {NetworkQualityManager} from "./network_quality.js"
+import {StatsFormat, toOpenMetrics, toNDJSON} from "./stats_exporter.js"
+import {StatsRecorder, formatDescription, formatCandidate} from "./stats_recorder.js"
+import {SignallingJournal} from "./signalling_journal.js"
+import {SimulcastManager} from "./simulcast.js"
+import {AdaptiveBitrateController} from "./adaptive_bitrate.js"
 
 /**
- * This structure is used to handle large size data channel messages (like image)
- * which should be splitted into chunks while sending and receiving.
- * 
-*/
-class ReceivingMessage{
-		constructor(size) {
-		this.size = size;
-		this.received = 0;
-		this.data = new ArrayBuffer(size);
-	}
-}
+ * The error definitions of AMS which are sent as the response of the requests. 
+ * Its keys are the names of the successful responses. Check @waitForResponse
+ */
+const RESPONSE_ERRORS = {
+	publish_started: ["noStreamNameSpecified", "streamIdInUse", "unauthorized_access", "highResourceUsage", "not_initialized_yet",
+		"invalidStreamName", "publishTimeoutError", "license_suspended_please_renew_license", "not_allowed_unregistered_streams"],
+	play_started: ["noStreamNameSpecified", "no_stream_exist", "unauthorized_access", "highResourceUsage", "not_initialized_yet",
+		"license_suspended_please_renew_license", "viewerLimitReached"],
+	joinedTheRoom: ["no_room_specified", "room_not_active", "not_allowed", "unauthorized_access", "not_initialized_yet"],
+	streamInformation: ["no_stream_exist", "not_initialized_yet"],
+	roomInformation: ["no_room_specified", "room_not_active", "not_initialized_yet"],
+	trackList: ["no_stream_exist", "unauthorized_access", "not_initialized_yet"],
+};
 
 /**
  * WebRTCAdaptor Class is interface to the JS SDK of Ant Media Server (AMS). This class manages the signalling, 
@@ -37,9 +49,11 @@ class ReceivingMessage{
  * WebRTC peer-to-peer session
  * 
  */
-export class WebRTCAdaptor
+export class WebRTCAdaptor extends EventEmitter
 {
 	constructor(initialValues){
+		super();
+
 		/**
 		 * Used while initializing the PeerConnection
 		 * https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/RTCPeerConnection#parameters
@@ -93,9 +107,9 @@ export class WebRTCAdaptor
 		this.playStreamId = new Array();
 		
 		/**
-		 * Audio context to use
+		 * Audio context to use. Sound meters of the local and remote streams share it
 		 */
-		this.audioContext = new AudioContext();
+		this.audioContext = getSharedAudioContext();
 
 		/**
 		 * This is the flag indicates if multiple peers will join a peer in the peer to peer mode.
@@ -153,12 +167,64 @@ export class WebRTCAdaptor
 		this.dataChannelEnabled = true;
 
 		/**
-		 * This is array of @ReceivingMessage 
+		 * This is map of @ReceivingMessage 
 		 * When you receive multiple large size messages @ReceivingMessage simultaneously
-		 * this map is used to indicate them with its index tokens.
+		 * this map is used to indicate them with the stream id and their message ids (or tokens of the legacy format).
 		 */
 		this.receivingMessages = new Map();
 
+		/**
+		 * Binary messages are splitted into the chunks of this size in bytes while sending
+		 */
+		this.dataChannelChunkSize = 16000;
+
+		/**
+		 * Sending the chunks is paused when the buffered amount of the data channel exceeds this value in bytes.
+		 * It's resumed when the buffered amount drops to @dataChannelBufferedAmountLowThreshold
+		 */
+		this.dataChannelMaxBufferedAmount = 1024 * 1024;
+
+		/**
+		 * It's set as bufferedAmountLowThreshold of the data channels
+		 */
+		this.dataChannelBufferedAmountLowThreshold = 256 * 1024;
+
+		/**
+		 * The time in milliseconds to wait for the next chunk of a binary message.
+		 * The message is discarded and "data_receive_timeout" error is called if it expires
+		 */
+		this.dataChannelReceiveTimeout = 30000;
+
+		/**
+		 * Maximum size in bytes of the binary messages which are received. Larger messages are rejected
+		 * before their buffers are allocated and "data_message_too_large" error is called
+		 */
+		this.dataChannelMaxMessageSize = 64 * 1024 * 1024;
+
+		/**
+		 * If it's true, binary messages are sent in the legacy format which doesn't have checksum and cancellation,
+		 * so that the receivers which use the older SDKs can reassemble them. The frames are still sent to the
+		 * data channels whose creator announces them with its protocol. Check data_transfer.js.
+		 * Set it false if all receivers use this SDK. Both formats are received in any case
+		 */
+		this.legacyDataChannelFraming = true;
+
+		/**
+		 * If it's true, @updateAudioLevel sends the typed UPDATE_AUDIO_LEVEL message of @sendMessage.
+		 * Otherwise it sends the JSON with eventType which AMS and the older SDKs read from "data_received"
+		 */
+		this.audioLevelMessageEnabled = false;
+
+		/**
+		 * Options of the data channels which are created for the streams. They can be set for each stream with @setDataChannelOptions
+		 * 	 ordered: false for the unordered channel
+		 * 	 maxRetransmits or maxPacketLifeTime: for the partially reliable channel. Only one of them can be set
+		 * 	 negotiated, id: the channel is created by both peers with the same id instead of announcing it in-band
+		 * 	 channels: additional named channels of the PeerConnection like [{label: "telemetry", ordered: false, maxRetransmits: 0}].
+		 * 			Each of them has the same options as above
+		 */
+		this.dataChannelOptions = {ordered: true};
+
 		/**
 		 * Supported candidate types. Below types are for both sending and receiving candidates.
 		 * It means if when client receives candidate from STUN server, it sends to the server if candidate's protocol
@@ -166,6 +232,47 @@ export class WebRTCAdaptor
 		 * if candidate protocol is in the list below.
 		 */
 		this.candidateTypes = ["udp", "tcp"];
+
+		/**
+		 * If it's true, the publish, play and joinRoom sessions are restored automatically
+		 * when the web socket connection is re-established after it's lost unexpectedly.
+		 * Intermediate notifications are not called during the restoration. Instead
+		 * "session_restored" is called once when all sessions are restarted.
+		 */
+		this.restoreSessionOnReconnect = true;
+
+		/**
+		 * If it's true, ICE is restarted automatically when the ice connection state of a PeerConnection
+		 * is "disconnected" for @iceRestartGracePeriod or it's "failed"
+		 */
+		this.autoIceRestart = true;
+
+		/**
+		 * The time in milliseconds to wait for a "disconnected" PeerConnection to recover itself
+		 * before restarting ICE
+		 */
+		this.iceRestartGracePeriod = 5000;
+
+		/**
+		 * The time in milliseconds to wait for the response of a request (publish, play, joinRoom, getStreamInfo,
+		 * getRoomInfo, getTracks) before its promise is rejected with "requestTimeout" error
+		 */
+		this.requestTimeout = 20000;
+
+		/**
+		 * The default period in milliseconds to get the statistics of the streams whose stats are enabled with @enableStats
+		 */
+		this.statsInterval = 5000;
+
+		/**
+		 * Number of the samples to keep in the history of each stream's stats. Check @PeerStats.history
+		 */
+		this.statsHistorySize = 120;
+
+		/**
+		 * Optional @SignallingJournal to record the signalling messages. Check @enableSignallingJournal
+		 */
+		this.signallingJournal = null;
 		
 		/**
 		 * The values of the above fields are provided as this constructor parameter.
@@ -177,6 +284,74 @@ export class WebRTCAdaptor
 			}
 		}
 
+		/**
+		 * This keeps the parameters of the last publish request to be able to restore the session
+		 */
+		this.publishRequest = null;
+
+		/**
+		 * This keeps the parameters of the play requests to be able to restore the sessions.
+		 * Its keys are the Stream Ids
+		 */
+		this.playRequests = new Map();
+
+		/**
+		 * This keeps the parameters of the last joinRoom request to be able to restore the session
+		 */
+		this.joinRoomRequest = null;
+
+		/**
+		 * The requests which are active when the web socket connection is lost. 
+		 * They are sent again when the connection is re-established
+		 */
+		this.sessionToRestore = null;
+
+		/**
+		 * The keys of the restored requests which are not started yet.
+		 * "session_restored" is called when this set becomes empty
+		 */
+		this.pendingRestorations = new Set();
+
+		/**
+		 * The session which is being restored
+		 */
+		this.restoringSession = null;
+
+		/**
+		 * This keeps the timers of the scheduled ICE restarts. Its indices are the Stream Ids
+		 */
+		this.iceRestartTimers = new Array();
+
+		/**
+		 * This keeps the Stream Ids of the PeerConnections whose ICE is being restarted
+		 */
+		this.iceRestartStreamIds = new Set();
+
+		/**
+		 * This keeps the requests which are waiting for their responses from AMS.
+		 * Their promises are resolved when the matching notification is received or
+		 * rejected when the matching error is received or the request times out
+		 */
+		this.pendingRequests = new Array();
+
+		/**
+		 * This keeps the binary messages (@SendingMessage) which are being sent or waiting to be sent in order.
+		 * Its keys are the Stream Ids
+		 */
+		this.sendingMessages = new Map();
+
+		/**
+		 * Data channel options of the streams which are set with @setDataChannelOptions.
+		 * Streams which are not in this map use @dataChannelOptions
+		 */
+		this.streamDataChannelOptions = new Map();
+
+		/**
+		 * Id of the last sent binary message. It starts from a random value because more than one
+		 * peer may send data to the same stream
+		 */
+		this.lastDataMessageId = Math.floor(Math.random() * 0xFFFFFFFF);
+
 		/**
 		 * The html video tag for receiver is got here
 		 */
@@ -200,10 +375,82 @@ export class WebRTCAdaptor
 			userParameters : initialValues,
 			webRTCAdaptor : this,
 
-			callback : (info, obj) => {this.callback(info, obj)},
-			callbackError : (error, message) => {this.callbackError(error, message)},
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
 			getSender : (streamId, type) => {return this.getSender(streamId, type)},
+			getSimulcastLayers : (streamId) => {return this.simulcastManager.getConfiguredLayers(streamId)},
 		});				
+
+		/**
+		 * File transfers over the data channel are managed by @FileTransferManager class.
+		 * for details please check @FileTransferManager
+		 */
+		this.fileTransferManager = new FileTransferManager({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		/**
+		 * Typed messages over the data channel are managed by @MessagingManager class.
+		 * for details please check @MessagingManager
+		 */
+		this.messagingManager = new MessagingManager({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		/**
+		 * Voice activity detection for the local stream is managed by @VoiceActivityManager class.
+		 * for details please check @VoiceActivityManager
+		 */
+		this.voiceActivityManager = new VoiceActivityManager({
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		/**
+		 * Quality scores of the streams whose stats are enabled are managed by @NetworkQualityManager class.
+		 * for details please check @NetworkQualityManager
+		 */
+		this.networkQualityManager = new NetworkQualityManager({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		this.statsRecorder = new StatsRecorder({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		this.simulcastManager = new SimulcastManager({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
+
+		this.adaptiveBitrateController = new AdaptiveBitrateController({
+			userParameters : initialValues,
+			webRTCAdaptor : this,
+
+			callback : (info, obj) => {this.notifyEventListeners(info, obj)},
+			callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)},
+		});
 		
 		//Initialize the local stream (if needed) and web socket connection
 		this.initialize();
@@ -234,11 +481,14 @@ export class WebRTCAdaptor
 	 * 				Check:https://antmedia.io/antmediaserver-webrtc-multitrack-playing-feature/
 	 * 				!!! for multitrack conference set this value with roomName
 	 *   metaData: a free text information for the stream to AMS. It is provided to Rest methods by the AMS
+	 * Returns a Promise which is resolved with publish_started notification
 	 */ 
 	publish(streamId, token, subscriberId, subscriberCode, streamName, mainTrack, metaData) 
 	{
+		var promise = this.waitForResponse("publish_started", {streamId: streamId});
 		//TODO: should refactor the repeated code  
 		this.publishStreamId = streamId;
+		this.publishRequest = {streamId, token, subscriberId, subscriberCode, streamName, mainTrack, metaData};
 		this.mediaManager.publishStreamId = streamId;
 		if (this.onlyDataChannel) {
 			var jsCmd = {
@@ -288,6 +538,7 @@ export class WebRTCAdaptor
 			};
 		}
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
+		return promise;
 	}
 
 	/**
@@ -298,10 +549,13 @@ export class WebRTCAdaptor
 	 * 	 mode: 	legacy for older implementation (default value)
 	 * 			mcu for merging streams
 	 * 			amcu: audio only conferences with mixed audio
+	 * Returns a Promise which is resolved with joinedTheRoom notification
 	 */ 
 	joinRoom(roomName, streamId, mode) 
 	{
+		var promise = this.waitForResponse("joinedTheRoom", {roomName: roomName});
 		this.roomName = roomName;
+		this.joinRoomRequest = {roomName, streamId, mode};
 
 		var jsCmd = {
 				command : "joinRoom",
@@ -310,6 +564,7 @@ export class WebRTCAdaptor
 				mode: mode,
 		}
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
+		return promise;
 	}
 	
 	/**
@@ -323,20 +578,35 @@ export class WebRTCAdaptor
 	 * 	 subscriberId: required if TOTP enabled. Check https://github.com/ant-media/Ant-Media-Server/wiki/Time-based-One-Time-Password-(TOTP) 
 	 * 	 subscriberCode: required if TOTP enabled. Check https://github.com/ant-media/Ant-Media-Server/wiki/Time-based-One-Time-Password-(TOTP)
 	 *   metaData: a free text information for the stream to AMS. It is provided to Rest methods by the AMS
+	 * Returns a Promise which is resolved with play_started notification
 	 */ 
 	play(streamId, token, roomId, enableTracks, subscriberId, subscriberCode, metaData) 
 	{
-		this.playStreamId.push(streamId);
+		var promise = this.waitForResponse("play_started", {streamId: streamId});
+		if (!this.playStreamId.includes(streamId)) {
+			this.playStreamId.push(streamId);
+		}
+		this.playRequests.set(streamId, {streamId, token, roomId, enableTracks, subscriberId, subscriberCode, metaData});
+		this.sendPlayCommand(this.playRequests.get(streamId));
+		return promise;
+	}
+
+	/**
+	 * Called internally to send the play command of a play request. Check @play
+	 * 	 playRequest: the parameters of @play which are kept in playRequests
+	 */
+	sendPlayCommand(playRequest)
+	{
 		var jsCmd =
 		{
 				command : "play",
-				streamId : streamId,
-				token : token,
-				room : roomId,
-				trackList : enableTracks,
-				subscriberId: typeof subscriberId !== undefined ? subscriberId : "" ,
-				subscriberCode: typeof subscriberCode !== undefined ? subscriberCode : "",
-				viewerInfo : metaData,
+				streamId : playRequest.streamId,
+				token : playRequest.token,
+				room : playRequest.roomId,
+				trackList : playRequest.enableTracks,
+				subscriberId: typeof playRequest.subscriberId !== undefined ? playRequest.subscriberId : "" ,
+				subscriberCode: typeof playRequest.subscriberCode !== undefined ? playRequest.subscriberCode : "",
+				viewerInfo : playRequest.metaData,
 		}
 
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
@@ -350,6 +620,7 @@ export class WebRTCAdaptor
 	stop(streamId) 
 	{
 		this.closePeerConnection(streamId);
+		this.forgetRequest(streamId);
 
 		var jsCmd = {
 				command : "stop",
@@ -384,6 +655,7 @@ export class WebRTCAdaptor
 	leaveFromRoom(roomName) 
 	{
 		this.roomName = roomName;
+		this.joinRoomRequest = null;
 		var jsCmd = {
 				command : "leaveFromRoom",
 				room: roomName,
@@ -414,14 +686,17 @@ export class WebRTCAdaptor
 	 * Called to get a stream information for a specific stream. AMS responds with streamInformation message.
 	 * Parameters:
 	 * 	 streamId: unique id for the stream that you want to get info about
+	 * Returns a Promise which is resolved with streamInformation message
 	 */
 	getStreamInfo(streamId) 
 	{
+		var promise = this.waitForResponse("streamInformation", {streamId: streamId});
 		var jsCmd = {
 				command : "getStreamInfo",
 				streamId: streamId,
 		};
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
+		return promise;
 	}
 	
 	/**
@@ -446,15 +721,18 @@ export class WebRTCAdaptor
 	 * Parameters:
 	 * 	 roomName: unique id for the room that you want to get info about
 	 * 	 streamId: unique id for the stream that is streamed by this @WebRTCAdaptor
+	 * Returns a Promise which is resolved with roomInformation message
 	 */
 	getRoomInfo(roomName,streamId) 
 	{
+		var promise = this.waitForResponse("roomInformation", {roomName: roomName});
 		var jsCmd = {
 				command : "getRoomInfo",
 				streamId : streamId,
 				room: roomName,
 		};
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
+		return promise;
 	}
 
 	/**
@@ -480,10 +758,12 @@ export class WebRTCAdaptor
 	 * Parameters:
 	 * 	 streamId: unique id for the main stream
 	 * 	 token: not used 
+	 * Returns a Promise which is resolved with trackList message
 	 * TODO: check this function
 	 */
 	getTracks(streamId, token) 
 	{
+		var promise = this.waitForResponse("trackList", {streamId: streamId});
 		this.playStreamId.push(streamId);
 		var jsCmd =
 		{
@@ -493,6 +773,7 @@ export class WebRTCAdaptor
 		}
 
 		this.webSocketAdaptor.send(JSON.stringify(jsCmd));
+		return promise;
 	}
 
 	/**
@@ -518,7 +799,7 @@ export class WebRTCAdaptor
 					streamId: streamId,
 					trackId: this.idMapping[streamId][event.transceiver.mid],
 			}
-			this.callback("newStreamAvailable", dataObj);
+			this.notifyEventListeners("newStreamAvailable", dataObj);
 		}
 
 	}
@@ -531,6 +812,7 @@ export class WebRTCAdaptor
 	 */
 	iceCandidateReceived(event, streamId)
 	{
+		this.statsRecorder.recordEvent(streamId, "icecandidate", event.candidate ? formatCandidate(event.candidate) : "(end of candidates)");
 		if (event.candidate) {
 
 			var protocolSupported = false;
@@ -571,7 +853,7 @@ export class WebRTCAdaptor
 			else {
 				console.log("Candidate's protocol(full sdp: "+ event.candidate.candidate +") is not supported. Supported protocols: " + this.candidateTypes);
 				if (event.candidate.candidate != "") { //
-					this.callbackError("protocol_not_supported", "Support protocols: " + this.candidateTypes.toString() + " candidate: " + event.candidate.candidate);
+					this.notifyErrorEventListeners("protocol_not_supported", "Support protocols: " + this.candidateTypes.toString() + " candidate: " + event.candidate.candidate);
 				}
 			}
 		}
@@ -585,18 +867,26 @@ export class WebRTCAdaptor
 	 * Note that Data Channel should be enabled fromAMS settings. 
 	 * 	 streamId: unique id for the stream 
 	 *   dataChannel: provided by PeerConnection
+	 *   label: label of the named channel. It's null for the main data channel of the stream
 	 */
-	initDataChannel(streamId, dataChannel) 
+	initDataChannel(streamId, dataChannel, label) 
 	{
+		label = typeof label == "undefined" ? null : label;
+		//binary messages are processed as ArrayBuffer
+		dataChannel.binaryType = "arraybuffer";
+
 		dataChannel.onerror = (error) => {
 			console.log("Data Channel Error:", error );
 			var obj = {
 				streamId: streamId,
 				error: error
 			};
+			if (label != null) {
+				obj.label = label;
+			}
 			console.log("channel status: ", dataChannel.readyState);
 			if (dataChannel.readyState != "closed") {
-				this.callbackError("data_channel_error", obj);
+				this.notifyErrorEventListeners("data_channel_error", obj);
 			}
 		};
 
@@ -605,55 +895,184 @@ export class WebRTCAdaptor
 				streamId: streamId,
 				data: event.data,
 			};
+			if (label != null) {
+				obj.label = label;
+			}
 
 			var data = obj.data;
 
 			if(typeof data === 'string' || data instanceof String){
-				this.callback("data_received", obj);
-			}
-			else {
-				var length = data.length || data.size || data.byteLength;
-
-				var view = new Int32Array(data, 0, 1);
-				var token = view[0];
-
-				var msg = this.receivingMessages[token];
-				if(msg == undefined) {
-					var view = new Int32Array(data, 0, 2);
-					var size = view[1];
-					msg = new ReceivingMessage(size);
-					this.receivingMessages[token] = msg;
-					if(length > 8) {
-						console.error("something went wrong in msg receiving");
-					}
-					return;
+				if (this.messagingManager.isMessage(data)) {
+					this.messagingManager.receiveMessage(streamId, data);
 				}
-
-				var rawData = data.slice(4, length);
-
-				var dataView = new Uint8Array(msg.data);
-				dataView.set(new Uint8Array(rawData), msg.received, length-4);
-				msg.received += length-4;
-
-				if(msg.size == msg.received) {
-					obj.data = msg.data;
-					this.callback("data_received", obj);
+				else {
+					this.notifyEventListeners("data_received", obj);
 				}
 			}
+			else if (isFrame(data)) {
+				this.receiveDataFrame(streamId, parseFrame(data), label);
+			}
+			else {
+				this.receiveLegacyDataChunk(streamId, data, label);
+			}
 		};
 
 		dataChannel.onopen = () => {
-			this.remotePeerConnection[streamId].dataChannel = dataChannel;
-			console.log("Data channel is opened");
-			this.callback("data_channel_opened", streamId)
+			var peerConnection = this.remotePeerConnection[streamId];
+			if (label == null) {
+				peerConnection.dataChannel = dataChannel;
+			}
+			else {
+				if (peerConnection.namedDataChannels == null) {
+					peerConnection.namedDataChannels = {};
+				}
+				peerConnection.namedDataChannels[label] = dataChannel;
+			}
+			//sending cannot be resumed if the threshold is above the max buffered amount
+			dataChannel.bufferedAmountLowThreshold = Math.min(this.dataChannelBufferedAmountLowThreshold, this.dataChannelMaxBufferedAmount);
+			dataChannel.onbufferedamountlow = () => {
+				this.sendNextDataChunks(streamId, label);
+			};
+			if (label == null) {
+				console.log("Data channel is opened");
+				this.notifyEventListeners("data_channel_opened", streamId)
+				this.fileTransferManager.resumeTransfers(streamId);
+			}
+			else {
+				console.log("Data channel " + label + " is opened for stream: " + streamId);
+				this.notifyEventListeners("named_data_channel_opened", {streamId: streamId, label: label});
+			}
 		};
 
 		dataChannel.onclose = () => {
-			console.log("Data channel is closed");
-			this.callback("data_channel_closed", streamId);
+			this.clearDataTransfers(streamId, label);
+			if (label == null) {
+				console.log("Data channel is closed");
+				this.notifyEventListeners("data_channel_closed", streamId);
+			}
+			else {
+				var peerConnection = this.remotePeerConnection[streamId];
+				if (peerConnection != null && peerConnection.namedDataChannels != null && peerConnection.namedDataChannels[label] === dataChannel) {
+					delete peerConnection.namedDataChannels[label];
+				}
+				console.log("Data channel " + label + " is closed for stream: " + streamId);
+				this.notifyEventListeners("named_data_channel_closed", {streamId: streamId, label: label});
+			}
 		};
 	}
 
+	/**
+	 * Called by user to set the data channel options of a stream. Check @dataChannelOptions for the options.
+	 * It should be called before publishing or playing the stream because the channels are created with the PeerConnection.
+	 * 	 streamId: unique id for the stream
+	 * 	 options: data channel options like {ordered: true, channels: [{label: "telemetry", ordered: false, maxRetransmits: 0}]}
+	 * 			Pass null to use @dataChannelOptions again
+	 * Returns false and calls "invalid_data_channel_options" error if the options are not valid
+	 */
+	setDataChannelOptions(streamId, options)
+	{
+		if (options == null) {
+			this.streamDataChannelOptions.delete(streamId);
+			return true;
+		}
+		var channels = options.channels || [];
+		var error = this.checkDataChannelOptions(options);
+		var labels = [];
+		for (var i = 0; error == null && i < channels.length; i++) {
+			if (typeof channels[i].label != "string" || channels[i].label.length == 0 || channels[i].label == streamId) {
+				error = "Named data channels should have a label which is different than the stream id";
+			}
+			else if (labels.includes(channels[i].label)) {
+				error = "Data channel label is used more than once: " + channels[i].label;
+			}
+			else {
+				labels.push(channels[i].label);
+				error = this.checkDataChannelOptions(channels[i]);
+			}
+		}
+		if (error != null) {
+			this.notifyErrorEventListeners("invalid_data_channel_options", {streamId: streamId, message: error});
+			return false;
+		}
+		this.streamDataChannelOptions.set(streamId, options);
+		return true;
+	}
+
+	/**
+	 * Called internally to check the options of a data channel. Returns the error message if they're not valid
+	 */
+	checkDataChannelOptions(options)
+	{
+		if (options.maxRetransmits != null && options.maxPacketLifeTime != null) {
+			return "maxRetransmits and maxPacketLifeTime cannot be set together";
+		}
+		if (options.negotiated && typeof options.id != "number") {
+			return "Negotiated data channels should have an id";
+		}
+		return null;
+	}
+
+	/**
+	 * Returns the data channel options of the stream. Check @setDataChannelOptions
+	 * 	 streamId: unique id for the stream
+	 */
+	getDataChannelOptions(streamId)
+	{
+		var options = this.streamDataChannelOptions.get(streamId);
+		return options != null ? options : this.dataChannelOptions;
+	}
+
+	/**
+	 * Called internally to create a data channel of the PeerConnection
+	 * 	 streamId: unique id for the stream
+	 * 	 label: label of the named channel or null for the main data channel of the stream
+	 * 	 options: options of the channel. Check @dataChannelOptions
+	 */
+	createDataChannel(streamId, label, options)
+	{
+		var peerConnection = this.remotePeerConnection[streamId];
+		if (!peerConnection.createDataChannel) {
+			console.warn("CreateDataChannel is not supported");
+			return;
+		}
+		var dataChannelInit = {ordered: options.ordered !== false};
+		["maxRetransmits", "maxPacketLifeTime", "negotiated", "id", "protocol"].forEach(key => {
+			if (options[key] != null) {
+				dataChannelInit[key] = options[key];
+			}
+		});
+		//protocol of the negotiated channels is not announced
+		if (dataChannelInit.protocol == null && !options.negotiated) {
+			dataChannelInit.protocol = DATA_FRAMING_PROTOCOL;
+		}
+		try {
+			var dataChannel = peerConnection.createDataChannel(label == null ? streamId : label, dataChannelInit);
+			this.initDataChannel(streamId, dataChannel, label);
+		}
+		catch (e) {
+			console.error("Data channel cannot be created for stream: " + streamId + " error: " + e);
+			this.notifyErrorEventListeners("invalid_data_channel_options", {streamId: streamId, message: String(e)});
+		}
+	}
+
+	/**
+	 * Returns the open data channel of the stream or null
+	 * 	 streamId: unique id for the stream
+	 * 	 label: label of the named channel. Main data channel is returned if it's not set
+	 */
+	getDataChannel(streamId, label)
+	{
+		var peerConnection = this.remotePeerConnection[streamId];
+		if (peerConnection == null) {
+			return null;
+		}
+		if (label == null) {
+			return peerConnection.dataChannel != null ? peerConnection.dataChannel : null;
+		}
+		var dataChannels = peerConnection.namedDataChannels;
+		return dataChannels != null && dataChannels[label] != null ? dataChannels[label] : null;
+	}
+
 	/**
 	 * Called internally to initiate PeerConnection. 
 	 * 	 streamId: unique id for the stream 
@@ -668,11 +1087,17 @@ export class WebRTCAdaptor
 			this.remotePeerConnection[streamId] = new RTCPeerConnection(this.peerconnection_config);
 			this.remoteDescriptionSet[streamId] = false;
 			this.iceCandidateList[streamId] = new Array();
+			this.statsRecorder.addPeerConnection(streamId, this.remotePeerConnection[streamId]);
 			if (!this.playStreamId.includes(streamId))
 			{
 				if(this.mediaManager.localStream != null) {
-					//AddStream is deprecated thus updated to the addTrack after version 2.4.2.1
-					this.mediaManager.localStream.getTracks().forEach(track => this.remotePeerConnection[streamId].addTrack(track, this.mediaManager.localStream));
+					if (dataChannelMode == "publish" && this.simulcastManager.simulcastEnabled) {
+						this.simulcastManager.addTracks(streamId, this.remotePeerConnection[streamId], this.mediaManager.localStream);
+					}
+					else {
+						//AddStream is deprecated thus updated to the addTrack after version 2.4.2.1
+						this.mediaManager.localStream.getTracks().forEach(track => this.remotePeerConnection[streamId].addTrack(track, this.mediaManager.localStream));
+					}
 				}
 			}
 			this.remotePeerConnection[streamId].onicecandidate = event => {
@@ -688,58 +1113,63 @@ export class WebRTCAdaptor
 
 			if (this.dataChannelEnabled){
 				// skip initializing data channel if it is disabled
-				if (dataChannelMode == "publish") {
-					//open data channel if it's publish mode peer connection 
-					const dataChannelOptions = {
-							ordered: true,
-					};
-					if (this.remotePeerConnection[streamId].createDataChannel) {
-						var dataChannel = this.remotePeerConnection[streamId].createDataChannel(streamId, dataChannelOptions);
-						this.initDataChannel(streamId, dataChannel);
-					}
-					else {
-						console.warn("CreateDataChannel is not supported");
+				var dataChannelOptions = this.getDataChannelOptions(streamId);
+				var channels = dataChannelOptions.channels || [];
+
+				//open data channel if it's publish mode peer connection. for peer mode do both for now
+				//negotiated channels are not announced, so they're opened by both sides in all modes
+				if (dataChannelMode != "play" || dataChannelOptions.negotiated) {
+					this.createDataChannel(streamId, null, dataChannelOptions);
+				}
+				channels.forEach(channelOptions => {
+					if (dataChannelMode != "play" || channelOptions.negotiated) {
+						this.createDataChannel(streamId, channelOptions.label, channelOptions);
 					}
+				});
 
-				} else if(dataChannelMode == "play") {
+				if (dataChannelMode != "publish") {
 					//in play mode, server opens the data channel 
 					this.remotePeerConnection[streamId].ondatachannel = ev => {
-						this.initDataChannel(streamId, ev.channel);
+						var isNamed = channels.some(channelOptions => channelOptions.label == ev.channel.label);
+						//creator of the channel receives the frames. Check @legacyDataChannelFraming
+						ev.channel.framesSupported = ev.channel.protocol == DATA_FRAMING_PROTOCOL;
+						this.initDataChannel(streamId, ev.channel, isNamed ? ev.channel.label : null);
 					};
 				}
-				else {
-					//for peer mode do both for now
-					const dataChannelOptions = {
-							ordered: true,
-					};
+			}
 
-					if (this.remotePeerConnection[streamId].createDataChannel) 
-					{
-						var dataChannelPeer = this.remotePeerConnection[streamId].createDataChannel(streamId, dataChannelOptions);
-						this.initDataChannel(streamId, dataChannelPeer);
-		
-						this.remotePeerConnection[streamId].ondatachannel = ev => {
-							this.initDataChannel(streamId, ev.channel);
-						};
-					}
-					else {
-						console.warn("CreateDataChannel is not supported");
-					}
-				}
+			this.remotePeerConnection[streamId].onsignalingstatechange = event => {
+				this.statsRecorder.recordEvent(streamId, "signalingstatechange", this.remotePeerConnection[streamId].signalingState);
+			}
+
+			this.remotePeerConnection[streamId].onconnectionstatechange = event => {
+				this.statsRecorder.recordEvent(streamId, "connectionstatechange", this.remotePeerConnection[streamId].connectionState);
+			}
+
+			this.remotePeerConnection[streamId].onicegatheringstatechange = event => {
+				this.statsRecorder.recordEvent(streamId, "icegatheringstatechange", this.remotePeerConnection[streamId].iceGatheringState);
 			}
 
 			this.remotePeerConnection[streamId].oniceconnectionstatechange = event => {
 				var obj = {state:this.remotePeerConnection[streamId].iceConnectionState, streamId:streamId};
-				this.callback("ice_connection_state_changed",obj);
+				this.statsRecorder.recordEvent(streamId, "iceconnectionstatechange", obj.state);
+				this.notifyEventListeners("ice_connection_state_changed",obj);
+
+				this.checkIceRestart(streamId, obj.state);
 
 				//
 				if (!this.isPlayMode && !this.playStreamId.includes(streamId)) {
 					if (this.remotePeerConnection[streamId].iceConnectionState == "connected") {
 
-						this.mediaManager.changeBandwidth(this.mediaManager.bandwidth, streamId).then(() => {
-							console.log("Bandwidth is changed to " + this.mediaManager.bandwidth);
-						})
-						.catch(e => console.warn(e));
+						//encoding of the adapted stream is kept after ICE restarts. It's changed by the controller
+						if (!this.adaptiveBitrateController.isAdapting(streamId)) {
+							this.mediaManager.changeBandwidth(this.mediaManager.bandwidth, streamId).then(() => {
+								console.log("Bandwidth is changed to " + this.mediaManager.bandwidth);
+							})
+							.catch(e => console.warn(e));
+						}
+
+						this.adaptiveBitrateController.streamConnected(streamId);
 					}
 				}
 			}
@@ -753,11 +1183,16 @@ export class WebRTCAdaptor
 	 */
 	closePeerConnection(streamId) 
 	{	
+		this.statsRecorder.removePeerConnection(streamId);
 		if (this.remotePeerConnection[streamId] != null)
 		{
 			if (this.remotePeerConnection[streamId].dataChannel != null) {
 				this.remotePeerConnection[streamId].dataChannel.close();
 			}
+			var namedDataChannels = this.remotePeerConnection[streamId].namedDataChannels;
+			if (namedDataChannels != null) {
+				Object.keys(namedDataChannels).forEach(label => namedDataChannels[label].close());
+			}
 			if (this.remotePeerConnection[streamId].signalingState != "closed") {
 				this.remotePeerConnection[streamId].close();
 				this.remotePeerConnection[streamId] = null;
@@ -770,44 +1205,178 @@ export class WebRTCAdaptor
 			}
 		}
 
+		this.clearIceRestartTimer(streamId);
+		this.iceRestartStreamIds.delete(streamId);
+		this.clearDataTransfers(streamId);
+
 		if (this.remotePeerConnectionStats[streamId] != null)
 		{
 			clearInterval(this.remotePeerConnectionStats[streamId].timerId);
 			delete this.remotePeerConnectionStats[streamId];
 		}
+		this.networkQualityManager.removeQuality(streamId);
+		this.simulcastManager.removeStream(streamId);
+		this.adaptiveBitrateController.removeStream(streamId);
 		if(this.soundMeters[streamId] != null){
+			this.soundMeters[streamId].stop();
 			delete this.soundMeters[streamId];
 		}				
 	}
 
 	/**
-	 * Called to get the signalling state for a stream. 
-	 * This information can be used for error handling.
-	 * Check: https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/connectionState
+	 * Called internally when the ice connection state of a PeerConnection changes.
+	 * It schedules an ICE restart if the connection is degraded and @autoIceRestart is enabled.
 	 * 	 streamId: unique id for the stream 
+	 * 	 state: the new ice connection state
 	 */
-	signallingState(streamId) 
+	checkIceRestart(streamId, state)
 	{
-		if (this.remotePeerConnection[streamId] != null) {
-			return this.remotePeerConnection[streamId].signalingState;
+		if (state == "connected" || state == "completed") {
+			this.clearIceRestartTimer(streamId);
+			if (this.iceRestartStreamIds.delete(streamId)) {
+				this.notifyEventListeners("ice_restarted", {streamId: streamId});
+			}
+		}
+		else if (state == "disconnected" || state == "failed") {
+			//if web socket connection is lost, streams are restored when it's re-established
+			if (this.autoIceRestart && this.iceRestartTimers[streamId] == null && this.webSocketAdaptor.isConnected()) {
+				//disconnected state may recover itself so wait for grace period. Failed state cannot recover
+				var delay = state == "failed" ? 0 : this.iceRestartGracePeriod;
+				this.iceRestartTimers[streamId] = setTimeout(() => {
+					delete this.iceRestartTimers[streamId];
+					this.restartIce(streamId);
+				}, delay);
+			}
 		}
-		return null;
 	}
 
 	/**
-	 * Called to get the ice connection state for a stream. 
-	 * This information can be used for error handling.
-	 * Check: https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/iceConnectionState
+	 * Called internally to cancel the scheduled ICE restart for a stream
 	 * 	 streamId: unique id for the stream 
 	 */
-	iceConnectionState(streamId) 
+	clearIceRestartTimer(streamId)
 	{
-		if (this.remotePeerConnection[streamId] != null) {
-			return this.remotePeerConnection[streamId].iceConnectionState;
+		if (this.iceRestartTimers[streamId] != null) {
+			clearTimeout(this.iceRestartTimers[streamId]);
+			delete this.iceRestartTimers[streamId];
+		}
+	}
+
+	/**
+	 * Called to restart ICE for a PeerConnection without creating a new one. 
+	 * It's called automatically if @autoIceRestart is enabled. 
+	 * For publishing sessions, a new offer is created with iceRestart option.
+	 * For playing sessions, AMS creates the offer so that the play request is sent again with its original parameters
+	 * and the new offer is received with takeConfiguration message like in the first negotiation.
+	 * "ice_restart_started" is called when the restart begins and "ice_restarted" is called when
+	 * the ice connection state becomes connected again. "ice_restart_failed" error is called if the new offer
+	 * or answer cannot be created or set
+	 * 	 streamId: unique id for the stream 
+	 */
+	restartIce(streamId)
+	{
+		var peerConnection = this.remotePeerConnection[streamId];
+		if (peerConnection == null) {
+			console.warn("There is no peer connection to restart ICE for stream: " + streamId);
+			return;
+		}
+		this.clearIceRestartTimer(streamId);
+		if (peerConnection.signalingState != "stable") {
+			console.warn("ICE restart is skipped because there is an ongoing negotiation for stream: " + streamId);
+			return;
+		}
+
+		if (this.playStreamId.includes(streamId)) {
+			var playRequest = this.playRequests.get(streamId);
+			if (playRequest == null) {
+				console.warn("ICE restart is skipped because there is no play request for stream: " + streamId);
+				return;
+			}
+			this.iceRestartStreamIds.add(streamId);
+			console.log("Requesting a new offer to restart ICE for stream: " + streamId);
+			this.notifyEventListeners("ice_restart_started", {streamId: streamId});
+
+			//remote candidates belong to the new session, so keep them until the new offer is set
+			this.remoteDescriptionSet[streamId] = false;
+			//stream is already playing, so the play request is not registered again
+			this.sendPlayCommand(playRequest);
+		}
+		else {
+			this.iceRestartStreamIds.add(streamId);
+			console.log("Restarting ICE for stream: " + streamId);
+			this.notifyEventListeners("ice_restart_started", {streamId: streamId});
+
+			//remote candidates belong to the new session, so keep them until the answer is set
+			this.remoteDescriptionSet[streamId] = false;
+			peerConnection.createOffer(Object.assign({}, this.sdp_constraints, {iceRestart: true}))
+			.then(configuration => {
+				this.gotDescription(configuration, streamId);
+			})
+			.catch((error) => {
+				console.error("create offer error for ice restart for stream id: " + streamId + " error: " + error);
+				this.iceRestartFailed(streamId, error);
+			});
+		}
+	}
+
+	/**
+	 * Called internally when the description of an ICE restart cannot be created or set.
+	 * The current session is kept and the restart can be tried again
+	 * 	 streamId: unique id for the stream 
+	 * 	 error: the error of the failed operation
+	 */
+	iceRestartFailed(streamId, error)
+	{
+		if (!this.iceRestartStreamIds.delete(streamId)) {
+			return;
+		}
+		var peerConnection = this.remotePeerConnection[streamId];
+		if (peerConnection != null && peerConnection.remoteDescription != null) {
+			this.remoteDescriptionSet[streamId] = true;
+		}
+		this.notifyErrorEventListeners("ice_restart_failed", {streamId: streamId, error: String(error)});
+	}
+
+	/**
+	 * Called to get the signalling state for a stream. 
+	 * This information can be used for error handling.
+	 * Check: https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/connectionState
+	 * 	 streamId: unique id for the stream 
+	 */
+	signallingState(streamId) 
+	{
+		if (this.remotePeerConnection[streamId] != null) {
+			return this.remotePeerConnection[streamId].signalingState;
 		}
 		return null;
 	}
 
+	/**
+	 * Called to get the ice connection state for a stream. 
+	 * This information can be used for error handling.
+	 * Check: https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/iceConnectionState
+	 * 	 streamId: unique id for the stream 
+	 */
+	iceConnectionState(streamId) 
+	{
+		if (this.remotePeerConnection[streamId] != null) {
+			return this.remotePeerConnection[streamId].iceConnectionState;
+		}
+		return null;
+	}
+
+	/**
+	 * Called to get the mapping of the transceiver mids to the track ids for a stream.
+	 * AMS provides it with the offer in multitrack playback and conference. Check @TrackAssignmentManager
+	 * 	 streamId: unique id for the stream
+	 * Returns an object like {"0": "ARDAMSxstream1", "1": "videoTrack0"} or null
+	 */
+	getIdMapping(streamId)
+	{
+		var idMapping = this.idMapping[streamId];
+		return idMapping != null ? Object.assign({}, idMapping) : null;
+	}
+
 	/**
 	 * Called by browser when Local Configuration (SDP) is created successfully. 
 	 * It is set as LocalDescription first then sent to AMS.
@@ -816,6 +1385,7 @@ export class WebRTCAdaptor
 	 */
 	gotDescription(configuration, streamId)
 	{
+		this.statsRecorder.recordEvent(streamId, "setLocalDescription", formatDescription(configuration));
 		this.remotePeerConnection[streamId]
 		.setLocalDescription(configuration)
 		.then(responose =>  {
@@ -837,7 +1407,9 @@ export class WebRTCAdaptor
 			this.webSocketAdaptor.send(JSON.stringify(jsCmd));
 
 		}).catch((error) =>{
+			this.statsRecorder.recordEvent(streamId, "setLocalDescriptionOnFailure", error);
 			console.error("Cannot set local description. Error is: " + error);
+			this.iceRestartFailed(streamId, error);
 		});
 	}
 
@@ -867,6 +1439,7 @@ export class WebRTCAdaptor
 
 		this.initPeerConnection(streamId, dataChannelMode);
 
+		this.statsRecorder.recordEvent(streamId, "setRemoteDescription", formatDescription({type: type, sdp: conf}));
 		this.remotePeerConnection[streamId].setRemoteDescription(new RTCSessionDescription({
 			sdp : conf,
 			type : type
@@ -901,10 +1474,12 @@ export class WebRTCAdaptor
 						.catch((error) =>
 								{
 							console.error("create answer error :" + error);
+							this.iceRestartFailed(streamId, error);
 								});
 			}
 
 		}).catch((error) => {
+			this.statsRecorder.recordEvent(streamId, "setRemoteDescriptionOnFailure", error);
 			if (this.debug) {
 				console.error("set remote description is failed with error: " + error);
 			}
@@ -913,8 +1488,9 @@ export class WebRTCAdaptor
 				 * This error generally occurs in codec incompatibility.
 				 * AMS for a now supports H.264 codec. This error happens when some browsers try to open it from VP8.
 				 */
-				this.callbackError("notSetRemoteDescription");
+				this.notifyErrorEventListeners("notSetRemoteDescription");
 			}
+			this.iceRestartFailed(streamId, error);
 		});
 
 	}
@@ -976,7 +1552,7 @@ export class WebRTCAdaptor
 		
 		if (protocolSupported)
 		{
-
+			this.statsRecorder.recordEvent(streamId, "addIceCandidate", formatCandidate(candidate));
 			this.remotePeerConnection[streamId].addIceCandidate(candidate)
 			.then(response => {
 				if (this.debug) {
@@ -1057,6 +1633,8 @@ export class WebRTCAdaptor
 
 	/**
 	* Called to get statistics for a PeerConnection. It can be publisher or player.
+	* Besides the summary fields, PeerStats keeps the inbound/outbound RTP stats for each SSRC, remote-inbound RTP,
+	* candidate pairs, codecs and transport with the rates of their counters. Check peer_stats.js
 	*
     * 	 streamId: unique id for the stream 
 	*/
@@ -1222,26 +1800,37 @@ export class WebRTCAdaptor
 			this.remotePeerConnectionStats[streamId].videoJitterAverageDelay = videoJitterAverageDelay;
 			this.remotePeerConnectionStats[streamId].audioJitterAverageDelay = audioJitterAverageDelay;
 
+			this.remotePeerConnectionStats[streamId].updateReport(stats);
+			this.networkQualityManager.updateQuality(this.remotePeerConnectionStats[streamId]);
+			this.adaptiveBitrateController.update(this.remotePeerConnectionStats[streamId]);
 
-			this.callback("updated_stats", this.remotePeerConnectionStats[streamId]);
+			this.notifyEventListeners("updated_stats", this.remotePeerConnectionStats[streamId]);
 
 		});
 	}
 
 	/**
-	 * Called to start a periodic timer to get statistics periodically (5 seconds) for a specific stream.
+	 * Called to start a periodic timer to get statistics periodically for a specific stream.
+	 * It can be called again to change the period of the stream. The history of the stats is kept.
 	 *
      * 	 streamId: unique id for the stream 
+     * 	 interval: period in milliseconds. @statsInterval is used if it's not set
 	 */
-	enableStats(streamId) 
+	enableStats(streamId, interval) 
 	{
+		interval = interval > 0 ? interval : this.statsInterval;
 		if (this.remotePeerConnectionStats[streamId] == null) {
-			this.remotePeerConnectionStats[streamId] = new PeerStats(streamId);
-			this.remotePeerConnectionStats[streamId].timerId = setInterval(() =>
+			this.remotePeerConnectionStats[streamId] = new PeerStats(streamId, this.statsHistorySize);
+		}
+		var peerStats = this.remotePeerConnectionStats[streamId];
+		if (peerStats.statsInterval != interval) {
+			clearInterval(peerStats.timerId);
+			peerStats.statsInterval = interval;
+			peerStats.timerId = setInterval(() =>
 			{
 				this.getStats(streamId);
 
-			}, 5000);
+			}, interval);
 		}
 	}
 
@@ -1254,7 +1843,71 @@ export class WebRTCAdaptor
 	{
 		if(this.remotePeerConnectionStats[streamId] != null || typeof this.remotePeerConnectionStats[streamId] != 'undefined'){
 			clearInterval(this.remotePeerConnectionStats[streamId].timerId);
+			this.remotePeerConnectionStats[streamId].statsInterval = 0;
+		}
+	}
+
+	/**
+	 * Called by user to get the aggregate of a field of the stats samples of a stream.
+	 * Returns {count, min, max, avg, p50, p90, p95, p99} or null if there is no sample
+	 *
+     * 	 streamId: unique id for the stream
+     * 	 metric: field of the samples. outgoingBitrate, incomingBitrate, packetLoss, jitter, roundTripTime, frameRate or qualityScore
+     * 	 window: only the samples of the last window milliseconds are used if it's set
+	 */
+	getStatsAggregate(streamId, metric, window)
+	{
+		var peerStats = this.remotePeerConnectionStats[streamId];
+		return peerStats != null ? peerStats.getAggregate(metric, window) : null;
+	}
+
+	/**
+	 * Called by user to start recording the signalling messages with redacted tokens. The journal is kept
+	 * when the websocket is connected again. Returns the @SignallingJournal
+	 *
+     * 	 options: options of @SignallingJournal like maxEntries and redactedFields
+	 */
+	enableSignallingJournal(options)
+	{
+		if (this.signallingJournal == null) {
+			this.signallingJournal = new SignallingJournal(options || {});
+		}
+		if (this.webSocketAdaptor != null) {
+			this.webSocketAdaptor.journal = this.signallingJournal;
 		}
+		return this.signallingJournal;
+	}
+
+	/**
+	 * Called by user to stop recording the signalling messages. Recorded messages are removed
+	 */
+	disableSignallingJournal()
+	{
+		this.signallingJournal = null;
+		if (this.webSocketAdaptor != null) {
+			this.webSocketAdaptor.journal = null;
+		}
+	}
+
+	/**
+	 * Called by user to get the JSON text of the signalling journal. It can be replayed with SignallingReplayer
+	 * in signalling_journal.js. Returns null if the journal is not enabled
+	 */
+	exportSignallingJournal()
+	{
+		return this.signallingJournal != null ? this.signallingJournal.export() : null;
+	}
+
+	/**
+	 * Called by user to export the current stats of all streams whose stats are enabled with @enableStats.
+	 * Use StatsReporter in stats_exporter.js to send them periodically
+	 *
+     * 	 format: "openmetrics" or "ndjson". Default is "openmetrics"
+	 */
+	exportStats(format)
+	{
+		var peerStatsList = Object.keys(this.remotePeerConnectionStats).map(streamId => this.remotePeerConnectionStats[streamId]);
+		return format == StatsFormat.NDJSON ? toNDJSON(peerStatsList) : toOpenMetrics(peerStatsList);
 	}
 
 	/**
@@ -1262,11 +1915,317 @@ export class WebRTCAdaptor
 	 */
 	 checkWebSocketConnection()
 	 {
-		 if (this.webSocketAdaptor == null || (this.webSocketAdaptor.isConnected() == false && this.webSocketAdaptor.isConnecting() == false) ) {
-			 this.webSocketAdaptor = new WebSocketAdaptor({websocket_url : this.websocket_url, webrtcadaptor : this, callback : this.callback, callbackError : this.callbackError, debug : this.debug});
+		 if (this.webSocketAdaptor == null || (this.webSocketAdaptor.isConnected() == false && this.webSocketAdaptor.isConnecting() == false
+				 && this.webSocketAdaptor.isReconnecting() == false) ) {
+			 var webSocketParameters = {
+					 websocket_url : this.websocket_url, 
+					 webrtcadaptor : this, 
+					 callback : (info, obj) => {this.notifyEventListeners(info, obj)}, 
+					 callbackError : (error, message) => {this.notifyErrorEventListeners(error, message)}, 
+					 debug : this.debug,
+					 journal : this.signallingJournal
+			 };
+
+			 //transport and reconnection settings are passed to the WebSocketAdaptor if they are provided by the user
+			 ["transportFactory", "reconnectEnabled", "reconnectInitialDelay", "reconnectMaxDelay", "reconnectBackoffFactor",
+				 "reconnectJitter", "reconnectMaxAttempts", "offlineQueueLimit"].forEach(key => {
+				 if (typeof this[key] != "undefined") {
+					 webSocketParameters[key] = this[key];
+				 }
+			 });
+			 this.webSocketAdaptor = new WebSocketAdaptor(webSocketParameters);
 		 }
 	 }
 
+	/**
+	 * Called by WebSocketAdaptor to pass the information callbacks to the user.
+	 * Session restoration is tracked here before the callback is called.
+	 * 	 info: the name of the event
+	 * 	 obj: the data of the event
+	 */
+	notifyEventListeners(info, obj)
+	{
+		this.resolvePendingRequests(info, obj);
+
+		if (this.handleSessionRestoration(info, obj)) {
+			//it's an intermediate notification of the session restoration
+			return;
+		}
+		this.emit(info, obj);
+		if (typeof this.callback == "function") {
+			this.callback(info, obj);
+		}
+	}
+
+	/**
+	 * Called by WebSocketAdaptor to pass the error callbacks to the user.
+	 * 	 error: the name of the error
+	 * 	 message: the details of the error
+	 */
+	notifyErrorEventListeners(error, message)
+	{
+		this.rejectPendingRequests(error, message);
+		this.emit("error", {error: error, message: message});
+		if (typeof this.callbackError == "function") {
+			this.callbackError(error, message);
+		}
+
+		if (this.pendingRestorations.size > 0 && message != null) {
+			//the stream or the room cannot be restored. Don't wait for it
+			var streamId = typeof message.streamId != "undefined" ? message.streamId : null;
+			if (streamId == null || !(this.failRestoration("publish:" + streamId, streamId) || this.failRestoration("play:" + streamId, streamId))) {
+				//room errors don't have the id of a restored stream
+				if (RESPONSE_ERRORS.joinedTheRoom.includes(error)) {
+					this.failRestoration("joinRoom", null);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Called internally for each information callback to track the session restoration.
+	 * The active requests are saved when the web socket connection is lost and 
+	 * they are sent again when the connection is re-established.
+	 * 	 info: the name of the event
+	 * 	 obj: the data of the event
+	 * Returns true if the callback should not be passed to the user
+	 */
+	handleSessionRestoration(info, obj)
+	{
+		if (info == "publish_finished" && this.publishRequest != null && this.publishRequest.streamId == obj.streamId) {
+			this.publishRequest = null;
+		}
+		else if (info == "play_finished") {
+			this.playRequests.delete(obj.streamId);
+		}
+
+		if (!this.restoreSessionOnReconnect) {
+			return false;
+		}
+
+		if (info == "reconnecting" && this.sessionToRestore == null) {
+			this.sessionToRestore = {
+					joinRoomRequest: this.joinRoomRequest,
+					publishRequest: this.publishRequest,
+					playRequests: Array.from(this.playRequests.values()),
+			};
+			this.pendingRestorations.clear();
+		}
+		else if (info == "reconnected" && this.sessionToRestore != null) {
+			this.restoreSession();
+		}
+		else if (info == "reconnect_failed") {
+			this.sessionToRestore = null;
+		}
+		else if (info == "joinedTheRoom" && this.pendingRestorations.delete("joinRoom")) {
+			this.checkSessionRestored();
+			return true;
+		}
+		else if (info == "publish_started" && this.pendingRestorations.delete("publish:" + obj.streamId)) {
+			this.checkSessionRestored();
+			return true;
+		}
+		else if (info == "play_started" && this.pendingRestorations.delete("play:" + obj.streamId)) {
+			this.checkSessionRestored();
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Called internally when the web socket connection is re-established.
+	 * AMS closes the streams when the web socket connection is lost. So the peer connections
+	 * are closed and the requests are sent again with their original parameters to create fresh peer connections.
+	 */
+	restoreSession()
+	{
+		var session = this.sessionToRestore;
+		this.sessionToRestore = null;
+		this.restoringSession = session;
+		session.failedStreamIds = [];
+
+		if (session.joinRoomRequest != null) {
+			this.pendingRestorations.add("joinRoom");
+		}
+		if (session.publishRequest != null) {
+			this.pendingRestorations.add("publish:" + session.publishRequest.streamId);
+		}
+		session.playRequests.forEach(request => {
+			this.pendingRestorations.add("play:" + request.streamId);
+		});
+
+		if (this.pendingRestorations.size == 0) {
+			return;
+		}
+		if (this.debug) {
+			console.debug("Restoring the session after reconnection");
+		}
+
+		//candidates and configurations of the closed peer connections are not sent to the new sessions
+		var streamIds = session.playRequests.map(request => request.streamId);
+		if (session.publishRequest != null) {
+			streamIds.push(session.publishRequest.streamId);
+		}
+		this.webSocketAdaptor.removeQueuedMessages(message => (message.command == "takeCandidate" || message.command == "takeConfiguration")
+				&& streamIds.includes(message.streamId));
+
+		//requests which are not answered, e.g. with "requestTimeout", are not restored
+		if (session.joinRoomRequest != null) {
+			var joinRoomRequest = session.joinRoomRequest;
+			this.joinRoom(joinRoomRequest.roomName, joinRoomRequest.streamId, joinRoomRequest.mode)
+			.catch(() => this.failRestoration("joinRoom", null));
+		}
+
+		if (session.publishRequest != null) {
+			var publishRequest = session.publishRequest;
+			this.closePeerConnection(publishRequest.streamId);
+			this.publish(publishRequest.streamId, publishRequest.token, publishRequest.subscriberId, publishRequest.subscriberCode, 
+				publishRequest.streamName, publishRequest.mainTrack, publishRequest.metaData)
+			.catch(() => this.failRestoration("publish:" + publishRequest.streamId, publishRequest.streamId));
+		}
+
+		session.playRequests.forEach(playRequest => {
+			this.closePeerConnection(playRequest.streamId);
+			this.play(playRequest.streamId, playRequest.token, playRequest.roomId, playRequest.enableTracks, 
+				playRequest.subscriberId, playRequest.subscriberCode, playRequest.metaData)
+			.catch(() => this.failRestoration("play:" + playRequest.streamId, playRequest.streamId));
+		});
+	}
+
+	/**
+	 * Called internally when a restored request fails. "session_restored" is called without waiting for it
+	 * 	 key: key of the request in @pendingRestorations
+	 * 	 streamId: id of the stream which cannot be restored or null for the room
+	 * Returns false if the request is not pending
+	 */
+	failRestoration(key, streamId)
+	{
+		if (!this.pendingRestorations.delete(key)) {
+			return false;
+		}
+		if (streamId != null) {
+			this.restoringSession.failedStreamIds.push(streamId);
+		}
+		else {
+			this.restoringSession.roomFailed = true;
+		}
+		this.checkSessionRestored();
+		return true;
+	}
+
+	/**
+	 * Called internally to call "session_restored" when all restored requests are started
+	 */
+	checkSessionRestored()
+	{
+		if (this.pendingRestorations.size == 0 && this.restoringSession != null) {
+			var session = this.restoringSession;
+			this.restoringSession = null;
+			var restored = streamId => !session.failedStreamIds.includes(streamId);
+			this.notifyEventListeners("session_restored", {
+				publishStreamId: session.publishRequest != null && restored(session.publishRequest.streamId) ? session.publishRequest.streamId : null,
+				playStreamIds: session.playRequests.map(request => request.streamId).filter(restored),
+				roomName: session.joinRoomRequest != null && !session.roomFailed ? session.joinRoomRequest.roomName : null,
+				failedStreamIds: session.failedStreamIds,
+			});
+		}
+	}
+
+	/**
+	 * Called internally to create a Promise for a request which is completed by the response from AMS.
+	 * The responses are received asynchronously through the information and error callbacks.
+	 * The returned Promise never causes an unhandled rejection, so the callback API can still be used alone.
+	 * 	 responseName: the notification or the command name which is received as the response
+	 * 	 target: the stream id ({streamId}) or the room name ({roomName}) that the response should belong to
+	 */
+	waitForResponse(responseName, target)
+	{
+		var request = {
+				responseName: responseName,
+				streamId: target.streamId,
+				roomName: target.roomName,
+		};
+		var promise = new Promise((resolve, reject) => {
+			request.resolve = resolve;
+			request.reject = reject;
+		});
+		request.timerId = setTimeout(() => {
+			this.removePendingRequest(request);
+			request.reject({error: "requestTimeout", message: {responseName: responseName, streamId: target.streamId, roomName: target.roomName}});
+		}, this.requestTimeout);
+		this.pendingRequests.push(request);
+
+		promise.catch(() => {});
+		return promise;
+	}
+
+	/**
+	 * Called internally to remove a request from the @pendingRequests and stop its timer
+	 */
+	removePendingRequest(request)
+	{
+		clearTimeout(request.timerId);
+		var index = this.pendingRequests.indexOf(request);
+		if (index != -1) {
+			this.pendingRequests.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Called internally to check if the stream id or the room name of a message from AMS matches the request
+	 */
+	isResponseOf(request, obj)
+	{
+		if (obj == null) {
+			return false;
+		}
+		if (typeof request.streamId != "undefined" && request.streamId != null) {
+			return obj.streamId == request.streamId;
+		}
+		//room name is provided with different field names in the notifications and in the messages
+		var roomName = typeof obj.ATTR_ROOM_NAME != "undefined" ? obj.ATTR_ROOM_NAME : obj.room;
+		return typeof roomName != "undefined" && roomName == request.roomName;
+	}
+
+	/**
+	 * Called internally for each information callback to resolve the requests waiting for it
+	 */
+	resolvePendingRequests(info, obj)
+	{
+		this.pendingRequests.filter(request => request.responseName == info && this.isResponseOf(request, obj))
+		.forEach(request => {
+			this.removePendingRequest(request);
+			request.resolve(obj);
+		});
+	}
+
+	/**
+	 * Called internally for each error callback to reject the requests that the error answers.
+	 * The error definition should be one of the @RESPONSE_ERRORS of the request and it should have the same
+	 * stream id or room name. Other errors don't reject the requests, so those requests time out.
+	 */
+	rejectPendingRequests(error, message)
+	{
+		this.pendingRequests.filter(request => (RESPONSE_ERRORS[request.responseName] || []).includes(error) && this.isResponseOf(request, message))
+		.forEach(request => {
+			this.removePendingRequest(request);
+			request.reject({error: error, message: message});
+		});
+	}
+
+	/**
+	 * Called internally to remove the saved request parameters of a stream 
+	 * which is stopped by the user. It is not restored after reconnection.
+	 * 	 streamId: unique id for the stream
+	 */
+	forgetRequest(streamId)
+	{
+		if (this.publishRequest != null && this.publishRequest.streamId == streamId) {
+			this.publishRequest = null;
+		}
+		this.playRequests.delete(streamId);
+	}
+
 	/**
 	 * Called to stop Web Socket connection
 	 * After calling this function, create new WebRTCAdaptor instance, don't use the the same object
@@ -1315,44 +2274,452 @@ export class WebRTCAdaptor
 
 	/**
 	 * Called to send data via DataChannel. DataChannel should be enabled on AMS settings. 
+	 * Text messages are sent directly. Binary messages are splitted into the chunks of @dataChannelChunkSize and 
+	 * the chunks are sent as the buffered amount of the data channel allows. Binary messages are sent in order.
+	 * "data_send_progress" is called after each chunk and "data_sent" is called when the whole message is sent.
      * 	 streamId: unique id for the stream 
-	 *   data: data that you want to send. It may be a text (may in Json format or not) or binary 
+	 *   data: data that you want to send. It may be a text (may in Json format or not) or binary (ArrayBuffer or typed array)
+	 *   options:
+	 * 		onProgress: function(sent, size) which is called after each chunk of a binary message is sent
+	 * 		label: label of the named data channel to send the data. Check @dataChannelOptions. Main data channel is used if it's not set
+	 * Returns a Promise which is resolved when the message is given to the data channel.
+	 * For binary messages, it has messageId field to cancel the message with @cancelSendData
 	 */
-	sendData(streamId, data) 
+	sendData(streamId, data, options) 
 	{
-		var CHUNK_SIZE = 16000;
-		var dataChannel = this.remotePeerConnection[streamId].dataChannel;
-        var length = data.length || data.size || data.byteLength;
-		var sent = 0;
-
 		if(typeof data === 'string' || data instanceof String){
-			dataChannel.send(data);
+			var label = options != null ? options.label : null;
+			if (label == null) {
+				this.remotePeerConnection[streamId].dataChannel.send(data);
+			}
+			else {
+				var dataChannel = this.getDataChannel(streamId, label);
+				if (dataChannel == null) {
+					throw new Error("Data channel " + label + " is not open for stream: " + streamId);
+				}
+				dataChannel.send(data);
+			}
+			return Promise.resolve();
+		}
+		return this.sendBinaryData(streamId, data, ContentType.DATA, options);
+	}
+
+	/**
+	 * Called internally to send a binary message with the framing protocol. Check @sendData
+	 * 	 streamId: unique id for the stream 
+	 * 	 data: ArrayBuffer or typed array
+	 * 	 contentType: one of @ContentType in data_transfer.js. Only DATA messages can be sent in the legacy format
+	 * 	 options: same as @sendData
+	 */
+	sendBinaryData(streamId, data, contentType, options)
+	{
+		var label = options != null && options.label != null ? options.label : null;
+		var dataChannel = this.getDataChannel(streamId, label);
+
+		var promise;
+		if (dataChannel == null || dataChannel.readyState != "open") {
+			promise = Promise.reject({error: "data_channel_not_open", message: streamId});
+		}
+		else {
+			this.lastDataMessageId = (this.lastDataMessageId + 1) >>> 0;
+			var legacy = this.legacyDataChannelFraming && !dataChannel.framesSupported && contentType == ContentType.DATA;
+			var message = new SendingMessage(this.lastDataMessageId, data, this.dataChannelChunkSize, legacy, contentType);
+			message.streamId = streamId;
+			message.label = label;
+			message.onProgress = options != null ? options.onProgress : null;
+			promise = new Promise((resolve, reject) => {
+				message.resolve = resolve;
+				message.reject = reject;
+			});
+			promise.messageId = message.messageId;
+
+			var key = this.getDataChannelKey(streamId, label);
+			if (!this.sendingMessages.has(key)) {
+				this.sendingMessages.set(key, {streamId: streamId, label: label, messages: []});
+			}
+			this.sendingMessages.get(key).messages.push(message);
+			this.sendNextDataChunks(streamId, label);
+		}
+		promise.catch(() => {});
+		return promise;
+	}
+
+	/**
+	 * Called to cancel a binary message which is being sent with @sendData. 
+	 * The receiver discards the received chunks and calls "data_receive_cancelled".
+	 * The promise of the message is rejected with "data_send_cancelled" error
+     * 	 streamId: unique id for the stream 
+	 *   messageId: messageId field of the promise which is returned from @sendData
+	 * Returns true if the message is found
+	 */
+	cancelSendData(streamId, messageId)
+	{
+		var queue = null;
+		var index = -1;
+		this.sendingMessages.forEach(sendingQueue => {
+			if (index == -1 && sendingQueue.streamId == streamId) {
+				index = sendingQueue.messages.findIndex(message => message.messageId == messageId);
+				queue = sendingQueue;
+			}
+		});
+		if (index == -1) {
+			return false;
+		}
+		var message = queue.messages.splice(index, 1)[0];
+		if (message.started && !message.legacy) {
+			var dataChannel = this.getDataChannel(streamId, queue.label);
+			if (dataChannel != null && dataChannel.readyState == "open") {
+				dataChannel.send(createCancelFrame(messageId));
+			}
+		}
+		var obj = {streamId: streamId, messageId: messageId};
+		this.notifyEventListeners("data_send_cancelled", obj);
+		message.reject({error: "data_send_cancelled", message: obj});
+
+		this.sendNextDataChunks(streamId, queue.label);
+		return true;
+	}
+
+	/**
+	 * Called internally to get the key of a data channel in @sendingMessages
+	 * 	 streamId: unique id for the stream
+	 * 	 label: label of the named channel or null for the main data channel
+	 */
+	getDataChannelKey(streamId, label)
+	{
+		return label == null ? streamId : streamId + "/label/" + label;
+	}
+
+	/**
+	 * Called internally to send the chunks of the binary messages until the buffered amount of the data channel
+	 * exceeds @dataChannelMaxBufferedAmount. It's called again when the buffered amount becomes low
+	 * 	 streamId: unique id for the stream 
+	 * 	 label: label of the named channel or null for the main data channel
+	 */
+	sendNextDataChunks(streamId, label)
+	{
+		label = typeof label == "undefined" ? null : label;
+		var key = this.getDataChannelKey(streamId, label);
+		var queue = this.sendingMessages.get(key);
+		if (queue == null) {
+			return;
+		}
+		var messages = queue.messages;
+		if (messages.length == 0) {
+			this.sendingMessages.delete(key);
+			return;
+		}
+		var dataChannel = this.getDataChannel(streamId, label);
+		if (dataChannel == null) {
+			return;
+		}
+
+		while (messages.length > 0 && dataChannel.readyState == "open"
+				&& dataChannel.bufferedAmount <= this.dataChannelMaxBufferedAmount) 
+		{
+			var message = messages[0];
+			var isChunk = message.started;
+			try {
+				dataChannel.send(message.nextFrame());
+			}
+			catch (e) {
+				console.error("Data cannot be sent for stream: " + streamId + " error: " + e);
+				this.clearDataTransfers(streamId, label);
+				return;
+			}
+
+			if (isChunk) {
+				this.notifyEventListeners("data_send_progress", {streamId: streamId, messageId: message.messageId, sent: message.sent, size: message.size});
+				if (typeof message.onProgress == "function") {
+					message.onProgress(message.sent, message.size);
+				}
+			}
+			//progress listeners may cancel the message
+			if (message.isCompleted() && messages[0] === message) {
+				messages.shift();
+				var obj = {streamId: streamId, messageId: message.messageId, size: message.size};
+				this.notifyEventListeners("data_sent", obj);
+				message.resolve(obj);
+			}
+		}
+
+		if (messages.length == 0 && this.sendingMessages.get(key) === queue) {
+			this.sendingMessages.delete(key);
+		}
+	}
+
+	/**
+	 * Called internally when a binary frame is received from the data channel. 
+	 * Check data_transfer.js for the frame types
+	 * 	 streamId: unique id for the stream 
+	 * 	 frame: parsed frame
+	 * 	 label: label of the named channel or null for the main data channel
+	 */
+	receiveDataFrame(streamId, frame, label)
+	{
+		label = typeof label == "undefined" ? null : label;
+		var key = this.getDataChannelKey(streamId, label) + "/" + frame.messageId;
+		var message = this.receivingMessages.get(key);
+
+		if (frame.type == FrameType.START) {
+			if (message != null) {
+				this.removeReceivingMessage(key);
+			}
+			if (frame.size > this.dataChannelMaxMessageSize) {
+				this.rejectReceivingMessage(streamId, label, frame.messageId);
+				this.notifyErrorEventListeners("data_message_too_large", {streamId: streamId, messageId: frame.messageId, size: frame.size});
+				return;
+			}
+			message = new ReceivingMessage(frame.messageId, frame.size, frame.chunkSize, frame.checksum, frame.contentType);
+			message.streamId = streamId;
+			message.label = label;
+			this.receivingMessages.set(key, message);
+		}
+		else if (frame.type == FrameType.CANCEL && frame.rejected) {
+			this.receiveSendRejection(streamId, label, frame.messageId);
+			return;
+		}
+		else if (message == null) {
+			//message may be cancelled or discarded because of timeout
+			console.warn("Data frame is received for unknown message: " + frame.messageId + " stream: " + streamId);
+			return;
+		}
+		else if (frame.type == FrameType.CANCEL) {
+			this.removeReceivingMessage(key);
+			this.notifyEventListeners("data_receive_cancelled", {streamId: streamId, messageId: frame.messageId});
+			return;
+		}
+		else if (frame.type == FrameType.CHUNK) {
+			if (!message.addChunk(frame.data, frame.index)) {
+				this.removeReceivingMessage(key);
+				this.rejectReceivingMessage(streamId, label, frame.messageId);
+				this.notifyErrorEventListeners("data_invalid_chunk", {streamId: streamId, messageId: frame.messageId, index: frame.index});
+				return;
+			}
+			this.notifyEventListeners("data_receive_progress", {streamId: streamId, messageId: frame.messageId, received: message.received, size: message.size});
 		}
 		else {
-			var token = Math.floor(Math.random() * 999999);
-			let header = new Int32Array(2);
-			header[0] = token;
-			header[1] = length;
+			console.warn("Unknown data frame type: " + frame.type + " for stream: " + streamId);
+			return;
+		}
 
-			dataChannel.send(header);
+		this.checkReceivingMessage(key, message);
+	}
 
-			var sent = 0;
-			while(sent < length) {
-				var size = Math.min(length-sent, CHUNK_SIZE);
-				var buffer = new Uint8Array(size+4);
-				var tokenArray = new Int32Array(1);
-				tokenArray[0] = token;
-				buffer.set(new Uint8Array(tokenArray.buffer, 0, 4), 0);
+	/**
+	 * Called internally when a binary message in the legacy format is received from the data channel
+	 * 	 streamId: unique id for the stream 
+	 * 	 data: received ArrayBuffer. It's the header or a chunk
+	 * 	 label: label of the named channel or null for the main data channel
+	 */
+	receiveLegacyDataChunk(streamId, data, label)
+	{
+		label = typeof label == "undefined" ? null : label;
+		var length = data.byteLength;
+		var token = new Int32Array(data, 0, 1)[0];
+		var key = this.getDataChannelKey(streamId, label) + "/legacy/" + token;
+		var message = this.receivingMessages.get(key);
+
+		if (message == null) {
+			if (length != 8) {
+				console.error("something went wrong in msg receiving");
+				return;
+			}
+			var size = new Int32Array(data, 0, 2)[1];
+			if (size < 0 || size > this.dataChannelMaxMessageSize) {
+				//legacy format cannot be cancelled. Its chunks are discarded as unknown
+				this.notifyErrorEventListeners("data_message_too_large", {streamId: streamId, messageId: token, size: size});
+				return;
+			}
+			message = new ReceivingMessage(token, size, this.dataChannelChunkSize);
+			message.streamId = streamId;
+			message.label = label;
+			this.receivingMessages.set(key, message);
+		}
+		else {
+			if (!message.addChunk(new Uint8Array(data, 4))) {
+				console.error("Received data exceeds the message size for stream: " + streamId);
+				this.removeReceivingMessage(key);
+				this.notifyErrorEventListeners("data_invalid_chunk", {streamId: streamId, messageId: token});
+				return;
+			}
+			this.notifyEventListeners("data_receive_progress", {streamId: streamId, messageId: token, received: message.received, size: message.size});
+		}
 
-				var chunk = data.slice(sent, sent+size);
-				buffer.set(new Uint8Array(chunk), 4);
-				sent += size;
+		this.checkReceivingMessage(key, message);
+	}
 
-				dataChannel.send(buffer);
+	/**
+	 * Called internally after a frame of a binary message is received.
+	 * It calls "data_received" if the message is completed and valid. Otherwise it restarts the timeout of the message
+	 * 	 key: key of the message in @receivingMessages
+	 * 	 message: @ReceivingMessage
+	 */
+	checkReceivingMessage(key, message)
+	{
+		var obj = {streamId: message.streamId, messageId: message.messageId};
+		if (message.isCompleted()) {
+			this.removeReceivingMessage(key);
+			if (!message.isValid()) {
+				this.notifyErrorEventListeners("data_checksum_mismatch", obj);
+			}
+			else if (message.contentType == ContentType.FILE || message.contentType == ContentType.FILE_CONTROL) {
+				this.fileTransferManager.receiveMessage(message.streamId, message.contentType, message.data);
+			}
+			else if (message.contentType == ContentType.MESSAGE) {
+				this.messagingManager.receiveMessage(message.streamId, message.data);
+			}
+			else {
+				obj.data = message.data;
+				if (message.label != null) {
+					obj.label = message.label;
+				}
+				this.notifyEventListeners("data_received", obj);
 			}
 		}
+		else {
+			clearTimeout(message.timerId);
+			message.timerId = setTimeout(() => {
+				this.receivingMessages.delete(key);
+				obj.received = message.received;
+				obj.size = message.size;
+				this.notifyErrorEventListeners("data_receive_timeout", obj);
+			}, this.dataChannelReceiveTimeout);
+		}
+	}
+
+	/**
+	 * Called internally to tell the sender that a binary message is discarded, so that it stops sending the chunks
+	 * 	 streamId: unique id for the stream
+	 * 	 label: label of the named channel or null for the main data channel
+	 * 	 messageId: id of the message
+	 */
+	rejectReceivingMessage(streamId, label, messageId)
+	{
+		var dataChannel = this.getDataChannel(streamId, label);
+		if (dataChannel != null && dataChannel.readyState == "open") {
+			dataChannel.send(createCancelFrame(messageId, true));
+		}
+	}
+
+	/**
+	 * Called internally when the receiver rejects a binary message which is being sent.
+	 * The promise of the message is rejected with "data_send_rejected" error
+	 * 	 streamId: unique id for the stream
+	 * 	 label: label of the named channel or null for the main data channel
+	 * 	 messageId: id of the message
+	 */
+	receiveSendRejection(streamId, label, messageId)
+	{
+		var queue = this.sendingMessages.get(this.getDataChannelKey(streamId, label));
+		var index = queue != null ? queue.messages.findIndex(message => message.messageId == messageId) : -1;
+		if (index == -1) {
+			//message may be sent completely
+			return;
+		}
+		var message = queue.messages.splice(index, 1)[0];
+		var obj = {streamId: streamId, messageId: messageId};
+		this.notifyErrorEventListeners("data_send_rejected", obj);
+		message.reject({error: "data_send_rejected", message: obj});
+		this.sendNextDataChunks(streamId, label);
+	}
+
+	/**
+	 * Called internally to discard a binary message which is being received
+	 * 	 key: key of the message in @receivingMessages
+	 */
+	removeReceivingMessage(key)
+	{
+		var message = this.receivingMessages.get(key);
+		if (message != null) {
+			clearTimeout(message.timerId);
+			this.receivingMessages.delete(key);
+		}
 	}
 
+	/**
+	 * Called internally when the data channel or the PeerConnection of a stream is closed.
+	 * The binary messages which are being sent are rejected with "data_channel_closed" error and
+	 * the ones which are being received are discarded
+	 * 	 streamId: unique id for the stream 
+	 * 	 label: label of the named channel or null for the main data channel. All channels of the stream are cleared if it's not set
+	 */
+	clearDataTransfers(streamId, label)
+	{
+		var allChannels = typeof label == "undefined";
+		this.sendingMessages.forEach((queue, key) => {
+			if (queue.streamId == streamId && (allChannels || queue.label == label)) {
+				this.sendingMessages.delete(key);
+				queue.messages.forEach(message => {
+					message.reject({error: "data_channel_closed", message: {streamId: streamId, messageId: message.messageId}});
+				});
+			}
+		});
+
+		this.receivingMessages.forEach((message, key) => {
+			if (message.streamId == streamId && (allChannels || message.label == label)) {
+				this.removeReceivingMessage(key);
+			}
+		});
+	}
+
+	/**
+	 * The following messages are forwarded to FileTransferManager. 
+	 * You can find the details about them in file_transfer.js
+	 */
+	sendFile(streamId, file, options) {return this.fileTransferManager.sendFile(streamId, file, options);}
+	cancelFile(streamId, fileId) {return this.fileTransferManager.cancelFile(streamId, fileId);}
+
+	/**
+	 * The following messages are forwarded to MessagingManager. 
+	 * You can find the details about them in messaging.js
+	 */
+	sendMessage(streamId, type, payload, options) {return this.messagingManager.sendMessage(streamId, type, payload, options);}
+	request(streamId, type, payload, options) {return this.messagingManager.request(streamId, type, payload, options);}
+	subscribeMessage(type, listener) {return this.messagingManager.subscribeMessage(type, listener);}
+	unsubscribeMessage(type, listener) {this.messagingManager.unsubscribeMessage(type, listener);}
+	setRequestHandler(type, handler) {this.messagingManager.setRequestHandler(type, handler);}
+
+	/**
+	 * The following messages are forwarded to VoiceActivityManager.
+	 * You can find the details about them in voice_activity.js
+	 */
+	enableVoiceActivityDetection(streamId, options) {this.voiceActivityManager.enableVoiceActivityDetection(streamId, options);}
+	disableVoiceActivityDetection() {this.voiceActivityManager.disableVoiceActivityDetection();}
+	isSpeaking() {return this.voiceActivityManager.isSpeaking();}
+
+	/**
+	 * The following messages are forwarded to NetworkQualityManager.
+	 * You can find the details about them in network_quality.js
+	 */
+	getNetworkQuality(streamId) {return this.networkQualityManager.getNetworkQuality(streamId);}
+
+	/**
+	 * The following messages are forwarded to StatsRecorder.
+	 * You can find the details about them in stats_recorder.js
+	 */
+	startStatsRecording() {this.statsRecorder.startStatsRecording();}
+	stopStatsRecording() {this.statsRecorder.stopStatsRecording();}
+	clearStatsRecording() {this.statsRecorder.clearStatsRecording();}
+	getStatsDump() {return this.statsRecorder.getStatsDump();}
+	downloadStatsDump(fileName) {this.statsRecorder.downloadStatsDump(fileName);}
+
+	/**
+	 * The following messages are forwarded to SimulcastManager.
+	 * You can find the details about them in simulcast.js
+	 */
+	getSimulcastLayers(streamId) {return this.simulcastManager.getSimulcastLayers(streamId);}
+	setSimulcastLayerEnabled(streamId, rid, enabled) {return this.simulcastManager.setSimulcastLayerEnabled(streamId, rid, enabled);}
+	setSimulcastLayerParameters(streamId, rid, parameters) {return this.simulcastManager.setSimulcastLayerParameters(streamId, rid, parameters);}
+
+	/**
+	 * The following messages are forwarded to AdaptiveBitrateController.
+	 * You can find the details about them in adaptive_bitrate.js
+	 */
+	enableAdaptiveBitrate(streamId) {this.adaptiveBitrateController.enableAdaptiveBitrate(streamId);}
+	disableAdaptiveBitrate(streamId) {this.adaptiveBitrateController.disableAdaptiveBitrate(streamId);}
+	getAdaptiveBitrateState(streamId) {return this.adaptiveBitrateController.getAdaptiveBitrateState(streamId);}
+
 	/**
 	 * Called by user
 	 * to add SoundMeter to a stream (remote stream)
@@ -1361,10 +2728,14 @@ export class WebRTCAdaptor
 	 * 	
 	 * This list can be used to add a sign to talking participant 
 	 * in conference room. And also to determine the dominant audio to focus that player.
+	 * Besides instant, the sound meters provide rms, peak, clipping and decayed levels with getLevels()
 	 * @param {*} stream 
 	 * @param {*} streamId 
 	 */
 	enableAudioLevel(stream, streamId) {
+		if (this.soundMeters[streamId] != null) {
+			this.soundMeters[streamId].stop();
+		}
 		const soundMeter = new SoundMeter(this.audioContext);
 
 		// Put variables in global scope to make them available to the
@@ -1390,7 +2761,7 @@ export class WebRTCAdaptor
 		for(let i = 0; i < streamsList.length; i++){
 			this.soundLevelList[streamsList[i]] = this.soundMeters[streamsList[i]].instant.toFixed(2); 
 		}
-		this.callback("gotSoundList" , this.soundLevelList);
+		this.notifyEventListeners("gotSoundList" , this.soundLevelList);
 	}
 
 	/**
@@ -1470,18 +2841,23 @@ export class WebRTCAdaptor
 	/**
 	 * Called by user
 	 * This message is used to send audio level in a conference.
+	 * It's sent as {streamId, eventType: "UPDATE_AUDIO_LEVEL", audioLevel} JSON or as the UPDATE_AUDIO_LEVEL
+	 * message with {streamId, audioLevel} payload if @audioLevelMessageEnabled is true
 	 *
 	 * @param {*} value : audio lavel
-	 * @returns 
+	 * @returns Promise which is resolved when the message is given to the data channel
 	 */
 	updateAudioLevel(streamId, value) {
+		if (this.audioLevelMessageEnabled) {
+			return this.sendMessage(streamId, "UPDATE_AUDIO_LEVEL", {streamId: streamId, audioLevel: value});
+		}
 		var jsCmd = {
 				streamId : streamId,
 				eventType : "UPDATE_AUDIO_LEVEL",
 				audioLevel : value,
 		};
 
-		this.sendData(streamId, JSON.stringify(jsCmd));
+		return this.sendData(streamId, JSON.stringify(jsCmd));
 	}
   
 
@@ -1532,6 +2908,7 @@ export class WebRTCAdaptor
 	}
 
   closeStream() {
+    this.voiceActivityManager.disableVoiceActivityDetection();
     this.mediaManager.closeStream();
   };
   
@@ -1543,7 +2920,74 @@ export class WebRTCAdaptor
 
 
 /* The Information Callbacks Called by This Class */
-//TODO:
+/*
+ * The events below are passed to the callback as callback(info, obj) and to the listeners 
+ * which are added with on(info, listener) as listener(obj). Wildcard ("*") listeners are called as listener(info, obj).
+ * The events of WebSocketAdaptor and MediaManager are also passed to the listeners of WebRTCAdaptor.
+ *
+ * 	initialized: web socket connection is established. No payload
+ * 	closed: web socket connection is closed. Payload is the close event
+ * 	reconnecting: {attempt, delay} web socket connection is being re-established
+ * 	reconnected: {attempts} web socket connection is re-established
+ * 	reconnect_failed: {attempts} web socket connection cannot be re-established
+ * 	session_restored: {publishStreamId, playStreamIds, roomName, failedStreamIds}. roomName is null if the room cannot be joined again 
+ * 	publish_started, publish_finished, play_started, play_finished: {streamId, ...} notifications from AMS
+ * 	joinedTheRoom, leavedFromRoom: {streamId, ATTR_ROOM_NAME, streams, ...} notifications from AMS
+ * 	streamInformation, roomInformation, trackList, peerMessageCommand: messages from AMS
+ * 	pong: response of the ping message. No payload
+ * 	newStreamAvailable: {stream, track, streamId, trackId}
+ * 	ice_connection_state_changed: {state, streamId}
+ * 	ice_restart_started, ice_restarted: {streamId}
+ * 	data_channel_opened, data_channel_closed: streamId
+ * 	named_data_channel_opened, named_data_channel_closed: {streamId, label} for the named channels in @dataChannelOptions
+ * 	data_received: {streamId, data} for text messages, {streamId, data, messageId} for binary messages.
+ * 			It has label field if the data is received from a named channel
+ * 	data_send_progress: {streamId, messageId, sent, size}
+ * 	data_sent: {streamId, messageId, size}
+ * 	data_receive_progress: {streamId, messageId, received, size}
+ * 	data_send_cancelled, data_receive_cancelled: {streamId, messageId}
+ * 	file_send_progress: {streamId, fileId, name, sent, size}
+ * 	file_sent: {streamId, fileId, name, type, size}
+ * 	file_receive_progress: {streamId, fileId, name, received, size}
+ * 	file_received: {streamId, fileId, name, type, size, lastModified, data}
+ * 	file_transfer_paused: {streamId, fileId, acknowledged} data channel is closed during the transfer
+ * 	file_transfer_resumed: {streamId, fileId, offset}
+ * 	file_send_cancelled, file_receive_cancelled: {streamId, fileId}
+ * 	message_received: {streamId, type, messageId, payload} message which is sent with sendMessage
+ * 	updated_stats: PeerStats. Its inboundRtp, outboundRtp, remoteInboundRtp, candidatePairs, codecs and transport
+ * 		fields have the details of the stats report. Its history has the samples of the last reports
+ * 	simulcast_layer_changed: {streamId, rid, active, scaleResolutionDownBy, maxBitrate, maxFramerate} a layer is changed
+ * 		with @setSimulcastLayerEnabled or @setSimulcastLayerParameters
+ * 	bitrate_step_down, bitrate_step_up: {streamId, bitrate, scaleResolutionDownBy, maxFramerate, reason} encoding of a published
+ * 		stream is changed by the adaptive bitrate controller. Check adaptive_bitrate.js
+ * 	network_quality_changed: {streamId, score, level, previousLevel, metrics, actions} level of the quality of a stream
+ * 		whose stats are enabled changes. Levels are excellent, good, poor and bad. Check network_quality.js
+ * 	gotSoundList: soundLevelList
+ * 	speaking_started, speaking_stopped: {streamId, level} voice activity of the local stream. Check @enableVoiceActivityDetection
+ * 	available_devices: array of MediaDeviceInfo
+ * 	browser_screen_share_supported, screen_share_stopped, speaking_but_muted: No payload
+ */
 
 /* The Error Callbacks Called by This Class */
-//TODO:
+/*
+ * The errors are passed to the callbackError as callbackError(error, message) and to the 
+ * "error" listeners as listener({error, message})
+ *
+ * 	WebSocketNotConnected, WebSocketNotSupported, UnsecureContext, getUserMediaIsNotAllowed
+ * 	NotFoundError, NotAllowedError, ScreenSharePermissionDenied, media_constraint_video_not_defined
+ * 	NoActiveConnection, notSetRemoteDescription, protocol_not_supported
+ * 	ice_restart_failed: {streamId, error} the description of an ICE restart cannot be created or set. Check @restartIce
+ * 	data_channel_error: {streamId, error}
+ * 	invalid_data_channel_options: {streamId, message} data channel options cannot be used. Check @setDataChannelOptions
+ * 	data_receive_timeout: {streamId, messageId, received, size} chunks of a binary message are not received in time
+ * 	data_checksum_mismatch: {streamId, messageId} received binary message is corrupted
+ * 	data_invalid_chunk: {streamId, messageId, index} a chunk of a received binary message is out of its range. The message is discarded
+ * 	data_message_too_large: {streamId, messageId, size} received binary message is larger than @dataChannelMaxMessageSize
+ * 	data_send_rejected: {streamId, messageId} the receiver rejected the binary message which is being sent
+ * 	file_transfer_timeout: {streamId, fileId, description} paused transfer is not resumed or next segment is not received in time
+ * 	file_read_error: {streamId, fileId, description}
+ * 	file_too_large: {streamId, fileId, size} received file is larger than @fileMaxSize. It's rejected
+ * 	file_send_rejected: {streamId, fileId, description} receiver rejected the file because of its size
+ * 	invalid_file_message: {streamId, description} received file segment or control message cannot be decoded
+ * 	the error definitions sent by AMS like no_stream_exist, unauthorized_access, publishTimeoutError: {definition, streamId, ...}
+ */
@@ -1,14 +1,90 @@
 
-export class WebSocketAdaptor 
+import {EventEmitter} from "./event_emitter.js"
+import {WebSocketTransport} from "./signalling_transport.js"
+
+export class WebSocketAdaptor extends EventEmitter
 {
     constructor(initialValues){
-        
+        super();
+
         this.debug = false;
+
+		/**
+		 * Reconnect automatically when the websocket connection is lost unexpectedly.
+		 * Connection is not re-established if it's closed by calling @close
+		 */
+		this.reconnectEnabled = true;
+
+		/**
+		 * Delay in milliseconds before the first reconnection attempt
+		 */
+		this.reconnectInitialDelay = 1000;
+
+		/**
+		 * Upper limit in milliseconds for the delay between reconnection attempts
+		 */
+		this.reconnectMaxDelay = 30000;
+
+		/**
+		 * The delay is multiplied with this factor after each failed attempt (exponential backoff)
+		 */
+		this.reconnectBackoffFactor = 2;
+
+		/**
+		 * Random jitter ratio between 0 and 1. Each delay is randomly changed by up to this ratio
+		 * so that many clients do not reconnect to the server at the same time
+		 */
+		this.reconnectJitter = 0.3;
+
+		/**
+		 * Maximum number of consecutive reconnection attempts. -1 means no limit
+		 */
+		this.reconnectMaxAttempts = 10;
+
+		/**
+		 * Maximum number of messages kept while the connection is not available.
+		 * Oldest messages are dropped when the limit is exceeded
+		 */
+		this.offlineQueueLimit = 100;
+
+		/**
+		 * The function which creates the transport for the signalling connection. 
+		 * It's called with the websocket_url for each connection attempt.
+		 * Check @SignallingTransport for the interface of the transport
+		 */
+		this.transportFactory = (url) => new WebSocketTransport(url);
+
+		/**
+		 * Optional @SignallingJournal which records the sent and received messages. Check signalling_journal.js
+		 */
+		this.journal = null;
+
         for(var key in initialValues) {
 			if(initialValues.hasOwnProperty(key)) {
 				this[key] = initialValues[key];
 			}
         }
+
+		/**
+		 * Number of reconnection attempts made since the connection is lost
+		 */
+		this.reconnectAttempts = 0;
+
+		/**
+		 * The timer id of the scheduled reconnection attempt
+		 */
+		this.reconnectTimerId = -1;
+
+		/**
+		 * This flag is true if the connection is closed by calling @close
+		 */
+		this.closedByUser = false;
+
+		/**
+		 * Messages sent while the connection is not available.
+		 * They are sent in order as soon as the connection is established
+		 */
+		this.offlineQueue = [];
         
 		this.initWebSocketConnection();
 
@@ -19,8 +95,8 @@ export class WebSocketAdaptor
         this.connected = false;
         this.pingTimerId = -1;
 
-		this.wsConn = new WebSocket(this.websocket_url);
-        this.wsConn.onopen = () => {
+		this.transport = this.transportFactory(this.websocket_url);
+        this.transport.onOpen = () => {
             if (this.debug) 
             {
                 console.debug("websocket connected");
@@ -32,98 +108,221 @@ export class WebSocketAdaptor
     
             this.connected = true;
             this.connecting = false;
-            this.callback("initialized");
+            this.notifyEventListeners("initialized");
 
 			if (typeof callbackConnected != "undefined") {
 				callbackConnected();
 			}
-        }
-
-        this.wsConn.onmessage = (event) => {
-            var obj = JSON.parse(event.data);
-
-            if (obj.command == "start")
-            {
-                //this command is received first, when publishing so playmode is false
-
-                if (this.debug) {
-                    console.debug("received start command");
-                }
-
-                this.webrtcadaptor.startPublishing(obj.streamId);
-            }
-            else if (obj.command == "takeCandidate") {
 
-                if (this.debug) {
-                    console.debug("received ice candidate for stream id " + obj.streamId);
-                    console.debug(obj.candidate);
-                }
-
-                this.webrtcadaptor.takeCandidate(obj.streamId, obj.label, obj.candidate);
-
-            } else if (obj.command == "takeConfiguration") {
+			//"reconnected" is notified before the queue is sent so that the sessions can be restored
+			//and the queued messages which belong to the lost sessions can be dropped with @removeQueuedMessages
+			if (this.reconnectAttempts > 0) {
+				var attempts = this.reconnectAttempts;
+				this.reconnectAttempts = 0;
+				this.notifyEventListeners("reconnected", {attempts: attempts});
+			}
 
-                if (this.debug) {
-                    console.debug("received remote description type for stream id: " + obj.streamId + " type: " + obj.type );
-                }
-                this.webrtcadaptor.takeConfiguration(obj.streamId, obj.sdp, obj.type, obj.idMapping);
+			this.flushOfflineQueue();
+        }
 
-            }
-            else if (obj.command == "stop") {
-            	if (this.debug){
-                	console.debug("Stop command received");
-                }
-                this.webrtcadaptor.closePeerConnection(obj.streamId);
-            }
-            else if (obj.command == "error") {
-                this.callbackError(obj.definition, obj);
-            }
-            else if (obj.command == "notification") {
-                this.callback(obj.definition, obj);
-                if (obj.definition == "play_finished" || obj.definition == "publish_finished") {
-                    this.webrtcadaptor.closePeerConnection(obj.streamId);
-                }
-            }
-            else if (obj.command == "streamInformation") {
-                this.callback(obj.command, obj);
-            }
-            else if (obj.command == "roomInformation") {
-                this.callback(obj.command, obj);
-            }
-            else if (obj.command == "pong") {
-                this.callback(obj.command);
-            }
-            else if (obj.command == "trackList") {
-                this.callback(obj.command, obj);
-            }
-            else if (obj.command == "connectWithNewId") {
-                this.multiPeerStreamId = obj.streamId;
-                this.join(obj.streamId);
-            }
-            else if (obj.command == "peerMessageCommand") {
-                this.callback(obj.command, obj);
-            }
+        this.transport.onMessage = (data) => {
+            this.onMessage(data);
         }
 
-        this.wsConn.onerror = (error) => {
+        this.transport.onError = (error) => {
         	this.connecting = false;
         	this.connected = false;
             console.info(" error occured: " + JSON.stringify(error));
             
             this.clearPingTimer();
-            this.callbackError("WebSocketNotConnected", error)
+            //failed reconnection attempts are reported with reconnecting and reconnect_failed
+            if (this.reconnectAttempts == 0) {
+            	this.notifyErrorEventListeners("WebSocketNotConnected", error)
+            }
         }
 
-        this.wsConn.onclose = (event) => {
+        this.transport.onClose = (event) => {
         	this.connecting = false;
             this.connected = false;
             if (this.debug) {
             	console.debug("connection closed.");
             }
             this.clearPingTimer();
-            this.callback("closed", event);
+            if (this.reconnectAttempts == 0) {
+            	this.notifyEventListeners("closed", event);
+            }
+
+            if (this.reconnectEnabled && !this.closedByUser) {
+            	this.scheduleReconnect();
+            }
+        }
+
+		this.transport.connect();
+	}
+
+    /**
+     * Called when a message is received from the transport. It parses the message 
+     * and dispatches it to the WebRTCAdaptor or notifies the listeners
+     * 	 data: JSON text of the message
+     */
+    onMessage(data) {
+		if (this.journal != null) {
+			this.journal.record("in", data);
+		}
+        var obj = JSON.parse(data);
+
+        if (obj.command == "start")
+        {
+            //this command is received first, when publishing so playmode is false
+
+            if (this.debug) {
+                console.debug("received start command");
+            }
+
+            this.webrtcadaptor.startPublishing(obj.streamId);
+        }
+        else if (obj.command == "takeCandidate") {
+
+            if (this.debug) {
+                console.debug("received ice candidate for stream id " + obj.streamId);
+                console.debug(obj.candidate);
+            }
+
+            this.webrtcadaptor.takeCandidate(obj.streamId, obj.label, obj.candidate);
+
+        } else if (obj.command == "takeConfiguration") {
+
+            if (this.debug) {
+                console.debug("received remote description type for stream id: " + obj.streamId + " type: " + obj.type );
+            }
+            this.webrtcadaptor.takeConfiguration(obj.streamId, obj.sdp, obj.type, obj.idMapping);
+
+        }
+        else if (obj.command == "stop") {
+        	if (this.debug){
+            	console.debug("Stop command received");
+            }
+            this.webrtcadaptor.closePeerConnection(obj.streamId);
+        }
+        else if (obj.command == "error") {
+            this.notifyErrorEventListeners(obj.definition, obj);
+        }
+        else if (obj.command == "notification") {
+            this.notifyEventListeners(obj.definition, obj);
+            if (obj.definition == "play_finished" || obj.definition == "publish_finished") {
+                this.webrtcadaptor.closePeerConnection(obj.streamId);
+            }
+        }
+        else if (obj.command == "streamInformation") {
+            this.notifyEventListeners(obj.command, obj);
+        }
+        else if (obj.command == "roomInformation") {
+            this.notifyEventListeners(obj.command, obj);
+        }
+        else if (obj.command == "pong") {
+            this.notifyEventListeners(obj.command);
+        }
+        else if (obj.command == "trackList") {
+            this.notifyEventListeners(obj.command, obj);
         }
+        else if (obj.command == "connectWithNewId") {
+            this.multiPeerStreamId = obj.streamId;
+            this.join(obj.streamId);
+        }
+        else if (obj.command == "peerMessageCommand") {
+            this.notifyEventListeners(obj.command, obj);
+        }
+    }
+
+	/**
+	 * Called internally when the connection is lost unexpectedly.
+	 * It schedules a new connection attempt with exponential backoff and jitter.
+	 * "reconnecting" callback is called for each attempt and "reconnect_failed"
+	 * callback is called when @reconnectMaxAttempts is reached
+	 */
+	scheduleReconnect() {
+		if (this.reconnectTimerId != -1) {
+			return;
+		}
+
+		if (this.reconnectMaxAttempts != -1 && this.reconnectAttempts >= this.reconnectMaxAttempts) {
+			var attempts = this.reconnectAttempts;
+			this.reconnectAttempts = 0;
+			this.offlineQueue = [];
+			console.warn("Websocket cannot be reconnected after " + attempts + " attempts");
+			this.notifyEventListeners("reconnect_failed", {attempts: attempts});
+			return;
+		}
+
+		this.reconnectAttempts++;
+		var delay = this.reconnectInitialDelay * Math.pow(this.reconnectBackoffFactor, this.reconnectAttempts - 1);
+		delay = Math.min(delay, this.reconnectMaxDelay);
+		//spread the delay randomly in the range of [delay*(1-jitter), delay*(1+jitter)]
+		delay = Math.round(delay * (1 + this.reconnectJitter * (Math.random() * 2 - 1)));
+
+		if (this.debug) {
+			console.debug("websocket reconnection attempt " + this.reconnectAttempts + " in " + delay + "ms");
+		}
+		this.notifyEventListeners("reconnecting", {attempt: this.reconnectAttempts, delay: delay});
+
+		this.reconnectTimerId = setTimeout(() => {
+			this.reconnectTimerId = -1;
+			this.initWebSocketConnection();
+		}, delay);
+	}
+
+	/**
+	 * Called internally to notify the event listeners and the callback about an information event
+	 */
+	notifyEventListeners(info, obj) {
+		this.emit(info, obj);
+		if (typeof this.callback == "function") {
+			this.callback(info, obj);
+		}
+	}
+
+	/**
+	 * Called internally to notify the "error" event listeners and the error callback
+	 */
+	notifyErrorEventListeners(error, message) {
+		this.emit("error", {error: error, message: message});
+		if (typeof this.callbackError == "function") {
+			this.callbackError(error, message);
+		}
+	}
+
+	clearReconnectTimer() {
+		if (this.reconnectTimerId != -1) {
+			clearTimeout(this.reconnectTimerId);
+			this.reconnectTimerId = -1;
+		}
+	}
+
+	/**
+	 * Sends the messages that are queued while the connection is not available
+	 */
+	flushOfflineQueue() {
+		while (this.offlineQueue.length > 0 && this.connected) {
+			var text = this.offlineQueue.shift();
+			this.transport.send(text);
+			if (this.journal != null) {
+				this.journal.record("out", text);
+			}
+			if (this.debug) {
+				console.debug("sent queued message:" + text);
+			}
+		}
+	}
 
+	/**
+	 * Removes the messages from the offline queue that the predicate returns true
+	 * 	 predicate: function(message) which is called with the parsed message
+	 * Returns the number of removed messages
+	 */
+	removeQueuedMessages(predicate) {
+		var length = this.offlineQueue.length;
+		this.offlineQueue = this.offlineQueue.filter(text => !predicate(JSON.parse(text)));
+		return length - this.offlineQueue.length;
 	}
 
     clearPingTimer(){
@@ -140,23 +339,38 @@ export class WebSocketAdaptor
         var jsCmd = {
                 command : "ping"
         };
-        this.wsConn.send(JSON.stringify(jsCmd));
+        this.transport.send(JSON.stringify(jsCmd));
     }
 
     close() {
-        this.wsConn.close();
+		this.closedByUser = true;
+		this.clearReconnectTimer();
+		this.reconnectAttempts = 0;
+		this.offlineQueue = [];
+        this.transport.close();
     }
 	
     send(text) {
 
-        if (this.connecting == false && this.connected == false) {
-			//try to reconnect
-			this.initWebSocketConnection(() => {
-				this.send(text);
-			});
+        if (this.connected == false) {
+			//keep the message to send it in order when the connection is established
+			this.offlineQueue.push(text);
+			if (this.offlineQueue.length > this.offlineQueueLimit) {
+				console.warn("Offline message queue is full. Oldest message is dropped");
+				this.offlineQueue.shift();
+			}
+
+			if (this.connecting == false && this.reconnectTimerId == -1) {
+				//try to reconnect
+				this.closedByUser = false;
+				this.initWebSocketConnection();
+			}
             return;
         }
-        this.wsConn.send(text);
+        this.transport.send(text);
+		if (this.journal != null) {
+			this.journal.record("out", text);
+		}
         if (this.debug) {
         	console.debug("sent message:" +text);
         }
@@ -169,4 +383,11 @@ export class WebSocketAdaptor
     isConnecting() {
     	return this.connecting;
     }
+
+	/**
+	 * Returns true if the connection is lost and it is being re-established
+	 */
+	isReconnecting() {
+		return this.reconnectTimerId != -1 || (this.connecting && this.reconnectAttempts > 0);
+	}
 }
\ No newline at end of file
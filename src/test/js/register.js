@@ -0,0 +1,8 @@
+/**
+ * The unit tests import the sources under src/main/webapp/js which are outside of this package.
+ * @babel/register compiles only the files in the current directory by default, 
+ * so the ignore option is given to compile them too. babel.config.json is applied to all of them.
+ */
+require("@babel/register")({
+	ignore: [/node_modules/],
+});
@@ -0,0 +1,617 @@
+/**
+ * Fake WebRTC environment to run WebRTCAdaptor and MediaManager under Node.
+ * It provides RTCPeerConnection, RTCDataChannel, MediaStream, getUserMedia, AudioContext
+ * and the few DOM functions that are used by the adaptor.
+ *
+ * The fakes don't send any media. They keep what is called on them so that the tests can check it,
+ * and they provide helper methods (prefixed with "fake") to simulate the events of the browser.
+ *
+ * 	const uninstall = installFakeWebRTC();
+ * 	...
+ * 	uninstall();
+ */
+
+var idCounter = 0;
+
+function nextId(prefix) {
+	idCounter++;
+	return prefix + idCounter;
+}
+
+export class FakeMediaStreamTrack
+{
+	constructor(kind) {
+		this.kind = kind;
+		this.id = nextId(kind);
+		this.enabled = true;
+		this.readyState = "live";
+		this.onended = null;
+	}
+
+	stop() {
+		this.readyState = "ended";
+	}
+
+	applyConstraints(constraints) {
+		this.constraints = constraints;
+		return Promise.resolve();
+	}
+
+	getSettings() {
+		return this.kind == "video" ? {width: 640, height: 480, frameRate: 30} : {};
+	}
+}
+
+export class FakeMediaStream
+{
+	constructor(tracks) {
+		this.id = nextId("stream");
+		this.tracks = tracks ? tracks.slice() : [];
+	}
+
+	get active() {
+		return this.tracks.some(track => track.readyState != "ended");
+	}
+
+	getTracks() {
+		return this.tracks.slice();
+	}
+
+	getAudioTracks() {
+		return this.tracks.filter(track => track.kind == "audio");
+	}
+
+	getVideoTracks() {
+		return this.tracks.filter(track => track.kind == "video");
+	}
+
+	addTrack(track) {
+		this.tracks.push(track);
+	}
+
+	removeTrack(track) {
+		var index = this.tracks.indexOf(track);
+		if (index != -1) {
+			this.tracks.splice(index, 1);
+		}
+	}
+}
+
+export class FakeRTCDataChannel
+{
+	constructor(label, options) {
+		this.label = label;
+		this.options = options || {};
+		this.ordered = this.options.ordered !== false;
+		this.id = typeof this.options.id != "undefined" ? this.options.id : null;
+		this.protocol = this.options.protocol || "";
+		this.readyState = "connecting";
+		this.bufferedAmount = 0;
+		this.bufferedAmountLowThreshold = 0;
+		this.binaryType = "arraybuffer";
+
+		/**
+		 * All data given to send in order
+		 */
+		this.sent = [];
+
+		/**
+		 * The other end of the channel. Check @fakeConnect
+		 */
+		this.remote = null;
+
+		/**
+		 * If it's true, the sent data stays in the buffer. Check @fakePauseDrain
+		 */
+		this.drainPaused = false;
+		this.pendingDrain = [];
+
+		this.onopen = null;
+		this.onmessage = null;
+		this.onclose = null;
+		this.onerror = null;
+		this.onbufferedamountlow = null;
+	}
+
+	send(data) {
+		if (this.readyState != "open") {
+			throw new Error("InvalidStateError: RTCDataChannel.readyState is not 'open'");
+		}
+		this.sent.push(data);
+		var size = typeof data === "string" ? data.length : data.byteLength;
+		this.bufferedAmount += size;
+		var remote = this.remote;
+		var copy = FakeRTCDataChannel.toReceivedData(data);
+		//data leaves the buffer asynchronously like it's sent over the network
+		setTimeout(() => {
+			if (this.drainPaused) {
+				this.pendingDrain.push(size);
+				return;
+			}
+			this.drain(size);
+			//data in flight is lost when the channel is closed
+			if (remote != null && this.readyState != "closed" && remote.readyState != "closed") {
+				remote.fakeReceive(copy);
+			}
+		}, 0);
+	}
+
+	drain(size) {
+		var previousAmount = this.bufferedAmount;
+		this.bufferedAmount -= size;
+		if (previousAmount > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold
+				&& this.onbufferedamountlow) {
+			this.onbufferedamountlow({});
+		}
+	}
+
+	close() {
+		if (this.readyState == "closed") {
+			return;
+		}
+		this.readyState = "closed";
+		if (this.onclose) {
+			this.onclose({});
+		}
+	}
+
+	/**
+	 * Connects two channels. The data sent from one of them is received by the other
+	 */
+	static fakeConnect(channel1, channel2) {
+		channel1.remote = channel2;
+		channel2.remote = channel1;
+	}
+
+	/**
+	 * Typed arrays are received as ArrayBuffer like in the browser
+	 */
+	static toReceivedData(data) {
+		if (typeof data === "string" || data instanceof String) {
+			return data;
+		}
+		if (ArrayBuffer.isView(data)) {
+			return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+		}
+		return data.slice(0);
+	}
+
+	fakeOpen() {
+		this.readyState = "open";
+		if (this.onopen) {
+			this.onopen({});
+		}
+	}
+
+	fakeReceive(data) {
+		if (this.onmessage) {
+			this.onmessage({data: FakeRTCDataChannel.toReceivedData(data)});
+		}
+	}
+
+	/**
+	 * Keeps the sent data in the buffer to simulate a slow network. 
+	 * The data isn't delivered to the remote channel in this case
+	 */
+	fakePauseDrain() {
+		this.drainPaused = true;
+	}
+
+	fakeResumeDrain() {
+		this.drainPaused = false;
+		this.pendingDrain.splice(0).forEach(size => this.drain(size));
+	}
+}
+
+export class FakeRTCRtpSender
+{
+	constructor(track) {
+		this.track = track;
+		this.parameters = {encodings: [{}]};
+	}
+
+	replaceTrack(track) {
+		this.track = track;
+		return Promise.resolve();
+	}
+
+	getParameters() {
+		return JSON.parse(JSON.stringify(this.parameters));
+	}
+
+	setParameters(parameters) {
+		this.parameters = parameters;
+		return Promise.resolve();
+	}
+}
+
+export class FakeRTCPeerConnection
+{
+	constructor(configuration) {
+		this.configuration = configuration;
+		this.signalingState = "stable";
+		this.iceConnectionState = "new";
+		this.connectionState = "new";
+		this.localDescription = null;
+		this.remoteDescription = null;
+
+		/**
+		 * Ice candidates added with addIceCandidate
+		 */
+		this.addedCandidates = [];
+
+		/**
+		 * Options of the createOffer calls
+		 */
+		this.offerOptions = [];
+		this.senders = [];
+		this.transceivers = [];
+		this.dataChannels = [];
+
+		/**
+		 * The report to be returned from getStats. Check @fakeStats
+		 */
+		this.statsReport = new Map();
+
+		this.onicecandidate = null;
+		this.ontrack = null;
+		this.ondatachannel = null;
+		this.oniceconnectionstatechange = null;
+		this.onnegotiationneeded = null;
+
+		FakeRTCPeerConnection.instances.push(this);
+	}
+
+	addTrack(track, stream) {
+		var sender = new FakeRTCRtpSender(track);
+		this.senders.push(sender);
+		return sender;
+	}
+
+	addTransceiver(trackOrKind, init) {
+		var track = typeof trackOrKind == "string" ? null : trackOrKind;
+		var sender = new FakeRTCRtpSender(track);
+		if (init && init.sendEncodings) {
+			sender.parameters.encodings = JSON.parse(JSON.stringify(init.sendEncodings));
+		}
+		this.senders.push(sender);
+		var transceiver = {sender: sender, mid: String(this.transceivers.length), direction: init && init.direction ? init.direction : "sendrecv"};
+		this.transceivers.push(transceiver);
+		return transceiver;
+	}
+
+	getSenders() {
+		return this.senders.slice();
+	}
+
+	getTransceivers() {
+		return this.transceivers.slice();
+	}
+
+	createDataChannel(label, options) {
+		var dataChannel = new FakeRTCDataChannel(label, options);
+		this.dataChannels.push(dataChannel);
+		return dataChannel;
+	}
+
+	createOffer(options) {
+		this.offerOptions.push(options);
+		if (FakeRTCPeerConnection.failCreateOffer) {
+			return Promise.reject(new Error("OperationError: createOffer failed"));
+		}
+		return Promise.resolve({type: "offer", sdp: "v=0\r\ns=fake offer\r\na=fmtp:111 minptime=10;useinbandfec=1\r\n"});
+	}
+
+	createAnswer(options) {
+		return Promise.resolve({type: "answer", sdp: "v=0\r\ns=fake answer\r\na=fmtp:111 minptime=10;useinbandfec=1\r\n"});
+	}
+
+	setLocalDescription(description) {
+		this.localDescription = description;
+		this.signalingState = description.type == "offer" ? "have-local-offer" : "stable";
+		return Promise.resolve();
+	}
+
+	setRemoteDescription(description) {
+		if (FakeRTCPeerConnection.failRemoteDescription) {
+			return Promise.reject(new Error("InvalidAccessError: setRemoteDescription failed"));
+		}
+		this.remoteDescription = description;
+		this.signalingState = description.type == "offer" ? "have-remote-offer" : "stable";
+		return Promise.resolve();
+	}
+
+	addIceCandidate(candidate) {
+		this.addedCandidates.push(candidate);
+		return Promise.resolve();
+	}
+
+	getStats(selector) {
+		return Promise.resolve(this.statsReport);
+	}
+
+	close() {
+		this.signalingState = "closed";
+		this.iceConnectionState = "closed";
+		this.dataChannels.forEach(dataChannel => dataChannel.close());
+	}
+
+	fakeIceConnectionState(state) {
+		this.iceConnectionState = state;
+		if (this.oniceconnectionstatechange) {
+			this.oniceconnectionstatechange({});
+		}
+	}
+
+	fakeIceCandidate(candidate, sdpMLineIndex, protocol) {
+		if (this.onicecandidate) {
+			this.onicecandidate({candidate: candidate == null ? null : {candidate: candidate, sdpMLineIndex: sdpMLineIndex || 0, sdpMid: "0", protocol: protocol}});
+		}
+	}
+
+	/**
+	 * Simulates a data channel which is opened by the remote peer
+	 */
+	fakeRemoteDataChannel(label, options) {
+		var dataChannel = new FakeRTCDataChannel(label, options);
+		if (this.ondatachannel) {
+			this.ondatachannel({channel: dataChannel});
+		}
+		return dataChannel;
+	}
+
+	fakeTrack(kind, mid) {
+		var track = new FakeMediaStreamTrack(kind);
+		var stream = new FakeMediaStream([track]);
+		if (this.ontrack) {
+			this.ontrack({track: track, streams: [stream], transceiver: {mid: mid || "0"}});
+		}
+		return stream;
+	}
+
+	/**
+	 * Sets the stats which are returned from getStats. Each item should have id, type and timestamp
+	 */
+	fakeStats(items) {
+		this.statsReport = new Map(items.map(item => [item.id, item]));
+	}
+}
+
+FakeRTCPeerConnection.instances = [];
+FakeRTCPeerConnection.failRemoteDescription = false;
+FakeRTCPeerConnection.failCreateOffer = false;
+
+export class FakeRTCSessionDescription
+{
+	constructor(init) {
+		this.type = init.type;
+		this.sdp = init.sdp;
+	}
+}
+
+export class FakeRTCIceCandidate
+{
+	constructor(init) {
+		this.candidate = init.candidate;
+		this.sdpMLineIndex = init.sdpMLineIndex;
+		this.sdpMid = init.sdpMid;
+		//browsers parse the protocol from the candidate
+		var parts = typeof init.candidate == "string" ? init.candidate.split(" ") : [];
+		this.protocol = parts.length > 2 ? parts[2].toLowerCase() : undefined;
+	}
+}
+
+class FakeAudioNode
+{
+	constructor(context) {
+		this.context = context;
+		this.connections = [];
+	}
+
+	connect(destination) {
+		this.connections.push(destination);
+		return destination;
+	}
+
+	disconnect() {
+		this.connections = [];
+	}
+}
+
+export class FakeAudioContext
+{
+	constructor() {
+		this.state = "running";
+		this.sampleRate = 48000;
+		this.currentTime = 0;
+		this.destination = new FakeAudioNode(this);
+		this.audioWorklet = {
+			modules: [],
+			addModule: (url) => {
+				this.audioWorklet.modules.push(url);
+				return Promise.resolve();
+			},
+		};
+	}
+
+	createMediaStreamSource(stream) {
+		var node = new FakeAudioNode(this);
+		node.mediaStream = stream;
+		return node;
+	}
+
+	createMediaStreamDestination() {
+		var node = new FakeAudioNode(this);
+		node.stream = new FakeMediaStream([new FakeMediaStreamTrack("audio")]);
+		return node;
+	}
+
+	createGain() {
+		var node = new FakeAudioNode(this);
+		node.gain = {value: 1};
+		return node;
+	}
+
+	createDelay() {
+		var node = new FakeAudioNode(this);
+		node.delayTime = {value: 0};
+		return node;
+	}
+
+	createScriptProcessor() {
+		var node = new FakeAudioNode(this);
+		node.onaudioprocess = null;
+		return node;
+	}
+
+	createAnalyser() {
+		var node = new FakeAudioNode(this);
+		node.fftSize = 2048;
+		node.frequencyBinCount = 1024;
+		node.smoothingTimeConstant = 0.8;
+		node.getFloatTimeDomainData = (array) => array.fill(0);
+		node.getFloatFrequencyData = (array) => array.fill(-100);
+		return node;
+	}
+
+	resume() {
+		this.state = "running";
+		return Promise.resolve();
+	}
+
+	close() {
+		this.state = "closed";
+		return Promise.resolve();
+	}
+}
+
+export class FakeAudioWorkletNode extends FakeAudioNode
+{
+	constructor(context, name, options) {
+		super(context);
+		this.name = name;
+		this.options = options;
+		this.port = {
+			onmessage: null,
+			messages: [],
+			postMessage: (message) => this.port.messages.push(message),
+			close: () => {},
+		};
+	}
+
+	/**
+	 * Simulates a message from the processor
+	 */
+	fakeMessage(data) {
+		if (this.port.onmessage) {
+			this.port.onmessage({data: data});
+		}
+	}
+}
+
+function createFakeElement(tagName) {
+	return {
+		tagName: tagName,
+		style: {},
+		width: 0,
+		height: 0,
+		srcObject: null,
+		setAttribute(name, value) {
+			this[name] = value;
+		},
+		getContext() {
+			return {fillRect() {}, drawImage() {}, clearRect() {}};
+		},
+		captureStream() {
+			return new FakeMediaStream([new FakeMediaStreamTrack("video")]);
+		},
+		play() {
+			return Promise.resolve();
+		},
+	};
+}
+
+/**
+ * Installs the fakes as globals. Returns a function which restores the previous globals
+ * 	 options:
+ * 		devices: list of {kind, deviceId, label} returned from enumerateDevices
+ * 		getUserMediaError: if it's set, getUserMedia is rejected with this error
+ */
+export function installFakeWebRTC(options) {
+	options = options || {};
+	var names = ["window", "document", "navigator", "RTCPeerConnection", "RTCSessionDescription", "RTCIceCandidate",
+		"MediaStream", "AudioContext", "AudioWorkletNode", "WebSocket"];
+	var previous = {};
+	names.forEach(name => {
+		previous[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+	});
+
+	var devices = options.devices || [
+		{kind: "audioinput", deviceId: "fakeAudioInput", label: "Fake Microphone"},
+		{kind: "videoinput", deviceId: "fakeVideoInput", label: "Fake Camera"},
+	];
+
+	var mediaDevices = {
+		getUserMediaCalls: [],
+		getUserMedia(constraints) {
+			mediaDevices.getUserMediaCalls.push(constraints);
+			if (options.getUserMediaError) {
+				return Promise.reject(options.getUserMediaError);
+			}
+			var tracks = [];
+			if (constraints.audio) {
+				tracks.push(new FakeMediaStreamTrack("audio"));
+			}
+			if (constraints.video) {
+				tracks.push(new FakeMediaStreamTrack("video"));
+			}
+			return Promise.resolve(new FakeMediaStream(tracks));
+		},
+		getDisplayMedia(constraints) {
+			return Promise.resolve(new FakeMediaStream([new FakeMediaStreamTrack("video")]));
+		},
+		enumerateDevices() {
+			return Promise.resolve(devices);
+		},
+		ondevicechange: null,
+	};
+
+	var fakes = {
+		document: {
+			getElementById() {
+				return null;
+			},
+			createElement: createFakeElement,
+		},
+		navigator: {mediaDevices: mediaDevices, userAgent: "node"},
+		RTCPeerConnection: FakeRTCPeerConnection,
+		RTCSessionDescription: FakeRTCSessionDescription,
+		RTCIceCandidate: FakeRTCIceCandidate,
+		MediaStream: FakeMediaStream,
+		AudioContext: FakeAudioContext,
+		AudioWorkletNode: FakeAudioWorkletNode,
+		//only its existence is checked by MediaManager
+		WebSocket: function() {
+			throw new Error("Use MockSignallingServer transport in tests");
+		},
+	};
+	fakes.window = globalThis;
+
+	Object.keys(fakes).forEach(name => {
+		Object.defineProperty(globalThis, name, {value: fakes[name], configurable: true, writable: true});
+	});
+	FakeRTCPeerConnection.instances = [];
+	FakeRTCPeerConnection.failRemoteDescription = false;
+	FakeRTCPeerConnection.failCreateOffer = false;
+
+	return function uninstall() {
+		names.forEach(name => {
+			if (typeof previous[name] == "undefined") {
+				delete globalThis[name];
+			}
+			else {
+				Object.defineProperty(globalThis, name, previous[name]);
+			}
+		});
+	};
+}
@@ -0,0 +1,376 @@
+import {SignallingTransport} from "../../../../main/webapp/js/signalling_transport.js";
+
+/**
+ * MockTransport is the client side of a connection to @MockSignallingServer.
+ * It is created by the server's transportFactory and given to WebSocketAdaptor or WebRTCAdaptor.
+ * Messages are delivered asynchronously in both directions like a real websocket.
+ */
+export class MockTransport extends SignallingTransport
+{
+	constructor(server, url) {
+		super(url);
+		this.server = server;
+		this.open = false;
+		this.closed = false;
+	}
+
+	connect() {
+		this.server.accept(this);
+	}
+
+	send(text) {
+		if (!this.open) {
+			throw new Error("MockTransport is not open");
+		}
+		this.server.deliverToServer(this, text);
+	}
+
+	close() {
+		if (this.open) {
+			this.server.disconnect(this, {code: 1000, reason: "closed by client"});
+		}
+		//like WebSocket, closing while connecting aborts the connection. Check @MockSignallingServer.accept
+		this.closed = true;
+	}
+}
+
+/**
+ * MockSignallingServer is an in-process stand-in for the signalling of Ant Media Server.
+ * It speaks the same JSON commands as AMS so that the WebSocketAdaptor and WebRTCAdaptor flows
+ * can be tested without a running server.
+ *
+ * 	const server = new MockSignallingServer();
+ * 	const adaptor = new WebRTCAdaptor({..., transportFactory: server.transportFactory});
+ *
+ * The default responses are:
+ * 	ping -> pong
+ * 	publish -> start
+ * 	takeConfiguration(offer) -> takeConfiguration(answer), takeCandidate, publish_started
+ * 	play -> takeConfiguration(offer), takeCandidate
+ * 	takeConfiguration(answer) -> play_started
+ * 	stop -> publish_finished or play_finished
+ * 	joinRoom -> joinedTheRoom, leaveFromRoom -> leavedFromRoom
+ * 	getStreamInfo -> streamInformation, getRoomInfo -> roomInformation, getTrackList -> trackList
+ *
+ * Scripted errors can be injected with @injectError, default responses can be replaced with @setHandler
+ * and connection failures can be simulated with @refuseConnections and @dropConnections.
+ */
+export class MockSignallingServer
+{
+	constructor(options) {
+		/**
+		 * Delay in milliseconds for delivering the messages in both directions
+		 */
+		this.latency = 0;
+
+		for (var key in options) {
+			if (options.hasOwnProperty(key)) {
+				this[key] = options[key];
+			}
+		}
+
+		/**
+		 * Open connections
+		 */
+		this.connections = [];
+
+		/**
+		 * All messages received from the clients in order. Each item is the parsed message
+		 */
+		this.received = [];
+
+		/**
+		 * Active streams. Its keys are stream ids and its values are {mode, connection}
+		 */
+		this.streams = new Map();
+
+		/**
+		 * Rooms and the stream ids in them
+		 */
+		this.rooms = new Map();
+
+		/**
+		 * Stream names which are given while publishing. They're sent in the streamList of the rooms
+		 */
+		this.streamNames = new Map();
+
+		/**
+		 * Errors to be sent instead of the default response. Check @injectError
+		 */
+		this.injectedErrors = [];
+
+		/**
+		 * Custom handlers for commands. Check @setHandler
+		 */
+		this.handlers = new Map();
+
+		/**
+		 * Number of next connection attempts to be refused
+		 */
+		this.refusedConnectionCount = 0;
+
+		/**
+		 * Total number of accepted connections
+		 */
+		this.acceptedConnectionCount = 0;
+
+		/**
+		 * Listeners which are called when a message is received. Check @waitFor
+		 */
+		this.waiters = [];
+
+		this.generatedIdCount = 0;
+
+		/**
+		 * Pass this to the adaptors as transportFactory
+		 */
+		this.transportFactory = (url) => new MockTransport(this, url);
+	}
+
+	/**
+	 * Sends an error with the given definition as the response of the next message with the command.
+	 * 	 command: command of the message from the client like "publish" or "play"
+	 * 	 definition: error definition like "no_stream_exist"
+	 * 	 options:
+	 * 		streamId: only the messages of this stream match
+	 * 		times: how many times the error is sent. Default is 1
+	 */
+	injectError(command, definition, options) {
+		options = options || {};
+		this.injectedErrors.push({
+			command: command,
+			definition: definition,
+			streamId: options.streamId,
+			times: typeof options.times != "undefined" ? options.times : 1,
+		});
+	}
+
+	/**
+	 * Replaces the default response of a command.
+	 * 	 handler: called with (message, connection). Use @sendToClient to respond
+	 */
+	setHandler(command, handler) {
+		this.handlers.set(command, handler);
+	}
+
+	/**
+	 * Refuses the next connection attempts. The client gets error and close events
+	 */
+	refuseConnections(count) {
+		this.refusedConnectionCount = count;
+	}
+
+	/**
+	 * Closes all connections unexpectedly like a network failure
+	 */
+	dropConnections() {
+		this.connections.slice().forEach(connection => {
+			this.disconnect(connection, {code: 1006, reason: "connection dropped"});
+		});
+		this.streams.clear();
+	}
+
+	/**
+	 * Returns the received messages with the command
+	 */
+	receivedCommands(command) {
+		return this.received.filter(message => message.command == command);
+	}
+
+	/**
+	 * Returns a promise which is resolved with the first received message that the predicate returns true.
+	 * Already received messages are checked as well
+	 * 	 predicate: command name or function(message)
+	 */
+	waitFor(predicate, timeout) {
+		var match = typeof predicate == "function" ? predicate : (message => message.command == predicate);
+		var message = this.received.find(match);
+		if (typeof message != "undefined") {
+			return Promise.resolve(message);
+		}
+		return new Promise((resolve, reject) => {
+			var waiter = {match: match, resolve: resolve};
+			waiter.timerId = setTimeout(() => {
+				this.waiters.splice(this.waiters.indexOf(waiter), 1);
+				reject(new Error("Message is not received in " + (timeout || 2000) + "ms"));
+			}, timeout || 2000);
+			this.waiters.push(waiter);
+		});
+	}
+
+	/**
+	 * Sends a message to the client asynchronously
+	 */
+	sendToClient(connection, message) {
+		var text = JSON.stringify(message);
+		setTimeout(() => {
+			if (connection.open) {
+				connection.onMessage(text);
+			}
+		}, this.latency);
+	}
+
+	/**
+	 * Sends a message to all connected clients
+	 */
+	broadcast(message) {
+		this.connections.forEach(connection => this.sendToClient(connection, message));
+	}
+
+	accept(connection) {
+		setTimeout(() => {
+			if (connection.closed) {
+				connection.onClose({code: 1006, reason: "closed before the connection is established"});
+				return;
+			}
+			if (this.refusedConnectionCount > 0) {
+				this.refusedConnectionCount--;
+				connection.onError({type: "error"});
+				connection.onClose({code: 1006, reason: "connection refused"});
+				return;
+			}
+			connection.open = true;
+			this.connections.push(connection);
+			this.acceptedConnectionCount++;
+			connection.onOpen();
+		}, this.latency);
+	}
+
+	disconnect(connection, event) {
+		connection.open = false;
+		var index = this.connections.indexOf(connection);
+		if (index != -1) {
+			this.connections.splice(index, 1);
+		}
+		setTimeout(() => connection.onClose(event), this.latency);
+	}
+
+	deliverToServer(connection, text) {
+		var message = JSON.parse(text);
+		this.received.push(message);
+		setTimeout(() => {
+			if (connection.open) {
+				this.handle(connection, message);
+			}
+		}, this.latency);
+
+		this.waiters.filter(waiter => waiter.match(message)).forEach(waiter => {
+			clearTimeout(waiter.timerId);
+			this.waiters.splice(this.waiters.indexOf(waiter), 1);
+			waiter.resolve(message);
+		});
+	}
+
+	handle(connection, message) {
+		var injectedError = this.injectedErrors.find(error => error.command == message.command
+				&& (typeof error.streamId == "undefined" || error.streamId == message.streamId));
+		if (typeof injectedError != "undefined") {
+			injectedError.times--;
+			if (injectedError.times <= 0) {
+				this.injectedErrors.splice(this.injectedErrors.indexOf(injectedError), 1);
+			}
+			this.sendToClient(connection, {command: "error", definition: injectedError.definition, streamId: message.streamId});
+			return;
+		}
+
+		if (this.handlers.has(message.command)) {
+			this.handlers.get(message.command)(message, connection);
+			return;
+		}
+
+		switch (message.command) {
+			case "ping":
+				this.sendToClient(connection, {command: "pong"});
+				break;
+			case "publish":
+				this.streams.set(message.streamId, {mode: "publish", connection: connection});
+				if (message.streamName != null) {
+					this.streamNames.set(message.streamId, message.streamName);
+				}
+				this.sendToClient(connection, {command: "start", streamId: message.streamId});
+				break;
+			case "play":
+				this.streams.set(message.streamId, {mode: "play", connection: connection});
+				this.sendOffer(connection, message.streamId);
+				break;
+			case "takeConfiguration":
+				this.takeConfiguration(connection, message);
+				break;
+			case "stop":
+				this.stop(connection, message.streamId);
+				break;
+			case "joinRoom":
+				this.joinRoom(connection, message);
+				break;
+			case "leaveFromRoom":
+				this.rooms.delete(message.room);
+				this.sendToClient(connection, {command: "notification", definition: "leavedFromRoom", ATTR_ROOM_NAME: message.room});
+				break;
+			case "getStreamInfo":
+				this.sendToClient(connection, {command: "streamInformation", streamId: message.streamId,
+					streamInfo: [{streamWidth: 640, streamHeight: 480, videoBitrate: 500000, audioBitrate: 64000, videoCodec: "H264"}]});
+				break;
+			case "getRoomInfo":
+				var streams = Array.from(this.rooms.get(message.room) || []).filter(id => id != message.streamId);
+				this.sendToClient(connection, {command: "roomInformation", room: message.room,
+					streams: streams, streamList: this.streamList(streams)});
+				break;
+			case "getTrackList":
+				this.sendToClient(connection, {command: "trackList", streamId: message.streamId, trackList: []});
+				break;
+			default:
+				//takeCandidate and other commands are only recorded
+				break;
+		}
+	}
+
+	sendOffer(connection, streamId) {
+		this.sendToClient(connection, {command: "takeConfiguration", streamId: streamId, type: "offer", sdp: MockSignallingServer.sdp("offer"), idMapping: {}});
+		this.sendToClient(connection, {command: "takeCandidate", streamId: streamId, label: 0, id: "0", candidate: MockSignallingServer.CANDIDATE});
+	}
+
+	takeConfiguration(connection, message) {
+		if (message.type == "offer") {
+			this.sendToClient(connection, {command: "takeConfiguration", streamId: message.streamId, type: "answer", sdp: MockSignallingServer.sdp("answer")});
+			this.sendToClient(connection, {command: "takeCandidate", streamId: message.streamId, label: 0, id: "0", candidate: MockSignallingServer.CANDIDATE});
+			this.sendToClient(connection, {command: "notification", definition: "publish_started", streamId: message.streamId});
+		}
+		else {
+			this.sendToClient(connection, {command: "notification", definition: "play_started", streamId: message.streamId});
+		}
+	}
+
+	stop(connection, streamId) {
+		var stream = this.streams.get(streamId);
+		if (typeof stream != "undefined") {
+			this.streams.delete(streamId);
+			var definition = stream.mode == "publish" ? "publish_finished" : "play_finished";
+			this.sendToClient(connection, {command: "notification", definition: definition, streamId: streamId});
+		}
+	}
+
+	joinRoom(connection, message) {
+		var streamId = message.streamId;
+		if (typeof streamId == "undefined" || streamId == null || streamId == "") {
+			streamId = "generatedStreamId" + (++this.generatedIdCount);
+		}
+		if (!this.rooms.has(message.room)) {
+			this.rooms.set(message.room, new Set());
+		}
+		var room = this.rooms.get(message.room);
+		var streams = Array.from(room);
+		room.add(streamId);
+		this.sendToClient(connection, {command: "notification", definition: "joinedTheRoom", streamId: streamId,
+			ATTR_ROOM_NAME: message.room, room: message.room, streams: streams, streamList: this.streamList(streams)});
+	}
+
+	streamList(streams) {
+		return streams.map(streamId => ({streamId: streamId, streamName: this.streamNames.has(streamId) ? this.streamNames.get(streamId) : null}));
+	}
+
+	static sdp(type) {
+		return "v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=mock " + type + "\r\nt=0 0\r\n";
+	}
+}
+
+MockSignallingServer.CANDIDATE = "candidate:1 1 udp 2122260223 127.0.0.1 50000 typ host";
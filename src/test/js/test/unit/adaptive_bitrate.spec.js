@@ -0,0 +1,187 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {StepReason} from "../../../../main/webapp/js/adaptive_bitrate.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+function wait(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("AdaptiveBitrateController", () => {
+	let uninstall;
+	let adaptor;
+	let events;
+
+	/**
+	 * Updates the stats of the published stream and lets the controller apply the changes
+	 */
+	async function report(timestamp, options) {
+		options = options || {};
+		var items = [
+			{id: "OT1", type: "outbound-rtp", timestamp: timestamp, kind: "video", ssrc: 1, framesPerSecond: 30,
+				qualityLimitationReason: options.qualityLimitationReason || "none"},
+			{id: "RI1", type: "remote-inbound-rtp", timestamp: timestamp, kind: "video", ssrc: 1, fractionLost: options.fractionLost || 0,
+				roundTripTime: options.roundTripTime || 0.05},
+			{id: "CP1", type: "candidate-pair", timestamp: timestamp, state: "succeeded", nominated: true,
+				availableOutgoingBitrate: options.availableOutgoingBitrate || 2000000},
+		];
+		var peerStats = adaptor.remotePeerConnectionStats["stream1"];
+		peerStats.updateReport(new Map(items.map(item => [item.id, item])));
+		adaptor.adaptiveBitrateController.update(peerStats);
+		await wait(0);
+	}
+
+	function encoding() {
+		return adaptor.getSender("stream1", "video").getParameters().encodings[0];
+	}
+
+	beforeEach(async () => {
+		uninstall = installFakeWebRTC();
+		adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: new MockSignallingServer().transportFactory,
+			mediaConstraints: {video: true, audio: true},
+			reconnectEnabled: false,
+			adaptiveBitrateMaxScale: 2,
+		});
+		await nextEvent(adaptor, "initialized");
+		events = [];
+		adaptor.on("bitrate_step_down", obj => events.push(["down", obj.reason, obj.bitrate, obj.scaleResolutionDownBy, obj.maxFramerate]));
+		adaptor.on("bitrate_step_up", obj => events.push(["up", obj.reason, obj.bitrate, obj.scaleResolutionDownBy, obj.maxFramerate]));
+		adaptor.initPeerConnection("stream1", "publish");
+	});
+
+	afterEach(() => {
+		adaptor.disableAdaptiveBitrate("stream1");
+		adaptor.disableStats("stream1");
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	it("should step down for the congestion and step up after the delay", async () => {
+		adaptor.enableAdaptiveBitrate("stream1");
+		assert.strictEqual(adaptor.remotePeerConnectionStats["stream1"].statsInterval, 2000);
+		assert.deepStrictEqual(adaptor.getAdaptiveBitrateState("stream1"), {bitrate: 900, scaleResolutionDownBy: 1, maxFramerate: 30});
+
+		await report(0, {fractionLost: 0.1});
+		assert.deepStrictEqual(events, [["down", StepReason.PACKET_LOSS, 630, 1, 30]]);
+		assert.strictEqual(encoding().maxBitrate, 630000);
+
+		await report(2000, {qualityLimitationReason: "cpu"});
+		assert.deepStrictEqual(events[1], ["down", StepReason.CPU, 630, 2, 30]);
+		await report(4000, {qualityLimitationReason: "cpu"});
+		assert.deepStrictEqual(events[2], ["down", StepReason.CPU, 630, 2, 20]);
+		assert.strictEqual(encoding().scaleResolutionDownBy, 2);
+		assert.strictEqual(encoding().maxFramerate, 20);
+
+		//bitrate is capped by the controller, so the bandwidth limitation is not a congestion
+		await report(6000, {qualityLimitationReason: "bandwidth"});
+		await report(15000);
+		assert.strictEqual(events.length, 3);
+		await report(16000);
+		assert.deepStrictEqual(events[3], ["up", StepReason.RECOVERED, 630, 2, 30]);
+		await report(26000);
+		assert.deepStrictEqual(events[4], ["up", StepReason.RECOVERED, 630, 1, 30]);
+		await report(36000);
+		assert.deepStrictEqual(events[5], ["up", StepReason.RECOVERED, 725, 1, 30]);
+
+		await report(38000, {availableOutgoingBitrate: 300000});
+		assert.deepStrictEqual(events[6], ["down", StepReason.AVAILABLE_BITRATE, 270, 1, 30]);
+		assert.strictEqual(encoding().maxBitrate, 270000);
+	});
+
+	it("should ignore the network signals for the hold-off after each step down", async () => {
+		adaptor.enableAdaptiveBitrate("stream1");
+
+		await report(0, {fractionLost: 0.1});
+		await report(2000, {fractionLost: 0.1});
+		await report(4000, {fractionLost: 0.1});
+		assert.deepStrictEqual(events, [["down", StepReason.PACKET_LOSS, 630, 1, 30]]);
+		assert.strictEqual(encoding().maxBitrate, 630000);
+
+		//cpu limitation doesn't lag
+		await report(4500, {qualityLimitationReason: "cpu"});
+		assert.deepStrictEqual(events[1], ["down", StepReason.CPU, 630, 2, 30]);
+
+		await report(9000, {roundTripTime: 1});
+		assert.strictEqual(events.length, 2);
+		await report(9500, {roundTripTime: 1});
+		assert.deepStrictEqual(events[2], ["down", StepReason.ROUND_TRIP_TIME, 441, 2, 30]);
+
+		//ignored signals are not good conditions, so it doesn't step up early
+		await report(10000);
+		await report(12000, {fractionLost: 0.1});
+		await report(20000);
+		assert.strictEqual(events.length, 3);
+	});
+
+	it("should keep the adapted encoding when the connection is connected again", async () => {
+		adaptor.enableAdaptiveBitrate("stream1");
+		await report(0, {fractionLost: 0.1});
+		assert.strictEqual(encoding().maxBitrate, 630000);
+		var peerConnection = adaptor.remotePeerConnection["stream1"];
+
+		//e.g. after ICE restart
+		peerConnection.iceConnectionState = "connected";
+		peerConnection.oniceconnectionstatechange({});
+		await wait(5);
+
+		assert.strictEqual(encoding().maxBitrate, 630000);
+		assert.deepStrictEqual(adaptor.getAdaptiveBitrateState("stream1"), {bitrate: 630, scaleResolutionDownBy: 1, maxFramerate: 30});
+	});
+
+	it("should adapt the enabled stream again when its connection is created again", async () => {
+		adaptor.enableAdaptiveBitrate("stream1");
+		adaptor.closePeerConnection("stream1");
+		assert.strictEqual(adaptor.getAdaptiveBitrateState("stream1"), null);
+
+		adaptor.initPeerConnection("stream1", "publish");
+		var peerConnection = adaptor.remotePeerConnection["stream1"];
+		peerConnection.iceConnectionState = "connected";
+		peerConnection.oniceconnectionstatechange({});
+		assert.deepStrictEqual(adaptor.getAdaptiveBitrateState("stream1"), {bitrate: 900, scaleResolutionDownBy: 1, maxFramerate: 30});
+
+		adaptor.disableAdaptiveBitrate("stream1");
+		adaptor.closePeerConnection("stream1");
+		adaptor.initPeerConnection("stream1", "publish");
+		peerConnection = adaptor.remotePeerConnection["stream1"];
+		peerConnection.iceConnectionState = "connected";
+		peerConnection.oniceconnectionstatechange({});
+		assert.strictEqual(adaptor.getAdaptiveBitrateState("stream1"), null);
+	});
+
+	it("should not change the state if the encoding cannot be applied", async () => {
+		adaptor.enableAdaptiveBitrate("stream1");
+		adaptor.getSender("stream1", "video").setParameters = () => Promise.reject(new Error("InvalidModificationError"));
+
+		await report(0, {fractionLost: 0.1});
+
+		assert.deepStrictEqual(events, []);
+		assert.deepStrictEqual(adaptor.getAdaptiveBitrateState("stream1"), {bitrate: 900, scaleResolutionDownBy: 1, maxFramerate: 30});
+	});
+
+	it("should keep the limits and the stats which are enabled by the user", async () => {
+		adaptor.enableStats("stream1", 1000);
+		adaptor.adaptiveBitrateController.adaptiveBitrateMinBitrate = 600;
+		adaptor.enableAdaptiveBitrate("stream1");
+		assert.strictEqual(adaptor.remotePeerConnectionStats["stream1"].statsInterval, 1000);
+
+		//reports are after the hold-off of each step down
+		for (var timestamp = 0; timestamp <= 30000; timestamp += 6000) {
+			await report(timestamp, {roundTripTime: 1});
+		}
+		assert.deepStrictEqual(events.map(event => event.slice(2)), [[630, 1, 30], [600, 1, 30], [600, 2, 30], [600, 2, 20], [600, 2, 13], [600, 2, 10]]);
+		await report(36000, {roundTripTime: 1});
+		assert.strictEqual(events.length, 6);
+
+		adaptor.disableAdaptiveBitrate("stream1");
+		assert.strictEqual(adaptor.getAdaptiveBitrateState("stream1"), null);
+		assert.strictEqual(adaptor.remotePeerConnectionStats["stream1"].statsInterval, 1000);
+	});
+});
@@ -0,0 +1,185 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {ConferenceRoom} from "../../../../main/webapp/js/conference_room.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+function wait(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("ConferenceRoom", () => {
+	let uninstall;
+	let server;
+	let adaptor;
+	let room;
+	let events;
+
+	async function createRoom(parameters) {
+		adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: server.transportFactory,
+			mediaConstraints: {video: true, audio: true},
+			reconnectEnabled: false,
+		});
+		await nextEvent(adaptor, "initialized");
+
+		room = new ConferenceRoom(Object.assign({
+			webRTCAdaptor: adaptor,
+			roomName: "room1",
+			streamId: "local",
+			streamName: "Local",
+			roomInfoInterval: 20,
+		}, parameters));
+		events = [];
+		room.on("*", (info, obj) => events.push([info, info == "participant_updated" ? obj.changes : obj.streamId]));
+		return room;
+	}
+
+	beforeEach(() => {
+		uninstall = installFakeWebRTC();
+		server = new MockSignallingServer();
+		server.rooms.set("room1", new Set(["remote1"]));
+		server.streamNames.set("remote1", "Remote 1");
+	});
+
+	afterEach(() => {
+		room.destroy();
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	it("should publish and play the streams of the participants after joining", async () => {
+		await createRoom();
+		var played = nextEvent(room, "participant_updated");
+
+		await room.join();
+		await played;
+		await wait(5);
+
+		assert.strictEqual(server.receivedCommands("publish")[0].streamName, "Local");
+		assert.deepStrictEqual(server.receivedCommands("play").map(message => message.streamId), ["remote1"]);
+		var participant = room.getParticipant("remote1");
+		assert.strictEqual(participant.streamName, "Remote 1");
+		assert.strictEqual(participant.isPlaying, true);
+		assert.strictEqual(participant.isPublishing, true);
+		assert.deepStrictEqual(events.slice(0, 2), [["participant_joined", "remote1"], ["participant_updated", ["isPublishing", "isPlaying"]]]);
+		assert.strictEqual(room.getParticipant("local"), null);
+	});
+
+	it("should follow the participants which join and leave with the room information", async () => {
+		await createRoom();
+		await room.join();
+		await wait(5);
+
+		server.rooms.get("room1").add("remote2");
+		var joined = await nextEvent(room, "participant_joined");
+		assert.strictEqual(joined.streamId, "remote2");
+
+		server.rooms.get("room1").delete("remote1");
+		var left = await nextEvent(room, "participant_left");
+		await wait(5);
+
+		assert.strictEqual(left.streamId, "remote1");
+		assert.deepStrictEqual(server.receivedCommands("stop").map(message => message.streamId), ["remote1"]);
+		assert.deepStrictEqual(room.getParticipants().map(participant => participant.streamId), ["remote2"]);
+		assert.deepStrictEqual(server.receivedCommands("play").map(message => message.streamId), ["remote1", "remote2"]);
+	});
+
+	it("should update the participants with the notifications over the data channel", async () => {
+		await createRoom();
+		await room.join();
+		await wait(5);
+		events = [];
+
+		adaptor.notifyEventListeners("data_received", {streamId: "remote1", data: JSON.stringify({streamId: "remote1", eventType: "MIC_MUTED"})});
+		adaptor.notifyEventListeners("data_received", {streamId: "remote1", data: JSON.stringify({streamId: "remote1", eventType: "CAM_TURNED_OFF"})});
+		adaptor.notifyEventListeners("data_received", {streamId: "remote1", data: JSON.stringify({streamId: "remote1", eventType: "UPDATE_AUDIO_LEVEL", audioLevel: 0.4})});
+		adaptor.notifyEventListeners("data_received", {streamId: "remote1", data: JSON.stringify({streamId: "remote1", eventType: "MIC_MUTED"})});
+		adaptor.notifyEventListeners("data_received", {streamId: "remote1", data: "chat message"});
+
+		var participant = room.getParticipant("remote1");
+		assert.strictEqual(participant.isMicMuted, true);
+		assert.strictEqual(participant.isCameraOff, true);
+		assert.strictEqual(participant.audioLevel, 0.4);
+		assert.deepStrictEqual(events, [["participant_updated", ["isMicMuted"]], ["participant_updated", ["isCameraOff"]],
+				["participant_updated", ["audioLevel"]]]);
+	});
+
+	it("should update the audio levels with the UPDATE_AUDIO_LEVEL messages", async () => {
+		await createRoom();
+		await room.join();
+		await wait(5);
+		events = [];
+
+		adaptor.notifyEventListeners("message_received", {streamId: "remote1", type: "UPDATE_AUDIO_LEVEL", messageId: "m1", payload: {streamId: "remote1", audioLevel: 35}});
+		adaptor.notifyEventListeners("message_received", {streamId: "remote1", type: "chat", messageId: "m2", payload: {audioLevel: 10}});
+
+		assert.strictEqual(room.getParticipant("remote1").audioLevel, 35);
+		assert.deepStrictEqual(events, [["participant_updated", ["audioLevel"]]]);
+	});
+
+	it("should play the stream again if it's finished while the participant is in the room", async () => {
+		await createRoom();
+		var started = nextEvent(adaptor, "play_started");
+		await room.join();
+		await started;
+
+		adaptor.notifyEventListeners("play_finished", {streamId: "remote1"});
+		assert.strictEqual(room.getParticipant("remote1").isPlaying, false);
+		await nextEvent(adaptor, "play_started");
+
+		assert.strictEqual(server.receivedCommands("play").length, 2);
+		assert.strictEqual(room.getParticipant("remote1").isPlaying, true);
+	});
+
+	it("should play the stream again if its tracks are ended while the participant is in the room", async () => {
+		await createRoom();
+		var started = nextEvent(adaptor, "play_started");
+		await room.join();
+		await started;
+		var stream = adaptor.remotePeerConnection["remote1"].fakeTrack("video");
+		assert.strictEqual(room.getParticipant("remote1").stream, stream);
+
+		stream.getTracks().forEach(track => track.stop());
+		await nextEvent(adaptor, "play_started");
+
+		assert.strictEqual(server.receivedCommands("stop").length, 1);
+		assert.strictEqual(server.receivedCommands("play").length, 2);
+		assert.strictEqual(room.getParticipant("remote1").isPlaying, true);
+	});
+
+	it("should remove all participants when leaving the room", async () => {
+		await createRoom();
+		await room.join();
+		await wait(5);
+
+		room.leave();
+		var roomInfoCount = server.receivedCommands("getRoomInfo").length;
+		await wait(30);
+
+		assert.deepStrictEqual(events.filter(event => event[0] == "participant_left"), [["participant_left", "remote1"]]);
+		assert.strictEqual(room.getParticipants().length, 0);
+		assert.strictEqual(server.receivedCommands("getRoomInfo").length, roomInfoCount);
+		assert.strictEqual(room.roomTimerId, -1);
+	});
+
+	it("should keep the participants when the room information updates are stopped", async () => {
+		await createRoom();
+		await room.join();
+		await wait(5);
+
+		room.stopRoomInfoUpdates();
+		var roomInfoCount = server.receivedCommands("getRoomInfo").length;
+		await wait(30);
+
+		assert.strictEqual(server.receivedCommands("getRoomInfo").length, roomInfoCount);
+		assert.strictEqual(room.getParticipants().length, 1);
+		assert.deepStrictEqual(events.filter(event => event[0] == "participant_left"), []);
+	});
+});
@@ -0,0 +1,69 @@
+import assert from "assert";
+import {crc32, isFrame, parseFrame, createCancelFrame, FrameType, SendingMessage, ReceivingMessage} from "../../../../main/webapp/js/data_transfer.js";
+
+function toArrayBuffer(frame) {
+	return frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength);
+}
+
+describe("data_transfer", () => {
+	it("should calculate CRC32", () => {
+		assert.strictEqual(crc32(new TextEncoder().encode("123456789")), 0xCBF43926);
+		assert.strictEqual(crc32(new Uint8Array(0)), 0);
+	});
+
+	it("should create the frames of a message and reassemble them", () => {
+		var data = new Uint8Array(10).map((value, index) => index);
+		var message = new SendingMessage(42, data, 4, false);
+
+		var frames = [];
+		while (!message.isCompleted()) {
+			frames.push(toArrayBuffer(message.nextFrame()));
+		}
+
+		assert.ok(frames.every(isFrame));
+		var start = parseFrame(frames[0]);
+		assert.deepStrictEqual(start, {type: FrameType.START, contentType: 0, messageId: 42, size: 10, chunkSize: 4, checksum: crc32(data)});
+		assert.deepStrictEqual(frames.slice(1).map(frame => parseFrame(frame).index), [0, 1, 2]);
+
+		var receivingMessage = new ReceivingMessage(start.messageId, start.size, start.chunkSize, start.checksum);
+		//chunks are placed by their indexes
+		[3, 1, 2].forEach(index => {
+			var chunk = parseFrame(frames[index]);
+			assert.strictEqual(receivingMessage.addChunk(chunk.data, chunk.index), true);
+		});
+		assert.strictEqual(receivingMessage.isCompleted(), true);
+		assert.strictEqual(receivingMessage.isValid(), true);
+		assert.deepStrictEqual(new Uint8Array(receivingMessage.data), data);
+	});
+
+	it("should ignore the chunks which are received again", () => {
+		var data = new Uint8Array(10).map((value, index) => index);
+		var message = new SendingMessage(42, data, 4, false);
+		var frames = [];
+		while (!message.isCompleted()) {
+			frames.push(toArrayBuffer(message.nextFrame()));
+		}
+		var start = parseFrame(frames[0]);
+
+		var receivingMessage = new ReceivingMessage(start.messageId, start.size, start.chunkSize, start.checksum);
+		[1, 2, 2, 1].forEach(index => {
+			var chunk = parseFrame(frames[index]);
+			assert.strictEqual(receivingMessage.addChunk(chunk.data, chunk.index), true);
+		});
+		assert.strictEqual(receivingMessage.isCompleted(), false);
+
+		var chunk = parseFrame(frames[3]);
+		receivingMessage.addChunk(chunk.data, chunk.index);
+		assert.strictEqual(receivingMessage.isCompleted(), true);
+		assert.strictEqual(receivingMessage.isValid(), true);
+	});
+
+	it("should not mix the legacy format with the frames", () => {
+		var message = new SendingMessage(42, new Uint8Array(10), 4, true);
+
+		assert.strictEqual(isFrame(toArrayBuffer(message.nextFrame())), false);
+		assert.strictEqual(isFrame(toArrayBuffer(message.nextFrame())), false);
+		assert.deepStrictEqual(parseFrame(toArrayBuffer(createCancelFrame(42))), {type: FrameType.CANCEL, messageId: 42, rejected: false});
+		assert.strictEqual(parseFrame(toArrayBuffer(createCancelFrame(42, true))).rejected, true);
+	});
+});
@@ -0,0 +1,153 @@
+import assert from "assert";
+import {EventEmitter} from "../../../../main/webapp/js/event_emitter.js";
+import {DominantSpeakerDetector} from "../../../../main/webapp/js/dominant_speaker.js";
+
+/**
+ * Provides the sound meters and records the track commands instead of a real WebRTCAdaptor
+ */
+class WebRTCAdaptorStub extends EventEmitter {
+	constructor() {
+		super();
+		this.calls = [];
+		this.soundMeters = new Array();
+		this.mediaManager = {localStreamSoundMeter: null, isMuted: false};
+	}
+	setLevel(streamId, level) {
+		this.soundMeters[streamId] = {instant: level};
+	}
+	enableAudioLevel(stream, streamId) {
+		this.calls.push(["enableAudioLevel", streamId]);
+		this.setLevel(streamId, 0);
+	}
+	assignVideoTrack(videoTrackId, streamId, enabled) {
+		this.calls.push(["assignVideoTrack", videoTrackId, streamId, enabled]);
+	}
+}
+
+describe("DominantSpeakerDetector", () => {
+	let adaptor;
+	let detector;
+	let changes;
+	let now;
+
+	/**
+	 * Samples the current levels for the given duration with 100ms period
+	 */
+	function run(duration) {
+		for (var end = now + duration; now < end;) {
+			now += 100;
+			detector.sample(now);
+		}
+	}
+
+	beforeEach(() => {
+		adaptor = new WebRTCAdaptorStub();
+		detector = new DominantSpeakerDetector({webRTCAdaptor: adaptor, localStreamId: "local", smoothingFactor: 1});
+		changes = [];
+		detector.on("dominant_speaker_changed", obj => changes.push([obj.previousStreamId, obj.streamId, obj.isLocal]));
+		now = 0;
+		adaptor.setLevel("p1", 0);
+		adaptor.setLevel("p2", 0);
+	});
+
+	afterEach(() => {
+		detector.destroy();
+	});
+
+	it("should select the loudest participant after the activation time", () => {
+		adaptor.setLevel("p1", 0.2);
+		adaptor.setLevel("p2", 0.1);
+		run(200);
+		assert.strictEqual(detector.getDominantSpeaker(), null);
+
+		run(200);
+		assert.strictEqual(detector.getDominantSpeaker(), "p1");
+		assert.deepStrictEqual(changes, [[null, "p1", false]]);
+
+		//short noise is ignored
+		adaptor.setLevel("p2", 0.5);
+		run(200);
+		adaptor.setLevel("p2", 0);
+		run(2000);
+		assert.strictEqual(changes.length, 1);
+
+		adaptor.setLevel("p1", 0);
+		adaptor.setLevel("p2", 0.5);
+		run(400);
+		assert.deepStrictEqual(changes, [[null, "p1", false], ["p1", "p2", false]]);
+	});
+
+	it("should apply the hysteresis and the minimum hold time", () => {
+		adaptor.setLevel("p1", 0.2);
+		run(400);
+
+		//p2 is not loud enough while p1 is talking
+		adaptor.setLevel("p2", 0.25);
+		run(2000);
+		assert.strictEqual(detector.getDominantSpeaker(), "p1");
+
+		adaptor.setLevel("p2", 0.4);
+		run(400);
+		assert.strictEqual(detector.getDominantSpeaker(), "p2");
+
+		//p1 cannot take it back before the hold time
+		adaptor.setLevel("p2", 0);
+		run(1000);
+		assert.strictEqual(detector.getDominantSpeaker(), "p2");
+		run(500);
+		assert.strictEqual(detector.getDominantSpeaker(), "p1");
+		assert.strictEqual(changes.length, 3);
+	});
+
+	it("should use the local level and the provided levels", () => {
+		adaptor.mediaManager.localStreamSoundMeter = {instant: 0.3};
+		run(400);
+		assert.deepStrictEqual(changes, [[null, "local", true]]);
+
+		adaptor.mediaManager.isMuted = true;
+		detector.setLevel("p3", 0.6);
+		run(2000);
+		assert.deepStrictEqual(changes[1], ["local", "p3", false]);
+
+		detector.setLevel("p3", null);
+		assert.strictEqual(detector.levels.has("p3"), false);
+	});
+
+	it("should assign the dominant speaker to the video track", () => {
+		detector.videoTrackId = "videoTrack0";
+		adaptor.setLevel("p1", 0.2);
+		run(400);
+		adaptor.setLevel("p1", 0);
+		adaptor.setLevel("p2", 0.2);
+		run(2000);
+
+		assert.deepStrictEqual(adaptor.calls, [
+			["assignVideoTrack", "videoTrack0", "p1", true],
+			["assignVideoTrack", "videoTrack0", "p1", false],
+			["assignVideoTrack", "videoTrack0", "p2", true],
+		]);
+	});
+
+	it("should set the active speaker of the track assignment manager", () => {
+		var activeSpeakers = [];
+		detector.trackAssignmentManager = {setActiveSpeaker: streamId => activeSpeakers.push(streamId)};
+		adaptor.setLevel("p2", 0.2);
+		run(400);
+
+		assert.deepStrictEqual(activeSpeakers, ["p2"]);
+		assert.deepStrictEqual(adaptor.calls, []);
+	});
+
+	it("should enable the sound meters of the new streams and forget the finished ones", () => {
+		var stream = {getAudioTracks: () => [{kind: "audio"}]};
+		adaptor.emit("newStreamAvailable", {streamId: "p3", stream: stream});
+		adaptor.emit("newStreamAvailable", {streamId: "p3", stream: stream});
+		adaptor.emit("newStreamAvailable", {streamId: "p4", stream: {getAudioTracks: () => []}});
+		assert.deepStrictEqual(adaptor.calls, [["enableAudioLevel", "p3"]]);
+
+		run(100);
+		assert.ok(detector.levels.has("p3"));
+		adaptor.emit("play_finished", {streamId: "p3"});
+		assert.strictEqual(detector.levels.has("p3"), false);
+	});
+});
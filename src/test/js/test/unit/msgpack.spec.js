@@ -0,0 +1,41 @@
+import assert from "assert";
+import {encode, decode} from "../../../../main/webapp/js/msgpack.js";
+
+describe("msgpack", () => {
+	it("should encode and decode the values", () => {
+		var value = {
+			nil: null,
+			flags: [true, false],
+			numbers: [0, 127, 128, 65535, 65536, 4294967295, -1, -32, -33, -2147483648, 1.5, 1e20],
+			text: "hello ünicode",
+			longText: "x".repeat(70000),
+			binary: new Uint8Array([1, 2, 3]),
+			nested: {list: new Array(20).fill("a"), empty: {}},
+		};
+
+		var decoded = decode(encode(value));
+
+		assert.deepStrictEqual(decoded, value);
+	});
+
+	it("should use the compact formats", () => {
+		assert.deepStrictEqual(Array.from(encode({a: 1})), [0x81, 0xa1, 0x61, 0x01]);
+		assert.deepStrictEqual(Array.from(encode(-1)), [0xff]);
+		assert.deepStrictEqual(Array.from(encode(new ArrayBuffer(2))), [0xc4, 0x02, 0x00, 0x00]);
+	});
+
+	it("should decode the __proto__ key as an own property", () => {
+		var encoded = encode(JSON.parse('{"__proto__": {"polluted": true}}'));
+
+		var decoded = decode(encoded);
+
+		assert.strictEqual(Object.getPrototypeOf(decoded), Object.prototype);
+		assert.strictEqual(decoded.polluted, undefined);
+		assert.deepStrictEqual(decoded["__proto__"], {polluted: true});
+	});
+
+	it("should throw for truncated data", () => {
+		var encoded = encode("hello");
+		assert.throws(() => decode(encoded.subarray(0, 3)), /truncated/);
+	});
+});
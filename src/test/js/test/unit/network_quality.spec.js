@@ -0,0 +1,86 @@
+import assert from "assert";
+import {PeerStats} from "../../../../main/webapp/js/peer_stats.js";
+import {NetworkQualityManager, QualityLevel, QualityAction, calculateQualityScore, getQualityLevel, getQualityActions, getQualityMetrics}
+	from "../../../../main/webapp/js/network_quality.js";
+
+/**
+ * Creates the stats of a player which received packets and lost some of them in a second
+ */
+function playerStats(peerStats, timestamp, packetsReceived, packetsLost, framesPerSecond) {
+	var items = [
+		{id: "IT01V", type: "inbound-rtp", timestamp: timestamp, kind: "video", ssrc: 11,
+			packetsReceived: packetsReceived, packetsLost: packetsLost, jitter: 0.005, framesPerSecond: framesPerSecond},
+		{id: "CP1", type: "candidate-pair", timestamp: timestamp, state: "succeeded", nominated: true, currentRoundTripTime: 0.06},
+	];
+	peerStats.updateReport(new Map(items.map(item => [item.id, item])));
+	return peerStats;
+}
+
+describe("NetworkQuality", () => {
+	it("should score the loss, latency and frame rate", () => {
+		var perfect = calculateQualityScore({packetLoss: 0, jitter: 0, roundTripTime: 0});
+		assert.ok(perfect > 4.4 && perfect <= 4.5);
+		assert.strictEqual(getQualityLevel(perfect), QualityLevel.EXCELLENT);
+		assert.strictEqual(getQualityLevel(calculateQualityScore({packetLoss: 0.05, jitter: 0.01, roundTripTime: 0.1})), QualityLevel.GOOD);
+		assert.strictEqual(getQualityLevel(calculateQualityScore({packetLoss: 0.1, jitter: 0.01, roundTripTime: 0.1})), QualityLevel.POOR);
+		assert.strictEqual(getQualityLevel(calculateQualityScore({packetLoss: 0.2, jitter: 0.01, roundTripTime: 0.1})), QualityLevel.BAD);
+
+		var slowVideo = calculateQualityScore({packetLoss: 0, jitter: 0, roundTripTime: 0, frameRate: 15, targetFrameRate: 30});
+		assert.ok(Math.abs(perfect - 1 - slowVideo) < 1e-9);
+		assert.strictEqual(calculateQualityScore({packetLoss: 0.5, roundTripTime: 2, frameRate: 0, targetFrameRate: 30}), 1);
+	});
+
+	it("should keep the level with the margin", () => {
+		assert.strictEqual(getQualityLevel(3.95, QualityLevel.EXCELLENT, 0.1), QualityLevel.EXCELLENT);
+		assert.strictEqual(getQualityLevel(3.85, QualityLevel.EXCELLENT, 0.1), QualityLevel.GOOD);
+		assert.strictEqual(getQualityLevel(4.05, QualityLevel.GOOD, 0.1), QualityLevel.GOOD);
+		assert.strictEqual(getQualityLevel(4.15, QualityLevel.GOOD, 0.1), QualityLevel.EXCELLENT);
+		assert.strictEqual(getQualityLevel(1.5, QualityLevel.EXCELLENT, 0.1), QualityLevel.BAD);
+	});
+
+	it("should suggest the actions for the reasons", () => {
+		assert.deepStrictEqual(getQualityActions({packetLoss: 0.1}, QualityLevel.GOOD), []);
+		assert.deepStrictEqual(getQualityActions({packetLoss: 0, qualityLimitationReason: "cpu", frameRate: 5}, QualityLevel.POOR),
+				[QualityAction.REDUCE_RESOLUTION, QualityAction.CLOSE_OTHER_APPLICATIONS]);
+		assert.deepStrictEqual(getQualityActions({packetLoss: 0.2, roundTripTime: 0.5, frameRate: 20}, QualityLevel.BAD),
+				[QualityAction.REDUCE_BITRATE, QualityAction.CHECK_NETWORK, QualityAction.DISABLE_VIDEO]);
+	});
+
+	it("should measure the sent streams with the receiver reports", () => {
+		var peerStats = new PeerStats("stream1");
+		var items = [
+			{id: "OT1", type: "outbound-rtp", timestamp: 0, kind: "video", ssrc: 1, framesPerSecond: 12, qualityLimitationReason: "none"},
+			{id: "OT2", type: "outbound-rtp", timestamp: 0, kind: "video", ssrc: 2, framesPerSecond: 24, qualityLimitationReason: "bandwidth"},
+			{id: "RI1", type: "remote-inbound-rtp", timestamp: 0, kind: "video", ssrc: 1, fractionLost: 0.01, jitter: 0.002, roundTripTime: 0.1},
+			{id: "RI2", type: "remote-inbound-rtp", timestamp: 0, kind: "video", ssrc: 2, fractionLost: 0.03, jitter: 0.001, roundTripTime: 0.12},
+		];
+		peerStats.updateReport(new Map(items.map(item => [item.id, item])));
+
+		assert.deepStrictEqual(getQualityMetrics(peerStats, 30), {packetLoss: 0.03, jitter: 0.002, roundTripTime: 0.12,
+			frameRate: 24, targetFrameRate: 30, qualityLimitationReason: "bandwidth"});
+	});
+
+	it("should notify network_quality_changed when the level of a stream changes", () => {
+		var events = [];
+		var manager = new NetworkQualityManager({
+			userParameters: {networkQualityTargetFrameRate: 25},
+			callback: (info, obj) => events.push([info, obj]),
+		});
+		var peerStats = new PeerStats("stream1");
+
+		manager.updateQuality(playerStats(peerStats, 0, 0, 0, 25));
+		manager.updateQuality(playerStats(peerStats, 1000, 100, 0, 25));
+		assert.deepStrictEqual(events.map(event => [event[1].level, event[1].previousLevel]), [[QualityLevel.EXCELLENT, null]]);
+
+		manager.updateQuality(playerStats(peerStats, 2000, 180, 20, 25));
+		var quality = manager.getNetworkQuality("stream1");
+		assert.strictEqual(quality.metrics.packetLoss, 0.2);
+		assert.strictEqual(quality.metrics.roundTripTime, 0.06);
+		assert.strictEqual(quality.level, QualityLevel.BAD);
+		assert.deepStrictEqual(quality.actions, [QualityAction.REDUCE_BITRATE, QualityAction.DISABLE_VIDEO]);
+		assert.deepStrictEqual(events[1], ["network_quality_changed", quality]);
+
+		manager.removeQuality("stream1");
+		assert.strictEqual(manager.getNetworkQuality("stream1"), null);
+	});
+});
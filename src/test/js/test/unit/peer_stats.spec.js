@@ -0,0 +1,181 @@
+import assert from "assert";
+import {PeerStats, StatsHistory} from "../../../../main/webapp/js/peer_stats.js";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+/**
+ * Creates a stats report of a publisher with two simulcast layers
+ */
+function publisherReport(timestamp, factor) {
+	var items = [
+		{id: "COT01", type: "codec", timestamp: timestamp, payloadType: 96, mimeType: "video/VP8", clockRate: 90000},
+		{id: "OT01V1", type: "outbound-rtp", timestamp: timestamp, kind: "video", ssrc: 1, rid: "q", codecId: "COT01",
+			bytesSent: 10000 * factor, packetsSent: 100 * factor, framesEncoded: 30 * factor, nackCount: 2 * factor, pliCount: factor, firCount: 0,
+			qualityLimitationReason: "bandwidth"},
+		{id: "OT01V2", type: "outbound-rtp", timestamp: timestamp, kind: "video", ssrc: 2, rid: "f", codecId: "COT01",
+			bytesSent: 50000 * factor, packetsSent: 400 * factor, framesEncoded: 30 * factor, nackCount: 0, pliCount: 0, firCount: 0},
+		{id: "RI01V1", type: "remote-inbound-rtp", timestamp: timestamp, kind: "video", ssrc: 1, packetsLost: 3 * factor,
+			fractionLost: 0.01, jitter: 0.004, roundTripTime: 0.05},
+		{id: "T01", type: "transport", timestamp: timestamp, dtlsState: "connected", selectedCandidatePairId: "CP2",
+			bytesSent: 61000 * factor, bytesReceived: 2000 * factor},
+		{id: "CP1", type: "candidate-pair", timestamp: timestamp, state: "failed", localCandidateId: "L1", remoteCandidateId: "R1"},
+		{id: "CP2", type: "candidate-pair", timestamp: timestamp, state: "succeeded", nominated: true, localCandidateId: "L2", remoteCandidateId: "R1",
+			currentRoundTripTime: 0.04, availableOutgoingBitrate: 1200000, bytesSent: 61000 * factor},
+		{id: "L1", type: "local-candidate", timestamp: timestamp, candidateType: "host", protocol: "udp", address: "10.0.0.1", port: 5000},
+		{id: "L2", type: "local-candidate", timestamp: timestamp, candidateType: "relay", protocol: "udp", address: "1.2.3.4", port: 3478},
+		{id: "R1", type: "remote-candidate", timestamp: timestamp, candidateType: "host", protocol: "udp", address: "5.6.7.8", port: 50000},
+	];
+	return new Map(items.map(item => [item.id, item]));
+}
+
+describe("PeerStats", () => {
+	it("should keep the outbound layers, codecs, candidate pairs and transport with their rates", () => {
+		var peerStats = new PeerStats("stream1");
+		peerStats.updateReport(publisherReport(1000, 1));
+
+		assert.deepStrictEqual(peerStats.getOutboundRtp("video").map(entry => [entry.ssrc, entry.rid, entry.codec]), [[1, "q", "VP8"], [2, "f", "VP8"]]);
+		assert.deepStrictEqual(peerStats.outboundRtp.get(1).rates, {});
+		assert.strictEqual(peerStats.outboundRtp.get(1).bitrate, 0);
+		assert.strictEqual(peerStats.getRemoteInboundRtp(1).roundTripTime, 0.05);
+		assert.strictEqual(peerStats.selectedCandidatePair.id, "CP2");
+		assert.strictEqual(peerStats.selectedCandidatePair.localCandidate.candidateType, "relay");
+		assert.strictEqual(peerStats.selectedCandidatePair.remoteCandidate.address, "5.6.7.8");
+		assert.strictEqual(peerStats.transport.dtlsState, "connected");
+		assert.strictEqual(peerStats.codecs.get("COT01").clockRate, 90000);
+
+		peerStats.updateReport(publisherReport(3000, 2));
+		var layer = peerStats.outboundRtp.get(1);
+		assert.strictEqual(layer.rates.bytesSent, 5000);
+		assert.strictEqual(layer.rates.packetsSent, 50);
+		assert.strictEqual(layer.rates.nackCount, 1);
+		assert.strictEqual(layer.rates.pliCount, 0.5);
+		assert.strictEqual(layer.rates.firCount, 0);
+		assert.strictEqual(layer.bitrate, 40);
+		assert.strictEqual(layer.qualityLimitationReason, "bandwidth");
+		assert.strictEqual(peerStats.outboundRtp.get(2).bitrate, 200);
+		assert.strictEqual(peerStats.getRemoteInboundRtp(1).rates.packetsLost, 1.5);
+		assert.strictEqual(peerStats.transport.rates.bytesReceived, 1000);
+		assert.strictEqual(peerStats.selectedCandidatePair.rates.bytesSent, 30500);
+		assert.strictEqual(peerStats.reportTimestamp, 3000);
+	});
+
+	it("should keep the inbound stats by ssrc and forget the removed ones", () => {
+		var peerStats = new PeerStats("stream1");
+		peerStats.updateReport(new Map([
+			["IT01A", {id: "IT01A", type: "inbound-rtp", timestamp: 0, kind: "audio", ssrc: 10, packetsReceived: 0, packetsLost: 0, jitter: 0.01}],
+			["IT01V", {id: "IT01V", type: "inbound-rtp", timestamp: 0, kind: "video", ssrc: 11, bytesReceived: 0, framesDecoded: 0}],
+			["CP1", {id: "CP1", type: "candidate-pair", timestamp: 0, state: "succeeded", selected: true, localCandidateId: "L1"}],
+		]));
+		assert.strictEqual(peerStats.selectedCandidatePair.id, "CP1");
+		assert.strictEqual(peerStats.selectedCandidatePair.localCandidate, null);
+
+		peerStats.updateReport(new Map([
+			["IT01V", {id: "IT01V", type: "inbound-rtp", timestamp: 500, kind: "video", ssrc: 11, bytesReceived: 62500, framesDecoded: 15}],
+		]));
+		assert.deepStrictEqual(peerStats.getInboundRtp().map(entry => entry.ssrc), [11]);
+		assert.strictEqual(peerStats.getInboundRtp("video")[0].rates.framesDecoded, 30);
+		assert.strictEqual(peerStats.getInboundRtp("video")[0].bitrate, 1000);
+		assert.strictEqual(peerStats.getInboundRtp("video")[0].codec, null);
+		assert.strictEqual(peerStats.selectedCandidatePair, null);
+	});
+
+	it("should keep the samples in the ring buffer and aggregate them", () => {
+		var history = new StatsHistory(4);
+		for (var i = 1; i <= 6; i++) {
+			history.push({timestamp: i * 1000, outgoingBitrate: i * 100, frameRate: i == 6 ? null : i});
+		}
+		assert.deepStrictEqual(history.getSamples().map(sample => sample.timestamp), [3000, 4000, 5000, 6000]);
+		assert.deepStrictEqual(history.getSamples(1000).map(sample => sample.timestamp), [5000, 6000]);
+		assert.strictEqual(history.getLast().outgoingBitrate, 600);
+
+		assert.deepStrictEqual(history.aggregate("outgoingBitrate"), {count: 4, min: 300, max: 600, avg: 450, p50: 400, p90: 600, p95: 600, p99: 600});
+		assert.deepStrictEqual(history.aggregate("frameRate"), {count: 3, min: 3, max: 5, avg: 4, p50: 4, p90: 5, p95: 5, p99: 5});
+		assert.strictEqual(history.percentile("outgoingBitrate", 25, 2000), 400);
+		assert.strictEqual(history.aggregate("jitter"), null);
+	});
+
+	it("should add a sample for each report", () => {
+		var peerStats = new PeerStats("stream1", 10);
+		peerStats.updateReport(publisherReport(1000, 1));
+		peerStats.updateReport(publisherReport(3000, 2));
+
+		var sample = peerStats.getLastSample();
+		assert.strictEqual(sample.timestamp, 3000);
+		assert.strictEqual(sample.outgoingBitrate, 240);
+		assert.strictEqual(sample.packetLoss, 0.01);
+		assert.strictEqual(sample.roundTripTime, 0.05);
+		assert.strictEqual(sample.frameRate, 15);
+		assert.strictEqual(sample.qualityLimitationReason, "bandwidth");
+		assert.deepStrictEqual(peerStats.getAggregate("outgoingBitrate"), {count: 2, min: 0, max: 240, avg: 120, p50: 0, p90: 240, p95: 240, p99: 240});
+	});
+
+	it("should poll the stats with the interval of the stream", () => {
+		var uninstall = installFakeWebRTC();
+		var originalSetInterval = global.setInterval;
+		var intervals = [];
+		global.setInterval = (handler, timeout) => {
+			intervals.push(timeout);
+			return originalSetInterval(handler, 1000000);
+		};
+		var adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: new MockSignallingServer().transportFactory,
+			mediaConstraints: {video: false, audio: false},
+			isPlayMode: true,
+			reconnectEnabled: false,
+			statsInterval: 2000,
+		});
+		try {
+			intervals = [];
+			adaptor.enableStats("stream1");
+			adaptor.enableStats("stream1");
+			adaptor.enableStats("stream2", 500);
+			var peerStats = adaptor.remotePeerConnectionStats["stream1"];
+			adaptor.enableStats("stream1", 1000);
+			adaptor.disableStats("stream1");
+			adaptor.enableStats("stream1", 1000);
+			assert.deepStrictEqual(intervals, [2000, 500, 1000, 1000]);
+			assert.strictEqual(adaptor.remotePeerConnectionStats["stream1"], peerStats);
+			assert.strictEqual(adaptor.getStatsAggregate("stream1", "jitter"), null);
+			assert.strictEqual(adaptor.getStatsAggregate("stream3", "jitter"), null);
+		}
+		finally {
+			adaptor.disableStats("stream1");
+			adaptor.disableStats("stream2");
+			global.setInterval = originalSetInterval;
+			adaptor.closeWebSocket();
+			adaptor.webSocketAdaptor.clearPingTimer();
+			uninstall();
+		}
+	});
+
+	it("should be updated with the report of the peer connection", async () => {
+		var uninstall = installFakeWebRTC();
+		var adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: new MockSignallingServer().transportFactory,
+			mediaConstraints: {video: false, audio: false},
+			isPlayMode: true,
+			reconnectEnabled: false,
+		});
+		try {
+			adaptor.initPeerConnection("stream1", "play");
+			adaptor.remotePeerConnection["stream1"].fakeStats(Array.from(publisherReport(1000, 1).values()));
+			adaptor.enableStats("stream1");
+			var stats = new Promise(resolve => adaptor.once("updated_stats", resolve));
+			adaptor.getStats("stream1");
+
+			var peerStats = await stats;
+			assert.strictEqual(peerStats.streamId, "stream1");
+			assert.strictEqual(peerStats.outboundRtp.size, 2);
+			assert.strictEqual(peerStats.selectedCandidatePair.availableOutgoingBitrate, 1200000);
+		}
+		finally {
+			adaptor.disableStats("stream1");
+			adaptor.closeWebSocket();
+			adaptor.webSocketAdaptor.clearPingTimer();
+			uninstall();
+		}
+	});
+});
@@ -0,0 +1,94 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {SignallingJournal, SignallingReplayer, parseJournal} from "../../../../main/webapp/js/signalling_journal.js";
+import {redactMessage} from "../../../../main/webapp/js/redaction.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+describe("SignallingJournal", () => {
+	let uninstall;
+	let adaptors;
+
+	function createAdaptor(transportFactory) {
+		var adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: transportFactory,
+			mediaConstraints: {video: false, audio: false},
+			isPlayMode: true,
+			reconnectEnabled: false,
+		});
+		adaptors.push(adaptor);
+		return adaptor;
+	}
+
+	beforeEach(() => {
+		uninstall = installFakeWebRTC();
+		adaptors = [];
+	});
+
+	afterEach(() => {
+		adaptors.forEach(adaptor => {
+			adaptor.closeWebSocket();
+			adaptor.webSocketAdaptor.clearPingTimer();
+		});
+		uninstall();
+	});
+
+	it("should redact the tokens at any depth", () => {
+		var message = {command: "play", token: "secret", subscriberCode: "", list: [{token: "secret2"}], streamId: "stream1"};
+		assert.deepStrictEqual(redactMessage(message, ["token", "subscriberCode"]),
+				{command: "play", token: "***", subscriberCode: "", list: [{token: "***"}], streamId: "stream1"});
+		assert.strictEqual(message.token, "secret");
+
+		var journal = new SignallingJournal({maxEntries: 2});
+		journal.record("out", JSON.stringify({command: "ping"}));
+		journal.record("in", "not json");
+		journal.record("in", JSON.stringify({command: "pong"}));
+		journal.record("out", JSON.stringify({command: "stop", streamId: "stream1"}));
+		journal.record("out", JSON.stringify({command: "getStreamInfo", streamId: "stream1"}));
+		assert.deepStrictEqual(journal.getEntries().map(entry => entry.command), ["stop", "getStreamInfo"]);
+		assert.throws(() => parseJournal("{}"));
+	});
+
+	it("should record the signalling messages and replay them", async () => {
+		var adaptor = createAdaptor(new MockSignallingServer().transportFactory);
+		adaptor.enableSignallingJournal();
+		adaptor.play("stream1", "secret token");
+		await nextEvent(adaptor, "play_started");
+
+		var text = adaptor.exportSignallingJournal();
+		assert.ok(!text.includes("secret token"));
+		var entries = parseJournal(text);
+		assert.deepStrictEqual(entries.map(entry => [entry.direction, entry.command]), [
+			["out", "play"],
+			["in", "takeConfiguration"],
+			["out", "takeConfiguration"],
+			["in", "takeCandidate"],
+			["in", "notification"],
+		]);
+		assert.strictEqual(entries[0].message.token, "***");
+		assert.strictEqual(entries[4].message.definition, "play_started");
+
+		var replayer = new SignallingReplayer({journal: text});
+		var replayedAdaptor = createAdaptor(replayer.transportFactory);
+		await nextEvent(replayedAdaptor, "initialized");
+		var notifications = [];
+		replayedAdaptor.on("play_started", obj => notifications.push(obj.streamId));
+
+		var sent = await replayer.replay(replayedAdaptor.webSocketAdaptor);
+		assert.deepStrictEqual(notifications, ["stream1"]);
+		assert.deepStrictEqual(sent.map(message => [message.command, message.type]), [["takeConfiguration", "answer"]]);
+		var peerConnection = replayedAdaptor.remotePeerConnection["stream1"];
+		assert.strictEqual(peerConnection.remoteDescription.type, "offer");
+		assert.strictEqual(peerConnection.addedCandidates.length, 1);
+		assert.strictEqual(replayer.step(replayedAdaptor.webSocketAdaptor), null);
+
+		adaptor.disableSignallingJournal();
+		assert.strictEqual(adaptor.webSocketAdaptor.journal, null);
+		assert.strictEqual(adaptor.exportSignallingJournal(), null);
+	});
+});
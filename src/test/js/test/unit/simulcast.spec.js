@@ -0,0 +1,101 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {PeerStats} from "../../../../main/webapp/js/peer_stats.js";
+import {limitLayerBitrates} from "../../../../main/webapp/js/simulcast.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+describe("Simulcast", () => {
+	let uninstall;
+	let adaptor;
+
+	beforeEach(async () => {
+		uninstall = installFakeWebRTC();
+		adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: new MockSignallingServer().transportFactory,
+			mediaConstraints: {video: true, audio: true},
+			reconnectEnabled: false,
+			simulcastEnabled: true,
+			simulcastLayers: [
+				{rid: "q", scaleResolutionDownBy: 4, maxBitrate: 200000, maxFramerate: 15},
+				{rid: "f", scaleResolutionDownBy: 1, maxBitrate: 1000000},
+			],
+		});
+		await nextEvent(adaptor, "initialized");
+	});
+
+	afterEach(() => {
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	it("should share the bandwidth between the layers", () => {
+		var layers = [{rid: "q", maxBitrate: 100000}, {rid: "h", maxBitrate: 300000, active: false}, {rid: "f", maxBitrate: 900000}];
+		assert.deepStrictEqual(limitLayerBitrates(layers, 2000), [100000, 300000, 900000]);
+		assert.deepStrictEqual(limitLayerBitrates(layers, 500), [50000, 150000, 450000]);
+		assert.deepStrictEqual(limitLayerBitrates(layers, "unlimited"), [100000, 300000, 900000]);
+		assert.deepStrictEqual(limitLayerBitrates([{rid: "f"}], 500), [null]);
+	});
+
+	it("should publish the video with the layers and change them at runtime", async () => {
+		adaptor.initPeerConnection("stream1", "publish");
+		var peerConnection = adaptor.remotePeerConnection["stream1"];
+		assert.strictEqual(peerConnection.transceivers.length, 1);
+		assert.strictEqual(peerConnection.transceivers[0].direction, "sendonly");
+		assert.deepStrictEqual(adaptor.getSimulcastLayers("stream1"), [
+			{rid: "q", active: true, scaleResolutionDownBy: 4, maxBitrate: 200000, maxFramerate: 15},
+			{rid: "f", active: true, scaleResolutionDownBy: 1, maxBitrate: 1000000},
+		]);
+		assert.deepStrictEqual(peerConnection.getSenders().map(sender => sender.track.kind).sort(), ["audio", "video"]);
+
+		var changed = nextEvent(adaptor, "simulcast_layer_changed");
+		await adaptor.setSimulcastLayerEnabled("stream1", "f", false);
+		assert.strictEqual((await changed).active, false);
+		await adaptor.setSimulcastLayerParameters("stream1", "q", {maxFramerate: 10});
+		assert.deepStrictEqual(adaptor.getSimulcastLayers("stream1").map(layer => [layer.rid, layer.active, layer.maxFramerate]),
+				[["q", true, 10], ["f", false, undefined]]);
+		await assert.rejects(adaptor.setSimulcastLayerEnabled("stream1", "h", true));
+
+		//configured layer is not changed if the parameters cannot be applied
+		var sender = adaptor.getSender("stream1", "video");
+		sender.setParameters = () => Promise.reject(new Error("InvalidModificationError"));
+		await assert.rejects(adaptor.setSimulcastLayerParameters("stream1", "q", {maxFramerate: 5}));
+		assert.strictEqual(adaptor.simulcastManager.getConfiguredLayers("stream1")[0].maxFramerate, 10);
+		delete sender.setParameters;
+
+		//bandwidth is shared by the active layers
+		adaptor.mediaManager.getVideoSender = (streamId) => adaptor.getSender(streamId, "video");
+		await adaptor.setSimulcastLayerEnabled("stream1", "f", true);
+		await adaptor.mediaManager.changeBandwidth(600, "stream1");
+		assert.deepStrictEqual(adaptor.getSimulcastLayers("stream1").map(layer => layer.maxBitrate), [100000, 500000]);
+
+		adaptor.closePeerConnection("stream1");
+		assert.strictEqual(adaptor.simulcastManager.getConfiguredLayers("stream1"), null);
+
+		//players are not sent with simulcast
+		adaptor.initPeerConnection("stream2", "play");
+		assert.strictEqual(adaptor.remotePeerConnection["stream2"].transceivers.length, 0);
+	});
+
+	it("should provide the stats of the layers", () => {
+		var peerStats = new PeerStats("stream1");
+		var items = [
+			{id: "OT1", type: "outbound-rtp", timestamp: 0, kind: "video", ssrc: 1, rid: "q", active: true, frameWidth: 320, frameHeight: 180,
+				framesPerSecond: 15, packetsSent: 100},
+			{id: "OT2", type: "outbound-rtp", timestamp: 0, kind: "video", ssrc: 2, rid: "f", active: false, packetsSent: 0},
+			{id: "OT3", type: "outbound-rtp", timestamp: 0, kind: "audio", ssrc: 3},
+			{id: "RI1", type: "remote-inbound-rtp", timestamp: 0, kind: "video", ssrc: 1, fractionLost: 0.01, roundTripTime: 0.05},
+		];
+		peerStats.updateReport(new Map(items.map(item => [item.id, item])));
+
+		var layers = peerStats.getLayers();
+		assert.deepStrictEqual(layers.map(layer => [layer.rid, layer.active, layer.frameWidth, layer.framesPerSecond, layer.roundTripTime]),
+				[["q", true, 320, 15, 0.05], ["f", false, undefined, undefined, null]]);
+	});
+});
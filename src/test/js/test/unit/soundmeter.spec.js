@@ -0,0 +1,101 @@
+import assert from "assert";
+import {SoundMeter, createProcessorSource, getSharedAudioContext, SOUND_METER_PROCESSOR_NAME} from "../../../../main/webapp/js/soundmeter.js";
+import {installFakeWebRTC, FakeMediaStream, FakeMediaStreamTrack} from "../mock/fake_webrtc.js";
+
+/**
+ * Evaluates the processor source like AudioWorkletGlobalScope and returns the registered processor class
+ */
+function loadProcessorClass(sampleRate) {
+	var registered = {};
+	class AudioWorkletProcessor {
+		constructor() {
+			this.port = {messages: [], postMessage: (message) => this.port.messages.push(message)};
+		}
+	}
+	var registerProcessor = (name, processorClass) => registered[name] = processorClass;
+	new Function("AudioWorkletProcessor", "registerProcessor", "sampleRate", createProcessorSource())(AudioWorkletProcessor, registerProcessor, sampleRate);
+	return registered[SOUND_METER_PROCESSOR_NAME];
+}
+
+function block(value) {
+	return new Float32Array(128).map((sample, i) => i % 2 == 0 ? value : -value);
+}
+
+describe("SoundMeter", () => {
+	let uninstall;
+
+	beforeEach(() => {
+		uninstall = installFakeWebRTC();
+	});
+
+	afterEach(() => {
+		uninstall();
+	});
+
+	it("should measure rms, peak, clipping and decayed levels in the processor", () => {
+		var Processor = loadProcessorClass(12800);
+		var processor = new Processor({processorOptions: {reportInterval: 20, decayFactor: 0.5, clipThreshold: 0.99}});
+
+		assert.strictEqual(processor.process([[block(0.5)]]), true);
+		assert.strictEqual(processor.port.messages.length, 0);
+		processor.process([[block(1), block(1)]]);
+		assert.deepStrictEqual(processor.port.messages[0], {rms: Math.sqrt((0.25 * 128 + 256) / 384), peak: 1, clipping: 256 / 384, decayed: Math.sqrt((0.25 * 128 + 256) / 384)});
+
+		//no input is silence
+		processor.process([]);
+		processor.process([]);
+		var levels = processor.port.messages[1];
+		assert.strictEqual(levels.rms, 0);
+		assert.strictEqual(levels.decayed, processor.port.messages[0].decayed * 0.5);
+
+		processor.port.onmessage({data: "stop"});
+		assert.strictEqual(processor.process([[block(0.1)]]), false);
+	});
+
+	it("should use the AudioWorklet of the shared context and keep instant", async () => {
+		var meter = new SoundMeter();
+		var error = await new Promise(resolve => meter.connectToSource(new FakeMediaStream([new FakeMediaStreamTrack("audio")]), resolve));
+
+		assert.strictEqual(error, null);
+		assert.strictEqual(meter.context, getSharedAudioContext());
+		assert.strictEqual(meter.context.audioWorklet.modules.length, 1);
+		assert.strictEqual(meter.node.name, SOUND_METER_PROCESSOR_NAME);
+		assert.strictEqual(meter.node.options.numberOfOutputs, 0);
+		assert.deepStrictEqual(meter.mic.connections, [meter.node]);
+
+		meter.node.fakeMessage({rms: 0.2, peak: 0.6, clipping: 0, decayed: 0.3});
+		assert.strictEqual(meter.instant, 0.2);
+		assert.deepStrictEqual(meter.getLevels(), {rms: 0.2, peak: 0.6, clipping: 0, decayed: 0.3});
+
+		//processor module is added once for each context
+		var otherMeter = new SoundMeter(meter.context);
+		await new Promise(resolve => otherMeter.connectToSource(new FakeMediaStream([new FakeMediaStreamTrack("audio")]), resolve));
+		assert.strictEqual(meter.context.audioWorklet.modules.length, 1);
+
+		meter.stop();
+		assert.deepStrictEqual(meter.node.port.messages, ["stop"]);
+		assert.deepStrictEqual(meter.mic.connections, []);
+	});
+
+	it("should fall back to ScriptProcessor if AudioWorklet is not supported", async () => {
+		delete globalThis.AudioWorkletNode;
+		var context = new AudioContext();
+		var meter = new SoundMeter(context);
+		var levels = [];
+		meter.onlevels = (value) => levels.push(value);
+		await new Promise(resolve => meter.connectToSource(new FakeMediaStream([new FakeMediaStreamTrack("audio")]), resolve));
+
+		assert.deepStrictEqual(meter.node.connections, [context.destination]);
+		meter.node.onaudioprocess({inputBuffer: {getChannelData: () => block(0.3)}});
+		assert.ok(Math.abs(meter.instant - 0.3) < 1e-6);
+		assert.strictEqual(levels.length, 1);
+		assert.strictEqual(meter.clipping, 0);
+	});
+
+	it("should create a new shared context if it's closed", async () => {
+		var context = getSharedAudioContext();
+		assert.strictEqual(getSharedAudioContext(), context);
+		await context.close();
+		assert.notStrictEqual(getSharedAudioContext(), context);
+	});
+});
@@ -0,0 +1,120 @@
+import assert from "assert";
+import http from "http";
+import {PeerStats} from "../../../../main/webapp/js/peer_stats.js";
+import {StatsReporter, createStatsRecord, toOpenMetrics, toNDJSON} from "../../../../main/webapp/js/stats_exporter.js";
+import {EventEmitter} from "../../../../main/webapp/js/event_emitter.js";
+
+function publisherStats(streamId, timestamp, factor) {
+	var peerStats = new PeerStats(streamId);
+	[timestamp - 1000, timestamp].forEach((time, i) => {
+		var items = [
+			{id: "OT1", type: "outbound-rtp", timestamp: time, kind: "video", ssrc: 1, rid: "f", bytesSent: 25000 * i * factor, packetsSent: 200 * i,
+				framesPerSecond: 30},
+			{id: "RI1", type: "remote-inbound-rtp", timestamp: time, kind: "video", ssrc: 1, packetsLost: 4, fractionLost: 0.02, jitter: 0.003, roundTripTime: 0.08},
+			{id: "CP1", type: "candidate-pair", timestamp: time, state: "succeeded", nominated: true, currentRoundTripTime: 0.07, availableOutgoingBitrate: 2000000},
+		];
+		peerStats.updateReport(new Map(items.map(item => [item.id, item])));
+	});
+	return peerStats;
+}
+
+/**
+ * Local HTTP stand-in for the stats endpoint. It responds with the given statuses in order
+ */
+function startServer(statuses) {
+	var requests = [];
+	var server = http.createServer((request, response) => {
+		var body = "";
+		request.on("data", chunk => body += chunk);
+		request.on("end", () => {
+			requests.push({method: request.method, headers: request.headers, body: body});
+			response.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+			response.end();
+		});
+	});
+	return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({
+		server: server,
+		requests: requests,
+		url: "http://127.0.0.1:" + server.address().port + "/stats",
+	})));
+}
+
+describe("StatsExporter", () => {
+	it("should write the stats in OpenMetrics text", () => {
+		var text = toOpenMetrics([publisherStats("stream\"1", 2000, 1)]);
+		var lines = text.split("\n");
+
+		assert.ok(lines.includes("# TYPE webrtc_outgoing_bitrate_kbps gauge"));
+		assert.ok(lines.includes("webrtc_outgoing_bitrate_kbps{stream_id=\"stream\\\"1\"} 200"));
+		assert.ok(lines.includes("webrtc_available_outgoing_bitrate_bps{stream_id=\"stream\\\"1\"} 2000000"));
+		assert.ok(lines.includes("# TYPE webrtc_rtp_packets_sent counter"));
+		assert.ok(lines.includes("webrtc_rtp_packets_sent_total{stream_id=\"stream\\\"1\",direction=\"outbound\",kind=\"video\",ssrc=\"1\",rid=\"f\"} 200"));
+		assert.ok(lines.includes("webrtc_rtp_round_trip_time_seconds{stream_id=\"stream\\\"1\",direction=\"outbound\",kind=\"video\",ssrc=\"1\",rid=\"f\"} 0.08"));
+		//families without values are not written
+		assert.ok(!text.includes("webrtc_rtp_packets_received"));
+		assert.ok(!text.includes("webrtc_quality_score"));
+		assert.ok(text.endsWith("\n# EOF\n"));
+	});
+
+	it("should write a JSON line for each stream", () => {
+		var lines = toNDJSON([publisherStats("stream1", 2000, 1), publisherStats("stream2", 5000, 2)]).split("\n");
+		assert.strictEqual(lines.length, 3);
+		assert.strictEqual(lines[2], "");
+		var record = JSON.parse(lines[1]);
+		assert.strictEqual(record.streamId, "stream2");
+		assert.strictEqual(record.timestamp, 5000);
+		assert.strictEqual(record.outgoingBitrate, 400);
+		assert.deepStrictEqual(record.rtp, [{direction: "outbound", kind: "video", ssrc: 1, rid: "f", bitrate: 400, packetsSent: 200, bytesSent: 50000,
+			framesPerSecond: 30, packetsLost: 4, fractionLost: 0.02, jitter: 0.003, roundTripTime: 0.08}]);
+	});
+
+	it("should POST the batches and send the failed ones again", async () => {
+		var endpoint = await startServer([500]);
+		var adaptor = new EventEmitter();
+		var reporter = new StatsReporter({webRTCAdaptor: adaptor, url: endpoint.url, batchSize: 2, headers: {Authorization: "Bearer token"}});
+		var events = [];
+		reporter.on("*", (info, obj) => events.push([info, obj.count]));
+		try {
+			var peerStats = publisherStats("stream1", 2000, 1);
+			adaptor.emit("updated_stats", peerStats);
+			assert.strictEqual(reporter.sending, null);
+			adaptor.emit("updated_stats", peerStats);
+			await reporter.sending;
+			assert.deepStrictEqual(events, [["stats_report_failed", 2]]);
+			assert.strictEqual(reporter.queue.length, 2);
+
+			adaptor.emit("updated_stats", publisherStats("stream2", 2000, 1));
+			await reporter.flush();
+			assert.deepStrictEqual(events, [["stats_report_failed", 2], ["stats_report_sent", 3]]);
+			assert.strictEqual(endpoint.requests.length, 2);
+			var request = endpoint.requests[1];
+			assert.strictEqual(request.method, "POST");
+			assert.strictEqual(request.headers["content-type"], "application/x-ndjson");
+			assert.strictEqual(request.headers["authorization"], "Bearer token");
+			assert.deepStrictEqual(request.body.trim().split("\n").map(line => JSON.parse(line).streamId), ["stream1", "stream1", "stream2"]);
+
+			reporter.destroy();
+			adaptor.emit("updated_stats", peerStats);
+			assert.strictEqual(reporter.queue.length, 0);
+		}
+		finally {
+			reporter.destroy();
+			endpoint.server.close();
+		}
+	});
+
+	it("should send the last stats of each stream with a custom sender in OpenMetrics", async () => {
+		var requests = [];
+		var reporter = new StatsReporter({format: "openmetrics", batchSize: 10, send: request => requests.push(request)});
+		var first = publisherStats("stream1", 2000, 1);
+		reporter.addStats(first);
+		reporter.addStats(publisherStats("stream1", 3000, 2));
+		assert.strictEqual(createStatsRecord(first).outgoingBitrate, 200);
+		await reporter.flush();
+
+		assert.strictEqual(requests.length, 1);
+		assert.strictEqual(requests[0].headers["Content-Type"], "application/openmetrics-text; version=1.0.0; charset=utf-8");
+		var samples = requests[0].body.split("\n").filter(line => line.startsWith("webrtc_outgoing_bitrate_kbps"));
+		assert.deepStrictEqual(samples, ["webrtc_outgoing_bitrate_kbps{stream_id=\"stream1\"} 400"]);
+	});
+});
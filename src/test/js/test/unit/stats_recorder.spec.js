@@ -0,0 +1,93 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+describe("StatsRecorder", () => {
+	let uninstall;
+	let server;
+	let adaptor;
+
+	beforeEach(() => {
+		uninstall = installFakeWebRTC();
+		server = new MockSignallingServer();
+		adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: server.transportFactory,
+			mediaConstraints: {video: false, audio: false},
+			isPlayMode: true,
+			reconnectEnabled: false,
+			statsRecordingMaxValues: 2,
+		});
+	});
+
+	afterEach(() => {
+		adaptor.stopStatsRecording();
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	it("should record the signalling events and the stats in webrtc-internals format", async () => {
+		adaptor.startStatsRecording();
+		adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+		adaptor.takeCandidate("stream1", 0, "candidate:1 1 udp 2122260223 10.0.0.1 50000 typ host");
+		await server.waitFor(message => message.command == "takeConfiguration");
+		var peerConnection = adaptor.remotePeerConnection["stream1"];
+		peerConnection.iceConnectionState = "connected";
+		peerConnection.oniceconnectionstatechange({});
+
+		for (var i = 1; i <= 3; i++) {
+			peerConnection.fakeStats([{id: "IT01A", type: "inbound-rtp", timestamp: i * 1000, kind: "audio", packetsReceived: i * 50, jitter: null}]);
+			await adaptor.statsRecorder.collectStats();
+		}
+
+		var dump = adaptor.getStatsDump();
+		assert.deepStrictEqual(Object.keys(dump.PeerConnections), ["stream1-1"]);
+		var entry = dump.PeerConnections["stream1-1"];
+		assert.deepStrictEqual(entry.updateLog.map(log => log.type), ["create", "setRemoteDescription", "addIceCandidate", "setLocalDescription",
+			"iceconnectionstatechange"]);
+		assert.strictEqual(entry.updateLog[1].value, "type: offer, sdp: remote sdp");
+		assert.ok(entry.updateLog[3].value.startsWith("type: answer, sdp: v=0"));
+		assert.strictEqual(entry.updateLog[4].value, "connected");
+		assert.ok(!isNaN(Date.parse(entry.updateLog[0].time)));
+
+		assert.deepStrictEqual(Object.keys(entry.stats), ["IT01A-kind", "IT01A-packetsReceived"]);
+		var series = entry.stats["IT01A-packetsReceived"];
+		assert.strictEqual(series.statsType, "inbound-rtp");
+		assert.deepStrictEqual(JSON.parse(series.values), [100, 150]);
+		assert.ok(Date.parse(series.startTime) <= Date.parse(series.endTime));
+		assert.deepStrictEqual(JSON.parse(entry.stats["IT01A-kind"].values), ["audio", "audio"]);
+	});
+
+	it("should add a new entry for the new peer connection of a stream", async () => {
+		adaptor.initPeerConnection("stream1", "play");
+		adaptor.startStatsRecording();
+		adaptor.closePeerConnection("stream1");
+		adaptor.initPeerConnection("stream1", "play");
+		adaptor.stopStatsRecording();
+		adaptor.closePeerConnection("stream1");
+
+		var dump = adaptor.getStatsDump();
+		assert.deepStrictEqual(Object.keys(dump.PeerConnections), ["stream1-1", "stream1-2"]);
+		assert.deepStrictEqual(dump.PeerConnections["stream1-1"].updateLog.map(log => log.type), ["create", "close"]);
+		assert.deepStrictEqual(dump.PeerConnections["stream1-2"].updateLog.map(log => log.type), ["create"]);
+
+		adaptor.clearStatsRecording();
+		assert.deepStrictEqual(adaptor.getStatsDump().PeerConnections, {});
+	});
+
+	it("should not record the credentials of the ice servers", () => {
+		adaptor.peerconnection_config = {iceServers: [{urls: "stun:stun1.l.google.com:19302"},
+			{urls: "turn:turn.example.com:3478", username: "user1", credential: "secret"}], sdpSemantics: "unified-plan"};
+		adaptor.startStatsRecording();
+		adaptor.initPeerConnection("stream1", "play");
+
+		var entry = adaptor.getStatsDump().PeerConnections["stream1-1"];
+		var expected = {iceServers: [{urls: "stun:stun1.l.google.com:19302"},
+			{urls: "turn:turn.example.com:3478", username: "***", credential: "***"}], sdpSemantics: "unified-plan"};
+		assert.deepStrictEqual(JSON.parse(entry.rtcConfiguration), expected);
+		assert.deepStrictEqual(JSON.parse(entry.updateLog[0].value), expected);
+		assert.strictEqual(adaptor.peerconnection_config.iceServers[1].credential, "secret");
+	});
+});
@@ -0,0 +1,149 @@
+import assert from "assert";
+import {EventEmitter} from "../../../../main/webapp/js/event_emitter.js";
+import {TrackAssignmentManager} from "../../../../main/webapp/js/track_assignment.js";
+
+/**
+ * Records the track commands instead of a real WebRTCAdaptor
+ */
+class WebRTCAdaptorStub extends EventEmitter {
+	constructor() {
+		super();
+		this.calls = [];
+		this.idMapping = {room1: {"0": "audioTrack0", "1": "videoTrack0", "2": "videoTrack1", "3": "videoTrack2"}};
+	}
+	getIdMapping(streamId) {
+		return this.idMapping[streamId];
+	}
+	assignVideoTrack(videoTrackId, streamId, enabled) {
+		this.calls.push(["assignVideoTrack", videoTrackId, streamId, enabled]);
+	}
+	updateVideoTrackAssignments(streamId, offset, size) {
+		this.calls.push(["updateVideoTrackAssignments", streamId, offset, size]);
+	}
+	setMaxVideoTrackCount(streamId, count) {
+		this.calls.push(["setMaxVideoTrackCount", streamId, count]);
+	}
+	enableTrack(streamId, trackId, enabled) {
+		this.calls.push(["enableTrack", streamId, trackId, enabled]);
+	}
+	addTrack(trackId, kind) {
+		this.emit("newStreamAvailable", {streamId: "room1", trackId: trackId, track: {id: trackId, kind: kind || "video"}, stream: {}});
+	}
+	assign(assignments) {
+		var payload = Object.keys(assignments).map(label => ({videoLabel: label, trackId: assignments[label]}));
+		this.emit("data_received", {streamId: "room1", data: JSON.stringify({eventType: "VIDEO_TRACK_ASSIGNMENT_LIST", payload: payload})});
+	}
+}
+
+describe("TrackAssignmentManager", () => {
+	let adaptor;
+	let manager;
+	let changes;
+
+	function streamIds() {
+		return manager.getAssignments().map(assignment => assignment.streamId);
+	}
+
+	beforeEach(() => {
+		adaptor = new WebRTCAdaptorStub();
+		manager = new TrackAssignmentManager({webRTCAdaptor: adaptor, mainStreamId: "room1", activeSpeakerSlot: true});
+		changes = [];
+		manager.on("assignment_changed", obj => changes.push(obj));
+		adaptor.addTrack("audioTrack0", "audio");
+		adaptor.addTrack("videoTrack0");
+		adaptor.addTrack("videoTrack1");
+		adaptor.addTrack("videoTrack2");
+		adaptor.assign({videoTrack0: "p1", videoTrack1: "p2", videoTrack2: "p3"});
+	});
+
+	it("should map the video tracks to the participants", () => {
+		var assignments = manager.getAssignments();
+
+		assert.deepStrictEqual(assignments.map(assignment => [assignment.label, assignment.mid, assignment.streamId]),
+				[["videoTrack0", "1", "p1"], ["videoTrack1", "2", "p2"], ["videoTrack2", "3", "p3"]]);
+		assert.strictEqual(changes.length, 4);
+		assert.deepStrictEqual(changes[3].assignments.map(assignment => assignment.streamId), ["p1", "p2", "p3"]);
+
+		adaptor.assign({videoTrack0: "p1", videoTrack1: "p2", videoTrack2: "p3"});
+		assert.strictEqual(changes.length, 4);
+	});
+
+	it("should pin the participants and paginate the others", () => {
+		assert.strictEqual(manager.pin("p5", "videoTrack0"), true);
+		manager.nextPage();
+
+		assert.deepStrictEqual(adaptor.calls, [["assignVideoTrack", "videoTrack0", "p5", true], ["updateVideoTrackAssignments", "room1", 3, 3]]);
+		assert.strictEqual(manager.getAssignment("p5").pinned, true);
+		assert.strictEqual(changes[changes.length - 1].offset, 3);
+
+		//participants are moved by AMS
+		adaptor.assign({videoTrack0: "p5", videoTrack1: "p4", videoTrack2: "p6"});
+		assert.deepStrictEqual(streamIds(), ["p5", "p4", "p6"]);
+		assert.strictEqual(manager.getAssignment("p5").pinned, true);
+
+		assert.strictEqual(manager.unpin("p5"), true);
+		assert.strictEqual(manager.unpin("p5"), false);
+		assert.deepStrictEqual(adaptor.calls[2], ["assignVideoTrack", "videoTrack0", "p5", false]);
+		manager.previousPage();
+		manager.previousPage();
+		assert.strictEqual(manager.offset, 0);
+	});
+
+	it("should move the pinned participant to another video track", () => {
+		assert.strictEqual(manager.pin("p5", "videoTrack0"), true);
+		assert.strictEqual(manager.pin("p5", "videoTrack2"), true);
+
+		assert.deepStrictEqual(streamIds(), [null, "p2", "p5"]);
+		assert.strictEqual(manager.getAssignment("p5").label, "videoTrack2");
+		assert.strictEqual(manager.getAssignment("p5").pinned, true);
+		assert.deepStrictEqual(adaptor.calls, [
+			["assignVideoTrack", "videoTrack0", "p5", true],
+			["assignVideoTrack", "videoTrack0", "p5", false],
+			["assignVideoTrack", "videoTrack2", "p5", true],
+		]);
+
+		assert.strictEqual(manager.unpin("p5"), true);
+		assert.strictEqual(manager.getAssignment("p5"), null);
+		assert.deepStrictEqual(adaptor.calls[3], ["assignVideoTrack", "videoTrack2", "p5", false]);
+	});
+
+	it("should give a video track to the active speaker which is not visible", () => {
+		manager.pin("p1");
+		manager.setActiveSpeaker("p2");
+		assert.deepStrictEqual(adaptor.calls, [["assignVideoTrack", "videoTrack0", "p1", true]]);
+
+		manager.setActiveSpeaker("p7");
+		assert.deepStrictEqual(streamIds(), ["p1", "p2", "p7"]);
+		assert.strictEqual(manager.getAssignment("p7").activeSpeaker, true);
+
+		manager.setActiveSpeaker("p8");
+		manager.setActiveSpeaker("p1");
+
+		assert.deepStrictEqual(adaptor.calls.slice(1), [
+			["assignVideoTrack", "videoTrack2", "p7", true],
+			["assignVideoTrack", "videoTrack2", "p7", false],
+			["assignVideoTrack", "videoTrack2", "p8", true],
+			["assignVideoTrack", "videoTrack2", "p8", false],
+		]);
+		assert.strictEqual(manager.getAssignment("p1").pinned, true);
+		assert.deepStrictEqual(streamIds(), ["p1", "p2", null]);
+	});
+
+	it("should take the participants from the track ids if each participant has its own track", () => {
+		adaptor.idMapping.room1 = {"0": "ARDAMSxp1", "1": "ARDAMSxp2"};
+		manager.handleEvent("play_finished", {streamId: "room1"});
+		adaptor.addTrack("ARDAMSxp1");
+		adaptor.addTrack("ARDAMSxp2");
+
+		assert.deepStrictEqual(streamIds(), ["p1", "p2"]);
+		assert.strictEqual(manager.getAssignment("p2").mid, "1");
+	});
+
+	it("should forward the track commands with the main stream id", () => {
+		manager.setMaxVideoTrackCount(6);
+		manager.setTrackEnabled("p1", false);
+
+		assert.deepStrictEqual(adaptor.calls, [["setMaxVideoTrackCount", "room1", 6], ["enableTrack", "room1", "p1", false]]);
+		assert.ok(manager.disabledTracks.has("p1"));
+	});
+});
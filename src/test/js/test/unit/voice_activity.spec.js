@@ -0,0 +1,164 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {VoiceActivityDetector} from "../../../../main/webapp/js/voice_activity.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC} from "../mock/fake_webrtc.js";
+
+const SAMPLE_RATE = 48000;
+
+function samples(amplitude) {
+	return new Float32Array(1024).map((sample, i) => i % 2 == 0 ? amplitude : -amplitude);
+}
+
+/**
+ * Spectrum with harmonics in the speech band
+ */
+function speechSpectrum() {
+	return new Float32Array(512).map((value, bin) => {
+		var frequency = bin * SAMPLE_RATE / 1024;
+		if (frequency < 300 || frequency > 3400) {
+			return -90;
+		}
+		return bin % 4 == 0 ? -20 : -60;
+	});
+}
+
+function noiseSpectrum() {
+	return new Float32Array(512).fill(-40);
+}
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+describe("VoiceActivityDetector", () => {
+	let detector;
+	let events;
+	let now;
+
+	function run(frameCount, amplitude, spectrum) {
+		var features;
+		for (var i = 0; i < frameCount; i++) {
+			now += 50;
+			features = detector.processFrame(samples(amplitude), spectrum, SAMPLE_RATE, now);
+		}
+		return features;
+	}
+
+	beforeEach(() => {
+		detector = new VoiceActivityDetector({});
+		events = [];
+		detector.on("*", (info) => events.push([info, now]));
+		now = 0;
+		run(1, 0.001, noiseSpectrum());
+	});
+
+	it("should start speaking after the start time and stop after the hangover time", () => {
+		var features = run(2, 0.1, speechSpectrum());
+		assert.strictEqual(features.voiced, true);
+		assert.ok(features.speechRatio > 0.9);
+		assert.ok(features.flatness < 0.1);
+		assert.deepStrictEqual(events, []);
+
+		run(1, 0.1, speechSpectrum());
+		assert.deepStrictEqual(events, [["speaking_started", 200]]);
+		assert.ok(Math.abs(detector.level - 0.1) < 1e-6);
+
+		//short pauses between the words
+		run(5, 0.001, noiseSpectrum());
+		run(1, 0.1, speechSpectrum());
+		run(12, 0.001, noiseSpectrum());
+		assert.deepStrictEqual(events, [["speaking_started", 200], ["speaking_stopped", 1100]]);
+	});
+
+	it("should not detect the noise and adapt the noise floor to it", () => {
+		var features = run(100, 0.1, noiseSpectrum());
+		assert.strictEqual(features.voiced, false);
+		assert.ok(features.flatness > 0.99);
+		assert.ok(detector.noiseFloor > -21);
+
+		//speech should be louder than the noise
+		assert.strictEqual(run(1, 0.2, speechSpectrum()).voiced, false);
+		assert.strictEqual(run(1, 1, speechSpectrum()).voiced, true);
+
+		//quiet frames are never voiced
+		detector.noiseFloor = -100;
+		assert.strictEqual(run(1, 0.0005, speechSpectrum()).voiced, false);
+		assert.deepStrictEqual(events, []);
+	});
+});
+
+describe("VoiceActivityManager", () => {
+	let uninstall;
+	let adaptor;
+
+	beforeEach(async () => {
+		uninstall = installFakeWebRTC();
+		adaptor = new WebRTCAdaptor({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: new MockSignallingServer().transportFactory,
+			mediaConstraints: {video: true, audio: true},
+			reconnectEnabled: false,
+		});
+		await nextEvent(adaptor, "initialized");
+	});
+
+	afterEach(() => {
+		adaptor.disableVoiceActivityDetection();
+		adaptor.disableAudioLevelWhenMuted();
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	it("should notify the voice activity of the local stream and send its audio level", () => {
+		var levels = [];
+		adaptor.getDataChannel = () => ({readyState: "open"});
+		adaptor.updateAudioLevel = (streamId, level) => Promise.resolve(levels.push([streamId, level]));
+		var events = [];
+		adaptor.on("speaking_started", obj => events.push(["speaking_started", obj.streamId]));
+		adaptor.on("speaking_stopped", obj => events.push(["speaking_stopped", obj.streamId]));
+
+		adaptor.enableVoiceActivityDetection("stream1", {audioLevelInterval: 0});
+		var detector = adaptor.voiceActivityManager.detector;
+		assert.strictEqual(detector.track, adaptor.mediaManager.localStream.getAudioTracks()[0]);
+		assert.deepStrictEqual(detector.source.connections, [detector.analyser]);
+
+		adaptor.voiceActivityManager.sendAudioLevel();
+		detector.processFrame(samples(0.001), noiseSpectrum(), SAMPLE_RATE, 0);
+		for (var now = 50; now <= 200; now += 50) {
+			detector.processFrame(samples(0.25), speechSpectrum(), SAMPLE_RATE, now);
+		}
+		assert.strictEqual(adaptor.isSpeaking(), true);
+		adaptor.voiceActivityManager.sendAudioLevel();
+		adaptor.voiceActivityManager.sendAudioLevel();
+
+		adaptor.disableVoiceActivityDetection();
+		assert.strictEqual(adaptor.isSpeaking(), false);
+		assert.deepStrictEqual(levels, [["stream1", 0], ["stream1", 25]]);
+		assert.deepStrictEqual(events, [["speaking_started", "stream1"], ["speaking_stopped", "stream1"]]);
+	});
+
+	it("should notify speaking_but_muted when speech is detected while muted", async () => {
+		var notifications = 0;
+		adaptor.on("speaking_but_muted", () => notifications++);
+		adaptor.muteLocalMic();
+		adaptor.enableAudioLevelWhenMuted();
+		await new Promise(resolve => setTimeout(resolve, 0));
+
+		var detector = adaptor.mediaManager.mutedVoiceActivityDetector;
+		detector.processFrame(samples(0.001), noiseSpectrum(), SAMPLE_RATE, 0);
+		//noise doesn't trigger it
+		for (var now = 50; now <= 500; now += 50) {
+			detector.processFrame(samples(0.3), noiseSpectrum(), SAMPLE_RATE, now);
+		}
+		assert.strictEqual(notifications, 0);
+		for (now = 550; now <= 700; now += 50) {
+			detector.processFrame(samples(0.3), speechSpectrum(), SAMPLE_RATE, now);
+		}
+		assert.strictEqual(notifications, 1);
+
+		adaptor.disableAudioLevelWhenMuted();
+		assert.strictEqual(adaptor.mediaManager.mutedVoiceActivityDetector, null);
+	});
+});
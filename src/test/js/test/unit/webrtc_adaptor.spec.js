@@ -0,0 +1,1028 @@
+import assert from "assert";
+import {WebRTCAdaptor} from "../../../../main/webapp/js/webrtc_adaptor.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+import {installFakeWebRTC, FakeRTCPeerConnection, FakeRTCDataChannel} from "../mock/fake_webrtc.js";
+import {getSharedAudioContext} from "../../../../main/webapp/js/soundmeter.js";
+import {SendingMessage, DATA_FRAMING_PROTOCOL, FrameType, ContentType, isFrame, parseFrame} from "../../../../main/webapp/js/data_transfer.js";
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+function wait(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("WebRTCAdaptor", () => {
+	let uninstall;
+	let server;
+	let adaptor;
+
+	function createAdaptor(parameters) {
+		adaptor = new WebRTCAdaptor(Object.assign({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			transportFactory: server.transportFactory,
+			mediaConstraints: {video: false, audio: false},
+			isPlayMode: true,
+			reconnectEnabled: false,
+		}, parameters));
+		return adaptor;
+	}
+
+	beforeEach(() => {
+		uninstall = installFakeWebRTC();
+		server = new MockSignallingServer();
+	});
+
+	afterEach(() => {
+		adaptor.closeWebSocket();
+		adaptor.webSocketAdaptor.clearPingTimer();
+		uninstall();
+	});
+
+	describe("takeConfiguration", () => {
+		it("should set remote offer and send the answer", async () => {
+			createAdaptor();
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {"0": "track1"});
+
+			var answer = await server.waitFor(message => message.command == "takeConfiguration");
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+
+			assert.strictEqual(FakeRTCPeerConnection.instances.length, 1);
+			assert.strictEqual(peerConnection.remoteDescription.type, "offer");
+			assert.strictEqual(peerConnection.remoteDescription.sdp, "remote sdp");
+			assert.strictEqual(peerConnection.localDescription.type, "answer");
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], true);
+			assert.deepStrictEqual(adaptor.idMapping["stream1"], {"0": "track1"});
+			assert.strictEqual(answer.streamId, "stream1");
+			assert.strictEqual(answer.type, "answer");
+			//stereo is enabled in the answer
+			assert.ok(answer.sdp.includes("useinbandfec=1; stereo=1"));
+		});
+
+		it("should set remote answer without creating a new answer", async () => {
+			createAdaptor();
+			adaptor.initPeerConnection("stream1", "publish");
+			adaptor.takeConfiguration("stream1", "remote sdp", "answer", {});
+			await wait(5);
+
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+			assert.strictEqual(peerConnection.remoteDescription.type, "answer");
+			assert.strictEqual(peerConnection.localDescription, null);
+			assert.strictEqual(server.receivedCommands("takeConfiguration").length, 0);
+		});
+
+		it("should notify notSetRemoteDescription when remote description fails", async () => {
+			createAdaptor();
+			FakeRTCPeerConnection.failRemoteDescription = true;
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+
+			var error = await nextEvent(adaptor, "error");
+			assert.strictEqual(error.error, "notSetRemoteDescription");
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], false);
+		});
+	});
+
+	describe("takeCandidate", () => {
+		it("should keep the candidates until remote description is set", async () => {
+			createAdaptor();
+			adaptor.takeCandidate("stream1", 0, MockSignallingServer.CANDIDATE);
+			adaptor.takeCandidate("stream1", 1, "candidate:2 1 udp 2122260223 127.0.0.1 50001 typ host");
+
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+			assert.strictEqual(adaptor.iceCandidateList["stream1"].length, 2);
+			assert.strictEqual(peerConnection.addedCandidates.length, 0);
+
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"], peerConnection);
+			assert.deepStrictEqual(adaptor.iceCandidateList["stream1"], []);
+			assert.deepStrictEqual(peerConnection.addedCandidates.map(candidate => candidate.sdpMLineIndex), [0, 1]);
+		});
+
+		it("should add the candidate immediately after remote description is set", async () => {
+			createAdaptor();
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+
+			adaptor.takeCandidate("stream1", 0, MockSignallingServer.CANDIDATE);
+
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"].addedCandidates.length, 1);
+			assert.strictEqual(adaptor.iceCandidateList["stream1"].length, 0);
+		});
+
+		it("should not add the candidates with unsupported protocol", async () => {
+			createAdaptor({candidateTypes: ["udp"]});
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+
+			adaptor.takeCandidate("stream1", 0, "candidate:3 1 tcp 1518280447 127.0.0.1 9 typ host tcptype active");
+			adaptor.takeCandidate("stream1", 0, MockSignallingServer.CANDIDATE);
+
+			var addedCandidates = adaptor.remotePeerConnection["stream1"].addedCandidates;
+			assert.deepStrictEqual(addedCandidates.map(candidate => candidate.protocol), ["udp"]);
+		});
+
+		it("should send the local candidates with supported protocol", async () => {
+			createAdaptor({candidateTypes: ["udp"]});
+			await nextEvent(adaptor, "initialized");
+			adaptor.initPeerConnection("stream1", "play");
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+			var errors = [];
+			adaptor.on("error", error => errors.push(error.error));
+
+			peerConnection.fakeIceCandidate("candidate:3 1 tcp 1518280447 127.0.0.1 9 typ host tcptype active", 0, "tcp");
+			peerConnection.fakeIceCandidate(MockSignallingServer.CANDIDATE, 0, "udp");
+			var message = await server.waitFor("takeCandidate");
+
+			assert.strictEqual(message.candidate, MockSignallingServer.CANDIDATE);
+			assert.strictEqual(server.receivedCommands("takeCandidate").length, 1);
+			assert.deepStrictEqual(errors, ["protocol_not_supported"]);
+		});
+	});
+
+	describe("closePeerConnection", () => {
+		it("should close the peer connection and the data channel", async () => {
+			createAdaptor();
+			adaptor.playStreamId.push("stream1");
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+			var dataChannel = peerConnection.fakeRemoteDataChannel("stream1");
+			dataChannel.fakeOpen();
+			adaptor.enableStats("stream1");
+			var closed = nextEvent(adaptor, "data_channel_closed");
+
+			adaptor.closePeerConnection("stream1");
+
+			assert.strictEqual(await closed, "stream1");
+			assert.strictEqual(dataChannel.readyState, "closed");
+			assert.strictEqual(peerConnection.signalingState, "closed");
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"], undefined);
+			assert.strictEqual(adaptor.remotePeerConnectionStats["stream1"], undefined);
+			assert.deepStrictEqual(adaptor.playStreamId, []);
+		});
+
+		it("should cancel the scheduled ICE restart", async () => {
+			createAdaptor({iceRestartGracePeriod: 10});
+			await nextEvent(adaptor, "initialized");
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+
+			adaptor.remotePeerConnection["stream1"].fakeIceConnectionState("disconnected");
+			assert.ok(adaptor.iceRestartTimers["stream1"] != null);
+
+			adaptor.closePeerConnection("stream1");
+			await wait(20);
+
+			assert.strictEqual(adaptor.iceRestartTimers["stream1"], undefined);
+			assert.strictEqual(adaptor.iceRestartStreamIds.size, 0);
+		});
+
+		it("should create a new peer connection for the same stream after closing", async () => {
+			createAdaptor();
+			adaptor.takeConfiguration("stream1", "remote sdp", "offer", {});
+			await wait(5);
+			adaptor.closePeerConnection("stream1");
+
+			adaptor.takeCandidate("stream1", 0, MockSignallingServer.CANDIDATE);
+
+			assert.strictEqual(FakeRTCPeerConnection.instances.length, 2);
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], false);
+			assert.strictEqual(adaptor.iceCandidateList["stream1"].length, 1);
+		});
+	});
+
+	describe("data channel", () => {
+		let sender;
+		let receiver;
+		let receivedData;
+
+		function createData(size) {
+			var data = new Uint8Array(size);
+			for (var i = 0; i < data.length; i++) {
+				data[i] = i % 251;
+			}
+			return data;
+		}
+
+		/**
+		 * Connects the publisher's data channel to the player's data channel of another adaptor
+		 */
+		async function connectDataChannels(senderParameters, receiverParameters) {
+			receiver = createAdaptor(receiverParameters);
+			receivedData = [];
+			receiver.on("data_received", obj => receivedData.push(obj));
+			receiver.initPeerConnection("stream1", "play");
+			//the protocol of the sender's channel is announced to the receiver
+			var remoteChannel = receiver.remotePeerConnection["stream1"].fakeRemoteDataChannel("stream1", {protocol: DATA_FRAMING_PROTOCOL});
+
+			//creator of the channel doesn't know whether the receiver supports the frames
+			sender = new WebRTCAdaptor(Object.assign({
+				websocket_url: "ws://localhost:5080/LiveApp/websocket",
+				transportFactory: server.transportFactory,
+				mediaConstraints: {video: false, audio: false},
+				onlyDataChannel: true,
+				reconnectEnabled: false,
+				legacyDataChannelFraming: false,
+			}, senderParameters));
+			sender.initPeerConnection("stream1", "publish");
+			var localChannel = sender.remotePeerConnection["stream1"].dataChannels[0];
+
+			FakeRTCDataChannel.fakeConnect(localChannel, remoteChannel);
+			localChannel.fakeOpen();
+			remoteChannel.fakeOpen();
+			return localChannel;
+		}
+
+		afterEach(() => {
+			sender.closeWebSocket();
+			sender.webSocketAdaptor.clearPingTimer();
+		});
+
+		it("should send and receive text messages", async () => {
+			var localChannel = await connectDataChannels();
+			sender.sendData("stream1", "hello");
+			await wait(5);
+
+			assert.deepStrictEqual(localChannel.sent, ["hello"]);
+			assert.deepStrictEqual(receivedData, [{streamId: "stream1", data: "hello"}]);
+		});
+
+		it("should split the binary messages into chunks and reassemble them in legacy format", async () => {
+			var localChannel = await connectDataChannels({legacyDataChannelFraming: true});
+			var data = createData(40000);
+
+			sender.sendData("stream1", data.buffer);
+			await wait(5);
+
+			//header and 3 chunks of at most 16000 bytes
+			assert.strictEqual(localChannel.sent.length, 4);
+			assert.deepStrictEqual(Array.from(localChannel.sent[0]).slice(1), [40000]);
+			assert.deepStrictEqual(localChannel.sent.slice(1).map(chunk => chunk.byteLength - 4), [16000, 16000, 8000]);
+			assert.strictEqual(receivedData.length, 1);
+			assert.ok(receivedData[0].data instanceof ArrayBuffer);
+			assert.deepStrictEqual(new Uint8Array(receivedData[0].data), data);
+		});
+
+		it("should reassemble the interleaved binary messages in legacy format", async () => {
+			var localChannel = await connectDataChannels({legacyDataChannelFraming: true});
+			var data1 = new Uint8Array(20000).fill(1);
+			var data2 = new Uint8Array(20000).fill(2);
+			var remoteChannel = localChannel.remote;
+			localChannel.remote = null;
+
+			sender.sendData("stream1", data1.buffer);
+			sender.sendData("stream1", data2.buffer);
+			//deliver the chunks of the messages alternately
+			var sent = localChannel.sent;
+			[sent[0], sent[3], sent[1], sent[4], sent[2], sent[5]].forEach(data => remoteChannel.fakeReceive(data));
+
+			assert.strictEqual(receivedData.length, 2);
+			assert.deepStrictEqual(new Uint8Array(receivedData[0].data), data1);
+			assert.deepStrictEqual(new Uint8Array(receivedData[1].data), data2);
+		});
+
+		it("should send the frames only to the channels whose creator announces them", async () => {
+			var localChannel = await connectDataChannels();
+			assert.strictEqual(localChannel.protocol, DATA_FRAMING_PROTOCOL);
+
+			receiver.initPeerConnection("stream2", "play");
+			var oldChannel = receiver.remotePeerConnection["stream2"].fakeRemoteDataChannel("stream2");
+			oldChannel.fakeOpen();
+			var newChannel = localChannel.remote;
+
+			await receiver.sendData("stream1", createData(10));
+			await receiver.sendData("stream2", createData(10));
+
+			assert.strictEqual(isFrame(FakeRTCDataChannel.toReceivedData(newChannel.sent[0])), true);
+			//legacy header
+			assert.strictEqual(oldChannel.sent[0].byteLength, 8);
+			assert.strictEqual(isFrame(FakeRTCDataChannel.toReceivedData(oldChannel.sent[0])), false);
+		});
+
+		it("should send binary messages with progress and checksum", async () => {
+			var localChannel = await connectDataChannels();
+			var sendProgress = [];
+			var receiveProgress = [];
+			var sentEvents = [];
+			sender.on("data_sent", obj => sentEvents.push(obj));
+			receiver.on("data_receive_progress", obj => receiveProgress.push(obj.received));
+			var data = createData(40000);
+
+			var promise = sender.sendData("stream1", data, {onProgress: (sent, size) => sendProgress.push([sent, size])});
+			var result = await promise;
+			await wait(5);
+
+			assert.deepStrictEqual(result, {streamId: "stream1", messageId: promise.messageId, size: 40000});
+			assert.deepStrictEqual(sentEvents, [result]);
+			//start frame and 3 chunks with 16 bytes headers
+			assert.deepStrictEqual(localChannel.sent.map(frame => frame.byteLength), [24, 16016, 16016, 8016]);
+			assert.deepStrictEqual(sendProgress, [[16000, 40000], [32000, 40000], [40000, 40000]]);
+			assert.deepStrictEqual(receiveProgress, [16000, 32000, 40000]);
+			assert.strictEqual(receivedData.length, 1);
+			assert.strictEqual(receivedData[0].messageId, promise.messageId);
+			assert.deepStrictEqual(new Uint8Array(receivedData[0].data), data);
+			assert.strictEqual(receiver.receivingMessages.size, 0);
+			assert.strictEqual(sender.sendingMessages.size, 0);
+		});
+
+		it("should pause sending when the buffered amount is high", async () => {
+			var localChannel = await connectDataChannels({dataChannelMaxBufferedAmount: 20000, dataChannelBufferedAmountLowThreshold: 0});
+			localChannel.fakePauseDrain();
+
+			var promise = sender.sendData("stream1", createData(100000));
+			var resolved = false;
+			promise.then(() => resolved = true);
+			await wait(5);
+
+			//start frame and 2 chunks exceed 20000 bytes
+			assert.strictEqual(localChannel.sent.length, 3);
+			assert.strictEqual(resolved, false);
+
+			localChannel.fakeResumeDrain();
+			await promise;
+			assert.strictEqual(localChannel.sent.length, 8);
+		});
+
+		it("should send binary messages in order", async () => {
+			var localChannel = await connectDataChannels({dataChannelMaxBufferedAmount: 0});
+			var data1 = new Uint8Array(20000).fill(1);
+			var data2 = new Uint8Array(20000).fill(2);
+
+			sender.sendData("stream1", data1);
+			await sender.sendData("stream1", data2);
+			await wait(5);
+
+			assert.deepStrictEqual(receivedData.map(obj => new Uint8Array(obj.data)[0]), [1, 2]);
+		});
+
+		it("should cancel the binary message on both ends", async () => {
+			await connectDataChannels({dataChannelMaxBufferedAmount: 20000});
+			var cancelled = nextEvent(receiver, "data_receive_cancelled");
+
+			var promise = sender.sendData("stream1", createData(100000));
+			assert.strictEqual(sender.cancelSendData("stream1", promise.messageId), true);
+
+			await assert.rejects(promise, {error: "data_send_cancelled"});
+			assert.deepStrictEqual(await cancelled, {streamId: "stream1", messageId: promise.messageId});
+			assert.strictEqual(receiver.receivingMessages.size, 0);
+			assert.deepStrictEqual(receivedData, []);
+			assert.strictEqual(sender.cancelSendData("stream1", promise.messageId), false);
+		});
+
+		it("should discard the binary message if its chunks are not received in time", async () => {
+			var localChannel = await connectDataChannels({}, {dataChannelReceiveTimeout: 10});
+			var message = new SendingMessage(7, createData(40000), 16000, false);
+			localChannel.remote.fakeReceive(message.nextFrame());
+			localChannel.remote.fakeReceive(message.nextFrame());
+
+			var error = await nextEvent(receiver, "error");
+
+			assert.strictEqual(error.error, "data_receive_timeout");
+			assert.deepStrictEqual(error.message, {streamId: "stream1", messageId: 7, received: 16000, size: 40000});
+			assert.strictEqual(receiver.receivingMessages.size, 0);
+		});
+
+		it("should detect corrupted binary messages", async () => {
+			var localChannel = await connectDataChannels();
+			var message = new SendingMessage(7, createData(20000), 16000, false);
+			var errors = [];
+			receiver.on("error", error => errors.push(error));
+
+			localChannel.remote.fakeReceive(message.nextFrame());
+			var chunk = message.nextFrame();
+			chunk[100]++;
+			localChannel.remote.fakeReceive(chunk);
+			localChannel.remote.fakeReceive(message.nextFrame());
+
+			assert.deepStrictEqual(errors, [{error: "data_checksum_mismatch", message: {streamId: "stream1", messageId: 7}}]);
+			assert.deepStrictEqual(receivedData, []);
+		});
+
+		it("should reject the binary messages which are larger than the max size", async () => {
+			await connectDataChannels({dataChannelMaxBufferedAmount: 0}, {dataChannelMaxMessageSize: 30000});
+			var errors = [];
+			receiver.on("error", error => errors.push(error));
+
+			var promise = sender.sendData("stream1", createData(40000));
+
+			await assert.rejects(promise, {error: "data_send_rejected", message: {streamId: "stream1", messageId: promise.messageId}});
+			assert.deepStrictEqual(errors, [{error: "data_message_too_large", message: {streamId: "stream1", messageId: promise.messageId, size: 40000}}]);
+			assert.strictEqual(receiver.receivingMessages.size, 0);
+			assert.strictEqual(sender.sendingMessages.size, 0);
+			assert.deepStrictEqual(receivedData, []);
+		});
+
+		it("should discard the binary message which has a chunk out of its range", async () => {
+			var localChannel = await connectDataChannels();
+			var message = new SendingMessage(7, createData(20000), 16000, false);
+			var errors = [];
+			receiver.on("error", error => errors.push(error));
+
+			localChannel.remote.fakeReceive(message.nextFrame());
+			var chunk = message.nextFrame();
+			new DataView(chunk.buffer).setUint32(12, 5, true);
+			localChannel.remote.fakeReceive(chunk);
+
+			assert.deepStrictEqual(errors, [{error: "data_invalid_chunk", message: {streamId: "stream1", messageId: 7, index: 5}}]);
+			assert.strictEqual(receiver.receivingMessages.size, 0);
+			var rejection = parseFrame(FakeRTCDataChannel.toReceivedData(localChannel.remote.sent[0]));
+			assert.deepStrictEqual(rejection, {type: FrameType.CANCEL, messageId: 7, rejected: true});
+		});
+
+		it("should reject the binary messages when the data channel is closed", async () => {
+			var localChannel = await connectDataChannels({dataChannelMaxBufferedAmount: 0});
+			var promise = sender.sendData("stream1", createData(40000));
+
+			localChannel.close();
+
+			await assert.rejects(promise, {error: "data_channel_closed"});
+			assert.strictEqual(sender.sendingMessages.size, 0);
+			await assert.rejects(sender.sendData("stream1", createData(10)), {error: "data_channel_not_open"});
+		});
+
+		it("should send files with metadata", async () => {
+			await connectDataChannels({fileSegmentSize: 10000});
+			var data = createData(25000);
+			var file = new Blob([data], {type: "image/png"});
+			var sendProgress = [];
+			var receiveProgress = [];
+			sender.on("file_send_progress", obj => sendProgress.push(obj.sent));
+			receiver.on("file_receive_progress", obj => receiveProgress.push(obj.received));
+			var received = nextEvent(receiver, "file_received");
+
+			var promise = sender.sendFile("stream1", file, {name: "image.png"});
+			var result = await promise;
+			var receivedFile = await received;
+
+			assert.deepStrictEqual(result, {streamId: "stream1", fileId: promise.fileId, name: "image.png", type: "image/png", size: 25000});
+			assert.deepStrictEqual(sendProgress, [10000, 20000, 25000]);
+			assert.deepStrictEqual(receiveProgress, [10000, 20000, 25000]);
+			assert.strictEqual(receivedFile.fileId, promise.fileId);
+			assert.strictEqual(receivedFile.name, "image.png");
+			assert.strictEqual(receivedFile.type, "image/png");
+			assert.strictEqual(receivedFile.size, 25000);
+			assert.deepStrictEqual(new Uint8Array(receivedFile.data), data);
+			//binary file data is not passed as data_received
+			assert.deepStrictEqual(receivedData, []);
+		});
+
+		it("should report the file messages which cannot be decoded", async () => {
+			var localChannel = await connectDataChannels();
+			var errors = [];
+			receiver.on("error", error => errors.push(error.error));
+			var send = (messageId, text, contentType) => {
+				var message = new SendingMessage(messageId, new TextEncoder().encode(text), 16000, false, contentType);
+				localChannel.remote.fakeReceive(message.nextFrame());
+				localChannel.remote.fakeReceive(message.nextFrame());
+			};
+
+			send(1, "not json", ContentType.FILE_CONTROL);
+			//header length is larger than the segment
+			send(2, "\u00ff\u00ff\u00ff\u00ff", ContentType.FILE);
+			var header = JSON.stringify({fileId: "file1", size: -1, offset: 0});
+			var segment = new Uint8Array(4 + header.length);
+			new DataView(segment.buffer).setUint32(0, header.length, true);
+			segment.set(new TextEncoder().encode(header), 4);
+			var message = new SendingMessage(3, segment, 16000, false, ContentType.FILE);
+			localChannel.remote.fakeReceive(message.nextFrame());
+			localChannel.remote.fakeReceive(message.nextFrame());
+
+			assert.deepStrictEqual(errors, ["invalid_file_message", "invalid_file_message", "invalid_file_message"]);
+			assert.strictEqual(receiver.fileTransferManager.receivingFiles.size, 0);
+		});
+
+		it("should reject the files which are larger than the max size before allocating them", async () => {
+			await connectDataChannels({fileSegmentSize: 1000, dataChannelMaxBufferedAmount: 0}, {fileMaxSize: 2000});
+			var receiverErrors = [];
+			receiver.on("error", error => receiverErrors.push([error.error, error.message.size]));
+
+			var promise = sender.sendFile("stream1", createData(100000));
+			await assert.rejects(promise, error => {
+				assert.strictEqual(error.error, "file_send_rejected");
+				assert.strictEqual(error.message.fileId, promise.fileId);
+				return true;
+			});
+			await wait(5);
+
+			assert.deepStrictEqual(receiverErrors, [["file_too_large", 100000]]);
+			assert.strictEqual(receiver.fileTransferManager.receivingFiles.size, 0);
+			assert.strictEqual(sender.fileTransferManager.sendingFiles.size, 0);
+		});
+
+		it("should ignore the file segments at invalid offsets", async () => {
+			await connectDataChannels();
+			var manager = receiver.fileTransferManager;
+			var bytes = new Uint8Array([1, 2]);
+
+			manager.receiveSegment("stream1", {header: {fileId: "file1", size: 10, offset: 0}, bytes: bytes});
+			manager.receiveSegment("stream1", {header: {fileId: "file1", size: 10, offset: -1}, bytes: bytes});
+			manager.receiveSegment("stream1", {header: {fileId: "file1", size: 10, offset: 2.5}, bytes: bytes});
+
+			assert.strictEqual(manager.receivingFiles.get("stream1/file1").received, 2);
+			clearTimeout(manager.receivingFiles.get("stream1/file1").timerId);
+		});
+
+		it("should resume the file transfer when the data channel is opened again", async () => {
+			var localChannel = await connectDataChannels({fileSegmentSize: 1000, dataChannelMaxBufferedAmount: 0});
+			var data = createData(100000);
+			var events = [];
+			sender.on("file_transfer_paused", obj => events.push(["paused", obj.acknowledged]));
+			sender.on("file_transfer_resumed", obj => events.push(["resumed", obj.offset]));
+			var progressCount = 0;
+			receiver.on("file_receive_progress", () => {
+				progressCount++;
+				if (progressCount == 5) {
+					localChannel.remote.close();
+					localChannel.close();
+				}
+			});
+			var received = nextEvent(receiver, "file_received");
+
+			var promise = sender.sendFile("stream1", data);
+			await nextEvent(sender, "file_transfer_paused");
+			assert.strictEqual(receiver.fileTransferManager.receivingFiles.size, 1);
+
+			var newRemoteChannel = new FakeRTCDataChannel("stream1");
+			receiver.initDataChannel("stream1", newRemoteChannel);
+			var newLocalChannel = new FakeRTCDataChannel("stream1");
+			sender.initDataChannel("stream1", newLocalChannel);
+			FakeRTCDataChannel.fakeConnect(newLocalChannel, newRemoteChannel);
+			newRemoteChannel.fakeOpen();
+			newLocalChannel.fakeOpen();
+
+			await promise;
+			var receivedFile = await received;
+
+			assert.strictEqual(events.length, 2);
+			assert.strictEqual(events[0][0], "paused");
+			//it's resumed from the acknowledged segment
+			assert.deepStrictEqual(events[1], ["resumed", events[0][1]]);
+			assert.ok(events[0][1] >= 1000 && events[0][1] <= 5000);
+			assert.deepStrictEqual(new Uint8Array(receivedFile.data), data);
+		});
+
+		it("should cancel the file transfer on both ends", async () => {
+			await connectDataChannels({fileSegmentSize: 1000, dataChannelMaxBufferedAmount: 0});
+			var cancelled = nextEvent(receiver, "file_receive_cancelled");
+			var promise = sender.sendFile("stream1", createData(100000));
+			await nextEvent(receiver, "file_receive_progress");
+
+			assert.strictEqual(sender.cancelFile("stream1", promise.fileId), true);
+
+			await assert.rejects(promise, {error: "file_send_cancelled"});
+			assert.deepStrictEqual(await cancelled, {streamId: "stream1", fileId: promise.fileId});
+			assert.strictEqual(receiver.fileTransferManager.receivingFiles.size, 0);
+			assert.strictEqual(sender.fileTransferManager.sendingFiles.size, 0);
+		});
+
+		it("should send typed messages to the subscribers", async () => {
+			var localChannel = await connectDataChannels();
+			var chatMessages = [];
+			var allMessages = [];
+			receiver.subscribeMessage("chat", (payload, message) => chatMessages.push([payload, message.streamId]));
+			var unsubscribe = receiver.subscribeMessage("*", (payload, message) => allMessages.push(message.type));
+			var received = nextEvent(receiver, "message_received");
+
+			var messageId = await sender.sendMessage("stream1", "chat", {text: "hello"});
+			await sender.sendMessage("stream1", "typing", true);
+			var message = await received;
+			await wait(5);
+			unsubscribe();
+			await sender.sendMessage("stream1", "chat", {text: "bye"});
+			await wait(5);
+
+			assert.deepStrictEqual(message, {streamId: "stream1", type: "chat", messageId: messageId, payload: {text: "hello"}});
+			//small messages are sent as text
+			assert.strictEqual(typeof localChannel.sent[0], "string");
+			assert.deepStrictEqual(chatMessages, [[{text: "hello"}, "stream1"], [{text: "bye"}, "stream1"]]);
+			assert.deepStrictEqual(allMessages, ["chat", "typing"]);
+			assert.deepStrictEqual(receivedData, []);
+		});
+
+		it("should send the audio level in the legacy format unless the message is enabled", async () => {
+			var localChannel = await connectDataChannels();
+
+			await sender.updateAudioLevel("stream1", 42);
+			await wait(5);
+
+			assert.deepStrictEqual(JSON.parse(localChannel.sent[0]), {streamId: "stream1", eventType: "UPDATE_AUDIO_LEVEL", audioLevel: 42});
+			assert.deepStrictEqual(receivedData, [{streamId: "stream1", data: localChannel.sent[0]}]);
+
+			var received = nextEvent(receiver, "message_received");
+			sender.audioLevelMessageEnabled = true;
+			await sender.updateAudioLevel("stream1", 43);
+			var message = await received;
+
+			assert.strictEqual(message.type, "UPDATE_AUDIO_LEVEL");
+			assert.deepStrictEqual(message.payload, {streamId: "stream1", audioLevel: 43});
+			assert.strictEqual(receivedData.length, 1);
+		});
+
+		it("should send the messages with binary payload as MessagePack", async () => {
+			var localChannel = await connectDataChannels();
+			var received = nextEvent(receiver, "message_received");
+			var thumbnail = createData(20000);
+
+			await sender.sendMessage("stream1", "image", {name: "thumbnail", thumbnail: thumbnail});
+			var message = await received;
+
+			assert.ok(localChannel.sent[0] instanceof Uint8Array);
+			assert.strictEqual(message.payload.name, "thumbnail");
+			assert.deepStrictEqual(message.payload.thumbnail, thumbnail);
+			assert.deepStrictEqual(receivedData, []);
+		});
+
+		it("should get the response of a request", async () => {
+			await connectDataChannels();
+			receiver.setRequestHandler("sum", payload => payload.a + payload.b);
+			receiver.setRequestHandler("slowSum", payload => new Promise(resolve => setTimeout(() => resolve(payload.a + payload.b), 5)));
+			receiver.setRequestHandler("fail", () => {
+				throw new Error("not allowed");
+			});
+
+			assert.strictEqual(await sender.request("stream1", "sum", {a: 1, b: 2}), 3);
+			assert.strictEqual(await sender.request("stream1", "slowSum", {a: 2, b: 3}), 5);
+			await assert.rejects(sender.request("stream1", "fail", {}), error => {
+				assert.strictEqual(error.error, "message_request_failed");
+				assert.strictEqual(error.message.description, "not allowed");
+				return true;
+			});
+			await assert.rejects(sender.request("stream1", "unknown", {}, {timeout: 10}), {error: "requestTimeout"});
+			assert.strictEqual(sender.messagingManager.pendingRequests.size, 0);
+		});
+
+		it("should pass the text messages of the application as data_received", async () => {
+			await connectDataChannels();
+			var text = JSON.stringify({eventType: "UPDATE_AUDIO_LEVEL", protocol: "other"});
+
+			sender.sendData("stream1", text);
+			await wait(5);
+
+			assert.deepStrictEqual(receivedData, [{streamId: "stream1", data: text}]);
+		});
+
+		it("should send over the named channels with their own options", async () => {
+			var dataChannelOptions = {ordered: true, channels: [{label: "telemetry", ordered: false, maxRetransmits: 0}]};
+			var localChannel = await connectDataChannels({dataChannelOptions: dataChannelOptions}, {dataChannelOptions: dataChannelOptions});
+			var localTelemetry = sender.remotePeerConnection["stream1"].dataChannels[1];
+			var remoteTelemetry = receiver.remotePeerConnection["stream1"].fakeRemoteDataChannel("telemetry");
+			var opened = nextEvent(sender, "named_data_channel_opened");
+			FakeRTCDataChannel.fakeConnect(localTelemetry, remoteTelemetry);
+			localTelemetry.fakeOpen();
+			remoteTelemetry.fakeOpen();
+
+			assert.deepStrictEqual(await opened, {streamId: "stream1", label: "telemetry"});
+			assert.deepStrictEqual(localTelemetry.options, {ordered: false, maxRetransmits: 0, protocol: DATA_FRAMING_PROTOCOL});
+			assert.strictEqual(receiver.remotePeerConnection["stream1"].dataChannel.label, "stream1");
+			assert.strictEqual(receiver.remotePeerConnection["stream1"].namedDataChannels["telemetry"], remoteTelemetry);
+
+			sender.sendData("stream1", "position", {label: "telemetry"});
+			var result = await sender.sendData("stream1", createData(20000), {label: "telemetry"});
+			await wait(5);
+
+			assert.strictEqual(localChannel.sent.length, 0);
+			assert.strictEqual(localTelemetry.sent.length, 4);
+			assert.deepStrictEqual(receivedData[0], {streamId: "stream1", data: "position", label: "telemetry"});
+			assert.strictEqual(receivedData[1].messageId, result.messageId);
+			assert.strictEqual(receivedData[1].label, "telemetry");
+			await assert.rejects(sender.sendData("stream1", createData(10), {label: "unknown"}), {error: "data_channel_not_open"});
+		});
+
+		it("should create the negotiated channels in play mode", () => {
+			createAdaptor();
+			adaptor.setDataChannelOptions("stream1", {channels: [{label: "control", negotiated: true, id: 5}]});
+			adaptor.initPeerConnection("stream1", "play");
+			adaptor.initPeerConnection("stream2", "play");
+
+			var dataChannels = adaptor.remotePeerConnection["stream1"].dataChannels;
+			assert.strictEqual(dataChannels.length, 1);
+			assert.strictEqual(dataChannels[0].label, "control");
+			assert.deepStrictEqual(dataChannels[0].options, {ordered: true, negotiated: true, id: 5});
+			assert.strictEqual(adaptor.remotePeerConnection["stream2"].dataChannels.length, 0);
+			sender = adaptor;
+		});
+
+		it("should not accept the invalid data channel options", async () => {
+			createAdaptor();
+			var error = nextEvent(adaptor, "error");
+
+			var result = adaptor.setDataChannelOptions("stream1", {channels: [{label: "telemetry", maxRetransmits: 0, maxPacketLifeTime: 100}]});
+
+			assert.strictEqual(result, false);
+			assert.strictEqual((await error).error, "invalid_data_channel_options");
+			assert.strictEqual(adaptor.setDataChannelOptions("stream1", {channels: [{label: "a"}, {label: "a"}]}), false);
+			assert.strictEqual(adaptor.setDataChannelOptions("stream1", {negotiated: true}), false);
+			assert.strictEqual(adaptor.getDataChannelOptions("stream1"), adaptor.dataChannelOptions);
+			sender = adaptor;
+		});
+
+		it("should notify data_channel_opened and keep the channel", async () => {
+			createAdaptor();
+			var opened = nextEvent(adaptor, "data_channel_opened");
+			adaptor.initPeerConnection("stream1", "play");
+			var dataChannel = adaptor.remotePeerConnection["stream1"].fakeRemoteDataChannel("stream1");
+			dataChannel.fakeOpen();
+
+			assert.strictEqual(await opened, "stream1");
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"].dataChannel, dataChannel);
+			sender = adaptor;
+		});
+	});
+
+	describe("requests", () => {
+		it("should reject the request with the error which answers it", async () => {
+			createAdaptor();
+			await nextEvent(adaptor, "initialized");
+			server.injectError("play", "no_stream_exist", {streamId: "stream1"});
+
+			await assert.rejects(adaptor.play("stream1"), {error: "no_stream_exist", message: {command: "error", definition: "no_stream_exist", streamId: "stream1"}});
+			assert.strictEqual(adaptor.pendingRequests.length, 0);
+		});
+
+		it("should not reject the requests with the unrelated errors of the same stream", async () => {
+			createAdaptor();
+			await nextEvent(adaptor, "initialized");
+			server.injectError("play", "viewerLimitReached", {streamId: "stream1"});
+
+			var info = adaptor.getStreamInfo("stream1");
+			var play = adaptor.play("stream1");
+			server.sendToClient(server.connections[0], {command: "error", definition: "data_store_not_available", streamId: "stream1"});
+
+			await assert.rejects(play, {error: "viewerLimitReached"});
+			assert.strictEqual((await info).streamId, "stream1");
+			assert.strictEqual(adaptor.pendingRequests.length, 0);
+		});
+
+		it("should reject the request when its response is not received in time", async () => {
+			createAdaptor({requestTimeout: 10});
+			await nextEvent(adaptor, "initialized");
+			server.setHandler("getRoomInfo", () => {});
+
+			await assert.rejects(adaptor.getRoomInfo("room1", "stream1"), {error: "requestTimeout",
+				message: {responseName: "roomInformation", streamId: undefined, roomName: "room1"}});
+			assert.strictEqual(adaptor.pendingRequests.length, 0);
+		});
+	});
+
+	describe("ICE restart", () => {
+		async function publish(parameters) {
+			createAdaptor(Object.assign({isPlayMode: false, mediaConstraints: {video: true, audio: true}}, parameters));
+			await nextEvent(adaptor, "initialized");
+			await adaptor.publish("stream1");
+			return adaptor.remotePeerConnection["stream1"];
+		}
+
+		function offerCount() {
+			return server.receivedCommands("takeConfiguration").filter(message => message.type == "offer").length;
+		}
+
+		it("should restart ICE of a publisher immediately when it fails", async () => {
+			var peerConnection = await publish();
+			var events = [];
+			adaptor.on("ice_restart_started", obj => events.push(["started", obj.streamId]));
+			adaptor.on("ice_restarted", obj => events.push(["restarted", obj.streamId]));
+
+			peerConnection.fakeIceConnectionState("failed");
+			await server.waitFor(() => offerCount() == 2);
+			await wait(5);
+
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"], peerConnection);
+			assert.strictEqual(peerConnection.offerOptions[1].iceRestart, true);
+			assert.strictEqual(peerConnection.remoteDescription.type, "answer");
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], true);
+
+			peerConnection.fakeIceConnectionState("connected");
+			assert.deepStrictEqual(events, [["started", "stream1"], ["restarted", "stream1"]]);
+			assert.strictEqual(adaptor.iceRestartStreamIds.size, 0);
+		});
+
+		it("should restart ICE of a disconnected publisher after the grace period", async () => {
+			var peerConnection = await publish({iceRestartGracePeriod: 10});
+
+			//it recovers itself in the grace period
+			peerConnection.fakeIceConnectionState("disconnected");
+			await wait(2);
+			peerConnection.fakeIceConnectionState("connected");
+			await wait(20);
+			assert.strictEqual(peerConnection.offerOptions.length, 1);
+
+			peerConnection.fakeIceConnectionState("disconnected");
+			await server.waitFor(() => offerCount() == 2);
+			assert.strictEqual(peerConnection.offerOptions[1].iceRestart, true);
+		});
+
+		it("should not restart ICE automatically when it's disabled", async () => {
+			var peerConnection = await publish({autoIceRestart: false});
+
+			peerConnection.fakeIceConnectionState("failed");
+			await wait(10);
+
+			assert.strictEqual(peerConnection.offerOptions.length, 1);
+			assert.strictEqual(adaptor.iceRestartTimers["stream1"], undefined);
+		});
+
+		it("should restart ICE of a publisher manually", async () => {
+			var peerConnection = await publish();
+			var restarted = nextEvent(adaptor, "ice_restarted");
+
+			adaptor.restartIce("stream1");
+			await server.waitFor(() => offerCount() == 2);
+			await wait(5);
+			peerConnection.fakeIceConnectionState("connected");
+
+			assert.deepStrictEqual(await restarted, {streamId: "stream1"});
+			assert.strictEqual(peerConnection.offerOptions[1].iceRestart, true);
+		});
+
+		it("should restart ICE of a player with a new offer for the play request", async () => {
+			createAdaptor();
+			await nextEvent(adaptor, "initialized");
+			await adaptor.play("stream1", "token1");
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+			var restarted = nextEvent(adaptor, "ice_restarted");
+
+			peerConnection.fakeIceConnectionState("failed");
+			await server.waitFor(() => server.receivedCommands("play").length == 2);
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], false);
+			//stream is already playing, so no new play request is waited
+			assert.strictEqual(adaptor.pendingRequests.length, 0);
+			assert.deepStrictEqual(adaptor.playStreamId, ["stream1"]);
+			await server.waitFor(() => server.receivedCommands("takeConfiguration").length == 2);
+			await wait(5);
+			peerConnection.fakeIceConnectionState("connected");
+
+			assert.deepStrictEqual(await restarted, {streamId: "stream1"});
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"], peerConnection);
+			assert.deepStrictEqual(server.receivedCommands("play").map(message => message.token), ["token1", "token1"]);
+			assert.strictEqual(server.receivedCommands("takeConfiguration")[1].type, "answer");
+			assert.strictEqual(peerConnection.addedCandidates.length, 2);
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], true);
+		});
+
+		it("should allow a new restart after the restart fails", async () => {
+			var peerConnection = await publish();
+			FakeRTCPeerConnection.failCreateOffer = true;
+
+			adaptor.restartIce("stream1");
+			var error = await nextEvent(adaptor, "error");
+
+			assert.strictEqual(error.error, "ice_restart_failed");
+			assert.strictEqual(error.message.streamId, "stream1");
+			assert.strictEqual(adaptor.iceRestartStreamIds.size, 0);
+			assert.strictEqual(adaptor.remoteDescriptionSet["stream1"], true);
+
+			FakeRTCPeerConnection.failCreateOffer = false;
+			adaptor.restartIce("stream1");
+			await server.waitFor(() => offerCount() == 2);
+			assert.strictEqual(peerConnection.offerOptions.length, 3);
+		});
+	});
+
+	describe("session restoration", () => {
+		function createReconnectingAdaptor(parameters) {
+			return createAdaptor(Object.assign({reconnectEnabled: true, reconnectInitialDelay: 5, reconnectJitter: 0}, parameters));
+		}
+
+		it("should publish again after reconnection without the queued candidates of the old session", async () => {
+			createReconnectingAdaptor({isPlayMode: false, mediaConstraints: {video: true, audio: true}});
+			await nextEvent(adaptor, "initialized");
+			await adaptor.publish("stream1", "token1");
+			var oldPeerConnection = adaptor.remotePeerConnection["stream1"];
+			var started = [];
+			adaptor.on("publish_started", obj => started.push(obj.streamId));
+
+			server.dropConnections();
+			await nextEvent(adaptor, "closed");
+			var staleCandidate = "candidate:9 1 udp 2122260223 127.0.0.1 50009 typ host";
+			oldPeerConnection.fakeIceCandidate(staleCandidate, 0, "udp");
+			assert.strictEqual(adaptor.webSocketAdaptor.offlineQueue.length, 1);
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: "stream1", playStreamIds: [], roomName: null, failedStreamIds: []});
+			assert.deepStrictEqual(server.receivedCommands("publish").map(message => message.token), ["token1", "token1"]);
+			assert.strictEqual(oldPeerConnection.signalingState, "closed");
+			assert.notStrictEqual(adaptor.remotePeerConnection["stream1"], oldPeerConnection);
+			assert.ok(!server.receivedCommands("takeCandidate").some(message => message.candidate == staleCandidate));
+			//intermediate notifications are not passed
+			assert.deepStrictEqual(started, []);
+		});
+
+		it("should play again after reconnection", async () => {
+			createReconnectingAdaptor();
+			await nextEvent(adaptor, "initialized");
+			await adaptor.play("stream1", "token1");
+			await adaptor.play("stream2");
+			var oldPeerConnection = adaptor.remotePeerConnection["stream1"];
+
+			server.dropConnections();
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: null, playStreamIds: ["stream1", "stream2"], roomName: null, failedStreamIds: []});
+			assert.deepStrictEqual(server.receivedCommands("play").map(message => [message.streamId, message.token]),
+					[["stream1", "token1"], ["stream2", undefined], ["stream1", "token1"], ["stream2", undefined]]);
+			assert.strictEqual(oldPeerConnection.signalingState, "closed");
+			assert.strictEqual(adaptor.remotePeerConnection["stream1"].remoteDescription.type, "offer");
+		});
+
+		it("should join the room again after reconnection and report the streams which cannot be restored", async () => {
+			createReconnectingAdaptor();
+			await nextEvent(adaptor, "initialized");
+			await adaptor.joinRoom("room1", "stream1");
+			await adaptor.play("stream2");
+			server.injectError("play", "no_stream_exist", {streamId: "stream2"});
+
+			server.dropConnections();
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: null, playStreamIds: [], roomName: "room1", failedStreamIds: ["stream2"]});
+			assert.deepStrictEqual(server.receivedCommands("joinRoom").map(message => [message.room, message.streamId]),
+					[["room1", "stream1"], ["room1", "stream1"]]);
+		});
+
+		it("should report the room which cannot be joined again", async () => {
+			createReconnectingAdaptor();
+			await nextEvent(adaptor, "initialized");
+			await adaptor.joinRoom("room1", "stream1");
+			await adaptor.play("stream2");
+			server.setHandler("joinRoom", (message, connection) => server.sendToClient(connection, {command: "error", definition: "room_not_active"}));
+
+			server.dropConnections();
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: null, playStreamIds: ["stream2"], roomName: null, failedStreamIds: []});
+			assert.strictEqual(adaptor.pendingRestorations.size, 0);
+		});
+
+		it("should report the room whose join request is not answered", async () => {
+			createReconnectingAdaptor({requestTimeout: 30});
+			await nextEvent(adaptor, "initialized");
+			await adaptor.joinRoom("room1", "stream1");
+			server.setHandler("joinRoom", () => {});
+
+			server.dropConnections();
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: null, playStreamIds: [], roomName: null, failedStreamIds: []});
+		});
+
+		it("should report the streams whose requests are not answered", async () => {
+			createReconnectingAdaptor({isPlayMode: false, mediaConstraints: {video: true, audio: true}, requestTimeout: 30});
+			await nextEvent(adaptor, "initialized");
+			await adaptor.publish("stream1");
+			await adaptor.play("stream2");
+			await adaptor.play("stream3");
+			server.setHandler("publish", () => {});
+			server.setHandler("play", (message, connection) => {
+				if (message.streamId == "stream3") {
+					server.sendOffer(connection, message.streamId);
+				}
+			});
+
+			server.dropConnections();
+			var restored = await nextEvent(adaptor, "session_restored");
+
+			assert.deepStrictEqual(restored, {publishStreamId: null, playStreamIds: ["stream3"], roomName: null, failedStreamIds: ["stream1", "stream2"]});
+		});
+
+		it("should not restore the stopped streams", async () => {
+			createReconnectingAdaptor();
+			await nextEvent(adaptor, "initialized");
+			await adaptor.play("stream1");
+			adaptor.stop("stream1");
+
+			server.dropConnections();
+			await nextEvent(adaptor, "reconnected");
+			await wait(10);
+
+			assert.strictEqual(server.receivedCommands("play").length, 1);
+		});
+	});
+
+	describe("publish", () => {
+		it("should resolve the promise when publishing starts", async () => {
+			createAdaptor({isPlayMode: false, mediaConstraints: {video: true, audio: true}});
+			await nextEvent(adaptor, "initialized");
+
+			var notification = await adaptor.publish("stream1");
+			var peerConnection = adaptor.remotePeerConnection["stream1"];
+
+			assert.strictEqual(notification.streamId, "stream1");
+			assert.strictEqual(server.receivedCommands("takeConfiguration")[0].type, "offer");
+			assert.strictEqual(peerConnection.remoteDescription.type, "answer");
+			assert.deepStrictEqual(peerConnection.getSenders().map(sender => sender.track.kind).sort(), ["audio", "video"]);
+			assert.strictEqual(peerConnection.dataChannels.length, 1);
+		});
+
+		it("should use the shared audio context for the gain node of the microphone", async () => {
+			createAdaptor({isPlayMode: false, mediaConstraints: {video: true, audio: true}});
+			await nextEvent(adaptor, "initialized");
+
+			assert.notStrictEqual(adaptor.mediaManager.primaryAudioTrackGainNode, null);
+			assert.strictEqual(adaptor.mediaManager.primaryAudioTrackGainNode.context, getSharedAudioContext());
+			assert.strictEqual(adaptor.mediaManager.audioContext, getSharedAudioContext());
+		});
+	});
+});
@@ -0,0 +1,241 @@
+import assert from "assert";
+import {WebSocketAdaptor} from "../../../../main/webapp/js/websocket_adaptor.js";
+import {MockSignallingServer} from "../mock/mock_signalling_server.js";
+
+/**
+ * Records the calls from WebSocketAdaptor instead of a real WebRTCAdaptor
+ */
+class WebRTCAdaptorStub {
+	constructor() {
+		this.calls = [];
+		this.waiters = [];
+	}
+	record(call) {
+		this.calls.push(call);
+		this.waiters.filter(waiter => waiter.name == call[0]).forEach(waiter => waiter.resolve(call));
+		this.waiters = this.waiters.filter(waiter => waiter.name != call[0]);
+	}
+	/**
+	 * Returns a Promise which is resolved when the method is called, or immediately if it's already called
+	 */
+	waitForCall(name) {
+		var call = this.calls.find(call => call[0] == name);
+		if (call != null) {
+			return Promise.resolve(call);
+		}
+		return new Promise(resolve => this.waiters.push({name, resolve}));
+	}
+	startPublishing(streamId) {
+		this.record(["startPublishing", streamId]);
+	}
+	takeCandidate(streamId, label, candidate) {
+		this.record(["takeCandidate", streamId, label, candidate]);
+	}
+	takeConfiguration(streamId, sdp, type, idMapping) {
+		this.record(["takeConfiguration", streamId, type]);
+	}
+	closePeerConnection(streamId) {
+		this.record(["closePeerConnection", streamId]);
+	}
+}
+
+function nextEvent(emitter, eventName) {
+	return new Promise(resolve => emitter.once(eventName, resolve));
+}
+
+describe("WebSocketAdaptor", () => {
+	let server;
+	let webrtcadaptor;
+	let adaptor;
+	let events;
+
+	function createAdaptor(parameters) {
+		//previous adaptor may still call its callbacks while it's being closed, so use a new array
+		const recordedEvents = [];
+		events = recordedEvents;
+		adaptor = new WebSocketAdaptor(Object.assign({
+			websocket_url: "ws://localhost:5080/LiveApp/websocket",
+			webrtcadaptor: webrtcadaptor,
+			transportFactory: server.transportFactory,
+			callback: (info, obj) => recordedEvents.push(info),
+			callbackError: (error, message) => recordedEvents.push("error:" + error),
+			reconnectInitialDelay: 5,
+			reconnectJitter: 0,
+		}, parameters));
+		return adaptor;
+	}
+
+	beforeEach(() => {
+		server = new MockSignallingServer();
+		webrtcadaptor = new WebRTCAdaptorStub();
+	});
+
+	afterEach(() => {
+		adaptor.close();
+		adaptor.clearPingTimer();
+	});
+
+	it("should notify initialized when connected", async () => {
+		createAdaptor();
+		await nextEvent(adaptor, "initialized");
+
+		assert.strictEqual(adaptor.isConnected(), true);
+		assert.strictEqual(adaptor.isConnecting(), false);
+		assert.deepStrictEqual(events, ["initialized"]);
+	});
+
+	it("should notify pong for ping", async () => {
+		createAdaptor();
+		await nextEvent(adaptor, "initialized");
+
+		adaptor.sendPing();
+		await nextEvent(adaptor, "pong");
+		assert.strictEqual(server.receivedCommands("ping").length, 1);
+	});
+
+	it("should pass publish signalling messages to WebRTCAdaptor", async () => {
+		createAdaptor();
+		adaptor.send(JSON.stringify({command: "publish", streamId: "stream1"}));
+		await server.waitFor("publish");
+		await webrtcadaptor.waitForCall("startPublishing");
+
+		assert.deepStrictEqual(webrtcadaptor.calls, [["startPublishing", "stream1"]]);
+
+		adaptor.send(JSON.stringify({command: "takeConfiguration", streamId: "stream1", type: "offer", sdp: "sdp"}));
+		var notification = await nextEvent(adaptor, "publish_started");
+
+		assert.strictEqual(notification.streamId, "stream1");
+		assert.deepStrictEqual(webrtcadaptor.calls.slice(1), [
+			["takeConfiguration", "stream1", "answer"],
+			["takeCandidate", "stream1", 0, MockSignallingServer.CANDIDATE],
+		]);
+	});
+
+	it("should pass play signalling messages to WebRTCAdaptor", async () => {
+		createAdaptor();
+		adaptor.send(JSON.stringify({command: "play", streamId: "stream1"}));
+		await server.waitFor("play");
+		await new Promise(resolve => setTimeout(resolve, 5));
+
+		assert.deepStrictEqual(webrtcadaptor.calls, [
+			["takeConfiguration", "stream1", "offer"],
+			["takeCandidate", "stream1", 0, MockSignallingServer.CANDIDATE],
+		]);
+	});
+
+	it("should close peer connection when play is finished", async () => {
+		createAdaptor();
+		adaptor.send(JSON.stringify({command: "play", streamId: "stream1"}));
+		adaptor.send(JSON.stringify({command: "stop", streamId: "stream1"}));
+		await nextEvent(adaptor, "play_finished");
+
+		assert.deepStrictEqual(webrtcadaptor.calls[webrtcadaptor.calls.length - 1], ["closePeerConnection", "stream1"]);
+	});
+
+	it("should notify injected errors", async () => {
+		createAdaptor();
+		server.injectError("play", "no_stream_exist", {streamId: "stream1"});
+		adaptor.send(JSON.stringify({command: "play", streamId: "stream1"}));
+		var error = await nextEvent(adaptor, "error");
+
+		assert.strictEqual(error.error, "no_stream_exist");
+		assert.strictEqual(error.message.streamId, "stream1");
+		assert.ok(events.includes("error:no_stream_exist"));
+		assert.deepStrictEqual(webrtcadaptor.calls, []);
+	});
+
+	it("should reconnect and send the queued messages in order", async () => {
+		createAdaptor();
+		await nextEvent(adaptor, "initialized");
+
+		server.refuseConnections(1);
+		server.dropConnections();
+		await nextEvent(adaptor, "closed");
+		adaptor.send(JSON.stringify({command: "getStreamInfo", streamId: "stream1"}));
+		adaptor.send(JSON.stringify({command: "getStreamInfo", streamId: "stream2"}));
+
+		var reconnected = await nextEvent(adaptor, "reconnected");
+
+		assert.strictEqual(reconnected.attempts, 2);
+		assert.strictEqual(server.acceptedConnectionCount, 2);
+		assert.deepStrictEqual(server.receivedCommands("getStreamInfo").map(message => message.streamId), ["stream1", "stream2"]);
+		assert.deepStrictEqual(events.filter(info => info != "streamInformation"),
+			["initialized", "closed", "reconnecting", "reconnecting", "initialized", "reconnected"]);
+	});
+
+	it("should notify reconnect_failed after max attempts", async () => {
+		createAdaptor({reconnectMaxAttempts: 2});
+		await nextEvent(adaptor, "initialized");
+
+		server.refuseConnections(3);
+		server.dropConnections();
+		var failed = await nextEvent(adaptor, "reconnect_failed");
+
+		assert.strictEqual(failed.attempts, 2);
+		assert.strictEqual(adaptor.isReconnecting(), false);
+		assert.strictEqual(adaptor.isConnected(), false);
+	});
+
+	it("should increase the reconnection delay exponentially up to the max delay", async () => {
+		createAdaptor({reconnectInitialDelay: 1, reconnectMaxDelay: 4, reconnectMaxAttempts: 5});
+		await nextEvent(adaptor, "initialized");
+		var delays = [];
+		adaptor.on("reconnecting", obj => delays.push([obj.attempt, obj.delay]));
+
+		server.refuseConnections(5);
+		server.dropConnections();
+		await nextEvent(adaptor, "reconnect_failed");
+
+		assert.deepStrictEqual(delays, [[1, 1], [2, 2], [3, 4], [4, 4], [5, 4]]);
+	});
+
+	it("should spread the reconnection delay with the jitter", async () => {
+		createAdaptor({reconnectInitialDelay: 1000, reconnectJitter: 0.5});
+		await nextEvent(adaptor, "initialized");
+		var delays = [];
+		adaptor.on("reconnecting", obj => delays.push(obj.delay));
+		var random = Math.random;
+		try {
+			[0, 0.5, 1].forEach(value => {
+				Math.random = () => value;
+				adaptor.reconnectAttempts = 0;
+				adaptor.scheduleReconnect();
+				adaptor.clearReconnectTimer();
+			});
+		}
+		finally {
+			Math.random = random;
+		}
+
+		assert.deepStrictEqual(delays, [500, 1000, 1500]);
+	});
+
+	it("should drop the oldest queued messages when the offline queue is full", async () => {
+		createAdaptor({offlineQueueLimit: 2});
+		await nextEvent(adaptor, "initialized");
+
+		server.dropConnections();
+		await nextEvent(adaptor, "closed");
+		["stream1", "stream2", "stream3"].forEach(streamId => {
+			adaptor.send(JSON.stringify({command: "getStreamInfo", streamId: streamId}));
+		});
+		assert.strictEqual(adaptor.offlineQueue.length, 2);
+		await nextEvent(adaptor, "reconnected");
+
+		assert.deepStrictEqual(server.receivedCommands("getStreamInfo").map(message => message.streamId), ["stream2", "stream3"]);
+		assert.strictEqual(adaptor.offlineQueue.length, 0);
+	});
+
+	it("should not reconnect when it's closed by user", async () => {
+		createAdaptor();
+		await nextEvent(adaptor, "initialized");
+
+		adaptor.close();
+		await nextEvent(adaptor, "closed");
+		await new Promise(resolve => setTimeout(resolve, 20));
+
+		assert.strictEqual(adaptor.isReconnecting(), false);
+		assert.strictEqual(server.acceptedConnectionCount, 1);
+		assert.ok(!events.includes("reconnecting"));
+	});
+});